@@ -0,0 +1,111 @@
+// ==================== DUMP READER ====================
+// Reads the MySQL Workbench dump in Dump.zip without a MySQL client:
+// each file has one CREATE TABLE (for the column order) and INSERT ... VALUES
+// statements, which are parsed into plain row arrays.
+const path = require('path');
+const AdmZip = require('adm-zip');
+
+const DUMP_ZIP = path.join(__dirname, '..', 'Dump.zip');
+
+// Parents before children so foreign keys are satisfied while loading
+const TABLE_ORDER = ['user', 'fighter', 'event', 'league', 'membership', 'fight', 'pick'];
+
+const ESCAPES = { '0': '\0', 'b': '\b', 'n': '\n', 'r': '\r', 't': '\t', 'Z': '\x1a' };
+
+// Parse "(1,'a',NULL),(2,'b\'c',3.5)" into [[1,'a',null],[2,"b'c",3.5]]
+function parseValues(text) {
+    const rows = [];
+    let i = 0;
+
+    const skipSpace = () => {
+        while (i < text.length && /\s/.test(text[i])) i++;
+    };
+
+    while (i < text.length) {
+        skipSpace();
+        if (text[i] !== '(') break;
+        i++;
+
+        const row = [];
+        while (i < text.length) {
+            skipSpace();
+            if (text[i] === "'") {
+                let value = '';
+                i++;
+                while (i < text.length && text[i] !== "'") {
+                    if (text[i] === '\\') {
+                        i++;
+                        value += ESCAPES[text[i]] !== undefined ? ESCAPES[text[i]] : text[i];
+                    } else {
+                        value += text[i];
+                    }
+                    i++;
+                }
+                i++; // closing quote
+                row.push(value);
+            } else {
+                let token = '';
+                while (i < text.length && text[i] !== ',' && text[i] !== ')') token += text[i++];
+                token = token.trim();
+                row.push(token.toUpperCase() === 'NULL' ? null : Number(token));
+            }
+
+            skipSpace();
+            if (text[i] === ',') {
+                i++;
+            } else if (text[i] === ')') {
+                i++;
+                break;
+            }
+        }
+        rows.push(row);
+
+        skipSpace();
+        if (text[i] === ',') i++;
+    }
+    return rows;
+}
+
+// Parse one dump file into { table, columns, rows }
+function parseDumpFile(sql) {
+    const create = sql.match(/CREATE TABLE `(\w+)` \(([\s\S]*?)\n\) ENGINE/);
+    if (!create) return null;
+
+    const table = create[1];
+    const columns = create[2].split('\n')
+        .map(line => line.match(/^\s*`(\w+)`\s/))
+        .filter(Boolean)
+        .map(match => match[1]);
+
+    const rows = [];
+    const insertPattern = new RegExp(`INSERT INTO \`${table}\` VALUES (.*);\\s*$`, 'gm');
+    let insert;
+    while ((insert = insertPattern.exec(sql)) !== null) {
+        rows.push(...parseValues(insert[1]));
+    }
+
+    return { table, columns, rows };
+}
+
+// Read every table from the zip, in foreign-key order
+function readDump(zipPath = DUMP_ZIP) {
+    const zip = new AdmZip(zipPath);
+    const tables = {};
+
+    zip.getEntries()
+        .filter(entry => entry.entryName.endsWith('.sql'))
+        .forEach(entry => {
+            const parsed = parseDumpFile(entry.getData().toString('utf8'));
+            if (parsed) tables[parsed.table] = parsed;
+        });
+
+    return TABLE_ORDER.filter(name => tables[name]).map(name => tables[name]);
+}
+
+module.exports = {
+    DUMP_ZIP,
+    TABLE_ORDER,
+    parseValues,
+    parseDumpFile,
+    readDump
+};
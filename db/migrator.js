@@ -0,0 +1,74 @@
+// ==================== MIGRATIONS ====================
+// Numbered files in /migrations (001_name.js, 002_name.js, ...) each export
+// { description, up(connection) }. Applied versions are recorded in
+// schema_migrations, so `up` only runs what is new.
+// MySQL commits DDL immediately, so a failed migration is not rolled back;
+// migrations are written to be safe to re-run after fixing the cause.
+// Migrations that need different SQL per backend check isSqlite(connection).
+const fs = require('fs');
+const path = require('path');
+const { isSqlite } = require('./schema');
+
+const MIGRATIONS_DIR = path.join(__dirname, '..', 'migrations');
+
+function listMigrations() {
+    return fs.readdirSync(MIGRATIONS_DIR)
+        .filter(file => /^\d+_.+\.js$/.test(file))
+        .sort()
+        .map(file => ({
+            version: parseInt(file, 10),
+            name: file.replace(/\.js$/, ''),
+            file: path.join(MIGRATIONS_DIR, file)
+        }));
+}
+
+async function ensureMigrationsTable(connection) {
+    await connection.execute(
+        `CREATE TABLE IF NOT EXISTS schema_migrations (
+            version int NOT NULL,
+            name varchar(255) NOT NULL,
+            applied_at datetime NOT NULL,
+            PRIMARY KEY (version)
+        )${isSqlite(connection) ? '' : ' ENGINE=InnoDB DEFAULT CHARSET=utf8mb4'}`
+    );
+}
+
+// [{ version, name, applied, appliedAt }]
+async function getStatus(connection) {
+    await ensureMigrationsTable(connection);
+    const [rows] = await connection.execute('SELECT version, applied_at FROM schema_migrations');
+    const applied = new Map(rows.map(r => [r.version, r.applied_at]));
+
+    return listMigrations().map(m => ({
+        version: m.version,
+        name: m.name,
+        applied: applied.has(m.version),
+        appliedAt: applied.get(m.version) || null
+    }));
+}
+
+// Apply every pending migration in order. Returns the names that ran.
+async function migrateUp(connection, log = console.log) {
+    const status = await getStatus(connection);
+    const pending = listMigrations().filter(m => !status.find(s => s.version === m.version && s.applied));
+    const ran = [];
+
+    for (const migration of pending) {
+        const { description, up } = require(migration.file);
+        log(`⏳ ${migration.name}${description ? ` - ${description}` : ''}`);
+
+        await up(connection);
+        await connection.execute(
+            'INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)',
+            [migration.version, migration.name, new Date()]
+        );
+        ran.push(migration.name);
+    }
+    return ran;
+}
+
+module.exports = {
+    listMigrations,
+    getStatus,
+    migrateUp
+};
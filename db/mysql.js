@@ -0,0 +1,24 @@
+// ==================== MYSQL BACKEND ====================
+// The production backend: a plain mysql2 pool.
+const mysql = require('mysql2/promise');
+
+function createMysqlPool() {
+    const pool = mysql.createPool({
+        host: process.env.DB_HOST || 'localhost',
+        user: process.env.DB_USER || 'root',
+        password: process.env.DB_PASSWORD || '',
+        database: process.env.DB_NAME || 'ufc_fantasy_db',
+        waitForConnections: true,
+        connectionLimit: 10,
+        queueLimit: 0,
+        // DATE columns come back as 'YYYY-MM-DD' instead of a Date at server-local midnight
+        dateStrings: ['DATE']
+    });
+    pool.dialect = 'mysql';
+    pool.description = `MySQL ${process.env.DB_NAME || 'ufc_fantasy_db'}`;
+    return pool;
+}
+
+module.exports = {
+    createMysqlPool
+};
@@ -0,0 +1,22 @@
+// ==================== DATABASE CONNECTION ====================
+// Shared by the web server and the command-line scripts.
+// DB_CLIENT picks the backend: 'mysql' (default) or 'sqlite' for local
+// development and tests without a MySQL server. Both expose the same
+// pool.getConnection() / connection.execute() surface.
+require('dotenv').config();
+
+function createPool() {
+    const client = (process.env.DB_CLIENT || 'mysql').toLowerCase();
+
+    if (client === 'sqlite') {
+        return require('./sqlite').createSqlitePool();
+    }
+    if (client === 'mysql') {
+        return require('./mysql').createMysqlPool();
+    }
+    throw new Error(`Unknown DB_CLIENT "${client}". Expected mysql or sqlite.`);
+}
+
+module.exports = {
+    createPool
+};
@@ -0,0 +1,141 @@
+// ==================== EVENTS ====================
+const { today } = require('./helpers');
+
+// Event status from its date and bout results (see services/events.js):
+// completed once the date has passed or every active bout has a result,
+// in_progress on fight day or once some results are in, otherwise upcoming.
+const STATUS_SQL = `CASE
+    WHEN e.date < ? OR (s.bouts > 0 AND s.decided = s.bouts) THEN 'completed'
+    WHEN e.date = ? OR s.decided > 0 THEN 'in_progress'
+    ELSE 'upcoming'
+END`;
+
+// Events with sort key, bout counts and status; takes [today, today] as its first params
+const LISTED_SQL = `(
+    SELECT e.event_id, e.event_name, e.date, e.location, e.lock_time,
+           COALESCE(e.date, '') AS sort_date,
+           COALESCE(s.bouts, 0) AS bouts,
+           COALESCE(s.decided, 0) AS decided,
+           ${STATUS_SQL} AS status
+    FROM event e
+    LEFT JOIN (
+        SELECT event_id,
+               SUM(CASE WHEN cancelled = 0 THEN 1 ELSE 0 END) AS bouts,
+               SUM(CASE WHEN cancelled = 0 AND (winner_id IS NOT NULL OR method IS NOT NULL) THEN 1 ELSE 0 END) AS decided
+        FROM fight
+        GROUP BY event_id
+    ) s ON s.event_id = e.event_id
+) listed`;
+
+// Escape LIKE wildcards in user text ('!' is the escape char on both backends)
+function likePattern(text) {
+    return `%${String(text).replace(/[!%_]/g, c => `!${c}`)}%`;
+}
+
+// One page of events ordered by date then event_id, plus their status and bout counts.
+// Filters: status, from/to (inclusive 'YYYY-MM-DD'), location and q (event_name)
+// substrings. after = { date, eventId } of the last row already seen. Returns up to
+// `limit` rows; callers ask for one extra to know whether there is another page.
+async function search(connection, { status = null, from = null, to = null, location = null, q = null, order = 'desc', after = null, limit = 25 } = {}) {
+    const day = today();
+    const conditions = [];
+    const params = [day, day];
+
+    if (status) {
+        conditions.push('status = ?');
+        params.push(status);
+    }
+    if (from) {
+        conditions.push('date >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('date <= ?');
+        params.push(to);
+    }
+    if (location) {
+        conditions.push("LOWER(location) LIKE LOWER(?) ESCAPE '!'");
+        params.push(likePattern(location));
+    }
+    if (q) {
+        conditions.push("LOWER(event_name) LIKE LOWER(?) ESCAPE '!'");
+        params.push(likePattern(q));
+    }
+
+    const direction = order === 'asc' ? 'ASC' : 'DESC';
+    if (after) {
+        const op = direction === 'ASC' ? '>' : '<';
+        conditions.push(`(sort_date ${op} ? OR (sort_date = ? AND event_id ${op} ?))`);
+        params.push(after.date, after.date, after.eventId);
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT * FROM ${LISTED_SQL}
+         ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY sort_date ${direction}, event_id ${direction}
+         LIMIT ${Number(limit)}`,
+        params
+    );
+    return rows;
+}
+
+// One event with its status and bout counts, as search() returns them
+async function findListed(connection, eventId) {
+    const day = today();
+    const [rows] = await connection.execute(
+        `SELECT * FROM ${LISTED_SQL} WHERE event_id = ?`,
+        [day, day, eventId]
+    );
+    return rows[0] || null;
+}
+
+// Events any member of the league has picked on, with status and bout counts, newest first
+async function listPickedByLeague(connection, leagueId) {
+    const day = today();
+    const [rows] = await connection.execute(
+        `SELECT * FROM ${LISTED_SQL}
+         WHERE event_id IN (SELECT EventID FROM pick WHERE LeagueID = ?)
+         ORDER BY sort_date DESC, event_id DESC`,
+        [day, day, leagueId]
+    );
+    return rows;
+}
+
+async function listAll(connection) {
+    const [rows] = await connection.execute('SELECT event_id, event_name, date, location FROM event');
+    return rows;
+}
+
+async function findById(connection, eventId) {
+    const [rows] = await connection.execute(
+        'SELECT event_id, event_name, date, location, lock_time FROM event WHERE event_id = ?',
+        [eventId]
+    );
+    return rows[0] || null;
+}
+
+async function create(connection, { eventId, eventName, date, location, lockTime }) {
+    await connection.execute(
+        'INSERT INTO event (event_id, event_name, date, location, lock_time) VALUES (?, ?, ?, ?, ?)',
+        [eventId, eventName, date, location, lockTime]
+    );
+}
+
+// Returns false if the event does not exist
+async function setLockTime(connection, eventId, lockTime) {
+    const [result] = await connection.execute(
+        'UPDATE event SET lock_time = ? WHERE event_id = ?',
+        [lockTime, eventId]
+    );
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    search,
+    findListed,
+    listPickedByLeague,
+    listAll,
+    findById,
+    create,
+    setLockTime
+};
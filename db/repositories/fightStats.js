@@ -0,0 +1,44 @@
+// ==================== FIGHT STATS ====================
+const { placeholders } = require('./helpers');
+
+// Numeric stat columns on fight_stat, in display order
+const STAT_COLUMNS = [
+    'knockdowns',
+    'sig_strikes_landed',
+    'sig_strikes_attempted',
+    'total_strikes_landed',
+    'total_strikes_attempted',
+    'takedowns_landed',
+    'takedowns_attempted',
+    'submission_attempts',
+    'reversals',
+    'control_time_sec'
+];
+
+// Every round row for a bout, by fighter then round
+async function listForFight(connection, fightId) {
+    const [rows] = await connection.execute(
+        'SELECT * FROM fight_stat WHERE fight_id = ? ORDER BY fighter_id, round',
+        [fightId]
+    );
+    return rows;
+}
+
+// Whole-fight totals per fighter for these bouts: [{ fight_id, fighter_id, knockdowns, ... }]
+async function totalsForFights(connection, fightIds) {
+    if (fightIds.length === 0) return [];
+    const [rows] = await connection.execute(
+        `SELECT fight_id, fighter_id, ${STAT_COLUMNS.map(c => `SUM(${c}) AS ${c}`).join(', ')}
+         FROM fight_stat
+         WHERE fight_id IN (${placeholders(fightIds)})
+         GROUP BY fight_id, fighter_id`,
+        fightIds
+    );
+    return rows;
+}
+
+module.exports = {
+    STAT_COLUMNS,
+    listForFight,
+    totalsForFights
+};
@@ -0,0 +1,39 @@
+// ==================== FIGHTERS ====================
+const { placeholders } = require('./helpers');
+
+async function searchByName(connection, name) {
+    const [rows] = await connection.execute(
+        'SELECT fighter_id, name FROM fighter WHERE name LIKE ?',
+        [`%${name}%`]
+    );
+    return rows;
+}
+
+async function listAll(connection) {
+    const [rows] = await connection.execute(
+        'SELECT fighter_id, name, weight, wins, losses, draws FROM fighter'
+    );
+    return rows;
+}
+
+// Full fighter row (bio and physical stats), or null
+async function findById(connection, fighterId) {
+    const [rows] = await connection.execute('SELECT * FROM fighter WHERE fighter_id = ?', [fighterId]);
+    return rows[0] || null;
+}
+
+async function findByIds(connection, fighterIds) {
+    if (fighterIds.length === 0) return [];
+    const [rows] = await connection.execute(
+        `SELECT fighter_id, name FROM fighter WHERE fighter_id IN (${placeholders(fighterIds)})`,
+        fighterIds
+    );
+    return rows;
+}
+
+module.exports = {
+    searchByName,
+    listAll,
+    findById,
+    findByIds
+};
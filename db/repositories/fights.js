@@ -0,0 +1,175 @@
+// ==================== FIGHTS ====================
+const { placeholders } = require('./helpers');
+
+// Active bouts on a card, main event first (unordered dump bouts last)
+async function listForEvent(connection, eventId) {
+    const [rows] = await connection.execute(
+        `SELECT * FROM fight 
+         WHERE event_id = ? AND cancelled = 0 
+         ORDER BY bout_order IS NULL, bout_order, fight_id`,
+        [eventId]
+    );
+    return rows;
+}
+
+async function findById(connection, fightId) {
+    const [rows] = await connection.execute('SELECT * FROM fight WHERE fight_id = ?', [fightId]);
+    return rows[0] || null;
+}
+
+// Every bout involving any of these fighters, with event and fighter names, newest first
+async function listForFighters(connection, fighterIds) {
+    if (fighterIds.length === 0) return [];
+    const list = placeholders(fighterIds);
+    const [rows] = await connection.execute(
+        `SELECT 
+            f.fight_id,
+            f.event_id,
+            e.event_name as EventName,
+            e.date as EventDate,
+            e.location,
+            f.red_fighter_id,
+            f.blue_fighter_id,
+            fa.name as FighterAName,
+            fb.name as FighterBName,
+            f.winner_id,
+            f.method,
+            f.finish_round as Round,
+            f.match_time_sec,
+            f.division,
+            f.title_fight,
+            f.cancelled
+        FROM fight f
+        JOIN event e ON f.event_id = e.event_id
+        JOIN fighter fa ON f.red_fighter_id = fa.fighter_id
+        JOIN fighter fb ON f.blue_fighter_id = fb.fighter_id
+        WHERE f.red_fighter_id IN (${list}) OR f.blue_fighter_id IN (${list})
+        ORDER BY e.date DESC`,
+        [...fighterIds, ...fighterIds]
+    );
+    return rows;
+}
+
+// Finished, non-cancelled bouts for any of these fighters on events dated before `date`
+async function listResultsBefore(connection, fighterIds, date) {
+    if (fighterIds.length === 0 || !date) return [];
+    const list = placeholders(fighterIds);
+    const [rows] = await connection.execute(
+        `SELECT f.red_fighter_id, f.blue_fighter_id, f.winner_id, f.method
+         FROM fight f
+         JOIN event e ON f.event_id = e.event_id
+         WHERE e.date < ? AND f.cancelled = 0
+         AND (f.winner_id IS NOT NULL OR f.method IS NOT NULL)
+         AND (f.red_fighter_id IN (${list}) OR f.blue_fighter_id IN (${list}))`,
+        [date, ...fighterIds, ...fighterIds]
+    );
+    return rows;
+}
+
+// Events with a non-cancelled bout for any of these fighters whose pre-fight estimate is not frozen yet
+async function listUnfrozenEvents(connection, fighterIds) {
+    if (fighterIds.length === 0) return [];
+    const list = placeholders(fighterIds);
+    const [rows] = await connection.execute(
+        `SELECT DISTINCT event_id FROM fight
+         WHERE cancelled = 0 AND prefight_frozen_at IS NULL
+         AND (red_fighter_id IN (${list}) OR blue_fighter_id IN (${list}))`,
+        [...fighterIds, ...fighterIds]
+    );
+    return rows.map(row => row.event_id);
+}
+
+// Every finished, non-cancelled bout on a dated event, oldest first, optionally up to a date (inclusive).
+// Within an event: unnumbered bouts by fight_id, then numbered ones in running
+// order (highest bout_order first, 1 = main event last). services/ratings
+// reorders tournament nights, where fighters fought more than once.
+async function listForRatings(connection, { until = null } = {}) {
+    const params = [];
+    let untilFilter = '';
+    if (until) {
+        untilFilter = 'AND e.date <= ?';
+        params.push(until);
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT f.fight_id, f.event_id, e.event_name, e.date, f.division, f.red_fighter_id, f.blue_fighter_id,
+                f.winner_id, f.method, f.bout_order
+         FROM fight f
+         JOIN event e ON f.event_id = e.event_id
+         WHERE e.date IS NOT NULL AND f.cancelled = 0
+         AND (f.winner_id IS NOT NULL OR f.method IS NOT NULL) ${untilFilter}
+         ORDER BY e.date, f.event_id, f.bout_order IS NOT NULL, f.bout_order DESC, f.fight_id`,
+        params
+    );
+    return rows;
+}
+
+// Active bouts on this card that already involve one of these fighters
+async function findBookings(connection, eventId, fighterIds) {
+    const list = placeholders(fighterIds);
+    const [rows] = await connection.execute(
+        `SELECT fight_id FROM fight 
+         WHERE event_id = ? AND cancelled = 0 
+         AND (red_fighter_id IN (${list}) OR blue_fighter_id IN (${list}))`,
+        [eventId, ...fighterIds, ...fighterIds]
+    );
+    return rows;
+}
+
+async function nextBoutOrder(connection, eventId) {
+    const [rows] = await connection.execute(
+        'SELECT COALESCE(MAX(bout_order), 0) as maxOrder FROM fight WHERE event_id = ?',
+        [eventId]
+    );
+    return Number(rows[0].maxOrder) + 1;
+}
+
+async function create(connection, fight) {
+    await connection.execute(
+        `INSERT INTO fight (fight_id, event_id, division, title_fight, total_rounds, referee, 
+                            red_fighter_id, blue_fighter_id, bout_order, cancelled) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+        [fight.fightId, fight.eventId, fight.division, fight.titleFight ? 1 : 0, fight.totalRounds,
+         fight.referee, fight.redFighterId, fight.blueFighterId, fight.boutOrder]
+    );
+}
+
+async function setBoutOrder(connection, fightId, boutOrder) {
+    await connection.execute('UPDATE fight SET bout_order = ? WHERE fight_id = ?', [boutOrder, fightId]);
+}
+
+async function cancel(connection, fightId) {
+    await connection.execute('UPDATE fight SET cancelled = 1 WHERE fight_id = ?', [fightId]);
+}
+
+async function recordResult(connection, fightId, { winnerId, method, finishRound, matchTimeSec }) {
+    await connection.execute(
+        'UPDATE fight SET winner_id = ?, method = ?, finish_round = ?, match_time_sec = ? WHERE fight_id = ?',
+        [winnerId, method, finishRound, matchTimeSec, fightId]
+    );
+}
+
+// estimate: from services/strength estimateBout()
+async function freezeEstimate(connection, fightId, estimate) {
+    await connection.execute(
+        `UPDATE fight SET prefight_red_record = ?, prefight_blue_record = ?, prefight_red_win_prob = ?, prefight_frozen_at = ? 
+         WHERE fight_id = ?`,
+        [estimate.redRecord, estimate.blueRecord, estimate.redWinProbability, new Date(), fightId]
+    );
+}
+
+module.exports = {
+    listForEvent,
+    findById,
+    listForFighters,
+    listResultsBefore,
+    listUnfrozenEvents,
+    listForRatings,
+    findBookings,
+    nextBoutOrder,
+    create,
+    setBoutOrder,
+    cancel,
+    recordResult,
+    freezeEstimate
+};
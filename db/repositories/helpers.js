@@ -0,0 +1,25 @@
+// Small helpers shared by the repositories (and the storage backends / services
+// that format dates the same way)
+
+// Two-digit date part: 7 -> '07'
+function pad(n) {
+    return String(n).padStart(2, '0');
+}
+
+// Today's date as 'YYYY-MM-DD' (server-local), computed here rather than with
+// CURDATE() so the same SQL runs on every backend
+function today() {
+    const now = new Date();
+    return `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+}
+
+// '?, ?, ?' for an IN (...) list
+function placeholders(values) {
+    return values.map(() => '?').join(', ');
+}
+
+module.exports = {
+    pad,
+    today,
+    placeholders
+};
@@ -0,0 +1,16 @@
+// ==================== DATA ACCESS ====================
+// One module per table. Every function takes a connection from
+// db/pool.js createPool() as its first argument, so callers control
+// transactions, and the SQL sticks to what MySQL and SQLite both accept.
+module.exports = {
+    users: require('./users'),
+    leagues: require('./leagues'),
+    memberships: require('./memberships'),
+    events: require('./events'),
+    fights: require('./fights'),
+    fighters: require('./fighters'),
+    picks: require('./picks'),
+    scoreHistory: require('./scoreHistory'),
+    fightStats: require('./fightStats'),
+    seasons: require('./seasons')
+};
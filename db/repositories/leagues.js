@@ -0,0 +1,89 @@
+// ==================== LEAGUES ====================
+const { today } = require('./helpers');
+
+// Returns the new LeagueID
+async function create(connection, { name, ownerId, scoringRules, leagueCode, pickRetention, pickMode, pickVisibility }) {
+    const [result] = await connection.execute(
+        `INSERT INTO league (Name, OwnerID, ScoringRules, CreationDate, LeagueCode, PickRetention, PickMode, PickVisibility) 
+         VALUES (?, ?, ?, ?, ?, ?, ?, ?)`,
+        [name, ownerId, scoringRules, today(), leagueCode, pickRetention, pickMode, pickVisibility]
+    );
+    return result.insertId;
+}
+
+async function findById(connection, leagueId) {
+    const [rows] = await connection.execute(
+        `SELECT LeagueID, Name, LeagueCode, ScoringRules, CreationDate, OwnerID, ArchivedAt, PickRetention, PickMode, PickVisibility 
+         FROM league WHERE LeagueID = ?`,
+        [leagueId]
+    );
+    return rows[0] || null;
+}
+
+async function findByCode(connection, leagueCode) {
+    const [rows] = await connection.execute(
+        'SELECT LeagueID, Name, ArchivedAt FROM league WHERE LeagueCode = ?',
+        [leagueCode]
+    );
+    return rows[0] || null;
+}
+
+// Leagues a user belongs to, with their role, newest league first.
+// Archived leagues are left out unless includeArchived is set.
+async function listForUser(connection, userId, { includeArchived = false } = {}) {
+    const [rows] = await connection.execute(
+        `SELECT l.LeagueID, l.Name, l.LeagueCode, l.CreationDate, l.ArchivedAt, l.PickMode, m.Role, m.JoinDate
+         FROM league l
+         INNER JOIN membership m ON l.LeagueID = m.LeagueID
+         WHERE m.UserID = ? ${includeArchived ? '' : 'AND l.ArchivedAt IS NULL'}
+         ORDER BY l.ArchivedAt IS NOT NULL, l.CreationDate DESC`,
+        [userId]
+    );
+    return rows;
+}
+
+async function setOwner(connection, leagueId, ownerId) {
+    await connection.execute('UPDATE league SET OwnerID = ? WHERE LeagueID = ?', [ownerId, leagueId]);
+}
+
+// archivedAt is a Date, or null to restore the league
+async function setArchived(connection, leagueId, archivedAt) {
+    await connection.execute('UPDATE league SET ArchivedAt = ? WHERE LeagueID = ?', [archivedAt, leagueId]);
+}
+
+// scoringRules: a preset name or JSON, from services/scoring serializeScoringRules()
+async function setScoringRules(connection, leagueId, scoringRules) {
+    await connection.execute('UPDATE league SET ScoringRules = ? WHERE LeagueID = ?', [scoringRules, leagueId]);
+}
+
+async function setPickMode(connection, leagueId, pickMode) {
+    await connection.execute('UPDATE league SET PickMode = ? WHERE LeagueID = ?', [pickMode, leagueId]);
+}
+
+async function setPickVisibility(connection, leagueId, pickVisibility) {
+    await connection.execute('UPDATE league SET PickVisibility = ? WHERE LeagueID = ?', [pickVisibility, leagueId]);
+}
+
+async function setPickRetention(connection, leagueId, pickRetention) {
+    await connection.execute('UPDATE league SET PickRetention = ? WHERE LeagueID = ?', [pickRetention, leagueId]);
+}
+
+// Returns true if a league was deleted
+async function remove(connection, leagueId) {
+    const [result] = await connection.execute('DELETE FROM league WHERE LeagueID = ?', [leagueId]);
+    return result.affectedRows > 0;
+}
+
+module.exports = {
+    create,
+    findById,
+    findByCode,
+    listForUser,
+    setOwner,
+    setArchived,
+    setScoringRules,
+    setPickRetention,
+    setPickMode,
+    setPickVisibility,
+    remove
+};
@@ -0,0 +1,93 @@
+// ==================== MEMBERSHIPS ====================
+const { today } = require('./helpers');
+
+async function add(connection, { userId, leagueId, role }) {
+    await connection.execute(
+        'INSERT INTO membership (UserID, LeagueID, JoinDate, Role) VALUES (?, ?, ?, ?)',
+        [userId, leagueId, today(), role]
+    );
+}
+
+// The user's membership row in a league, or null if they are not a member
+async function find(connection, userId, leagueId) {
+    const [rows] = await connection.execute(
+        'SELECT UserID, LeagueID, JoinDate, Role FROM membership WHERE UserID = ? AND LeagueID = ?',
+        [userId, leagueId]
+    );
+    return rows[0] || null;
+}
+
+async function setRole(connection, userId, leagueId, role) {
+    await connection.execute(
+        'UPDATE membership SET Role = ? WHERE UserID = ? AND LeagueID = ?',
+        [role, userId, leagueId]
+    );
+}
+
+// Returns true if a membership was removed
+async function remove(connection, userId, leagueId) {
+    const [result] = await connection.execute(
+        'DELETE FROM membership WHERE UserID = ? AND LeagueID = ?',
+        [userId, leagueId]
+    );
+    return result.affectedRows > 0;
+}
+
+async function removeForLeague(connection, leagueId) {
+    const [result] = await connection.execute('DELETE FROM membership WHERE LeagueID = ?', [leagueId]);
+    return result.affectedRows;
+}
+
+async function countForLeague(connection, leagueId) {
+    const [rows] = await connection.execute(
+        'SELECT COUNT(*) as count FROM membership WHERE LeagueID = ?',
+        [leagueId]
+    );
+    return Number(rows[0].count);
+}
+
+// Members ranked by total points in this league
+async function getLeaderboard(connection, leagueId) {
+    const [rows] = await connection.execute(
+        `SELECT 
+            u.UserID,
+            u.Username,
+            u.Email,
+            COALESCE(SUM(p.PointsEarned), 0) as TotalPoints
+        FROM user u
+        INNER JOIN membership m ON u.UserID = m.UserID
+        LEFT JOIN pick p ON u.UserID = p.UserID AND p.LeagueID = ?
+        WHERE m.LeagueID = ?
+        GROUP BY u.UserID, u.Username, u.Email
+        ORDER BY TotalPoints DESC, u.Username ASC`,
+        [leagueId, leagueId]
+    );
+    return rows;
+}
+
+// Same ranking, plus each member's role and join date
+async function listMembers(connection, leagueId) {
+    const [rows] = await connection.execute(
+        `SELECT u.UserID, u.Username, u.Email, m.Role, m.JoinDate,
+                COALESCE(SUM(p.PointsEarned), 0) as TotalPoints
+         FROM membership m
+         INNER JOIN user u ON m.UserID = u.UserID
+         LEFT JOIN pick p ON u.UserID = p.UserID AND p.LeagueID = ?
+         WHERE m.LeagueID = ?
+         GROUP BY u.UserID, u.Username, u.Email, m.Role, m.JoinDate
+         ORDER BY TotalPoints DESC, u.Username ASC`,
+        [leagueId, leagueId]
+    );
+    return rows;
+}
+
+module.exports = {
+    add,
+    find,
+    setRole,
+    remove,
+    removeForLeague,
+    countForLeague,
+    getLeaderboard,
+    listMembers
+};
@@ -0,0 +1,70 @@
+// ==================== PICKS ====================
+
+async function countForLeague(connection, leagueId) {
+    const [rows] = await connection.execute(
+        'SELECT COUNT(*) as count FROM pick WHERE LeagueID = ?',
+        [leagueId]
+    );
+    return Number(rows[0].count);
+}
+
+async function listForUser(connection, userId, leagueId) {
+    const [rows] = await connection.execute(
+        'SELECT * FROM pick WHERE UserID = ? AND LeagueID = ?',
+        [userId, leagueId]
+    );
+    return rows;
+}
+
+// Every member's picks for one event in a league, with usernames
+async function listForLeagueEvent(connection, leagueId, eventId) {
+    const [rows] = await connection.execute(
+        `SELECT p.*, u.Username
+         FROM pick p
+         INNER JOIN user u ON p.UserID = u.UserID
+         WHERE p.LeagueID = ? AND p.EventID = ?
+         ORDER BY u.Username`,
+        [leagueId, eventId]
+    );
+    return rows;
+}
+
+// Returns the number of picks deleted
+async function removeForUser(connection, userId, leagueId) {
+    const [result] = await connection.execute(
+        'DELETE FROM pick WHERE UserID = ? AND LeagueID = ?',
+        [userId, leagueId]
+    );
+    return result.affectedRows;
+}
+
+async function removeForLeague(connection, leagueId) {
+    const [result] = await connection.execute('DELETE FROM pick WHERE LeagueID = ?', [leagueId]);
+    return result.affectedRows;
+}
+
+// Replace a user's picks for one event. rows come from services/picks validatePicks().
+// Callers wrap this in a transaction.
+async function replaceForEvent(connection, { userId, leagueId, eventId, rows }) {
+    await connection.execute(
+        'DELETE FROM pick WHERE UserID = ? AND LeagueID = ? AND EventID = ?',
+        [userId, leagueId, eventId]
+    );
+
+    for (const row of rows) {
+        await connection.execute(
+            `INSERT INTO pick (UserID, LeagueID, EventID, FightID, FighterID, PredictedMethod, PredictedRound, Confidence, PointsEarned) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, 0)`,
+            [userId, leagueId, eventId, row.fightId, row.fighterId, row.method, row.round, row.confidence]
+        );
+    }
+}
+
+module.exports = {
+    countForLeague,
+    listForUser,
+    listForLeagueEvent,
+    removeForUser,
+    removeForLeague,
+    replaceForEvent
+};
@@ -0,0 +1,44 @@
+// ==================== PICK SCORE HISTORY ====================
+
+// entries: [{ pickId, userId, leagueId, eventId, fighterId, oldPoints, newPoints, detail }]
+async function record(connection, entries, reason) {
+    const changedAt = new Date();
+    for (const entry of entries) {
+        await connection.execute(
+            `INSERT INTO pick_score_history 
+             (PickID, UserID, LeagueID, EventID, FighterID, OldPoints, NewPoints, Reason, Detail, ChangedAt) 
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+            [entry.pickId, entry.userId, entry.leagueId, entry.eventId, entry.fighterId,
+                entry.oldPoints, entry.newPoints, reason, entry.detail || null, changedAt]
+        );
+    }
+}
+
+// A league's score changes, newest first, optionally for one member
+async function listForLeague(connection, leagueId, { userId = null, limit = 100 } = {}) {
+    const params = [leagueId];
+    let userFilter = '';
+    if (userId) {
+        userFilter = 'AND h.UserID = ?';
+        params.push(userId);
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT h.HistoryID, h.PickID, h.UserID, u.Username, h.EventID, e.event_name AS EventName,
+                h.FighterID, fr.name AS FighterName, h.OldPoints, h.NewPoints, h.Reason, h.Detail, h.ChangedAt
+         FROM pick_score_history h
+         INNER JOIN user u ON h.UserID = u.UserID
+         LEFT JOIN event e ON h.EventID = e.event_id
+         LEFT JOIN fighter fr ON h.FighterID = fr.fighter_id
+         WHERE h.LeagueID = ? ${userFilter}
+         ORDER BY h.ChangedAt DESC, h.HistoryID DESC
+         LIMIT ${Number(limit)}`,
+        params
+    );
+    return rows;
+}
+
+module.exports = {
+    record,
+    listForLeague
+};
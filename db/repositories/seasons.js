@@ -0,0 +1,147 @@
+// ==================== LEAGUE SEASONS ====================
+const { placeholders } = require('./helpers');
+
+const SEASON_COLUMNS = 'SeasonID, LeagueID, Name, Scope, StartDate, EndDate, Status, CreatedAt, ClosedAt';
+
+// Returns the new SeasonID
+async function create(connection, { leagueId, name, scope, startDate, endDate }) {
+    const [result] = await connection.execute(
+        `INSERT INTO league_season (LeagueID, Name, Scope, StartDate, EndDate, Status, CreatedAt) 
+         VALUES (?, ?, ?, ?, ?, 'active', ?)`,
+        [leagueId, name, scope, startDate, endDate, new Date()]
+    );
+    return result.insertId;
+}
+
+async function addEvents(connection, seasonId, eventIds) {
+    for (const eventId of eventIds) {
+        await connection.execute(
+            'INSERT INTO league_season_event (SeasonID, EventID) VALUES (?, ?)',
+            [seasonId, eventId]
+        );
+    }
+}
+
+async function findById(connection, seasonId) {
+    const [rows] = await connection.execute(
+        `SELECT ${SEASON_COLUMNS} FROM league_season WHERE SeasonID = ?`,
+        [seasonId]
+    );
+    return rows[0] || null;
+}
+
+// The league's open season, if any (there is at most one)
+async function findActive(connection, leagueId) {
+    const [rows] = await connection.execute(
+        `SELECT ${SEASON_COLUMNS} FROM league_season 
+         WHERE LeagueID = ? AND Status = 'active' 
+         ORDER BY SeasonID DESC LIMIT 1`,
+        [leagueId]
+    );
+    return rows[0] || null;
+}
+
+// Newest first
+async function listForLeague(connection, leagueId) {
+    const [rows] = await connection.execute(
+        `SELECT ${SEASON_COLUMNS} FROM league_season WHERE LeagueID = ? ORDER BY SeasonID DESC`,
+        [leagueId]
+    );
+    return rows;
+}
+
+// Events of 'events'-scoped seasons: { SeasonID: [EventID, ...] }
+async function listEventIds(connection, seasonIds) {
+    if (seasonIds.length === 0) return {};
+    const [rows] = await connection.execute(
+        `SELECT SeasonID, EventID FROM league_season_event WHERE SeasonID IN (${placeholders(seasonIds)})`,
+        seasonIds
+    );
+    const bySeason = {};
+    rows.forEach(row => {
+        if (!bySeason[row.SeasonID]) bySeason[row.SeasonID] = [];
+        bySeason[row.SeasonID].push(row.EventID);
+    });
+    return bySeason;
+}
+
+// Live totals for the league's current members over the season's events, best first
+async function computeStandings(connection, season) {
+    const params = [season.LeagueID];
+    let eventFilter;
+    if (season.Scope === 'events') {
+        eventFilter = 'SELECT EventID FROM league_season_event WHERE SeasonID = ?';
+        params.push(season.SeasonID);
+    } else {
+        const conditions = [];
+        if (season.StartDate) {
+            conditions.push('date >= ?');
+            params.push(season.StartDate);
+        }
+        if (season.EndDate) {
+            conditions.push('date <= ?');
+            params.push(season.EndDate);
+        }
+        eventFilter = `SELECT event_id FROM event ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}`;
+    }
+    params.push(season.LeagueID);
+
+    const [rows] = await connection.execute(
+        `SELECT u.UserID, u.Username,
+                COALESCE(SUM(p.PointsEarned), 0) as Points,
+                COUNT(p.PickID) as Picks
+         FROM membership m
+         INNER JOIN user u ON m.UserID = u.UserID
+         LEFT JOIN pick p ON p.UserID = u.UserID AND p.LeagueID = ? AND p.EventID IN (${eventFilter})
+         WHERE m.LeagueID = ?
+         GROUP BY u.UserID, u.Username
+         ORDER BY Points DESC, u.Username ASC`,
+        params
+    );
+    return rows;
+}
+
+// Freeze a season: rows are [{ UserID, Username, FinalRank, Points, Picks }]
+async function close(connection, seasonId, rows) {
+    for (const row of rows) {
+        await connection.execute(
+            `INSERT INTO league_season_standing (SeasonID, UserID, Username, FinalRank, Points, Picks) 
+             VALUES (?, ?, ?, ?, ?, ?)`,
+            [seasonId, row.UserID, row.Username, row.FinalRank, row.Points, row.Picks]
+        );
+    }
+    await connection.execute(
+        "UPDATE league_season SET Status = 'closed', ClosedAt = ? WHERE SeasonID = ?",
+        [new Date(), seasonId]
+    );
+}
+
+// Frozen standings of closed seasons, best first: { SeasonID: [rows] }
+async function listFinalStandings(connection, seasonIds) {
+    if (seasonIds.length === 0) return {};
+    const [rows] = await connection.execute(
+        `SELECT SeasonID, UserID, Username, FinalRank, Points, Picks 
+         FROM league_season_standing 
+         WHERE SeasonID IN (${placeholders(seasonIds)}) 
+         ORDER BY SeasonID, FinalRank, Username`,
+        seasonIds
+    );
+    const bySeason = {};
+    rows.forEach(row => {
+        if (!bySeason[row.SeasonID]) bySeason[row.SeasonID] = [];
+        bySeason[row.SeasonID].push(row);
+    });
+    return bySeason;
+}
+
+module.exports = {
+    create,
+    addEvents,
+    findById,
+    findActive,
+    listForLeague,
+    listEventIds,
+    computeStandings,
+    close,
+    listFinalStandings
+};
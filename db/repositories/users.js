@@ -0,0 +1,24 @@
+// ==================== USERS ====================
+const { today } = require('./helpers');
+
+// Returns the new UserID
+async function create(connection, { username, email, passwordHash }) {
+    const [result] = await connection.execute(
+        'INSERT INTO user (Username, Email, PasswordHash, RegistrationDate) VALUES (?, ?, ?, ?)',
+        [username, email, passwordHash, today()]
+    );
+    return result.insertId;
+}
+
+async function findByUsername(connection, username) {
+    const [rows] = await connection.execute(
+        'SELECT UserID, Username, Email, PasswordHash FROM user WHERE Username = ?',
+        [username]
+    );
+    return rows[0] || null;
+}
+
+module.exports = {
+    create,
+    findByUsername
+};
@@ -0,0 +1,111 @@
+// ==================== SCHEMA HELPERS ====================
+// Introspection helpers for migrations, so each step can be re-run safely on
+// databases that were patched by hand or imported from an older dump.
+// MySQL is inspected through INFORMATION_SCHEMA, SQLite through its pragmas.
+
+function schemaName() {
+    return process.env.DB_NAME || 'ufc_fantasy_db';
+}
+
+function isSqlite(connection) {
+    return connection.dialect === 'sqlite';
+}
+
+async function tableExists(connection, table) {
+    if (isSqlite(connection)) {
+        const [rows] = await connection.execute(
+            "SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?",
+            [table]
+        );
+        return rows.length > 0;
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT TABLE_NAME
+         FROM INFORMATION_SCHEMA.TABLES
+         WHERE TABLE_SCHEMA = ?
+         AND TABLE_NAME = ?`,
+        [schemaName(), table]
+    );
+    return rows.length > 0;
+}
+
+// Returns [{ COLUMN_NAME, DATA_TYPE, IS_NULLABLE, EXTRA }] in table order
+async function listColumns(connection, table) {
+    if (isSqlite(connection)) {
+        const [rows] = await connection.execute('SELECT * FROM pragma_table_info(?) ORDER BY cid', [table]);
+        const keyColumns = rows.filter(r => r.pk > 0);
+        return rows.map(r => ({
+            COLUMN_NAME: r.name,
+            DATA_TYPE: r.type.toLowerCase().replace(/\(.*$/, ''),
+            IS_NULLABLE: r.notnull ? 'NO' : 'YES',
+            // A lone INTEGER PRIMARY KEY is SQLite's rowid, which auto-increments
+            EXTRA: r.pk > 0 && keyColumns.length === 1 && /^integer$/i.test(r.type) ? 'auto_increment' : ''
+        }));
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE, EXTRA
+         FROM INFORMATION_SCHEMA.COLUMNS
+         WHERE TABLE_SCHEMA = ?
+         AND TABLE_NAME = ?
+         ORDER BY ORDINAL_POSITION`,
+        [schemaName(), table]
+    );
+    return rows;
+}
+
+// Returns { COLUMN_NAME, DATA_TYPE, IS_NULLABLE, EXTRA } or null
+async function getColumn(connection, table, column) {
+    const columns = await listColumns(connection, table);
+    return columns.find(c => c.COLUMN_NAME.toLowerCase() === column.toLowerCase()) || null;
+}
+
+async function addColumnIfMissing(connection, table, column, definition) {
+    if (await getColumn(connection, table, column)) return;
+
+    // SQLite always appends new columns; it has no AFTER clause
+    const columnDefinition = isSqlite(connection) ? definition.replace(/\s+AFTER\s+\w+\s*$/i, '') : definition;
+    await connection.execute(`ALTER TABLE ${table} ADD COLUMN ${column} ${columnDefinition}`);
+}
+
+async function indexExists(connection, table, index) {
+    if (isSqlite(connection)) {
+        const [rows] = await connection.execute(
+            "SELECT name FROM sqlite_master WHERE type = 'index' AND tbl_name = ? AND name = ?",
+            [table, index]
+        );
+        return rows.length > 0;
+    }
+
+    const [rows] = await connection.execute(
+        `SELECT INDEX_NAME
+         FROM INFORMATION_SCHEMA.STATISTICS
+         WHERE TABLE_SCHEMA = ?
+         AND TABLE_NAME = ?
+         AND INDEX_NAME = ?`,
+        [schemaName(), table, index]
+    );
+    return rows.length > 0;
+}
+
+// SQLite index names are database-wide, so keep them unique across tables
+async function addIndexIfMissing(connection, table, index, columns) {
+    if (await indexExists(connection, table, index)) return;
+
+    if (isSqlite(connection)) {
+        await connection.execute(`CREATE INDEX ${index} ON ${table} (${columns})`);
+    } else {
+        await connection.execute(`ALTER TABLE ${table} ADD INDEX ${index} (${columns})`);
+    }
+}
+
+module.exports = {
+    isSqlite,
+    tableExists,
+    listColumns,
+    getColumn,
+    addColumnIfMissing,
+    indexExists,
+    addIndexIfMissing
+};
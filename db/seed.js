@@ -0,0 +1,50 @@
+// ==================== SEED ====================
+// Load the bundled dump's data into an already-migrated database.
+// Only the INSERT data is used (the schema comes from migrations), and any
+// table that already has rows is skipped, so seeding twice is harmless.
+const { readDump } = require('./dump');
+
+const BATCH_SIZE = 500;
+
+// Per-table value fixes between the dump format and the migrated schema
+const TRANSFORMS = {
+    // 'YYYY/MM/DD' -> DATE
+    event: (row) => ({ ...row, date: row.date ? String(row.date).replace(/\//g, '-') : null })
+};
+
+async function seedDatabase(connection, { log = console.log, zipPath } = {}) {
+    const summary = {};
+
+    for (const { table, columns, rows } of readDump(zipPath)) {
+        const [existing] = await connection.execute(`SELECT COUNT(*) as count FROM ${table}`);
+        if (existing[0].count > 0) {
+            log(`⏭️  ${table}: already has ${existing[0].count} rows, skipped`);
+            summary[table] = 0;
+            continue;
+        }
+
+        const transform = TRANSFORMS[table];
+        const values = rows.map(row => {
+            let record = Object.fromEntries(columns.map((c, i) => [c, row[i]]));
+            if (transform) record = transform(record);
+            return columns.map(c => record[c]);
+        });
+
+        for (let start = 0; start < values.length; start += BATCH_SIZE) {
+            const batch = values.slice(start, start + BATCH_SIZE);
+            const placeholders = batch.map(() => `(${columns.map(() => '?').join(', ')})`).join(', ');
+            await connection.execute(
+                `INSERT INTO ${table} (${columns.join(', ')}) VALUES ${placeholders}`,
+                batch.flat()
+            );
+        }
+
+        log(`✅ ${table}: ${values.length} rows`);
+        summary[table] = values.length;
+    }
+    return summary;
+}
+
+module.exports = {
+    seedDatabase
+};
@@ -0,0 +1,167 @@
+// ==================== SQLITE BACKEND ====================
+// Embedded database for local development and tests (DB_CLIENT=sqlite).
+// Wraps better-sqlite3 in the part of the mysql2/promise API the app uses:
+// pool.getConnection(), connection.execute() / query(), beginTransaction(),
+// commit(), rollback(), release() and pool.end().
+// Every connection shares one database handle. better-sqlite3 is synchronous,
+// so a single statement never interleaves with another; a transaction
+// however spans several awaits, so while one connection has a transaction
+// open, statements from every other connection wait for it to finish.
+const fs = require('fs');
+const path = require('path');
+const { pad } = require('./repositories/helpers');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'data', 'ufc_fantasy.sqlite');
+
+// SQLite constraint errors, reported with the mysql2 codes the routes check
+const ERROR_CODES = {
+    SQLITE_CONSTRAINT_UNIQUE: 'ER_DUP_ENTRY',
+    SQLITE_CONSTRAINT_PRIMARYKEY: 'ER_DUP_ENTRY',
+    SQLITE_CONSTRAINT_NOTNULL: 'ER_BAD_NULL_ERROR'
+};
+
+function loadDriver() {
+    try {
+        return require('better-sqlite3');
+    } catch (error) {
+        throw new Error('DB_CLIENT=sqlite needs the better-sqlite3 package. Run: npm install better-sqlite3');
+    }
+}
+
+// Bind values the way mysql2 does: Dates as local 'YYYY-MM-DD HH:MM:SS', booleans as 1/0
+function toParam(value) {
+    if (value === undefined) {
+        throw new TypeError('Bind parameters must not contain undefined. To pass SQL NULL specify JS null');
+    }
+    if (value instanceof Date) {
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())} ` +
+               `${pad(value.getHours())}:${pad(value.getMinutes())}:${pad(value.getSeconds())}`;
+    }
+    if (typeof value === 'boolean') return value ? 1 : 0;
+    return value;
+}
+
+function translateError(error, sql) {
+    if (error.code === 'SQLITE_CONSTRAINT_FOREIGNKEY') {
+        error.code = /^\s*DELETE/i.test(sql) ? 'ER_ROW_IS_REFERENCED_2' : 'ER_NO_REFERENCED_ROW_2';
+    } else if (ERROR_CODES[error.code]) {
+        error.code = ERROR_CODES[error.code];
+    }
+    return error;
+}
+
+// Tracks which connection (if any) has the shared handle's transaction open
+class TransactionLock {
+    constructor() {
+        this.owner = null;
+        this.waiting = [];
+    }
+
+    // Resolves once no other connection is inside a transaction
+    async wait(connection) {
+        while (this.owner && this.owner !== connection) {
+            await new Promise(resolve => this.waiting.push(resolve));
+        }
+    }
+
+    async acquire(connection) {
+        await this.wait(connection);
+        this.owner = connection;
+    }
+
+    release(connection) {
+        if (this.owner !== connection) return;
+        this.owner = null;
+        this.waiting.splice(0).forEach(resolve => resolve());
+    }
+}
+
+class SqliteConnection {
+    constructor(db, lock) {
+        this.db = db;
+        this.lock = lock;
+        this.dialect = 'sqlite';
+    }
+
+    // Same result shapes as mysql2: [rows, fields] for reads, [{ insertId, affectedRows }] for writes
+    async execute(sql, params = []) {
+        await this.lock.wait(this);
+        try {
+            const statement = this.db.prepare(sql);
+            const values = params.map(toParam);
+
+            if (statement.reader) {
+                return [statement.all(...values), []];
+            }
+            const info = statement.run(...values);
+            return [{ insertId: Number(info.lastInsertRowid), affectedRows: info.changes }, undefined];
+        } catch (error) {
+            throw translateError(error, sql);
+        }
+    }
+
+    async query(sql, params) {
+        return this.execute(sql, params);
+    }
+
+    async beginTransaction() {
+        await this.lock.acquire(this);
+        this.db.exec('BEGIN');
+    }
+
+    async commit() {
+        try {
+            if (this.lock.owner === this) this.db.exec('COMMIT');
+        } finally {
+            this.lock.release(this);
+        }
+    }
+
+    async rollback() {
+        if (this.lock.owner !== this) return;
+        try {
+            if (this.db.inTransaction) this.db.exec('ROLLBACK');
+        } finally {
+            this.lock.release(this);
+        }
+    }
+
+    // Nothing to hand back to a pool, but never leave a transaction open on the shared handle
+    release() {
+        if (this.lock.owner !== this) return;
+        if (this.db.inTransaction) this.db.exec('ROLLBACK');
+        this.lock.release(this);
+    }
+}
+
+// SQLITE_FILE may be a path (default data/ufc_fantasy.sqlite) or ':memory:'
+function createSqlitePool({ filename } = {}) {
+    const Database = loadDriver();
+    const file = filename || process.env.SQLITE_FILE || DEFAULT_FILE;
+
+    if (file !== ':memory:') {
+        fs.mkdirSync(path.dirname(path.resolve(file)), { recursive: true });
+    }
+    const db = new Database(file);
+    db.pragma('foreign_keys = ON');
+    db.pragma('journal_mode = WAL');
+
+    const lock = new TransactionLock();
+
+    return {
+        dialect: 'sqlite',
+        description: `SQLite ${file}`,
+
+        async getConnection() {
+            return new SqliteConnection(db, lock);
+        },
+
+        async end() {
+            db.close();
+        }
+    };
+}
+
+module.exports = {
+    createSqlitePool
+};
@@ -0,0 +1,214 @@
+// Tables from the bundled dump (Dump.zip), for a fresh database.
+// Databases imported from the dump already have them and are left untouched.
+const { isSqlite } = require('../db/schema');
+
+// The same tables for the embedded SQLite backend. INTEGER PRIMARY KEY
+// auto-increments, so migration 002 has nothing to do there.
+const SQLITE_TABLES = [
+    `CREATE TABLE IF NOT EXISTS user (
+        UserID INTEGER PRIMARY KEY AUTOINCREMENT,
+        Username varchar(50) NOT NULL UNIQUE,
+        Email varchar(100) NOT NULL UNIQUE,
+        PasswordHash varchar(255) NOT NULL,
+        RegistrationDate date NOT NULL
+    )`,
+    `CREATE TABLE IF NOT EXISTS fighter (
+        fighter_id varchar(50) NOT NULL PRIMARY KEY,
+        name varchar(100) NOT NULL,
+        nickname varchar(100) DEFAULT NULL,
+        height decimal(10,2) DEFAULT NULL,
+        weight decimal(10,2) DEFAULT NULL,
+        reach decimal(10,2) DEFAULT NULL,
+        stance varchar(50) DEFAULT NULL,
+        dob date DEFAULT NULL,
+        wins int DEFAULT NULL,
+        losses int DEFAULT NULL,
+        draws int DEFAULT NULL,
+        nationality varchar(50) DEFAULT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_fighter_name ON fighter (name)',
+    `CREATE TABLE IF NOT EXISTS event (
+        event_id varchar(50) NOT NULL PRIMARY KEY,
+        event_name varchar(200) NOT NULL,
+        date varchar(20) DEFAULT NULL,
+        location varchar(200) DEFAULT NULL
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_event_date ON event (date)',
+    `CREATE TABLE IF NOT EXISTS league (
+        LeagueID INTEGER PRIMARY KEY AUTOINCREMENT,
+        Name varchar(100) NOT NULL,
+        OwnerID int NOT NULL REFERENCES user (UserID) ON DELETE CASCADE,
+        ScoringRules varchar(50) NOT NULL,
+        CreationDate date NOT NULL,
+        LeagueCode varchar(20) NOT NULL UNIQUE
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_league_owner ON league (OwnerID)',
+    `CREATE TABLE IF NOT EXISTS membership (
+        UserID int NOT NULL REFERENCES user (UserID) ON DELETE CASCADE,
+        LeagueID int NOT NULL REFERENCES league (LeagueID) ON DELETE CASCADE,
+        JoinDate date NOT NULL,
+        Role varchar(20) NOT NULL,
+        PRIMARY KEY (UserID, LeagueID)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_membership_league ON membership (LeagueID)',
+    `CREATE TABLE IF NOT EXISTS fight (
+        fight_id varchar(50) NOT NULL PRIMARY KEY,
+        event_id varchar(50) NOT NULL REFERENCES event (event_id) ON DELETE CASCADE,
+        division varchar(100) DEFAULT NULL,
+        title_fight tinyint(1) DEFAULT NULL,
+        method varchar(100) DEFAULT NULL,
+        finish_round int DEFAULT NULL,
+        match_time_sec int DEFAULT NULL,
+        total_rounds decimal(3,1) DEFAULT NULL,
+        referee varchar(100) DEFAULT NULL,
+        red_fighter_id varchar(50) NOT NULL REFERENCES fighter (fighter_id) ON DELETE CASCADE,
+        blue_fighter_id varchar(50) NOT NULL REFERENCES fighter (fighter_id) ON DELETE CASCADE,
+        winner_id varchar(50) DEFAULT NULL REFERENCES fighter (fighter_id) ON DELETE CASCADE
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_fight_event ON fight (event_id)',
+    'CREATE INDEX IF NOT EXISTS idx_fight_red_fighter ON fight (red_fighter_id)',
+    'CREATE INDEX IF NOT EXISTS idx_fight_blue_fighter ON fight (blue_fighter_id)',
+    `CREATE TABLE IF NOT EXISTS pick (
+        PickID INTEGER PRIMARY KEY AUTOINCREMENT,
+        UserID int NOT NULL REFERENCES user (UserID) ON DELETE CASCADE,
+        LeagueID int NOT NULL REFERENCES league (LeagueID) ON DELETE CASCADE,
+        EventID varchar(50) NOT NULL REFERENCES event (event_id) ON DELETE CASCADE,
+        FighterID varchar(50) NOT NULL REFERENCES fighter (fighter_id) ON DELETE CASCADE,
+        PointsEarned int DEFAULT 0,
+        UNIQUE (UserID, LeagueID, EventID, FighterID)
+    )`,
+    'CREATE INDEX IF NOT EXISTS idx_pick_league ON pick (LeagueID)',
+    'CREATE INDEX IF NOT EXISTS idx_pick_event ON pick (EventID)'
+];
+
+module.exports = {
+    description: 'Baseline schema from the bundled dump',
+
+    async up(connection) {
+        if (isSqlite(connection)) {
+            for (const statement of SQLITE_TABLES) {
+                await connection.execute(statement);
+            }
+            return;
+        }
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS user (
+                UserID int NOT NULL AUTO_INCREMENT,
+                Username varchar(50) NOT NULL,
+                Email varchar(100) NOT NULL,
+                PasswordHash varchar(255) NOT NULL,
+                RegistrationDate date NOT NULL,
+                PRIMARY KEY (UserID),
+                UNIQUE KEY Username (Username),
+                UNIQUE KEY Email (Email)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS fighter (
+                fighter_id varchar(50) NOT NULL,
+                name varchar(100) NOT NULL,
+                nickname varchar(100) DEFAULT NULL,
+                height decimal(10,2) DEFAULT NULL,
+                weight decimal(10,2) DEFAULT NULL,
+                reach decimal(10,2) DEFAULT NULL,
+                stance varchar(50) DEFAULT NULL,
+                dob date DEFAULT NULL,
+                wins int DEFAULT NULL,
+                losses int DEFAULT NULL,
+                draws int DEFAULT NULL,
+                nationality varchar(50) DEFAULT NULL,
+                PRIMARY KEY (fighter_id),
+                KEY idx_name (name),
+                KEY idx_nationality (nationality)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS event (
+                event_id varchar(50) NOT NULL,
+                event_name varchar(200) NOT NULL,
+                date varchar(20) DEFAULT NULL,
+                location varchar(200) DEFAULT NULL,
+                PRIMARY KEY (event_id),
+                KEY idx_date (date),
+                KEY idx_location (location)
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS league (
+                LeagueID int NOT NULL AUTO_INCREMENT,
+                Name varchar(100) NOT NULL,
+                OwnerID int NOT NULL,
+                ScoringRules varchar(50) NOT NULL,
+                CreationDate date NOT NULL,
+                LeagueCode varchar(20) NOT NULL,
+                PRIMARY KEY (LeagueID),
+                UNIQUE KEY LeagueCode (LeagueCode),
+                KEY idx_owner (OwnerID),
+                CONSTRAINT league_ibfk_1 FOREIGN KEY (OwnerID) REFERENCES user (UserID) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS membership (
+                UserID int NOT NULL,
+                LeagueID int NOT NULL,
+                JoinDate date NOT NULL,
+                Role varchar(20) NOT NULL,
+                PRIMARY KEY (UserID, LeagueID),
+                KEY idx_league (LeagueID),
+                CONSTRAINT membership_ibfk_1 FOREIGN KEY (UserID) REFERENCES user (UserID) ON DELETE CASCADE,
+                CONSTRAINT membership_ibfk_2 FOREIGN KEY (LeagueID) REFERENCES league (LeagueID) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS fight (
+                fight_id varchar(50) NOT NULL,
+                event_id varchar(50) NOT NULL,
+                division varchar(100) DEFAULT NULL,
+                title_fight tinyint(1) DEFAULT NULL,
+                method varchar(100) DEFAULT NULL,
+                finish_round int DEFAULT NULL,
+                match_time_sec int DEFAULT NULL,
+                total_rounds decimal(3,1) DEFAULT NULL,
+                referee varchar(100) DEFAULT NULL,
+                red_fighter_id varchar(50) NOT NULL,
+                blue_fighter_id varchar(50) NOT NULL,
+                winner_id varchar(50) DEFAULT NULL,
+                PRIMARY KEY (fight_id),
+                KEY idx_event (event_id),
+                KEY idx_red_fighter (red_fighter_id),
+                KEY idx_blue_fighter (blue_fighter_id),
+                KEY idx_winner (winner_id),
+                CONSTRAINT fight_ibfk_1 FOREIGN KEY (event_id) REFERENCES event (event_id) ON DELETE CASCADE,
+                CONSTRAINT fight_ibfk_2 FOREIGN KEY (red_fighter_id) REFERENCES fighter (fighter_id) ON DELETE CASCADE,
+                CONSTRAINT fight_ibfk_3 FOREIGN KEY (blue_fighter_id) REFERENCES fighter (fighter_id) ON DELETE CASCADE,
+                CONSTRAINT fight_ibfk_4 FOREIGN KEY (winner_id) REFERENCES fighter (fighter_id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS pick (
+                PickID int NOT NULL AUTO_INCREMENT,
+                UserID int NOT NULL,
+                LeagueID int NOT NULL,
+                EventID varchar(50) NOT NULL,
+                FighterID varchar(50) NOT NULL,
+                PointsEarned int DEFAULT '0',
+                PRIMARY KEY (PickID),
+                UNIQUE KEY unique_pick (UserID, LeagueID, EventID, FighterID),
+                KEY LeagueID (LeagueID),
+                KEY idx_event (EventID),
+                KEY idx_fighter (FighterID),
+                CONSTRAINT pick_ibfk_1 FOREIGN KEY (UserID) REFERENCES user (UserID) ON DELETE CASCADE,
+                CONSTRAINT pick_ibfk_2 FOREIGN KEY (LeagueID) REFERENCES league (LeagueID) ON DELETE CASCADE,
+                CONSTRAINT pick_ibfk_3 FOREIGN KEY (EventID) REFERENCES event (event_id) ON DELETE CASCADE,
+                CONSTRAINT pick_ibfk_4 FOREIGN KEY (FighterID) REFERENCES fighter (fighter_id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+    }
+};
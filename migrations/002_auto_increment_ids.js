@@ -0,0 +1,32 @@
+// The dump declares UserID, LeagueID and PickID as plain INT, so inserts
+// without an explicit ID fail. Replaces the old startup check in server.js
+// and fix_auto_increment.sql.
+const { isSqlite, getColumn } = require('../db/schema');
+
+const COLUMNS = [
+    { table: 'user', column: 'UserID' },
+    { table: 'league', column: 'LeagueID' },
+    { table: 'pick', column: 'PickID' }
+];
+
+module.exports = {
+    description: 'AUTO_INCREMENT on UserID, LeagueID and PickID',
+
+    async up(connection) {
+        // SQLite tables are created with AUTOINCREMENT keys in 001
+        if (isSqlite(connection)) return;
+
+        for (const { table, column } of COLUMNS) {
+            const col = await getColumn(connection, table, column);
+            if (col && col.DATA_TYPE === 'int' && !(col.EXTRA || '').includes('auto_increment')) {
+                // Referencing foreign keys block MODIFY unless checks are off
+                await connection.execute('SET FOREIGN_KEY_CHECKS = 0');
+                try {
+                    await connection.execute(`ALTER TABLE ${table} MODIFY ${column} INT NOT NULL AUTO_INCREMENT`);
+                } finally {
+                    await connection.execute('SET FOREIGN_KEY_CHECKS = 1');
+                }
+            }
+        }
+    }
+};
@@ -0,0 +1,36 @@
+// Login sessions and site administrators
+const { isSqlite, addColumnIfMissing, addIndexIfMissing } = require('../db/schema');
+
+module.exports = {
+    description: 'Session table and user.IsAdmin',
+
+    async up(connection) {
+        // Set manually: UPDATE user SET IsAdmin = 1 WHERE Username = '...'
+        await addColumnIfMissing(connection, 'user', 'IsAdmin', 'tinyint(1) NOT NULL DEFAULT 0');
+
+        if (isSqlite(connection)) {
+            await connection.execute(
+                `CREATE TABLE IF NOT EXISTS session (
+                    SessionID char(64) NOT NULL PRIMARY KEY,
+                    UserID int NOT NULL REFERENCES user (UserID) ON DELETE CASCADE,
+                    CreatedAt datetime NOT NULL,
+                    ExpiresAt datetime NOT NULL
+                )`
+            );
+            await addIndexIfMissing(connection, 'session', 'idx_session_user', 'UserID');
+            return;
+        }
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS session (
+                SessionID char(64) NOT NULL,
+                UserID int NOT NULL,
+                CreatedAt datetime NOT NULL,
+                ExpiresAt datetime NOT NULL,
+                PRIMARY KEY (SessionID),
+                KEY idx_session_user (UserID),
+                CONSTRAINT session_ibfk_1 FOREIGN KEY (UserID) REFERENCES user (UserID) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+    }
+};
@@ -0,0 +1,23 @@
+// Columns added for pick locks, predictions, per-bout picks and admin-built cards
+const { addColumnIfMissing, addIndexIfMissing } = require('../db/schema');
+
+module.exports = {
+    description: 'Pick lock time, method/round predictions, Pick.FightID, card order and cancellations',
+
+    async up(connection) {
+        // Admin override for when an event's picks lock
+        await addColumnIfMissing(connection, 'event', 'lock_time', 'datetime DEFAULT NULL');
+
+        // Optional method/round predictions on each pick
+        await addColumnIfMissing(connection, 'pick', 'PredictedMethod', 'varchar(20) DEFAULT NULL');
+        await addColumnIfMissing(connection, 'pick', 'PredictedRound', 'int DEFAULT NULL');
+
+        // Which bout a pick belongs to (older picks only have EventID + FighterID)
+        await addColumnIfMissing(connection, 'pick', 'FightID', 'varchar(50) DEFAULT NULL AFTER EventID');
+        await addIndexIfMissing(connection, 'pick', 'idx_fight', 'FightID');
+
+        // Card order (1 = main event) and cancelled bouts
+        await addColumnIfMissing(connection, 'fight', 'bout_order', 'int DEFAULT NULL');
+        await addColumnIfMissing(connection, 'fight', 'cancelled', 'tinyint(1) NOT NULL DEFAULT 0');
+    }
+};
@@ -0,0 +1,41 @@
+// event.date arrives from the dump as varchar 'YYYY/MM/DD'. Convert it to a
+// real DATE so events can be sorted and filtered in SQL.
+const { isSqlite, getColumn } = require('../db/schema');
+
+// 'YYYY/MM/DD' or 'YYYY-MM-DD' -> 'YYYY-MM-DD'; null when it is not a calendar date
+function isoDate(value) {
+    const match = String(value).trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) return null;
+    return date.toISOString().slice(0, 10);
+}
+
+module.exports = {
+    description: 'Convert event.date from varchar to DATE',
+
+    async up(connection) {
+        // SQLite has no DATE type to convert to; ISO strings sort and compare correctly
+        if (isSqlite(connection)) {
+            await connection.execute("UPDATE event SET date = REPLACE(date, '/', '-') WHERE date LIKE '%/%'");
+            return;
+        }
+
+        const col = await getColumn(connection, 'event', 'date');
+        if (!col || col.DATA_TYPE === 'date') return;
+
+        // Normalise 'YYYY/MM/DD' to ISO first, row by row. Anything that is not a real
+        // date is set to NULL explicitly: STR_TO_DATE on it would fail the UPDATE (and
+        // the ALTER below) in strict mode.
+        const [rows] = await connection.execute('SELECT event_id, date FROM event WHERE date IS NOT NULL');
+        for (const row of rows) {
+            const date = isoDate(row.date);
+            if (date !== row.date) {
+                await connection.execute('UPDATE event SET date = ? WHERE event_id = ?', [date, row.event_id]);
+            }
+        }
+        await connection.execute('ALTER TABLE event MODIFY date DATE DEFAULT NULL');
+    }
+};
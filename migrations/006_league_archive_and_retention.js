@@ -0,0 +1,14 @@
+// Archived leagues and what happens to a member's picks when they leave
+const { addColumnIfMissing } = require('../db/schema');
+
+module.exports = {
+    description: 'league.ArchivedAt and league.PickRetention',
+
+    async up(connection) {
+        // Set when the owner archives the league; archived leagues are read-only
+        await addColumnIfMissing(connection, 'league', 'ArchivedAt', 'datetime DEFAULT NULL');
+
+        // 'keep' or 'remove' a member's picks when they leave or are removed
+        await addColumnIfMissing(connection, 'league', 'PickRetention', "varchar(10) NOT NULL DEFAULT 'keep'");
+    }
+};
@@ -0,0 +1,17 @@
+// league.ScoringRules held a 50-character label. Custom leagues now store a
+// JSON rule set there, so widen it to TEXT.
+const { isSqlite, getColumn } = require('../db/schema');
+
+module.exports = {
+    description: 'Widen league.ScoringRules to TEXT for JSON rule sets',
+
+    async up(connection) {
+        // SQLite does not enforce varchar lengths
+        if (isSqlite(connection)) return;
+
+        const col = await getColumn(connection, 'league', 'ScoringRules');
+        if (!col || col.DATA_TYPE === 'text') return;
+
+        await connection.execute('ALTER TABLE league MODIFY ScoringRules TEXT NOT NULL');
+    }
+};
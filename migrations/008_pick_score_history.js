@@ -0,0 +1,50 @@
+// One row each time re-scoring changes a pick's PointsEarned, so members can
+// see when and why their totals moved. PickID has no foreign key: history
+// outlives picks that are re-saved or removed.
+const { isSqlite, addIndexIfMissing } = require('../db/schema');
+
+module.exports = {
+    description: 'pick_score_history table',
+
+    async up(connection) {
+        if (isSqlite(connection)) {
+            await connection.execute(
+                `CREATE TABLE IF NOT EXISTS pick_score_history (
+                    HistoryID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    PickID int NOT NULL,
+                    UserID int NOT NULL REFERENCES user (UserID) ON DELETE CASCADE,
+                    LeagueID int NOT NULL REFERENCES league (LeagueID) ON DELETE CASCADE,
+                    EventID varchar(50) NOT NULL,
+                    FighterID varchar(50) NOT NULL,
+                    OldPoints int NOT NULL,
+                    NewPoints int NOT NULL,
+                    Reason varchar(255) NOT NULL,
+                    Detail varchar(255) DEFAULT NULL,
+                    ChangedAt datetime NOT NULL
+                )`
+            );
+            await addIndexIfMissing(connection, 'pick_score_history', 'idx_score_history_league_user', 'LeagueID, UserID');
+            return;
+        }
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS pick_score_history (
+                HistoryID int NOT NULL AUTO_INCREMENT,
+                PickID int NOT NULL,
+                UserID int NOT NULL,
+                LeagueID int NOT NULL,
+                EventID varchar(50) NOT NULL,
+                FighterID varchar(50) NOT NULL,
+                OldPoints int NOT NULL,
+                NewPoints int NOT NULL,
+                Reason varchar(255) NOT NULL,
+                Detail varchar(255) DEFAULT NULL,
+                ChangedAt datetime NOT NULL,
+                PRIMARY KEY (HistoryID),
+                KEY idx_score_history_league_user (LeagueID, UserID),
+                CONSTRAINT pick_score_history_ibfk_1 FOREIGN KEY (UserID) REFERENCES user (UserID) ON DELETE CASCADE,
+                CONSTRAINT pick_score_history_ibfk_2 FOREIGN KEY (LeagueID) REFERENCES league (LeagueID) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+    }
+};
@@ -0,0 +1,15 @@
+// Confidence-points leagues: members rank their picks on a card and each
+// pick's points are multiplied by its confidence value
+const { addColumnIfMissing } = require('../db/schema');
+
+module.exports = {
+    description: 'league.PickMode and pick.Confidence',
+
+    async up(connection) {
+        // 'standard' or 'confidence'
+        await addColumnIfMissing(connection, 'league', 'PickMode', "varchar(20) NOT NULL DEFAULT 'standard'");
+
+        // 1..N on a card of N bouts, unique per user and event; NULL outside confidence mode
+        await addColumnIfMissing(connection, 'pick', 'Confidence', 'int DEFAULT NULL AFTER PredictedRound');
+    }
+};
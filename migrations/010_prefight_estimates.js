@@ -0,0 +1,17 @@
+// Pre-fight strength estimates, frozen per bout once its event locks so
+// underdog bonuses don't drift when older results are corrected or imported
+const { addColumnIfMissing } = require('../db/schema');
+
+module.exports = {
+    description: 'fight.prefight_* columns for frozen pre-fight estimates',
+
+    async up(connection) {
+        // Each fighter's W-L-D from fight rows dated before the event
+        await addColumnIfMissing(connection, 'fight', 'prefight_red_record', 'varchar(20) DEFAULT NULL');
+        await addColumnIfMissing(connection, 'fight', 'prefight_blue_record', 'varchar(20) DEFAULT NULL');
+
+        // Estimated chance that the red corner wins (0-1)
+        await addColumnIfMissing(connection, 'fight', 'prefight_red_win_prob', 'decimal(5,4) DEFAULT NULL');
+        await addColumnIfMissing(connection, 'fight', 'prefight_frozen_at', 'datetime DEFAULT NULL');
+    }
+};
@@ -0,0 +1,52 @@
+// Per-round statistics for each fighter in a bout (strikes, takedowns,
+// knockdowns, control time), loaded with the importer from stat files.
+// Keys follow the dump's tables: a 16-char hex stat_id, and one row per
+// fight_id + fighter_id + round. A stat nobody recorded stays NULL.
+const { isSqlite } = require('../db/schema');
+
+const STAT_COLUMNS = `
+    knockdowns int DEFAULT NULL,
+    sig_strikes_landed int DEFAULT NULL,
+    sig_strikes_attempted int DEFAULT NULL,
+    total_strikes_landed int DEFAULT NULL,
+    total_strikes_attempted int DEFAULT NULL,
+    takedowns_landed int DEFAULT NULL,
+    takedowns_attempted int DEFAULT NULL,
+    submission_attempts int DEFAULT NULL,
+    reversals int DEFAULT NULL,
+    control_time_sec int DEFAULT NULL`;
+
+module.exports = {
+    description: 'fight_stat table for per-round fight statistics',
+
+    async up(connection) {
+        if (isSqlite(connection)) {
+            await connection.execute(
+                `CREATE TABLE IF NOT EXISTS fight_stat (
+                    stat_id varchar(50) NOT NULL PRIMARY KEY,
+                    fight_id varchar(50) NOT NULL REFERENCES fight (fight_id) ON DELETE CASCADE,
+                    fighter_id varchar(50) NOT NULL REFERENCES fighter (fighter_id) ON DELETE CASCADE,
+                    round int NOT NULL,
+                    ${STAT_COLUMNS},
+                    UNIQUE (fight_id, fighter_id, round)
+                )`
+            );
+            return;
+        }
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS fight_stat (
+                stat_id varchar(50) NOT NULL,
+                fight_id varchar(50) NOT NULL,
+                fighter_id varchar(50) NOT NULL,
+                round int NOT NULL,
+                ${STAT_COLUMNS},
+                PRIMARY KEY (stat_id),
+                UNIQUE KEY uq_fight_stat_round (fight_id, fighter_id, round),
+                KEY idx_fight_stat_fighter (fighter_id),
+                CONSTRAINT fight_stat_ibfk_1 FOREIGN KEY (fight_id) REFERENCES fight (fight_id) ON DELETE CASCADE,
+                CONSTRAINT fight_stat_ibfk_2 FOREIGN KEY (fighter_id) REFERENCES fighter (fighter_id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+    }
+};
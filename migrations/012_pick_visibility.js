@@ -0,0 +1,12 @@
+// Per-league rule for when members can see each other's picks:
+// 'always', 'after_lock' (once the event's picks lock) or 'never'.
+// Your own picks are always visible to you.
+const { addColumnIfMissing } = require('../db/schema');
+
+module.exports = {
+    description: 'league.PickVisibility',
+
+    async up(connection) {
+        await addColumnIfMissing(connection, 'league', 'PickVisibility', "varchar(20) NOT NULL DEFAULT 'after_lock'");
+    }
+};
@@ -0,0 +1,87 @@
+// League seasons. A season covers either a date range (StartDate..EndDate,
+// EndDate NULL = still open) or an explicit list of events. When a season
+// closes its final standings are copied into league_season_standing and never
+// recomputed, so later re-scoring or members leaving can't change them.
+// Standings rows keep the username and have no foreign key on UserID so they
+// outlive deleted accounts.
+const { isSqlite } = require('../db/schema');
+
+module.exports = {
+    description: 'league_season, league_season_event and league_season_standing tables',
+
+    async up(connection) {
+        if (isSqlite(connection)) {
+            await connection.execute(
+                `CREATE TABLE IF NOT EXISTS league_season (
+                    SeasonID INTEGER PRIMARY KEY AUTOINCREMENT,
+                    LeagueID int NOT NULL REFERENCES league (LeagueID) ON DELETE CASCADE,
+                    Name varchar(100) NOT NULL,
+                    Scope varchar(10) NOT NULL DEFAULT 'dates',
+                    StartDate date DEFAULT NULL,
+                    EndDate date DEFAULT NULL,
+                    Status varchar(10) NOT NULL DEFAULT 'active',
+                    CreatedAt datetime NOT NULL,
+                    ClosedAt datetime DEFAULT NULL
+                )`
+            );
+            await connection.execute(
+                `CREATE TABLE IF NOT EXISTS league_season_event (
+                    SeasonID int NOT NULL REFERENCES league_season (SeasonID) ON DELETE CASCADE,
+                    EventID varchar(50) NOT NULL REFERENCES event (event_id) ON DELETE CASCADE,
+                    PRIMARY KEY (SeasonID, EventID)
+                )`
+            );
+            await connection.execute(
+                `CREATE TABLE IF NOT EXISTS league_season_standing (
+                    SeasonID int NOT NULL REFERENCES league_season (SeasonID) ON DELETE CASCADE,
+                    UserID int NOT NULL,
+                    Username varchar(50) NOT NULL,
+                    FinalRank int NOT NULL,
+                    Points int NOT NULL,
+                    Picks int NOT NULL,
+                    PRIMARY KEY (SeasonID, UserID)
+                )`
+            );
+            return;
+        }
+
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS league_season (
+                SeasonID int NOT NULL AUTO_INCREMENT,
+                LeagueID int NOT NULL,
+                Name varchar(100) NOT NULL,
+                Scope varchar(10) NOT NULL DEFAULT 'dates',
+                StartDate date DEFAULT NULL,
+                EndDate date DEFAULT NULL,
+                Status varchar(10) NOT NULL DEFAULT 'active',
+                CreatedAt datetime NOT NULL,
+                ClosedAt datetime DEFAULT NULL,
+                PRIMARY KEY (SeasonID),
+                KEY idx_league_season_league (LeagueID),
+                CONSTRAINT league_season_ibfk_1 FOREIGN KEY (LeagueID) REFERENCES league (LeagueID) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS league_season_event (
+                SeasonID int NOT NULL,
+                EventID varchar(50) NOT NULL,
+                PRIMARY KEY (SeasonID, EventID),
+                KEY idx_league_season_event_event (EventID),
+                CONSTRAINT league_season_event_ibfk_1 FOREIGN KEY (SeasonID) REFERENCES league_season (SeasonID) ON DELETE CASCADE,
+                CONSTRAINT league_season_event_ibfk_2 FOREIGN KEY (EventID) REFERENCES event (event_id) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+        await connection.execute(
+            `CREATE TABLE IF NOT EXISTS league_season_standing (
+                SeasonID int NOT NULL,
+                UserID int NOT NULL,
+                Username varchar(50) NOT NULL,
+                FinalRank int NOT NULL,
+                Points int NOT NULL,
+                Picks int NOT NULL,
+                PRIMARY KEY (SeasonID, UserID),
+                CONSTRAINT league_season_standing_ibfk_1 FOREIGN KEY (SeasonID) REFERENCES league_season (SeasonID) ON DELETE CASCADE
+            ) ENGINE=InnoDB DEFAULT CHARSET=utf8mb4`
+        );
+    }
+};
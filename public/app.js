@@ -1,28 +1,35 @@
 // ==================== AUTHENTICATION STATE MANAGEMENT ====================
+// The session lives in an HttpOnly cookie set by /api/login.
+// currentUser is only a display copy of whoever the server says we are.
 let currentUser = null;
 
-// Load user from localStorage on page load
-function loadUser() {
-    const userStr = localStorage.getItem('ufc_user');
-    if (userStr) {
-        currentUser = JSON.parse(userStr);
-        updateUIForAuth();
-    } else {
+// Restore the session from the server on page load
+async function loadUser() {
+    try {
+        const response = await fetch('/api/me');
+        const data = await response.json();
+
+        if (data.success) {
+            currentUser = { userId: data.userId, username: data.username, email: data.email };
+            updateUIForAuth();
+            routeFromHash();
+        } else {
+            showLoginSection();
+        }
+    } catch (error) {
         showLoginSection();
     }
 }
 
-// Save user to localStorage
+// Remember the logged-in user
 function saveUser(user) {
     currentUser = user;
-    localStorage.setItem('ufc_user', JSON.stringify(user));
     updateUIForAuth();
 }
 
-// Clear user from localStorage
+// Forget the logged-in user
 function clearUser() {
     currentUser = null;
-    localStorage.removeItem('ufc_user');
     updateUIForAuth(); // <--- This handles EVERYTHING (hides dashboard, shows login, resets nav)
 }
 
@@ -86,7 +93,9 @@ function setupEventListeners() {
     document.getElementById('joinLeagueForm').addEventListener('submit', handleJoinLeague);
     document.getElementById('createLeagueForm').addEventListener('submit', handleCreateLeague);
     document.getElementById('leaderboardForm').addEventListener('submit', handleLeaderboard);
+    document.getElementById('leaderboardLeagueSelect').addEventListener('change', (e) => loadLeaderboardSeasons(e.target.value));
     document.getElementById('fighterHistoryForm').addEventListener('submit', handleFighterHistory);
+    document.getElementById('rankingsForm').addEventListener('submit', handleRankings);
 
     // Links
     document.getElementById('showRegisterLink')?.addEventListener('click', (e) => {
@@ -100,11 +109,36 @@ function setupEventListeners() {
 
     // Make picks
     document.getElementById('loadFightsBtn').addEventListener('click', loadFightsForPicks);
+    document.getElementById('picksEventSearch').addEventListener('input', () => {
+        clearTimeout(eventSearchTimer);
+        eventSearchTimer = setTimeout(loadEvents, 300);
+    });
+    document.getElementById('picksMoreEventsBtn').addEventListener('click', loadMoreEvents);
     document.getElementById('savePicksBtn').addEventListener('click', savePicks);
 
+    // My Leagues
+    document.getElementById('showArchivedLeagues').addEventListener('change', loadUserLeagues);
+
+    // Create League: custom scoring fields
+    document.getElementById('scoringPreset').addEventListener('change', handleScoringPresetChange);
+
     // Modals
     setupModals();
 
+    // Fighter and event names link to #fighter/<id> and #event/<id>. Capture the click
+    // first so a clickable row underneath (pick stats, rating history) doesn't also react to it.
+    document.addEventListener('click', (e) => {
+        const link = e.target.closest('.fighter-link, .event-link');
+        if (!link) return;
+        e.stopPropagation();
+        if (link.getAttribute('href') === location.hash) routeFromHash();
+    }, true);
+    window.addEventListener('hashchange', routeFromHash);
+    document.getElementById('eventDetailLeague').addEventListener('change', () => {
+        const eventId = document.getElementById('eventDetailContent').dataset.eventId;
+        if (eventId) showEventDetail(eventId);
+    });
+
     // Load events for picks dropdown
     if (currentUser) {
         loadEvents();
@@ -134,6 +168,14 @@ function switchTab(tabName) {
         loadEvents();
     } else if (tabName === 'leaderboard' && currentUser) {
         loadUserLeaguesForLeaderboard();
+    } else if (tabName === 'rankings') {
+        loadRankingFilters();
+    }
+
+    // Leaving a profile or event page: the same link should open it again
+    if ((tabName !== 'fighter-profile' && location.hash.startsWith('#fighter/')) ||
+        (tabName !== 'event-detail' && location.hash.startsWith('#event/'))) {
+        history.replaceState(null, '', location.pathname + location.search);
     }
 }
 
@@ -188,8 +230,13 @@ async function handleLogin(e) {
     }
 }
 
-function handleLogout() {
+async function handleLogout() {
     if (confirm('Are you sure you want to logout?')) {
+        try {
+            await fetch('/api/logout', { method: 'POST' });
+        } catch (error) {
+            console.error('Error logging out:', error);
+        }
         clearUser();
     }
 }
@@ -232,8 +279,10 @@ async function handleRegister(e) {
 async function loadUserLeagues() {
     if (!currentUser) return;
 
+    const includeArchived = document.getElementById('showArchivedLeagues').checked;
+
     try {
-        const response = await fetch(`/api/user-leagues/${currentUser.userId}`);
+        const response = await apiFetch(`/api/user-leagues${includeArchived ? '?includeArchived=true' : ''}`);
         const data = await response.json();
 
         if (data.success) {
@@ -254,13 +303,18 @@ function displayUserLeagues(leagues) {
 
     let html = '<div class="leagues-grid">';
     leagues.forEach(league => {
+        // Owners can't leave (they transfer or delete), and archived leagues are read-only
+        const canLeave = league.Role !== 'Owner' && !league.ArchivedAt;
         html += `
-            <div class="league-card">
-                <h3>${escapeHtml(league.Name)}</h3>
+            <div class="league-card${league.ArchivedAt ? ' archived' : ''}">
+                <h3>${escapeHtml(league.Name)}${league.ArchivedAt ? '<span class="archived-badge">Archived</span>' : ''}</h3>
                 <p><strong>Code:</strong> <span class="league-code">${escapeHtml(league.LeagueCode)}</span></p>
                 <p><strong>Role:</strong> ${escapeHtml(league.Role)}</p>
                 <p><strong>Joined:</strong> ${formatDate(league.JoinDate)}</p>
-                <button class="btn btn-primary" onclick="viewLeagueDetails(${league.LeagueID})">View Details</button>
+                <div class="league-card-actions">
+                    <button class="btn btn-primary" onclick="viewLeagueDetails(${league.LeagueID})">View Details</button>
+                    ${canLeave ? `<button class="btn btn-secondary" onclick="leaveLeague(${league.LeagueID}, '${encodeURIComponent(league.Name).replace(/'/g, '%27')}')">Leave</button>` : ''}
+                </div>
             </div>
         `;
     });
@@ -271,8 +325,9 @@ function displayUserLeagues(leagues) {
 async function viewLeagueDetails(leagueId) {
     try {
         const [leagueRes, membersRes] = await Promise.all([
-            fetch(`/api/league/${leagueId}`),
-            fetch(`/api/league-members/${leagueId}`)
+            apiFetch(`/api/league/${leagueId}`),
+            apiFetch(`/api/league-members/${leagueId}`),
+            loadScoringPresets()
         ]);
 
         const leagueData = await leagueRes.json();
@@ -289,7 +344,10 @@ async function viewLeagueDetails(leagueId) {
                 </div>
             `;
 
-            // Display members
+            document.getElementById('modalLeagueScoring').innerHTML = renderScoringRules(leagueData.data);
+            loadLeagueSeasons(leagueData.data);
+
+            // Display members, with the management controls the server says we may use
             let membersHtml = '<table class="data-table"><thead><tr><th>Username</th><th>Role</th><th>Points</th><th>Actions</th></tr></thead><tbody>';
             membersData.data.forEach(member => {
                 membersHtml += `
@@ -297,14 +355,20 @@ async function viewLeagueDetails(leagueId) {
                         <td>${escapeHtml(member.Username)}</td>
                         <td>${escapeHtml(member.Role)}</td>
                         <td>${member.TotalPoints}</td>
-                        <td>
+                        <td class="member-actions">
                             <button class="btn btn-small" onclick="viewUserPicks(${member.UserID}, ${leagueId})">View Picks</button>
+                            ${renderMemberActions(member, leagueId)}
                         </td>
                     </tr>
                 `;
             });
             membersHtml += '</tbody></table>';
+            if (leagueData.data.MyRole) {
+                membersHtml = `<p class="info">Your role: <strong>${escapeHtml(leagueData.data.MyRole)}</strong></p>` +
+                    renderOwnerControls(leagueData.data) + membersHtml;
+            }
             document.getElementById('modalLeagueMembers').innerHTML = membersHtml;
+            loadLeagueConsensus(leagueId);
 
             modal.style.display = 'block';
         }
@@ -314,12 +378,429 @@ async function viewLeagueDetails(leagueId) {
     }
 }
 
+// ==================== SEASONS ====================
+// Past champions, the current season and (for owners / co-commissioners) season controls
+async function loadLeagueSeasons(league) {
+    const container = document.getElementById('modalLeagueSeasons');
+    container.innerHTML = '';
+
+    try {
+        const response = await apiFetch(`/api/league/${league.LeagueID}/seasons`);
+        const data = await response.json();
+        if (!data.success) return;
+        container.innerHTML = renderLeagueSeasons(league, data.data);
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+    }
+}
+
+function renderLeagueSeasons(league, seasons) {
+    const canManage = (league.Permissions || []).includes('manageSeasons') && !league.ArchivedAt;
+    const current = seasons.find(s => s.status === 'active');
+    const past = seasons.filter(s => s.status === 'closed');
+    if (seasons.length === 0 && !canManage) return '';
+
+    let html = '<h3>Seasons</h3>';
+    if (current) {
+        html += `<p>Current season: <strong>${escapeHtml(current.name)}</strong> (${describeSeasonScope(current)})`;
+        if (canManage) {
+            html += ` <button class="btn btn-small btn-secondary" onclick="closeSeason(${league.LeagueID}, ${current.seasonId})">Close Season</button>`;
+        }
+        html += '</p>';
+    } else if (seasons.length === 0) {
+        html += '<p class="info">No seasons yet – the leaderboard counts every event.</p>';
+    }
+
+    if (past.length > 0) {
+        html += '<table class="data-table"><thead><tr><th>Season</th><th>Champion</th><th>Runner-up</th></tr></thead><tbody>';
+        past.forEach(season => {
+            const entry = (e) => (e ? `${escapeHtml(e.username)} (${e.points})` : '-');
+            html += `<tr><td>${escapeHtml(season.name)}<br><small>${describeSeasonScope(season)}</small></td>`;
+            html += `<td>${entry(season.champion)}</td><td>${entry(season.runnerUp)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+    }
+
+    if (canManage) {
+        html += `
+            <div class="season-form">
+                <input type="text" id="newSeasonName" placeholder="Season name">
+                <input type="date" id="newSeasonStart" title="First event date">
+                <input type="date" id="newSeasonEnd" title="Last event date (optional)">
+                <button class="btn btn-small" onclick="startSeason(${league.LeagueID})">${current ? 'Start Next Season' : 'Start Season'}</button>
+            </div>
+        `;
+    }
+    return html;
+}
+
+// Starting a season closes the current one, so ask first when there is one
+function startSeason(leagueId) {
+    const name = document.getElementById('newSeasonName').value.trim();
+    const startDate = document.getElementById('newSeasonStart').value;
+    const endDate = document.getElementById('newSeasonEnd').value;
+    if (!name || !startDate) {
+        alert('Give the season a name and a start date.');
+        return;
+    }
+    if (document.querySelector('#modalLeagueSeasons [onclick^="closeSeason"]') &&
+        !confirm('Start a new season? The current season closes and its standings are frozen. Members carry over with 0 points.')) {
+        return;
+    }
+    manageMember(`/api/league/${leagueId}/seasons`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ name, startDate, endDate: endDate || null })
+    }, leagueId);
+}
+
+function closeSeason(leagueId, seasonId) {
+    if (!confirm('Close this season? Its final standings are frozen and cannot change afterwards.')) return;
+    manageMember(`/api/league/${leagueId}/seasons/${seasonId}/close`, { method: 'POST' }, leagueId);
+}
+
+// ==================== SCORING RULES ====================
+const SCORING_RULE_LABELS = {
+    winner: 'Correct winner',
+    finishBonus: 'Finish bonus (KO/TKO or submission)',
+    methodBonus: 'Correct method bonus',
+    roundBonus: 'Correct round bonus',
+    titleFightBonus: 'Title fight bonus',
+    underdogBonus: 'Underdog bonus (scaled by the upset)',
+    underdogMultiplier: 'Underdog multiplier',
+    knockdownBonus: 'Knockdown bonus (per knockdown, win or lose)'
+};
+
+// Editor starting values for a league whose scoring label is unknown (the Standard preset)
+const DEFAULT_SCORING_RULES = {
+    winner: 10,
+    finishBonus: 0,
+    methodBonus: 0,
+    roundBonus: 0,
+    titleFightBonus: 0,
+    underdogBonus: 0,
+    underdogMultiplier: 1,
+    knockdownBonus: 0
+};
+
+let scoringPresets = null;
+
+// Presets and allowed ranges from the server, fetched once
+async function loadScoringPresets() {
+    if (!scoringPresets) {
+        const response = await fetch('/api/scoring/presets');
+        const data = await response.json();
+        scoringPresets = data.data;
+    }
+    return scoringPresets;
+}
+
+// Number inputs for every rule; prefix keeps the create form and modal ids apart
+function renderScoringFields(prefix, rules) {
+    const limits = scoringPresets ? scoringPresets.limits : {};
+    return Object.keys(SCORING_RULE_LABELS).map(field => {
+        const limit = limits[field] || {};
+        return `
+            <label class="scoring-field">${SCORING_RULE_LABELS[field]}
+                <input type="number" id="${prefix}-rule-${field}" value="${rules[field]}"
+                       min="${limit.min}" max="${limit.max}" step="${limit.integer === false ? '0.1' : '1'}">
+            </label>
+        `;
+    }).join('');
+}
+
+function readScoringFields(prefix) {
+    const rules = {};
+    Object.keys(SCORING_RULE_LABELS).forEach(field => {
+        rules[field] = Number(document.getElementById(`${prefix}-rule-${field}`).value);
+    });
+    return rules;
+}
+
+// "Correct winner: 10, Title fight bonus: 5" - rules left at zero (or x1) are skipped
+function summarizeScoringRules(rules) {
+    return Object.keys(SCORING_RULE_LABELS)
+        .filter(field => field === 'winner' || (field === 'underdogMultiplier' ? rules[field] > 1 : rules[field] > 0))
+        .map(field => `${SCORING_RULE_LABELS[field]}: ${field === 'underdogMultiplier' ? `x${rules[field]}` : rules[field]}`)
+        .join(', ');
+}
+
+async function handleScoringPresetChange() {
+    const container = document.getElementById('customScoringFields');
+    if (this.value !== 'Custom') {
+        container.style.display = 'none';
+        return;
+    }
+    try {
+        const presets = await loadScoringPresets();
+        container.innerHTML = renderScoringFields('create', presets.presets.Standard);
+        container.style.display = 'grid';
+    } catch (error) {
+        alert(`Error loading scoring presets: ${error.message}`);
+    }
+}
+
+// Scoring summary in the league details modal; owners get an editor with a preview
+function renderScoringRules(league) {
+    const scoring = league.Scoring;
+    if (!scoring) return '';
+
+    let html = scoring.unknown
+        ? `<p class="error">⚠️ Scoring: <strong>${escapeHtml(scoring.preset)}</strong> - these rules are not known, so picks in this league are not scored until the owner sets them.</p>`
+        : `<p class="info">Scoring: <strong>${escapeHtml(scoring.preset)}</strong> - ${escapeHtml(summarizeScoringRules(scoring.rules))}</p>`;
+    if ((league.Permissions || []).includes('editSettings') && !league.ArchivedAt) {
+        html += `
+            <details${scoring.unknown ? ' open' : ''}>
+                <summary>Edit scoring rules</summary>
+                <div class="scoring-fields">${renderScoringFields('edit', scoring.rules || DEFAULT_SCORING_RULES)}</div>
+                <div class="league-owner-controls">
+                    <button class="btn btn-small btn-secondary" onclick="previewScoringRules(${league.LeagueID})">Preview on Past Events</button>
+                    <button class="btn btn-small btn-primary" onclick="saveScoringRules(${league.LeagueID})">Save &amp; Re-score</button>
+                </div>
+                <div id="scoringPreview"></div>
+            </details>
+        `;
+    }
+    return html;
+}
+
+async function previewScoringRules(leagueId) {
+    const container = document.getElementById('scoringPreview');
+    container.innerHTML = '<p class="loading">Scoring past events...</p>';
+
+    try {
+        const response = await apiFetch(`/api/league/${leagueId}/scoring/preview`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ scoringRules: readScoringFields('edit') })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            container.innerHTML = `<p class="error">❌ ${escapeHtml(data.error)}</p>`;
+            return;
+        }
+
+        const preview = data.data;
+        if (preview.events.length === 0) {
+            container.innerHTML = '<p class="info">No finished events with picks yet.</p>';
+            return;
+        }
+
+        const change = (row) => {
+            const diff = row.previewPoints - row.currentPoints;
+            return `${row.currentPoints} → <strong>${row.previewPoints}</strong> (${diff >= 0 ? '+' : ''}${diff})`;
+        };
+        let html = '<table class="data-table"><thead><tr><th>Member</th><th>Points</th></tr></thead><tbody>';
+        preview.members.forEach(member => {
+            html += `<tr><td>${escapeHtml(member.username)}</td><td>${change(member)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        html += '<table class="data-table"><thead><tr><th>Event</th><th>Date</th><th>Picks</th><th>Points</th></tr></thead><tbody>';
+        preview.events.forEach(event => {
+            html += `<tr><td>${escapeHtml(event.eventName)}</td><td>${formatDate(event.date)}</td><td>${event.picksScored}</td><td>${change(event)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+        container.innerHTML = html;
+    } catch (error) {
+        container.innerHTML = `<p class="error">❌ Error: ${escapeHtml(error.message)}</p>`;
+    }
+}
+
+function saveScoringRules(leagueId) {
+    if (!confirm('Save these rules? Every pick in the league is re-scored with them.')) return;
+    saveLeagueSettings(leagueId, { scoringRules: readScoringFields('edit') });
+}
+
+// Buttons for the actions listed in member.Actions ('setRole', 'remove', 'transfer')
+function renderMemberActions(member, leagueId) {
+    const actions = member.Actions || [];
+    // URI-encoded so any username is safe inside the onclick string
+    const name = encodeURIComponent(member.Username).replace(/'/g, '%27');
+    let html = '';
+
+    if (actions.includes('setRole')) {
+        const newRole = member.Role === 'Co-Commissioner' ? 'Member' : 'Co-Commissioner';
+        const label = newRole === 'Member' ? 'Demote' : 'Make Co-Commissioner';
+        html += `<button class="btn btn-small btn-secondary" onclick="changeMemberRole(${leagueId}, ${member.UserID}, '${newRole}')">${label}</button>`;
+    }
+    if (actions.includes('transfer')) {
+        html += `<button class="btn btn-small btn-secondary" onclick="transferLeagueOwnership(${leagueId}, ${member.UserID}, '${name}')">Make Owner</button>`;
+    }
+    if (actions.includes('remove')) {
+        html += `<button class="btn btn-small btn-danger" onclick="removeLeagueMember(${leagueId}, ${member.UserID}, '${name}')">Remove</button>`;
+    }
+    return html;
+}
+
+// league.PickVisibility options; your own picks are always visible
+const PICK_VISIBILITY_LABELS = {
+    after_lock: 'After picks lock',
+    always: 'Always',
+    never: 'Never'
+};
+
+// Settings, archive and delete controls for whoever has those permissions
+function renderOwnerControls(league) {
+    const perms = league.Permissions || [];
+    const archived = !!league.ArchivedAt;
+    let html = '';
+
+    if (archived) {
+        html += '<p class="info">🗄️ This league is archived. Standings are final and nothing can be changed.</p>';
+    }
+    if (perms.includes('editSettings') && !archived) {
+        html += `
+            <label>When a member leaves:
+                <select onchange="saveLeagueSettings(${league.LeagueID}, { pickRetention: this.value })">
+                    <option value="keep" ${league.PickRetention === 'keep' ? 'selected' : ''}>Keep their picks</option>
+                    <option value="remove" ${league.PickRetention === 'remove' ? 'selected' : ''}>Delete their picks</option>
+                </select>
+            </label>
+            <label>Members see each other's picks:
+                <select onchange="saveLeagueSettings(${league.LeagueID}, { pickVisibility: this.value })">
+                    ${Object.entries(PICK_VISIBILITY_LABELS).map(([value, label]) =>
+                        `<option value="${value}" ${league.PickVisibility === value ? 'selected' : ''}>${label}</option>`).join('')}
+                </select>
+            </label>
+            <label>Pick mode:
+                <select onchange="changePickMode(${league.LeagueID}, this)">
+                    <option value="standard" ${league.PickMode === 'standard' ? 'selected' : ''}>Standard</option>
+                    <option value="confidence" ${league.PickMode === 'confidence' ? 'selected' : ''}>Confidence points</option>
+                </select>
+            </label>
+        `;
+    }
+    if (perms.includes('archiveLeague')) {
+        html += archived
+            ? `<button class="btn btn-small btn-secondary" onclick="setLeagueArchived(${league.LeagueID}, false)">Restore League</button>`
+            : `<button class="btn btn-small btn-secondary" onclick="setLeagueArchived(${league.LeagueID}, true)">Archive League</button>`;
+    }
+    if (perms.includes('deleteLeague')) {
+        html += `<button class="btn btn-small btn-danger" onclick="deleteLeague(${league.LeagueID}, '${encodeURIComponent(league.Name).replace(/'/g, '%27')}')">Delete League</button>`;
+    }
+    return html ? `<div class="league-owner-controls">${html}</div>` : '';
+}
+
+function saveLeagueSettings(leagueId, settings) {
+    manageMember(`/api/league/${leagueId}/settings`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(settings)
+    }, leagueId);
+}
+
+// Switching mode re-scores the whole league, so ask first
+function changePickMode(leagueId, select) {
+    const message = select.value === 'confidence'
+        ? 'Switch to confidence points? Members rank their picks on each card and points are multiplied by the rank. Existing picks count as confidence 1. The league is re-scored.'
+        : 'Switch to standard picks? Confidence values are ignored and the league is re-scored.';
+    if (!confirm(message)) {
+        select.value = select.value === 'confidence' ? 'standard' : 'confidence';
+        return;
+    }
+    saveLeagueSettings(leagueId, { pickMode: select.value });
+}
+
+function setLeagueArchived(leagueId, archive) {
+    const message = archive
+        ? 'Archive this league? It becomes read-only and is hidden from your active leagues.'
+        : 'Restore this league?';
+    if (!confirm(message)) return;
+    manageMember(`/api/league/${leagueId}/${archive ? 'archive' : 'unarchive'}`, { method: 'POST' }, leagueId);
+}
+
+// Hard delete: the server wants the league name typed back as confirmation
+async function deleteLeague(leagueId, encodedName) {
+    const name = decodeURIComponent(encodedName);
+    const typed = prompt(`This permanently deletes "${name}", its members and all picks.\nType the league name to confirm:`);
+    if (typed === null) return;
+
+    try {
+        const response = await apiFetch(`/api/league/${leagueId}`, {
+            method: 'DELETE',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ confirm: typed })
+        });
+        const data = await response.json();
+
+        if (!data.success) {
+            alert(data.error);
+            return;
+        }
+        document.getElementById('leagueDetailsModal').style.display = 'none';
+        loadUserLeagues();
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+async function leaveLeague(leagueId, encodedName) {
+    if (!confirm(`Leave ${decodeURIComponent(encodedName)}?`)) return;
+
+    try {
+        const response = await apiFetch(`/api/league/${leagueId}/leave`, { method: 'POST' });
+        const data = await response.json();
+
+        if (!data.success) {
+            alert(data.error);
+            return;
+        }
+        loadUserLeagues();
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+// Run a league-management request, then refresh the modal and league list
+async function manageMember(url, options, leagueId) {
+    try {
+        const response = await apiFetch(url, options);
+        const data = await response.json();
+
+        if (!data.success) {
+            alert(data.error);
+            return;
+        }
+        await viewLeagueDetails(leagueId);
+        loadUserLeagues();
+    } catch (error) {
+        alert(`Error: ${error.message}`);
+    }
+}
+
+function changeMemberRole(leagueId, userId, role) {
+    manageMember(`/api/league/${leagueId}/members/${userId}/role`, {
+        method: 'PUT',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ role })
+    }, leagueId);
+}
+
+function removeLeagueMember(leagueId, userId, encodedName) {
+    if (!confirm(`Remove ${decodeURIComponent(encodedName)} from this league?`)) return;
+    manageMember(`/api/league/${leagueId}/members/${userId}`, { method: 'DELETE' }, leagueId);
+}
+
+function transferLeagueOwnership(leagueId, userId, encodedName) {
+    if (!confirm(`Make ${decodeURIComponent(encodedName)} the owner of this league? You will become a co-commissioner.`)) return;
+    manageMember(`/api/league/${leagueId}/transfer`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ userId })
+    }, leagueId);
+}
+
 // Updated to accept username for better UX
 async function viewUserPicks(userId, leagueId, username = 'User') {
     try {
         // Use the route we already fixed
-        const picksRes = await fetch(`/api/user-picks/${userId}/${leagueId}`);
+        const [picksRes, historyRes] = await Promise.all([
+            apiFetch(`/api/user-picks/${userId}/${leagueId}`),
+            apiFetch(`/api/league/${leagueId}/score-history?userId=${userId}&limit=50`)
+        ]);
         const picksData = await picksRes.json();
+        const historyData = await historyRes.json();
 
         if (picksData.success) {
             const modal = document.getElementById('viewPicksModal');
@@ -330,8 +811,13 @@ async function viewUserPicks(userId, leagueId, username = 'User') {
             
             const contentDiv = document.getElementById('modalPicksContent');
 
+            // Picks the league's visibility setting holds back (events not locked yet, or private leagues)
+            const hiddenNote = picksData.hiddenPicks > 0
+                ? `<p class="info">🔒 ${picksData.hiddenPicks} pick(s) are hidden by this league's pick visibility setting.</p>`
+                : '';
+
             if (picksData.data.length === 0) {
-                contentDiv.innerHTML = '<p class="info">No picks made by this user yet.</p>';
+                contentDiv.innerHTML = hiddenNote || '<p class="info">No picks made by this user yet.</p>';
             } else {
                 // 1. Group Picks by Event Name
                 const picksByEvent = {};
@@ -360,6 +846,7 @@ async function viewUserPicks(userId, leagueId, username = 'User') {
                                     <thead>
                                         <tr>
                                             <th>Fighter Picked</th>
+                                            <th>Prediction</th>
                                             <th>Weight Class</th>
                                             <th>Points</th>
                                         </tr>
@@ -370,8 +857,9 @@ async function viewUserPicks(userId, leagueId, username = 'User') {
                     eventData.picks.forEach(pick => {
                         // Make row clickable for stats
                         html += `
-                            <tr class="clickable-row" onclick="showFightStats('${escapeHtml(pick.FighterName)}', '${escapeHtml(eventName)}')">
-                                <td><strong>${escapeHtml(pick.FighterName)}</strong></td>
+                            <tr class="clickable-row" onclick="showFightStats('${escapeHtml(pick.FightID || '')}', '${escapeHtml(pick.FighterID)}', decodeURIComponent('${encodeURIComponent(pick.FighterName).replace(/'/g, '%27')}'), decodeURIComponent('${encodeURIComponent(eventName).replace(/'/g, '%27')}'))">
+                                <td><strong>${fighterLink(pick.FighterID, pick.FighterName)}</strong></td>
+                                <td>${escapeHtml(formatPrediction(pick))}</td>
                                 <td>${escapeHtml(pick.WeightClass)}</td>
                                 <td class="points">${pick.PointsEarned}</td>
                             </tr>
@@ -386,7 +874,10 @@ async function viewUserPicks(userId, leagueId, username = 'User') {
                     `;
                 }
                 html += '</div>';
-                contentDiv.innerHTML = html;
+                contentDiv.innerHTML = hiddenNote + html;
+            }
+            if (historyData.success && historyData.data.length > 0) {
+                contentDiv.innerHTML += renderScoreHistory(historyData.data);
             }
             modal.style.display = 'block';
         } else {
@@ -398,6 +889,32 @@ async function viewUserPicks(userId, leagueId, username = 'User') {
     }
 }
 
+// Re-scoring audit trail: when this member's points moved and why
+function renderScoreHistory(rows) {
+    let html = `
+        <h3>Points Changes</h3>
+        <table class="data-table">
+            <thead><tr><th>When</th><th>Event</th><th>Fighter</th><th>Points</th><th>Why</th></tr></thead>
+            <tbody>
+    `;
+    rows.forEach(row => {
+        // Private picks come back without fighter, points or detail
+        const diff = row.NewPoints - row.OldPoints;
+        const points = row.OldPoints === null ? '🔒 Hidden' : `${row.OldPoints} → ${row.NewPoints} (${diff > 0 ? '+' : ''}${diff})`;
+        html += `
+            <tr>
+                <td>${formatDate(row.ChangedAt)}</td>
+                <td>${escapeHtml(row.EventName || row.EventID)}</td>
+                <td>${row.FighterID ? fighterLink(row.FighterID, row.FighterName || row.FighterID) : '🔒 Hidden'}</td>
+                <td>${points}</td>
+                <td>${escapeHtml(row.Reason)}${row.Detail ? `<br><small>${escapeHtml(row.Detail)}</small>` : ''}</td>
+            </tr>
+        `;
+    });
+    html += '</tbody></table>';
+    return html;
+}
+
 // Helper: Toggle the accordion
 function toggleEventDetails(headerElement) {
     const picksDiv = headerElement.nextElementSibling;
@@ -414,44 +931,114 @@ function toggleEventDetails(headerElement) {
     }
 }
 
-// Helper: Show the stats popup
-function showFightStats(fighterName, eventName) {
+// Helper: Show the stats popup for a picked fighter's bout (fight_stat totals and rounds)
+async function showFightStats(fightId, fighterId, fighterName, eventName) {
     const modal = document.getElementById('fightStatsModal');
+    const content = document.getElementById('statsContent');
     document.getElementById('statsTitle').textContent = `Match Stats: ${fighterName}`;
-    
-    document.getElementById('statsContent').innerHTML = `
+
+    // Handle close button specifically for this modal
+    document.getElementById('closeStatsModal').onclick = function() {
+        modal.style.display = 'none';
+    };
+
+    const unavailable = (message) => `
+        <div class="stats-box">
+            <p><strong>Event:</strong> ${escapeHtml(eventName)}</p>
+            <p><strong>Fighter:</strong> ${escapeHtml(fighterName)}</p>
+            <p class="note"><i>* ${message}</i></p>
+        </div>
+    `;
+
+    if (!fightId) {
+        content.innerHTML = unavailable('This pick was saved before picks recorded their bout, so its statistics cannot be looked up.');
+        modal.style.display = 'block';
+        return;
+    }
+
+    content.innerHTML = '<p class="loading">Loading fight statistics...</p>';
+    modal.style.display = 'block';
+
+    try {
+        const response = await fetch(`/api/fight/${encodeURIComponent(fightId)}/stats`);
+        const data = await response.json();
+
+        if (!data.success) {
+            content.innerHTML = `<p class="error">❌ ${data.error}</p>`;
+        } else if (!data.data.available) {
+            content.innerHTML = unavailable('Detailed fight statistics are not yet available for this match.');
+        } else {
+            content.innerHTML = renderFightStats(data.data, fighterId);
+        }
+    } catch (error) {
+        content.innerHTML = `<p class="error">❌ Error: ${error.message}</p>`;
+    }
+}
+
+// "45/98 (46%)", "2", "3:12" or "--" when a stat was not recorded
+function formatStat(stats, field) {
+    if (!stats) return '--';
+    if (field === 'sigStrikes') {
+        if (stats.sigStrikesLanded === null) return '--';
+        const percent = stats.sigStrikesAttempted ? ` (${Math.round((stats.sigStrikesLanded / stats.sigStrikesAttempted) * 100)}%)` : '';
+        return `${stats.sigStrikesLanded}/${stats.sigStrikesAttempted ?? '?'}${percent}`;
+    }
+    if (field === 'takedowns') {
+        return stats.takedownsLanded === null ? '--' : `${stats.takedownsLanded}/${stats.takedownsAttempted ?? '?'}`;
+    }
+    if (field === 'controlTimeSec') {
+        return stats.controlTimeSec === null ? '--:--' : formatFightTime(stats.controlTimeSec);
+    }
+    return stats[field] === null || stats[field] === undefined ? '--' : stats[field];
+}
+
+function renderFightStats(fight, fighterId) {
+    const picked = fight.fighters.find(f => f.fighterId === fighterId) || fight.fighters[0];
+    const opponent = fight.fighters.find(f => f !== picked);
+    const rows = [
+        ['Sig. Strikes', 'sigStrikes'],
+        ['Total Strikes', 'totalStrikesLanded'],
+        ['Takedowns', 'takedowns'],
+        ['Sub. Attempts', 'submissionAttempts'],
+        ['Control Time', 'controlTimeSec'],
+        ['Knockdowns', 'knockdowns']
+    ];
+    const highlights = rows.filter(([, field]) => ['sigStrikes', 'takedowns', 'controlTimeSec', 'knockdowns'].includes(field));
+
+    let html = `
         <div class="stats-box">
-            <p><strong>Event:</strong> ${eventName}</p>
-            <p><strong>Fighter:</strong> ${fighterName}</p>
-            <hr>
+            <p><strong>Event:</strong> ${fight.eventName ? eventLink(fight.eventId, fight.eventName) : 'N/A'}</p>
+            <p><strong>Result:</strong> ${escapeHtml(fight.method || 'Pending')}${fight.finishRound ? `, round ${fight.finishRound}` : ''}</p>
             <div class="stats-grid">
+                ${highlights.map(([label, field]) => `
                 <div class="stat-item">
-                    <span class="label">Strikes Landed</span>
-                    <span class="value">--</span>
-                </div>
-                <div class="stat-item">
-                    <span class="label">Takedowns</span>
-                    <span class="value">--</span>
-                </div>
-                <div class="stat-item">
-                    <span class="label">Control Time</span>
-                    <span class="value">--:--</span>
-                </div>
-                <div class="stat-item">
-                    <span class="label">Knockdowns</span>
-                    <span class="value">--</span>
-                </div>
+                    <span class="label">${label}</span>
+                    <span class="value">${formatStat(picked.totals, field)}</span>
+                </div>`).join('')}
             </div>
-            <p class="note"><i>* Detailed fight statistics are not yet available for this match.</i></p>
         </div>
     `;
-    
-    modal.style.display = 'block';
-    
-    // Handle close button specifically for this modal
-    document.getElementById('closeStatsModal').onclick = function() {
-        modal.style.display = 'none';
-    }
+
+    // Side by side, whole fight then each round
+    html += '<table class="data-table tape-table"><thead><tr>';
+    html += `<th>${fighterLink(picked.fighterId, picked.name)}</th><th></th><th>${fighterLink(opponent.fighterId, opponent.name)}</th>`;
+    html += '</tr></thead><tbody>';
+    rows.forEach(([label, field]) => {
+        html += `<tr><td>${formatStat(picked.totals, field)}</td><th>${label}</th><td>${formatStat(opponent.totals, field)}</td></tr>`;
+    });
+    html += '</tbody></table>';
+
+    const roundNumbers = [...new Set(fight.fighters.flatMap(f => f.rounds.map(r => r.round)))].sort((a, b) => a - b);
+    roundNumbers.forEach(round => {
+        const mine = picked.rounds.find(r => r.round === round);
+        const theirs = opponent.rounds.find(r => r.round === round);
+        html += `<h4>Round ${round}</h4><table class="data-table tape-table"><tbody>`;
+        rows.forEach(([label, field]) => {
+            html += `<tr><td>${formatStat(mine, field)}</td><th>${label}</th><td>${formatStat(theirs, field)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+    });
+    return html;
 }
 
 // Expose functions globally
@@ -472,12 +1059,11 @@ async function handleJoinLeague(e) {
     resultDiv.innerHTML = '<p class="loading">Joining league...</p>';
 
     const formData = {
-        leagueCode: document.getElementById('leagueCodeInput').value,
-        userId: currentUser.userId
+        leagueCode: document.getElementById('leagueCodeInput').value
     };
 
     try {
-        const response = await fetch('/api/join-league', {
+        const response = await apiFetch('/api/join-league', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(formData)
@@ -505,15 +1091,18 @@ async function handleCreateLeague(e) {
     const resultDiv = document.getElementById('createLeagueResult');
     resultDiv.innerHTML = '<p class="loading">Creating league...</p>';
 
+    const preset = document.getElementById('scoringPreset').value;
     const formData = {
         name: document.getElementById('leagueName').value,
-        ownerID: currentUser.userId,
-        scoringRules: document.getElementById('scoringRules').value || null,
-        leagueCode: document.getElementById('leagueCode').value || null
+        scoringRules: preset === 'Custom' ? readScoringFields('create') : preset,
+        leagueCode: document.getElementById('leagueCode').value || null,
+        pickRetention: document.getElementById('pickRetention').value,
+        pickMode: document.getElementById('pickMode').value,
+        pickVisibility: document.getElementById('pickVisibility').value
     };
 
     try {
-        const response = await fetch('/api/league/create', {
+        const response = await apiFetch('/api/league/create', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify(formData)
@@ -524,6 +1113,7 @@ async function handleCreateLeague(e) {
         if (data.success) {
             resultDiv.innerHTML = `<p class="success">✅ ${data.message}<br>League ID: ${data.leagueId}<br>League Code: ${data.leagueCode}</p>`;
             document.getElementById('createLeagueForm').reset();
+            document.getElementById('customScoringFields').style.display = 'none';
             loadUserLeagues();
             setTimeout(() => switchTab('my-leagues'), 1500);
         } else {
@@ -539,14 +1129,14 @@ async function loadUserLeaguesForPicks() {
     if (!currentUser) return;
 
     try {
-        const response = await fetch(`/api/user-leagues/${currentUser.userId}`);
+        const response = await apiFetch('/api/user-leagues');
         const data = await response.json();
 
         if (data.success) {
             const select = document.getElementById('picksLeagueSelect');
             select.innerHTML = '<option value="">-- Select a League --</option>';
             data.data.forEach(league => {
-                select.innerHTML += `<option value="${league.LeagueID}">${escapeHtml(league.Name)}</option>`;
+                select.innerHTML += `<option value="${league.LeagueID}" data-pick-mode="${escapeHtml(league.PickMode || 'standard')}">${escapeHtml(league.Name)}</option>`;
             });
         }
     } catch (error) {
@@ -554,27 +1144,85 @@ async function loadUserLeaguesForPicks() {
     }
 }
 
+// Event selector groups, in display order. Completed cards page in on demand.
+const EVENT_GROUPS = [
+    { status: 'in_progress', label: 'In Progress', order: 'asc', limit: 100 },
+    { status: 'upcoming', label: 'Upcoming', order: 'asc', limit: 100 },
+    { status: 'completed', label: 'Completed', order: 'desc', limit: 25 }
+];
+let completedEventsCursor = null;
+let eventSearchTimer = null;
+
+function eventOption(event) {
+    return `<option value="${event.EventID}" data-date="${event.Date || ''}">${escapeHtml(event.Name)} - ${formatDate(event.Date)}</option>`;
+}
+
+function eventSearchParam() {
+    const search = document.getElementById('picksEventSearch').value.trim();
+    return search ? `&q=${encodeURIComponent(search)}` : '';
+}
+
+// Fill the picks event selector, grouped by status and filtered by the search box
 async function loadEvents() {
+    const select = document.getElementById('picksEventSelect');
+    const moreBtn = document.getElementById('picksMoreEventsBtn');
+    const selected = select.value;
+
     try {
-        const response = await fetch('/api/events');
-        const data = await response.json();
+        const pages = await Promise.all(EVENT_GROUPS.map(group =>
+            fetch(`/api/events?status=${group.status}&order=${group.order}&limit=${group.limit}${eventSearchParam()}`)
+                .then(response => response.json())
+        ));
+
+        let html = '<option value="">-- Select an Event --</option>';
+        let found = 0;
+        EVENT_GROUPS.forEach((group, i) => {
+            const page = pages[i];
+            if (!page.success || page.data.length === 0) return;
+            found += page.data.length;
+            html += `<optgroup label="${group.label}" data-status="${group.status}">${page.data.map(eventOption).join('')}</optgroup>`;
+        });
+        if (found === 0) html = '<option value="">No events match your search</option>';
+        select.innerHTML = html;
 
-        if (data.success) {
-            const select = document.getElementById('picksEventSelect');
-            select.innerHTML = '<option value="">-- Select an Event --</option>';
-            data.data.forEach(event => {
-                select.innerHTML += `<option value="${event.EventID}">${escapeHtml(event.Name)} - ${formatDate(event.Date)}</option>`;
-            });
-        }
+        // Keep the current choice if it is still listed
+        if (selected && [...select.options].some(o => o.value === selected)) select.value = selected;
+
+        const completed = pages[EVENT_GROUPS.length - 1];
+        completedEventsCursor = completed.success ? completed.pagination.nextCursor : null;
+        moreBtn.style.display = completedEventsCursor ? 'inline-block' : 'none';
     } catch (error) {
         console.error('Error loading events:', error);
     }
 }
 
+// Append the next page of completed events to the selector
+async function loadMoreEvents() {
+    if (!completedEventsCursor) return;
+    const moreBtn = document.getElementById('picksMoreEventsBtn');
+
+    try {
+        const response = await fetch(`/api/events?status=completed&order=desc&limit=25&cursor=${encodeURIComponent(completedEventsCursor)}${eventSearchParam()}`);
+        const data = await response.json();
+        if (!data.success) return;
+
+        const group = document.querySelector('#picksEventSelect optgroup[data-status="completed"]');
+        if (group) group.insertAdjacentHTML('beforeend', data.data.map(eventOption).join(''));
+
+        completedEventsCursor = data.pagination.nextCursor;
+        moreBtn.style.display = completedEventsCursor ? 'inline-block' : 'none';
+    } catch (error) {
+        console.error('Error loading more events:', error);
+    }
+}
+
 // Fixed: Generates unique radio group names even if IDs are messy
 async function loadFightsForPicks() {
-    const leagueId = document.getElementById('picksLeagueSelect').value;
-    const eventId = document.getElementById('picksEventSelect').value;
+    const leagueSelect = document.getElementById('picksLeagueSelect');
+    const leagueId = leagueSelect.value;
+    const pickMode = leagueId ? leagueSelect.selectedOptions[0].dataset.pickMode : 'standard';
+    const eventSelect = document.getElementById('picksEventSelect');
+    const eventId = eventSelect.value;
 
     if (!leagueId || !eventId) {
         document.getElementById('picksResult').innerHTML = '<p class="error">Please select both a league and an event.</p>';
@@ -584,49 +1232,17 @@ async function loadFightsForPicks() {
     document.getElementById('picksResult').innerHTML = '<p class="loading">Loading fights...</p>';
 
     try {
-        const response = await fetch(`/api/event/${eventId}/fights`);
-        const data = await response.json();
+        const [fightsRes, lockRes] = await Promise.all([
+            fetch(`/api/event/${eventId}/fights`),
+            fetch(`/api/event/${eventId}/lock`)
+        ]);
+        const data = await fightsRes.json();
+        const lockData = await lockRes.json();
 
         if (data.success) {
-            const container = document.getElementById('fightsContainer');
-            const saveContainer = document.getElementById('savePicksContainer');
-
-            if (data.data.length === 0) {
-                container.innerHTML = '<p class="info">No fights found for this event.</p>';
-                saveContainer.style.display = 'none';
-                return;
-            }
-
-            let html = '<h3>Select Your Picks</h3>';
-            
-            // Use index 'i' to guarantee unique group names
-            data.data.forEach((fight, i) => {
-                // Fallback ID if FightID is missing
-                const safeFightID = fight.FightID || `fight_index_${i}`;
-                
-                html += `
-                    <div class="fight-pick-card">
-                        <h4>${escapeHtml(fight.FighterAName)} vs ${escapeHtml(fight.FighterBName)}</h4>
-                        <p class="fight-info">${escapeHtml(fight.WeightClass || 'N/A')}</p>
-                        <div class="pick-options">
-                            <label class="pick-option">
-                                <input type="radio" name="fight_group_${i}" value="${fight.FighterA_ID}" data-fight-id="${safeFightID}">
-                                <span>${escapeHtml(fight.FighterAName)} (${escapeHtml(fight.FighterARecord || 'N/A')})</span>
-                            </label>
-                            <label class="pick-option">
-                                <input type="radio" name="fight_group_${i}" value="${fight.FighterB_ID}" data-fight-id="${safeFightID}">
-                                <span>${escapeHtml(fight.FighterBName)} (${escapeHtml(fight.FighterBRecord || 'N/A')})</span>
-                            </label>
-                        </div>
-                    </div>
-                `;
-            });
-
-            container.innerHTML = html;
-            saveContainer.style.display = 'block';
-            saveContainer.setAttribute('data-league-id', leagueId);
-            saveContainer.setAttribute('data-event-id', eventId);
-            document.getElementById('picksResult').innerHTML = '';
+            // Tale of the tape compares the fighters as of fight night
+            document.getElementById('fightsContainer').dataset.eventDate = eventSelect.selectedOptions[0].dataset.date || '';
+            displayFightsForPicks(data.data, leagueId, eventId, lockData.success ? lockData.data : null, pickMode);
         } else {
             document.getElementById('picksResult').innerHTML = `<p class="error">❌ ${data.error}</p>`;
         }
@@ -635,32 +1251,69 @@ async function loadFightsForPicks() {
     }
 }
 
-function displayFightsForPicks(fights, leagueId, eventId) {
+function displayFightsForPicks(fights, leagueId, eventId, lock, pickMode = 'standard') {
     const container = document.getElementById('fightsContainer');
     const saveContainer = document.getElementById('savePicksContainer');
 
     if (fights.length === 0) {
         container.innerHTML = '<p class="info">No fights found for this event.</p>';
         saveContainer.style.display = 'none';
+        stopLockCountdown();
         return;
     }
 
-    let html = '<h3>Select Your Picks</h3>';
-    fights.forEach(fight => {
+    const confidenceMode = pickMode === 'confidence';
+    let html = '<div id="picksLockStatus" class="lock-banner"></div>';
+    html += '<h3>Select Your Picks</h3>';
+    if (confidenceMode) {
+        html += `<p class="info">Confidence league: rank each pick from ${fights.length} (most confident) down to 1. ` +
+            'A correct pick scores its points times its confidence. Each number can only be used once.</p>';
+    }
+
+    // Use index 'i' to guarantee unique group names
+    fights.forEach((fight, i) => {
+        // Fallback ID if FightID is missing
+        const safeFightID = fight.FightID || `fight_index_${i}`;
+
+        let roundOptions = '<option value="">Any round</option>';
+        for (let r = 1; r <= (fight.TotalRounds || 3); r++) {
+            roundOptions += `<option value="${r}">Round ${r}</option>`;
+        }
+
         html += `
-            <div class="fight-pick-card">
-                <h4>${escapeHtml(fight.FighterAName)} vs ${escapeHtml(fight.FighterBName)}</h4>
+            <div class="fight-pick-card" data-fight-index="${i}" data-fight-id="${safeFightID}">
+                <h4>${fighterLink(fight.FighterA_ID, fight.FighterAName)} vs ${fighterLink(fight.FighterB_ID, fight.FighterBName)}</h4>
                 <p class="fight-info">${escapeHtml(fight.WeightClass || 'N/A')}</p>
+                ${formatFightEstimate(fight)}
+                <button type="button" class="btn btn-small btn-secondary tape-toggle"
+                        data-fighter-a="${escapeHtml(fight.FighterA_ID)}" data-fighter-b="${escapeHtml(fight.FighterB_ID)}">Tale of the Tape</button>
+                <div class="tale-of-tape" style="display: none;"></div>
                 <div class="pick-options">
                     <label class="pick-option">
-                        <input type="radio" name="fight_${fight.FightID}" value="${fight.FighterA_ID}" data-fight-id="${fight.FightID}">
+                        <input type="radio" name="fight_group_${i}" value="${fight.FighterA_ID}" data-fight-id="${safeFightID}">
                         <span>${escapeHtml(fight.FighterAName)} (${escapeHtml(fight.FighterARecord || 'N/A')})</span>
                     </label>
                     <label class="pick-option">
-                        <input type="radio" name="fight_${fight.FightID}" value="${fight.FighterB_ID}" data-fight-id="${fight.FightID}">
+                        <input type="radio" name="fight_group_${i}" value="${fight.FighterB_ID}" data-fight-id="${safeFightID}">
                         <span>${escapeHtml(fight.FighterBName)} (${escapeHtml(fight.FighterBRecord || 'N/A')})</span>
                     </label>
                 </div>
+                <div class="prediction-options">
+                    <select class="predict-method" title="How does it end? (optional)">
+                        <option value="">Any method</option>
+                        <option value="KO/TKO">KO/TKO</option>
+                        <option value="Submission">Submission</option>
+                        <option value="Decision">Decision</option>
+                    </select>
+                    <select class="predict-round" title="Which round? (optional)">
+                        ${roundOptions}
+                    </select>
+                    ${confidenceMode ? `
+                    <label class="confidence-input" title="Confidence: ${fights.length} = most confident">
+                        Confidence
+                        <input type="number" class="predict-confidence" min="1" max="${fights.length}" step="1">
+                    </label>` : ''}
+                </div>
             </div>
         `;
     });
@@ -670,6 +1323,249 @@ function displayFightsForPicks(fights, leagueId, eventId) {
     saveContainer.setAttribute('data-league-id', leagueId);
     saveContainer.setAttribute('data-event-id', eventId);
     document.getElementById('picksResult').innerHTML = '';
+
+    // A decision goes the distance, so there is no finish round to predict
+    container.querySelectorAll('.predict-method').forEach(select => {
+        select.addEventListener('change', () => {
+            const roundSelect = select.parentElement.querySelector('.predict-round');
+            roundSelect.disabled = select.value === 'Decision';
+            if (roundSelect.disabled) roundSelect.value = '';
+        });
+    });
+    container.querySelectorAll('.predict-confidence').forEach(input => {
+        input.addEventListener('input', checkConfidenceValues);
+    });
+    container.querySelectorAll('.tape-toggle').forEach(button => {
+        button.addEventListener('click', () => toggleTaleOfTheTape(button));
+    });
+
+    startLockCountdown(lock);
+}
+
+// "Pre-fight: 8-1-0 (72%) vs 3-2-0 (28%, underdog)" from the fight history before this card
+function formatFightEstimate(fight) {
+    if (fight.FighterAWinChance === undefined || fight.FighterAWinChance === null) return '';
+    const side = (record, chance, other) => {
+        const percent = Math.round(chance * 100);
+        return `${escapeHtml(record)} (${percent}%${chance < other ? ', underdog' : ''})`;
+    };
+    return `<p class="fight-estimate">Pre-fight: ${side(fight.FighterAPreFightRecord, fight.FighterAWinChance, fight.FighterBWinChance)} vs ` +
+        `${side(fight.FighterBPreFightRecord, fight.FighterBWinChance, fight.FighterAWinChance)}</p>`;
+}
+
+// ==================== TALE OF THE TAPE ====================
+// Expand a fight card into a side-by-side comparison (loaded once, then toggled)
+async function toggleTaleOfTheTape(button) {
+    const panel = button.nextElementSibling;
+    if (panel.style.display !== 'none') {
+        panel.style.display = 'none';
+        return;
+    }
+    panel.style.display = 'block';
+    if (panel.dataset.loaded) return;
+
+    panel.innerHTML = '<p class="loading">Loading comparison...</p>';
+    const params = new URLSearchParams({ a: button.dataset.fighterA, b: button.dataset.fighterB });
+    const eventDate = document.getElementById('fightsContainer').dataset.eventDate;
+    if (eventDate) params.set('asOf', eventDate);
+
+    try {
+        const [compareRes, headToHeadRes] = await Promise.all([
+            fetch(`/api/fighters/compare?${params}`),
+            fetch(`/api/fighters/head-to-head?${params}`)
+        ]);
+        const data = await compareRes.json();
+        const headToHead = await headToHeadRes.json();
+
+        if (!data.success) {
+            panel.innerHTML = `<p class="error">❌ ${data.error}</p>`;
+            return;
+        }
+        panel.innerHTML = renderTaleOfTheTape(data.data) + (headToHead.success ? renderHeadToHead(headToHead.data) : '');
+        panel.dataset.loaded = 'true';
+    } catch (error) {
+        panel.innerHTML = `<p class="error">❌ Error: ${error.message}</p>`;
+    }
+}
+
+function renderTaleOfTheTape(comparison) {
+    const { a, b } = comparison;
+    const measure = (value, unit) => value ? `${value} ${unit}` : 'N/A';
+    const streak = (s) => s ? `${s.count}${s.result[0]}` : '-';
+    const form = (fighter) => fighter.recentForm.length === 0
+        ? '-'
+        : fighter.recentForm.map(f => `<span class="form-${f.result.toLowerCase().replace(' ', '-')}" title="${escapeHtml(`${f.result} vs ${f.opponentName}, ${f.method || ''} (${formatDate(f.date)})`)}">${f.result === 'No Contest' ? 'NC' : f.result[0]}</span>`).join(' ');
+
+    const rows = [
+        ['Record', escapeHtml(a.record.text), escapeHtml(b.record.text)],
+        ['Age', a.age ?? 'N/A', b.age ?? 'N/A'],
+        ['Height', measure(a.height, 'cm'), measure(b.height, 'cm')],
+        ['Reach', measure(a.reach, 'cm'), measure(b.reach, 'cm')],
+        ['Stance', escapeHtml(a.stance || 'N/A'), escapeHtml(b.stance || 'N/A')],
+        ['Streak', streak(a.streak), streak(b.streak)],
+        ['Recent Form', form(a), form(b)]
+    ];
+
+    let html = '<table class="data-table tape-table"><thead><tr>';
+    html += `<th>${fighterLink(a.fighterId, a.name)}</th><th></th><th>${fighterLink(b.fighterId, b.name)}</th>`;
+    html += '</tr></thead><tbody>';
+    rows.forEach(([label, left, right]) => {
+        html += `<tr><td>${left}</td><th>${label}</th><td>${right}</td></tr>`;
+    });
+    html += '</tbody></table>';
+
+    if (comparison.asOf) {
+        html += `<p class="fight-estimate">Record, form and age as of fight night (${formatDate(comparison.asOf)}). Newest results first.</p>`;
+    }
+
+    return html;
+}
+
+// Earlier meetings between the two fighters and how each did against common opponents
+function renderHeadToHead(headToHead) {
+    const { a, b, summary, meetings, commonOpponents } = headToHead;
+    const outcome = (r) => `${r.result}${r.method ? ` - ${escapeHtml(r.method)}` : ''}${r.round ? ` R${r.round}` : ''}`;
+
+    let html = '<h4>Previous Meetings</h4>';
+    if (meetings.length === 0) {
+        html += '<p class="info">These fighters have not met before.</p>';
+    } else {
+        html += `<p>${escapeHtml(a.name)} ${summary.aWins} - ${summary.bWins} ${escapeHtml(b.name)}` +
+            `${summary.draws ? `, ${summary.draws} draw(s)` : ''}${summary.noContests ? `, ${summary.noContests} no contest(s)` : ''}</p>`;
+        html += '<table class="data-table"><thead><tr><th>Date</th><th>Event</th><th>Winner</th><th>Method</th><th>Round</th></tr></thead><tbody>';
+        meetings.forEach(m => {
+            const winner = m.winnerId === a.fighterId ? a.name : m.winnerId === b.fighterId ? b.name : m.result;
+            html += '<tr>';
+            html += `<td>${formatDate(m.date)}</td>`;
+            html += `<td>${eventLink(m.eventId, m.eventName)}${m.titleFight ? ' <span class="title-badge">Title</span>' : ''}</td>`;
+            html += `<td>${escapeHtml(winner)}</td>`;
+            html += `<td>${escapeHtml(m.method || '-')}</td>`;
+            html += `<td>${m.round || '-'}</td>`;
+            html += '</tr>';
+        });
+        html += '</tbody></table>';
+    }
+
+    if (commonOpponents.length > 0) {
+        const results = (list) => list.map(outcome).join('<br>');
+        html += '<h4>Common Opponents</h4><table class="data-table tape-table"><thead><tr>';
+        html += `<th>${escapeHtml(a.name)}</th><th>Opponent</th><th>${escapeHtml(b.name)}</th>`;
+        html += '</tr></thead><tbody>';
+        commonOpponents.forEach(o => {
+            html += `<tr><td>${results(o.a)}</td><th>${fighterLink(o.opponentId, o.opponentName)}</th><td>${results(o.b)}</td></tr>`;
+        });
+        html += '</tbody></table>';
+    }
+    return html;
+}
+
+// Fighter History: head-to-head between the searched fighter and one of their opponents
+async function showHeadToHead(fighterId, opponentId) {
+    const div = document.getElementById('fighterHeadToHead');
+    div.innerHTML = '<p class="loading">Loading head-to-head...</p>';
+
+    try {
+        const params = new URLSearchParams({ a: fighterId, b: opponentId });
+        const response = await fetch(`/api/fighters/head-to-head?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            div.innerHTML = `<p class="error">❌ ${data.error}</p>`;
+            return;
+        }
+        div.innerHTML = `<h3>${fighterLink(data.data.a.fighterId, data.data.a.name)} vs ${fighterLink(data.data.b.fighterId, data.data.b.name)}</h3>` +
+            renderHeadToHead(data.data);
+        div.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        div.innerHTML = `<p class="error">❌ Error: ${error.message}</p>`;
+    }
+}
+
+// Flag confidence values that are out of range or used twice; returns true if all are valid
+function checkConfidenceValues() {
+    const inputs = [...document.querySelectorAll('#fightsContainer .predict-confidence')];
+    const counts = {};
+    inputs.forEach(input => {
+        if (input.value) counts[input.value] = (counts[input.value] || 0) + 1;
+    });
+
+    let valid = true;
+    inputs.forEach(input => {
+        const value = Number(input.value);
+        const bad = input.value !== '' &&
+            (!Number.isInteger(value) || value < 1 || value > inputs.length || counts[input.value] > 1);
+        input.classList.toggle('input-error', bad);
+        if (bad) valid = false;
+    });
+    return valid;
+}
+
+// ==================== PICK LOCK COUNTDOWN ====================
+let lockCountdownTimer = null;
+
+function stopLockCountdown() {
+    if (lockCountdownTimer) {
+        clearInterval(lockCountdownTimer);
+        lockCountdownTimer = null;
+    }
+}
+
+// Show time remaining until the event locks, then flip the card to read-only.
+// The server enforces the lock regardless; this is only for the user's benefit.
+function startLockCountdown(lock) {
+    stopLockCountdown();
+    if (!lock) return;
+
+    // Correct for clock drift between browser and server
+    const offset = new Date(lock.serverTime).getTime() - Date.now();
+    const lockAt = lock.lockTime ? new Date(lock.lockTime).getTime() : null;
+
+    const render = () => {
+        const banner = document.getElementById('picksLockStatus');
+        if (!banner) {
+            stopLockCountdown();
+            return;
+        }
+
+        const remaining = lockAt !== null ? lockAt - (Date.now() + offset) : null;
+        if (lock.locked || (remaining !== null && remaining <= 0)) {
+            const reason = lock.reason === 'results' ? 'results are in' : 'the event has started';
+            banner.className = 'lock-banner locked';
+            banner.innerHTML = `🔒 Picks are locked – ${reason}.`;
+            setPicksLocked(true);
+            stopLockCountdown();
+        } else if (remaining !== null) {
+            banner.className = 'lock-banner';
+            banner.innerHTML = `⏳ Picks lock in <strong>${formatCountdown(remaining)}</strong> (${new Date(lockAt).toLocaleString()})`;
+            setPicksLocked(false);
+        } else {
+            banner.className = 'lock-banner';
+            banner.innerHTML = '';
+            setPicksLocked(false);
+        }
+    };
+
+    render();
+    if (!lock.locked && lockAt !== null) {
+        lockCountdownTimer = setInterval(render, 1000);
+    }
+}
+
+function setPicksLocked(isLocked) {
+    document.querySelectorAll('#fightsContainer input, #fightsContainer select').forEach(input => {
+        input.disabled = isLocked;
+    });
+    document.getElementById('savePicksBtn').style.display = isLocked ? 'none' : '';
+}
+
+function formatCountdown(ms) {
+    const totalSeconds = Math.floor(ms / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor((totalSeconds % 86400) / 3600);
+    const minutes = Math.floor((totalSeconds % 3600) / 60);
+    const seconds = totalSeconds % 60;
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${days > 0 ? `${days}d ` : ''}${pad(hours)}:${pad(minutes)}:${pad(seconds)}`;
 }
 
 // Fixed: Removes parseInt to support string/UUID IDs
@@ -685,15 +1581,24 @@ async function savePicks() {
         return;
     }
 
-    // Collect all picks
+    // Collect all picks (winner plus optional method/round prediction per card)
     const picks = [];
-    const radioButtons = document.querySelectorAll('input[type="radio"]:checked');
+    const cards = document.querySelectorAll('#fightsContainer .fight-pick-card');
     
-    radioButtons.forEach(radio => {
+    cards.forEach(card => {
+        const radio = card.querySelector('input[type="radio"]:checked');
+        if (!radio) return;
+
+        const method = card.querySelector('.predict-method').value;
+        const round = card.querySelector('.predict-round').value;
+        const confidenceInput = card.querySelector('.predict-confidence');
         picks.push({
             // DO NOT use parseInt here. Keep them as strings.
             fightId: radio.getAttribute('data-fight-id'),
-            fighterId: radio.value
+            fighterId: radio.value,
+            method: method || null,
+            round: round ? Number(round) : null,
+            confidence: confidenceInput && confidenceInput.value ? Number(confidenceInput.value) : null
         });
     });
 
@@ -701,15 +1606,19 @@ async function savePicks() {
         alert('Please select at least one pick');
         return;
     }
+    if (!checkConfidenceValues()) {
+        alert('Each confidence value must be a different number between 1 and the number of fights');
+        return;
+    }
 
     document.getElementById('picksResult').innerHTML = '<p class="loading">Saving picks...</p>';
+    cards.forEach(card => card.classList.remove('pick-error'));
 
     try {
-        const response = await fetch('/api/save-picks', {
+        const response = await apiFetch('/api/save-picks', {
             method: 'POST',
             headers: { 'Content-Type': 'application/json' },
             body: JSON.stringify({
-                userId: currentUser.userId,
                 // Keep IDs as strings
                 leagueId: leagueId,
                 eventId: eventId,
@@ -721,6 +1630,19 @@ async function savePicks() {
 
         if (data.success) {
             document.getElementById('picksResult').innerHTML = `<p class="success">✅ ${data.message}</p>`;
+        } else if (data.errors && data.errors.length > 0) {
+            // Per-fight validation errors: flag each card and list what's wrong
+            let html = `<div class="error">❌ ${escapeHtml(data.error)}<ul>`;
+            data.errors.forEach(err => {
+                const card = err.fightId
+                    ? document.querySelector(`#fightsContainer .fight-pick-card[data-fight-id="${CSS.escape(err.fightId)}"]`)
+                    : null;
+                const title = card ? card.querySelector('h4').textContent : `Pick #${(err.index || 0) + 1}`;
+                if (card) card.classList.add('pick-error');
+                html += `<li><strong>${escapeHtml(title)}:</strong> ${escapeHtml(err.error)}</li>`;
+            });
+            html += '</ul></div>';
+            document.getElementById('picksResult').innerHTML = html;
         } else {
             document.getElementById('picksResult').innerHTML = `<p class="error">❌ ${data.error}</p>`;
         }
@@ -734,7 +1656,7 @@ async function loadUserLeaguesForLeaderboard() {
     if (!currentUser) return;
 
     try {
-        const response = await fetch(`/api/user-leagues/${currentUser.userId}`);
+        const response = await apiFetch('/api/user-leagues');
         const data = await response.json();
 
         if (data.success) {
@@ -749,6 +1671,39 @@ async function loadUserLeaguesForLeaderboard() {
     }
 }
 
+// Seasons for the leaderboard's season picker (All Time plus each season, newest first)
+async function loadLeaderboardSeasons(leagueId) {
+    const select = document.getElementById('leaderboardSeasonSelect');
+    select.innerHTML = '<option value="">All Time</option>';
+    if (!leagueId) return;
+
+    try {
+        const response = await apiFetch(`/api/league/${leagueId}/seasons`);
+        const data = await response.json();
+        if (!data.success) return;
+        data.data.forEach(season => {
+            select.innerHTML += `<option value="${season.seasonId}">${escapeHtml(season.name)}${season.status === 'active' ? ' (current)' : ''}</option>`;
+        });
+    } catch (error) {
+        console.error('Error loading seasons:', error);
+    }
+}
+
+function describeSeasonScope(season) {
+    if (season.scope === 'events') return `${season.eventIds.length} event(s)`;
+    return `${formatDate(season.startDate)} – ${season.endDate ? formatDate(season.endDate) : 'open'}`;
+}
+
+// Champion and runner-up for a closed season, or a note that it is still running
+function renderSeasonSummary(season) {
+    if (season.status !== 'closed') {
+        return `<p class="info">${escapeHtml(season.name)} (${describeSeasonScope(season)}) is in progress.</p>`;
+    }
+    const place = (label, entry) => (entry ? `${label} <strong>${escapeHtml(entry.username)}</strong> (${entry.points} pts)` : '');
+    const podium = [place('🏆 Champion:', season.champion), place('🥈 Runner-up:', season.runnerUp)].filter(Boolean).join(' · ');
+    return `<p class="info season-summary">${escapeHtml(season.name)} (${describeSeasonScope(season)}) – final standings, closed ${formatDate(season.closedAt)}${podium ? `<br>${podium}` : ''}</p>`;
+}
+
 async function handleLeaderboard(e) {
     e.preventDefault();
     const leagueId = document.getElementById('leaderboardLeagueSelect').value;
@@ -764,14 +1719,16 @@ async function handleLeaderboard(e) {
     tableDiv.innerHTML = '';
 
     try {
-        const response = await fetch(`/api/leaderboard/${leagueId}`);
+        const seasonId = document.getElementById('leaderboardSeasonSelect').value;
+        const response = await apiFetch(`/api/leaderboard/${leagueId}${seasonId ? `?seasonId=${seasonId}` : ''}`);
         const data = await response.json();
 
         if (data.success) {
             if (data.data.length === 0) {
                 resultDiv.innerHTML = '<p class="info">ℹ️ No members found in this league.</p>';
             } else {
-                resultDiv.innerHTML = `<p class="success">✅ Leaderboard loaded (${data.data.length} members)</p>`;
+                resultDiv.innerHTML = `<p class="success">✅ Leaderboard loaded (${data.data.length} members)</p>` +
+                    (data.season ? renderSeasonSummary(data.season) : '');
                 
                 let tableHTML = `
                     <table class="data-table">
@@ -791,7 +1748,7 @@ async function handleLeaderboard(e) {
                     
                     tableHTML += `
                         <tr ${rowClass}>
-                            <td>#${index + 1}</td>
+                            <td>#${user.Rank || index + 1}</td>
                             <td>
                                 ${escapeHtml(user.Username)} 
                                 ${isMe ? '<span style="font-size:0.8em; color:var(--accent-primary)">(You)</span>' : ''}
@@ -837,12 +1794,12 @@ async function handleFighterHistory(e) {
                 tableDiv.innerHTML = '';
             } else {
                 const fighterInfo = data.fighters.length > 0 
-                    ? `Found ${data.fighters.length} fighter(s): ${data.fighters.map(f => f.Name).join(', ')}`
+                    ? `Found ${data.fighters.length} fighter(s): ${data.fighters.map(f => fighterLink(f.fighter_id, f.name)).join(', ')}`
                     : '';
                 resultDiv.innerHTML = `<p class="success">✅ Found ${data.data.length} fight(s) ${fighterInfo ? '<br>' + fighterInfo : ''}</p>`;
                 
                 let tableHTML = '<table class="data-table"><thead><tr>';
-                tableHTML += '<th>Event Name</th><th>Date</th><th>Location</th><th>Opponent</th><th>Result</th><th>Method</th><th>Round</th>';
+                tableHTML += '<th>Event Name</th><th>Date</th><th>Location</th><th>Opponent</th><th>Result</th><th>Method</th><th>Round</th><th></th>';
                 tableHTML += '</tr></thead><tbody>';
 
                 data.data.forEach(fight => {
@@ -850,10 +1807,13 @@ async function handleFighterHistory(e) {
                     tableHTML += `<td>${escapeHtml(fight.EventName || 'N/A')}</td>`;
                     tableHTML += `<td>${formatDate(fight.EventDate)}</td>`;
                     tableHTML += `<td>${escapeHtml(fight.Location || 'N/A')}</td>`;
-                    tableHTML += `<td>${escapeHtml(fight.Opponent || 'N/A')}</td>`;
+                    tableHTML += `<td>${fight.Opponent ? fighterLink(fight.OpponentID, fight.Opponent) : 'N/A'}</td>`;
                     tableHTML += `<td class="result-${fight.Result.toLowerCase()}">${fight.Result || 'Pending'}</td>`;
                     tableHTML += `<td>${escapeHtml(fight.Method || 'N/A')}</td>`;
                     tableHTML += `<td>${fight.Round || 'N/A'}</td>`;
+                    tableHTML += fight.OpponentID
+                        ? `<td><button type="button" class="btn btn-small btn-secondary" onclick="showHeadToHead('${escapeHtml(fight.FighterID)}', '${escapeHtml(fight.OpponentID)}')">Head-to-Head</button></td>`
+                        : '<td></td>';
                     tableHTML += '</tr>';
                 });
 
@@ -868,7 +1828,484 @@ async function handleFighterHistory(e) {
     }
 }
 
+// ==================== FIGHTER PROFILE ====================
+// Every fighter name in the app is a link to #fighter/<id>
+function fighterLink(fighterId, name) {
+    if (!fighterId) return escapeHtml(name);
+    return `<a href="#fighter/${encodeURIComponent(String(fighterId).trim())}" class="fighter-link">${escapeHtml(name)}</a>`;
+}
+
+function routeFromHash() {
+    if (!currentUser) return;
+    const fighter = location.hash.match(/^#fighter\/(.+)$/);
+    if (fighter) showFighterProfile(decodeURIComponent(fighter[1]));
+    const event = location.hash.match(/^#event\/(.+)$/);
+    if (event) showEventDetail(decodeURIComponent(event[1]));
+}
+
+async function showFighterProfile(fighterId) {
+    document.querySelectorAll('.modal').forEach(modal => modal.style.display = 'none');
+    switchTab('fighter-profile');
+
+    const resultDiv = document.getElementById('fighterProfileResult');
+    const contentDiv = document.getElementById('fighterProfileContent');
+    resultDiv.innerHTML = '<p class="loading">Loading fighter...</p>';
+    contentDiv.innerHTML = '';
+
+    try {
+        const response = await fetch(`/api/fighter/${encodeURIComponent(fighterId)}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            resultDiv.innerHTML = `<p class="error">❌ ${data.error}</p>`;
+            return;
+        }
+        resultDiv.innerHTML = '';
+        contentDiv.innerHTML = renderFighterProfile(data.data);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (error) {
+        resultDiv.innerHTML = `<p class="error">❌ Error: ${error.message}</p>`;
+    }
+}
+
+function renderFighterProfile(profile) {
+    const f = profile.fighter;
+    const streak = profile.streaks.current;
+    const percent = (rate) => `${Math.round(rate * 100)}%`;
+    const statItem = (label, value) => `
+        <div class="stat-item">
+            <span class="label">${label}</span>
+            <span class="value">${value}</span>
+        </div>`;
+
+    let html = `
+        <h2>${escapeHtml(f.name)}${f.nickname ? ` <span class="fighter-nickname">"${escapeHtml(f.nickname)}"</span>` : ''}</h2>
+        <div class="fighter-bio">
+            <p><strong>Nationality:</strong> ${escapeHtml(f.nationality || 'N/A')}</p>
+            <p><strong>Age:</strong> ${f.age !== null ? `${f.age} (born ${formatDate(f.dob)})` : 'N/A'}</p>
+            <p><strong>Height:</strong> ${f.height ? `${f.height} cm` : 'N/A'}</p>
+            <p><strong>Weight:</strong> ${f.weight ? `${f.weight} kg` : 'N/A'}</p>
+            <p><strong>Reach:</strong> ${f.reach ? `${f.reach} cm` : 'N/A'}</p>
+            <p><strong>Stance:</strong> ${escapeHtml(f.stance || 'N/A')}</p>
+            <p><strong>Career Record:</strong> ${escapeHtml(f.careerRecord)} (all promotions)</p>
+        </div>
+        <div class="stats-grid">
+            ${statItem('UFC Record', escapeHtml(profile.record.text))}
+            ${statItem('Current Streak', streak ? `${streak.count}${streak.result[0]}` : '-')}
+            ${statItem('Longest Win Streak', profile.streaks.longestWin)}
+            ${statItem('Finish Rate', percent(profile.finishRate))}
+            ${statItem('Avg Fight Time', formatFightTime(profile.fightTime.averageSeconds))}
+            ${statItem('Title Fights', profile.titleFights.fights > 0 ? escapeHtml(profile.titleFights.text) : '-')}
+        </div>
+    `;
+
+    html += '<h3>How Fights End</h3><table class="data-table"><thead><tr><th>Method</th><th>Wins</th><th>Losses</th></tr></thead><tbody>';
+    profile.winsByMethod.forEach((win, i) => {
+        const loss = profile.lossesByMethod[i];
+        if (win.count === 0 && loss.count === 0) return;
+        html += `<tr><td>${escapeHtml(win.method)}</td>`;
+        html += `<td>${win.count} (${percent(win.rate)})</td>`;
+        html += `<td>${loss.count} (${percent(loss.rate)})</td></tr>`;
+    });
+    html += '</tbody></table>';
+
+    const renderBouts = (title, bouts) => {
+        if (bouts.length === 0) return '';
+        let table = `<h3>${title}</h3><table class="data-table"><thead><tr>`;
+        table += '<th>Date</th><th>Event</th><th>Opponent</th><th>Result</th><th>Method</th><th>Round</th><th>Time</th>';
+        table += '</tr></thead><tbody>';
+        bouts.forEach(bout => {
+            table += '<tr>';
+            table += `<td>${formatDate(bout.date)}</td>`;
+            table += `<td>${eventLink(bout.eventId, bout.eventName)}${bout.titleFight ? ' <span class="title-badge">Title</span>' : ''}</td>`;
+            table += `<td>${fighterLink(bout.opponentId, bout.opponentName)}</td>`;
+            table += `<td class="result-${bout.result.toLowerCase()}">${bout.result}</td>`;
+            table += `<td>${escapeHtml(bout.method || '-')}</td>`;
+            table += `<td>${bout.round || '-'}</td>`;
+            table += `<td>${formatFightTime(bout.seconds)}</td>`;
+            table += '</tr>';
+        });
+        return table + '</tbody></table>';
+    };
+
+    html += renderBouts('Upcoming', profile.upcoming);
+    html += renderBouts('UFC Fights', profile.fights);
+    return html;
+}
+
+// 897 -> "14:57"
+function formatFightTime(seconds) {
+    if (seconds === null || seconds === undefined) return '-';
+    return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+// ==================== EVENT DETAIL ====================
+// Event names link to #event/<id>: the full card with results and, for a chosen
+// league, how its members picked each bout
+function eventLink(eventId, name) {
+    if (!eventId) return escapeHtml(name);
+    return `<a href="#event/${encodeURIComponent(String(eventId).trim())}" class="event-link">${escapeHtml(name)}</a>`;
+}
+
+const EVENT_STATUS_LABELS = { upcoming: 'Upcoming', in_progress: 'In Progress', completed: 'Completed' };
+
+// Fill the league picker once per visit, defaulting to the league chosen on Make Picks
+async function loadEventDetailLeagues() {
+    const select = document.getElementById('eventDetailLeague');
+    if (select.options.length > 1) return;
+
+    try {
+        const response = await apiFetch('/api/user-leagues');
+        const data = await response.json();
+        if (!data.success) return;
+        data.data.forEach(league => {
+            select.innerHTML += `<option value="${league.LeagueID}">${escapeHtml(league.Name)}</option>`;
+        });
+        const picksLeague = document.getElementById('picksLeagueSelect').value;
+        if (picksLeague && [...select.options].some(o => o.value === picksLeague)) select.value = picksLeague;
+    } catch (error) {
+        console.error('Error loading leagues:', error);
+    }
+}
+
+async function showEventDetail(eventId) {
+    document.querySelectorAll('.modal').forEach(modal => modal.style.display = 'none');
+    if (!document.getElementById('event-detail').classList.contains('active')) switchTab('event-detail');
+
+    const resultDiv = document.getElementById('eventDetailResult');
+    const contentDiv = document.getElementById('eventDetailContent');
+    resultDiv.innerHTML = '<p class="loading">Loading event...</p>';
+    contentDiv.innerHTML = '';
+    contentDiv.dataset.eventId = eventId;
+
+    await loadEventDetailLeagues();
+    const leagueId = document.getElementById('eventDetailLeague').value;
+
+    try {
+        const query = leagueId ? `?leagueId=${encodeURIComponent(leagueId)}` : '';
+        const response = await fetch(`/api/event/${encodeURIComponent(eventId)}${query}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            resultDiv.innerHTML = `<p class="error">❌ ${data.error}</p>`;
+            return;
+        }
+        resultDiv.innerHTML = '';
+        contentDiv.innerHTML = renderEventDetail(data.data);
+        window.scrollTo({ top: 0, behavior: 'smooth' });
+    } catch (error) {
+        resultDiv.innerHTML = `<p class="error">❌ Error: ${error.message}</p>`;
+    }
+}
+
+function renderEventDetail(detail) {
+    const { event, league, bouts } = detail;
+    const nameOf = (bout, fighterId) => (fighterId === bout.red.fighterId ? bout.red.name : bout.blue.name);
+
+    let html = `
+        <h2>${escapeHtml(event.name)} <span class="status-badge status-${event.status}">${EVENT_STATUS_LABELS[event.status] || event.status}</span></h2>
+        <div class="fighter-bio">
+            <p><strong>Date:</strong> ${formatDate(event.date)}</p>
+            <p><strong>Location:</strong> ${escapeHtml(event.location || 'N/A')}</p>
+            <p><strong>Results:</strong> ${event.resultCount} of ${event.fightCount} bouts</p>
+            <p><strong>Picks:</strong> ${event.lock.locked ? 'Locked' : `Lock ${event.lock.lockTime ? new Date(event.lock.lockTime).toLocaleString() : 'at the start of fight day'}`}</p>
+        </div>
+    `;
+
+    if (bouts.length === 0) return html + '<p class="info">No bouts on this card yet.</p>';
+    if (league && league.picksHidden) {
+        html += league.pickVisibility === 'never'
+            ? `<p class="info">${escapeHtml(league.name)} keeps members' picks private; only yours are shown.</p>`
+            : `<p class="info">Picks from ${escapeHtml(league.name)} stay hidden until the card locks; only yours are shown.</p>`;
+    }
+
+    html += '<table class="data-table recap-table"><thead><tr><th>#</th><th>Bout</th><th>Division</th><th>Result</th>';
+    if (league) html += `<th>${escapeHtml(league.name)} Picks</th>`;
+    html += '</tr></thead><tbody>';
+
+    bouts.forEach(bout => {
+        const r = bout.result;
+        const corner = (side) => {
+            const link = fighterLink(side.fighterId, side.name);
+            return r && r.winnerId === side.fighterId ? `<strong>${link}</strong>` : link;
+        };
+
+        let result = '<span class="result-pending">Pending</span>';
+        if (r) {
+            const finish = [r.method, r.round ? `R${r.round}` : null, r.timeSec !== null ? formatFightTime(r.timeSec) : null].filter(Boolean).join(', ');
+            const outcome = r.outcome === 'win'
+                ? `<span class="result-win">${escapeHtml(nameOf(bout, r.winnerId))}</span>`
+                : `<span class="result-draw">${r.outcome === 'draw' ? 'Draw' : 'No Contest'}</span>`;
+            result = `${outcome}<br><small>${escapeHtml(finish)}</small>`;
+        }
+
+        html += '<tr>';
+        html += `<td>${bout.position === 1 ? 'Main' : bout.position}</td>`;
+        html += `<td>${corner(bout.red)} vs ${corner(bout.blue)}${bout.titleFight ? ' <span class="title-badge">Title</span>' : ''}<br><small>${bout.scheduledRounds} rounds</small></td>`;
+        html += `<td>${escapeHtml(toTitleCase(bout.division || 'Catchweight'))}</td>`;
+        html += `<td>${result}</td>`;
+        if (league) {
+            if (bout.picks.length === 0) {
+                html += '<td>-</td>';
+            } else {
+                const contrarian = bout.consensus ? bout.consensus.contrarianHits.map(hit => String(hit.userId)) : [];
+                html += '<td>';
+                if (bout.consensus) html += renderConsensusBar(bout.red.name, bout.blue.name, bout.consensus);
+                html += '<ul class="recap-picks">';
+                bout.picks.forEach(p => {
+                    const cls = p.correct === null ? '' : p.correct ? ' class="pick-correct"' : ' class="pick-wrong"';
+                    const star = contrarian.includes(String(p.userId)) ? ' <span class="contrarian-hit" title="Contrarian pick that hit">★</span>' : '';
+                    html += `<li${cls}>${escapeHtml(p.username)}: ${escapeHtml(nameOf(bout, p.fighterId))}${p.points > 0 ? ` <span class="points">+${p.points}</span>` : ''}${star}</li>`;
+                });
+                html += '</ul></td>';
+            }
+        }
+        html += '</tr>';
+    });
+
+    return html + '</tbody></table>';
+}
+
+// ==================== PICK CONSENSUS ====================
+// How a league split on each bout, shown once picks lock (event page and league details)
+
+// Two-tone bar: red corner's share on the left, blue's on the right
+function renderConsensusBar(redName, blueName, split) {
+    if (split.totalPicks === 0) return '<small>No picks</small>';
+    return `
+        <div class="consensus-bar" title="${split.totalPicks} pick(s)">
+            <div class="consensus-red" style="width: ${split.red.percent}%"></div>
+            <div class="consensus-blue" style="width: ${split.blue.percent}%"></div>
+        </div>
+        <small>${escapeHtml(redName)} ${split.red.percent}% · ${escapeHtml(blueName)} ${split.blue.percent}%</small>`;
+}
+
+// Fill the league modal's consensus picker with the league's locked events
+async function loadLeagueConsensus(leagueId) {
+    const container = document.getElementById('modalLeagueConsensus');
+    container.innerHTML = '';
+
+    try {
+        const response = await apiFetch(`/api/league/${leagueId}/consensus`);
+        const data = await response.json();
+        if (!data.success || data.data.length === 0) return;
+
+        let html = '<h3>Pick Consensus</h3><div class="form-group"><select id="consensusEventSelect">';
+        data.data.forEach(event => {
+            html += `<option value="${event.EventID}">${escapeHtml(event.Name)} - ${formatDate(event.Date)}</option>`;
+        });
+        html += '</select></div><div id="consensusContent"></div>';
+        container.innerHTML = html;
+
+        const select = document.getElementById('consensusEventSelect');
+        select.addEventListener('change', () => showLeagueConsensus(leagueId, select.value));
+        showLeagueConsensus(leagueId, select.value);
+    } catch (error) {
+        console.error('Error loading pick consensus:', error);
+    }
+}
+
+async function showLeagueConsensus(leagueId, eventId) {
+    const content = document.getElementById('consensusContent');
+    content.innerHTML = '<p class="loading">Loading picks...</p>';
+
+    try {
+        const response = await apiFetch(`/api/league/${leagueId}/consensus/${encodeURIComponent(eventId)}`);
+        const data = await response.json();
+        if (!data.success) {
+            content.innerHTML = `<p class="error">❌ ${data.error}</p>`;
+            return;
+        }
+        content.innerHTML = renderLeagueConsensus(data.data);
+    } catch (error) {
+        content.innerHTML = `<p class="error">❌ Error: ${error.message}</p>`;
+    }
+}
+
+function renderLeagueConsensus(consensus) {
+    const members = (side) => side.members.map(m => {
+        const cls = m.correct === null ? '' : m.correct ? 'pick-correct' : 'pick-wrong';
+        return `<span class="${cls}">${escapeHtml(m.username)}</span>`;
+    }).join(', ') || '-';
+
+    let html = `<p>${eventLink(consensus.event.eventId, consensus.event.name)} · ★ marks a pick on the less popular corner that hit</p>`;
+    html += '<table class="data-table consensus-table"><thead><tr><th>Bout</th><th>League Split</th><th>Picked Red</th><th>Picked Blue</th><th>Contrarian Hits</th></tr></thead><tbody>';
+    consensus.bouts.forEach(bout => {
+        const winner = (side) => (bout.result && bout.result.winnerId === side.fighterId ? `<strong>${escapeHtml(side.name)}</strong>` : escapeHtml(side.name));
+        html += '<tr>';
+        html += `<td>${winner(bout.red)} vs ${winner(bout.blue)}${bout.titleFight ? ' <span class="title-badge">Title</span>' : ''}</td>`;
+        html += `<td>${renderConsensusBar(bout.red.name, bout.blue.name, bout)}</td>`;
+        html += `<td>${members(bout.red)}</td>`;
+        html += `<td>${members(bout.blue)}</td>`;
+        html += `<td>${bout.contrarianHits.map(hit => `<span class="contrarian-hit">★</span> ${escapeHtml(hit.username)}`).join('<br>') || '-'}</td>`;
+        html += '</tr>';
+    });
+    return html + '</tbody></table>';
+}
+
+// ==================== RANKINGS ====================
+// Fill the division and "as of event" selects once, then show the current rankings
+async function loadRankingFilters() {
+    const divisionSelect = document.getElementById('rankingsDivision');
+    const eventSelect = document.getElementById('rankingsEvent');
+
+    if (divisionSelect.options.length <= 1) {
+        try {
+            const [divisionsRes, eventsRes] = await Promise.all([
+                fetch('/api/rankings/divisions'),
+                fetch('/api/events?status=completed&limit=100')
+            ]);
+            const divisions = await divisionsRes.json();
+            const events = await eventsRes.json();
+
+            if (divisions.success) {
+                divisions.data.forEach(division => {
+                    divisionSelect.innerHTML += `<option value="${escapeHtml(division)}">${escapeHtml(toTitleCase(division))}</option>`;
+                });
+            }
+            if (events.success) {
+                events.data.forEach(event => {
+                    eventSelect.innerHTML += `<option value="${event.EventID}">${escapeHtml(event.Name)} - ${formatDate(event.Date)}</option>`;
+                });
+            }
+        } catch (error) {
+            console.error('Error loading ranking filters:', error);
+        }
+    }
+
+    loadRankings();
+}
+
+function handleRankings(e) {
+    e.preventDefault();
+    loadRankings();
+}
+
+// Query string for the chosen division and as-of point (an event wins over a date)
+function rankingsQuery() {
+    const params = new URLSearchParams();
+    const division = document.getElementById('rankingsDivision').value;
+    const eventId = document.getElementById('rankingsEvent').value;
+    const asOf = document.getElementById('rankingsDate').value;
+
+    if (division) params.set('division', division);
+    if (eventId) params.set('event', eventId);
+    else if (asOf) params.set('asOf', asOf);
+    return params;
+}
+
+async function loadRankings() {
+    const resultDiv = document.getElementById('rankingsResult');
+    const tableDiv = document.getElementById('rankingsTable');
+    resultDiv.innerHTML = '<p class="loading">Loading rankings...</p>';
+    tableDiv.innerHTML = '';
+    document.getElementById('ratingHistory').innerHTML = '';
+
+    try {
+        const response = await fetch(`/api/rankings?${rankingsQuery()}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            resultDiv.innerHTML = `<p class="error">❌ ${data.error}</p>`;
+            return;
+        }
+
+        const { asOf, event, divisions } = data.data;
+        const asOfLabel = event ? `after ${escapeHtml(event.eventName)}` : `as of ${formatDate(asOf)}`;
+        resultDiv.innerHTML = `<p class="info">ℹ️ Rankings ${asOfLabel}. Click a fighter to see their rating history.</p>`;
+
+        let html = '';
+        divisions.forEach(division => {
+            html += `<h3 class="rankings-division">${escapeHtml(division.division)}</h3>`;
+            if (division.fighters.length === 0) {
+                html += '<p class="info">No active ranked fighters.</p>';
+                return;
+            }
+            html += '<table class="data-table"><thead><tr>';
+            html += '<th>Rank</th><th>Fighter</th><th>Rating</th><th>Peak</th><th>Record</th><th>Last Fight</th>';
+            html += '</tr></thead><tbody>';
+            division.fighters.forEach(fighter => {
+                html += `<tr class="ranking-row" data-fighter-id="${escapeHtml(fighter.fighterId)}">`;
+                html += `<td>${fighter.rank}</td>`;
+                html += `<td>${fighterLink(fighter.fighterId, fighter.name)}</td>`;
+                html += `<td>${fighter.rating}</td>`;
+                html += `<td>${fighter.peak}</td>`;
+                html += `<td>${fighter.record}</td>`;
+                html += `<td>${formatDate(fighter.lastFightDate)}</td>`;
+                html += '</tr>';
+            });
+            html += '</tbody></table>';
+        });
+        tableDiv.innerHTML = html;
+
+        tableDiv.querySelectorAll('.ranking-row').forEach(row => {
+            row.addEventListener('click', () => showRatingHistory(row.dataset.fighterId));
+        });
+    } catch (error) {
+        resultDiv.innerHTML = `<p class="error">❌ Error: ${error.message}</p>`;
+    }
+}
+
+// Bout-by-bout rating changes for one fighter, up to the same as-of point
+async function showRatingHistory(fighterId) {
+    const historyDiv = document.getElementById('ratingHistory');
+    historyDiv.innerHTML = '<p class="loading">Loading rating history...</p>';
+
+    const params = rankingsQuery();
+    params.delete('division');
+
+    try {
+        const response = await fetch(`/api/ratings/fighter/${encodeURIComponent(fighterId)}?${params}`);
+        const data = await response.json();
+
+        if (!data.success) {
+            historyDiv.innerHTML = `<p class="error">❌ ${data.error}</p>`;
+            return;
+        }
+
+        const fighter = data.data.fighter;
+        let html = `<h3>${fighterLink(fighter.fighterId, fighter.name)} - Rating ${fighter.rating} (peak ${fighter.peak}, ${fighter.record})</h3>`;
+        html += '<table class="data-table"><thead><tr>';
+        html += '<th>Date</th><th>Event</th><th>Opponent</th><th>Result</th><th>Rating</th><th>Change</th>';
+        html += '</tr></thead><tbody>';
+
+        // Newest first
+        fighter.history.slice().reverse().forEach(entry => {
+            const change = entry.after - entry.before;
+            html += '<tr>';
+            html += `<td>${formatDate(entry.date)}</td>`;
+            html += `<td>${entry.eventName ? eventLink(entry.eventId, entry.eventName) : 'N/A'}</td>`;
+            html += `<td>${entry.opponentName ? fighterLink(entry.opponentId, entry.opponentName) : 'N/A'}</td>`;
+            html += `<td class="result-${entry.result.toLowerCase()}">${entry.result}</td>`;
+            html += `<td>${entry.before} → ${entry.after}</td>`;
+            html += `<td class="${change >= 0 ? 'rating-up' : 'rating-down'}">${change >= 0 ? '+' : ''}${change}</td>`;
+            html += '</tr>';
+        });
+
+        html += '</tbody></table>';
+        historyDiv.innerHTML = html;
+        historyDiv.scrollIntoView({ behavior: 'smooth' });
+    } catch (error) {
+        historyDiv.innerHTML = `<p class="error">❌ Error: ${error.message}</p>`;
+    }
+}
+
+// "women's flyweight" -> "Women's Flyweight"
+function toTitleCase(text) {
+    return text.replace(/(^|\s)\w/g, c => c.toUpperCase());
+}
+
 // ==================== UTILITY FUNCTIONS ====================
+// fetch() for authenticated endpoints: drops back to the login screen
+// when the server says the session is missing or expired
+async function apiFetch(url, options) {
+    const response = await fetch(url, options);
+    if (response.status === 401 && currentUser) {
+        clearUser();
+    }
+    return response;
+}
+
 function clearResults() {
     document.querySelectorAll('.result').forEach(el => el.innerHTML = '');
     document.querySelectorAll('.table-container').forEach(el => el.innerHTML = '');
@@ -881,10 +2318,22 @@ function escapeHtml(text) {
     return div.innerHTML;
 }
 
+// "KO/TKO in R2", "Decision", or "-" when no prediction was made, plus the confidence if set
+function formatPrediction(pick) {
+    if (!pick.PredictedMethod && !pick.PredictedRound && !pick.Confidence) return '-';
+    const parts = [];
+    if (pick.PredictedMethod) parts.push(pick.PredictedMethod);
+    if (pick.PredictedRound) parts.push(`${pick.PredictedMethod ? 'in ' : ''}R${pick.PredictedRound}`);
+    if (pick.Confidence) parts.push(`(confidence ${pick.Confidence})`);
+    return parts.join(' ');
+}
+
 function formatDate(dateString) {
     if (!dateString) return 'N/A';
     try {
-        const date = new Date(dateString);
+        // Plain 'YYYY-MM-DD' dates are calendar days, not UTC midnight
+        const dayOnly = /^\d{4}-\d{2}-\d{2}$/.test(dateString);
+        const date = new Date(dayOnly ? `${dateString}T00:00:00` : dateString);
         return date.toLocaleDateString('en-US', { year: 'numeric', month: 'short', day: 'numeric' });
     } catch (e) {
         return dateString;
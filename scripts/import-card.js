@@ -0,0 +1,79 @@
+#!/usr/bin/env node
+// ==================== BULK CARD / RESULTS IMPORT ====================
+// Usage:
+//   node scripts/import-card.js <file> [<file> ...] [--table event|fighter|fight|fight_stat] [--dry-run]
+//
+// Files may be JSON ({ "events": [], "fighters": [], "fights": [], "fightStats": [] }
+// or a bare array with --table) or CSV (one table per file; the table is taken
+// from --table, or guessed from the header row). Columns match the dump's
+// event / fighter / fight tables and fight_stat (per-round stats). All files
+// are imported in one transaction: any error rolls everything back.
+const fs = require('fs');
+const { createPool } = require('../db/pool');
+const importer = require('../services/importer');
+
+function parseArgs(argv) {
+    const args = { files: [], table: null, dryRun: false };
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--dry-run') args.dryRun = true;
+        else if (argv[i] === '--table') args.table = argv[++i];
+        else if (argv[i].startsWith('--table=')) args.table = argv[i].slice('--table='.length);
+        else args.files.push(argv[i]);
+    }
+    return args;
+}
+
+// Read every file into one { events, fighters, fights, fightStats } input
+function loadInput(files, table) {
+    const input = { events: [], fighters: [], fights: [], fightStats: [] };
+
+    for (const file of files) {
+        const data = importer.parseInputFile(file, fs.readFileSync(file, 'utf8'), table);
+        input.events.push(...data.events);
+        input.fighters.push(...data.fighters);
+        input.fights.push(...data.fights);
+        input.fightStats.push(...data.fightStats);
+    }
+    return input;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (args.files.length === 0) {
+        console.error('Usage: node scripts/import-card.js <file.csv|file.json> [...] [--table event|fighter|fight|fight_stat] [--dry-run]');
+        process.exit(1);
+    }
+    if (args.table && !importer.TABLES[args.table]) {
+        console.error(`❌ Unknown table "${args.table}". Expected event, fighter, fight or fight_stat.`);
+        process.exit(1);
+    }
+
+    const input = loadInput(args.files, args.table);
+    const pool = createPool();
+    const connection = await pool.getConnection();
+
+    try {
+        const { plan, applied, changedEvents } = await importer.runImport(connection, input, { dryRun: args.dryRun });
+        console.log(importer.formatReport(plan));
+
+        if (plan.errors.length > 0) {
+            console.error('❌ Import aborted - fix the errors above. Nothing was written.');
+            process.exitCode = 1;
+        } else if (!applied) {
+            console.log('ℹ️  Dry run - nothing was written.');
+        } else {
+            console.log(`✅ Import complete (${changedEvents.length} event(s) re-scored)`);
+        }
+    } catch (error) {
+        console.error('❌ Import failed, all changes rolled back:', error.message);
+        process.exitCode = 1;
+    } finally {
+        connection.release();
+        await pool.end();
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
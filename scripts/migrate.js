@@ -0,0 +1,55 @@
+#!/usr/bin/env node
+// ==================== DATABASE MIGRATIONS ====================
+// Usage:
+//   node scripts/migrate.js up       apply pending migrations
+//   node scripts/migrate.js status   list applied / pending migrations
+//   node scripts/migrate.js seed     load Dump.zip data into empty tables
+//   node scripts/migrate.js setup    up, then seed (fresh local databases)
+const { createPool } = require('../db/pool');
+const migrator = require('../db/migrator');
+const { seedDatabase } = require('../db/seed');
+
+async function main() {
+    const command = process.argv[2] || 'status';
+    if (!['up', 'status', 'seed', 'setup'].includes(command)) {
+        console.error('Usage: node scripts/migrate.js up|status|seed|setup');
+        process.exit(1);
+    }
+
+    const pool = createPool();
+    const connection = await pool.getConnection();
+
+    try {
+        if (command === 'setup') {
+            await migrator.migrateUp(connection);
+            await seedDatabase(connection);
+            console.log(`✅ ${pool.description} is ready`);
+        } else if (command === 'up') {
+            const ran = await migrator.migrateUp(connection);
+            console.log(ran.length > 0 ? `✅ Applied ${ran.length} migration(s)` : '✅ Database is up to date');
+        } else if (command === 'status') {
+            const status = await migrator.getStatus(connection);
+            status.forEach(m => {
+                console.log(`${m.applied ? '✅' : '⏳'} ${m.name}${m.applied ? '' : '  (pending)'}`);
+            });
+        } else {
+            const pending = (await migrator.getStatus(connection)).filter(m => !m.applied);
+            if (pending.length > 0) {
+                throw new Error(`${pending.length} pending migration(s). Run "npm run migrate" first.`);
+            }
+            await seedDatabase(connection);
+            console.log('✅ Seed complete');
+        }
+    } catch (error) {
+        console.error('❌ Migration error:', error.message);
+        process.exitCode = 1;
+    } finally {
+        connection.release();
+        await pool.end();
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
@@ -0,0 +1,80 @@
+#!/usr/bin/env node
+// ==================== RE-SCORE / AUDIT ====================
+// Usage:
+//   node scripts/rescore.js [--league <id>] [--event <id>] [--from YYYY-MM-DD] [--to YYYY-MM-DD]
+//                           [--reason "<text>"] [--dry-run]
+//
+// Recomputes Pick.PointsEarned for the picks in scope and prints every pick
+// whose points changed (old -> new, and why). Changes are recorded in
+// pick_score_history with the reason. --dry-run prints the report only.
+const { createPool } = require('../db/pool');
+const { normalizeEventDate } = require('../services/cards');
+const scoring = require('../services/scoring');
+
+const USAGE = 'Usage: node scripts/rescore.js [--league <id>] [--event <id>] [--from YYYY-MM-DD] [--to YYYY-MM-DD] [--reason "<text>"] [--dry-run]';
+
+function parseArgs(argv) {
+    const args = { leagueId: null, eventId: null, from: null, to: null, reason: 'Admin re-score', dryRun: false };
+    const options = { '--league': 'leagueId', '--event': 'eventId', '--from': 'from', '--to': 'to', '--reason': 'reason' };
+
+    for (let i = 0; i < argv.length; i++) {
+        const [flag, inline] = argv[i].split(/=(.*)/s);
+        if (flag === '--dry-run') args.dryRun = true;
+        else if (options[flag]) args[options[flag]] = inline !== undefined ? inline : argv[++i];
+        else throw new Error(`Unknown argument "${argv[i]}"`);
+    }
+    return args;
+}
+
+async function main() {
+    const args = parseArgs(process.argv.slice(2));
+    if (!args.leagueId && !args.eventId && !args.from && !args.to) {
+        console.error(USAGE);
+        process.exit(1);
+    }
+
+    const from = args.from ? normalizeEventDate(args.from) : null;
+    const to = args.to ? normalizeEventDate(args.to) : null;
+    if ((args.from && !from) || (args.to && !to)) {
+        console.error('❌ --from and --to must be dates (YYYY-MM-DD)');
+        process.exit(1);
+    }
+
+    const pool = createPool();
+    const connection = await pool.getConnection();
+
+    try {
+        await connection.beginTransaction();
+
+        const summary = await scoring.rescore(connection, {
+            leagueId: args.leagueId,
+            eventId: args.eventId,
+            from,
+            to,
+            dryRun: args.dryRun,
+            reason: args.reason
+        });
+        console.log(scoring.formatRescoreReport(summary));
+
+        if (args.dryRun) {
+            await connection.rollback();
+            console.log('ℹ️  Dry run - nothing was written.');
+            return;
+        }
+
+        await connection.commit();
+        console.log(`✅ Re-score complete (${summary.picksUpdated} pick(s) changed)`);
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        console.error('❌ Re-score failed, all changes rolled back:', error.message);
+        process.exitCode = 1;
+    } finally {
+        connection.release();
+        await pool.end();
+    }
+}
+
+main().catch(error => {
+    console.error('❌', error.message);
+    process.exit(1);
+});
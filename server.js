@@ -1,10 +1,28 @@
 require('dotenv').config();
 const express = require('express');
-const mysql = require('mysql2/promise');
 const cors = require('cors');
 const bodyParser = require('body-parser');
+const cookieParser = require('cookie-parser');
+const crypto = require('crypto');
 const path = require('path');
+const { createPool } = require('./db/pool');
+const migrator = require('./db/migrator');
+const { listColumns } = require('./db/schema');
+const repos = require('./db/repositories');
 const bcrypt = require('bcrypt');
+const scoring = require('./services/scoring');
+const auth = require('./services/auth');
+const locks = require('./services/locks');
+const pickService = require('./services/picks');
+const permissions = require('./services/permissions');
+const leagueService = require('./services/leagues');
+const cards = require('./services/cards');
+const strength = require('./services/strength');
+const ratings = require('./services/ratings');
+const fighterService = require('./services/fighters');
+const fightStats = require('./services/fightStats');
+const eventService = require('./services/events');
+const seasons = require('./services/seasons');
 
 const app = express();
 // Ensure PORT is not MySQL port (3306) - default to 3000 for HTTP server
@@ -14,83 +32,40 @@ if (PORT === 3306) {
     PORT = 3000;
 }
 
+// Secret used to sign session cookies
+let SESSION_SECRET = process.env.SESSION_SECRET;
+if (!SESSION_SECRET) {
+    console.warn('⚠️  SESSION_SECRET is not set. Using a random secret - sessions will not survive a restart.');
+    SESSION_SECRET = crypto.randomBytes(32).toString('hex');
+}
+
 // Middleware
 app.use(cors());
 app.use(bodyParser.json());
 app.use(bodyParser.urlencoded({ extended: true }));
+app.use(cookieParser(SESSION_SECRET));
 app.use(express.static('public'));
 
-// Database connection pool
-const pool = mysql.createPool({
-    host: process.env.DB_HOST || 'localhost',
-    user: process.env.DB_USER || 'root',
-    password: process.env.DB_PASSWORD || '',
-    database: process.env.DB_NAME || 'ufc_fantasy_db',
-    waitForConnections: true,
-    connectionLimit: 10,
-    queueLimit: 0
-});
+// Database connection pool (MySQL, or SQLite with DB_CLIENT=sqlite)
+const pool = createPool();
 
-// Database initialization - check and fix AUTO_INCREMENT
-async function initializeDatabase() {
-    try {
-        const connection = await pool.getConnection();
-        
-        // Fix all INT primary keys that should have AUTO_INCREMENT
-        // Note: Using lowercase table names to match actual database
-        const tablesToFix = [
-            { table: 'user', column: 'UserID' },
-            { table: 'league', column: 'LeagueID' },
-            { table: 'pick', column: 'PickID' }
-        ];
-        
-        for (const { table, column } of tablesToFix) {
-            const [columns] = await connection.execute(
-                `SELECT COLUMN_NAME, DATA_TYPE, EXTRA 
-                 FROM INFORMATION_SCHEMA.COLUMNS 
-                 WHERE TABLE_SCHEMA = ? 
-                 AND TABLE_NAME = ? 
-                 AND COLUMN_NAME = ?`,
-                [process.env.DB_NAME || 'ufc_fantasy_db', table, column]
-            );
-            
-            if (columns.length > 0) {
-                const col = columns[0];
-                if (col.DATA_TYPE === 'int' && (!col.EXTRA || !col.EXTRA.includes('auto_increment'))) {
-                    console.log(`⚠️  ${table}.${column} missing AUTO_INCREMENT. Attempting to fix...`);
-                    try {
-                        // Temporarily disable foreign key checks to allow column modification
-                        await connection.execute('SET FOREIGN_KEY_CHECKS = 0');
-                        await connection.execute(`ALTER TABLE ${table} MODIFY ${column} INT AUTO_INCREMENT`);
-                        await connection.execute('SET FOREIGN_KEY_CHECKS = 1');
-                        console.log(`✅ Fixed ${table}.${column} AUTO_INCREMENT`);
-                    } catch (alterError) {
-                        // Re-enable foreign key checks in case of error
-                        await connection.execute('SET FOREIGN_KEY_CHECKS = 1').catch(() => {});
-                        console.warn(`⚠️  Could not automatically fix ${table}.${column} AUTO_INCREMENT:`, alterError.message);
-                        console.warn(`   This is not critical - the server will still work.`);
-                        console.warn(`   To fix manually, run: ALTER TABLE ${table} MODIFY ${column} INT AUTO_INCREMENT;`);
-                    }
-                }
-            }
-        }
-        
-        connection.release();
-    } catch (error) {
-        console.warn('⚠️  Database initialization warning:', error.message);
-        console.warn('   Server will continue to run. Some features may require manual database setup.');
-    }
-}
+// Resolve the logged-in user (req.user) for every API request
+app.use('/api', auth.resolveSession(pool));
 
-// Test database connection and initialize (non-blocking)
+// Test database connection and report pending migrations (non-blocking)
 pool.getConnection()
     .then(async (connection) => {
         console.log('✅ Database connected successfully!');
+        try {
+            const pending = (await migrator.getStatus(connection)).filter(m => !m.applied);
+            if (pending.length > 0) {
+                console.warn(`⚠️  ${pending.length} pending migration(s): ${pending.map(m => m.name).join(', ')}`);
+                console.warn('   Run "npm run migrate" - some features will fail until then.');
+            }
+        } catch (error) {
+            console.warn('⚠️  Could not check migrations:', error.message);
+        }
         connection.release();
-        // Run initialization in background - don't block server startup
-        initializeDatabase().catch(err => {
-            console.warn('⚠️  Database initialization completed with warnings (server still running)');
-        });
     })
     .catch(err => {
         console.error('❌ Database connection error:', err.message);
@@ -117,17 +92,14 @@ app.post('/api/register', async (req, res) => {
         const saltRounds = 10;
         const passwordHash = await bcrypt.hash(password, saltRounds);
         
-        const [result] = await connection.execute(
-            'INSERT INTO user (Username, Email, PasswordHash, RegistrationDate) VALUES (?, ?, ?, CURDATE())',
-            [username, email, passwordHash]
-        );
+        const userId = await repos.users.create(connection, { username, email, passwordHash });
         connection.release();
         
-        console.log(`✅ User registered: ${username} (ID: ${result.insertId})`);
+        console.log(`✅ User registered: ${username} (ID: ${userId})`);
         res.json({ 
             success: true, 
             message: 'User registered successfully',
-            userId: result.insertId,
+            userId: userId,
             username: username
         });
     } catch (error) {
@@ -140,7 +112,7 @@ app.post('/api/register', async (req, res) => {
         } else if (error.code === 'ER_BAD_NULL_ERROR' || error.message.includes("doesn't have a default value") || error.message.includes('cannot be null')) {
             res.status(500).json({ 
                 success: false, 
-                error: 'Database configuration error: UserID column may not have AUTO_INCREMENT set. Please run: ALTER TABLE user MODIFY UserID INT AUTO_INCREMENT;' 
+                error: 'Database configuration error: UserID column may not have AUTO_INCREMENT set. Please run: npm run migrate' 
             });
         } else {
             res.status(500).json({ 
@@ -164,36 +136,40 @@ app.post('/api/login', async (req, res) => {
 
     try {
         const connection = await pool.getConnection();
-        const [users] = await connection.execute(
-            'SELECT UserID, Username, Email, PasswordHash FROM user WHERE Username = ?',
-            [username]
-        );
-        connection.release();
+        const user = await repos.users.findByUsername(connection, username);
         
-        if (users.length === 0) {
+        if (!user) {
+            connection.release();
             return res.status(401).json({ 
                 success: false, 
                 error: 'Invalid username or password' 
             });
         }
         
-        const user = users[0];
         const passwordMatch = await bcrypt.compare(password, user.PasswordHash);
         
         if (!passwordMatch) {
+            connection.release();
             return res.status(401).json({ 
                 success: false, 
                 error: 'Invalid username or password' 
             });
         }
         
+        // Issue a session token (cookie for the browser, token for API clients)
+        const session = await auth.createSession(connection, user.UserID);
+        connection.release();
+        auth.setSessionCookie(res, session.token, session.expiresAt);
+        
         console.log(`✅ User logged in: ${username} (ID: ${user.UserID})`);
         res.json({ 
             success: true, 
             message: 'Login successful',
             userId: user.UserID,
             username: user.Username,
-            email: user.Email
+            email: user.Email,
+            token: session.token,
+            expiresAt: session.expiresAt
         });
     } catch (error) {
         console.error('❌ Login error:', error.message);
@@ -204,14 +180,84 @@ app.post('/api/login', async (req, res) => {
     }
 });
 
+// 1c. Logout (destroy the current session)
+app.post('/api/logout', async (req, res) => {
+    try {
+        if (req.sessionToken) {
+            const connection = await pool.getConnection();
+            await auth.destroySession(connection, req.sessionToken);
+            connection.release();
+        }
+        auth.clearSessionCookie(res);
+        
+        res.json({ 
+            success: true, 
+            message: 'Logged out' 
+        });
+    } catch (error) {
+        console.error('❌ Logout error:', error.message);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// 1d. Current user (used by the frontend to restore a session)
+app.get('/api/me', auth.requireAuth, (req, res) => {
+    res.json({ 
+        success: true, 
+        userId: req.user.userId,
+        username: req.user.username,
+        email: req.user.email,
+        isAdmin: req.user.isAdmin
+    });
+});
+
 // 2. Create League (INSERT)
-app.post('/api/league/create', async (req, res) => {
-    const { name, ownerID, scoringRules, leagueCode } = req.body;
+app.post('/api/league/create', auth.requireAuth, async (req, res) => {
+    const { name, scoringRules, leagueCode } = req.body;
+    const ownerID = req.user.userId;
+    const pickRetention = req.body.pickRetention
+        ? leagueService.normalizePickRetention(req.body.pickRetention)
+        : leagueService.DEFAULT_PICK_RETENTION;
+    const pickMode = req.body.pickMode
+        ? leagueService.normalizePickMode(req.body.pickMode)
+        : leagueService.DEFAULT_PICK_MODE;
+    const pickVisibility = req.body.pickVisibility
+        ? leagueService.normalizePickVisibility(req.body.pickVisibility)
+        : leagueService.DEFAULT_PICK_VISIBILITY;
     
-    if (!name || !ownerID) {
+    if (!name) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'League name is required' 
+        });
+    }
+    if (!pickRetention) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `pickRetention must be one of: ${leagueService.PICK_RETENTION.join(', ')}` 
+        });
+    }
+    if (!pickMode) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `pickMode must be one of: ${leagueService.PICK_MODES.join(', ')}` 
+        });
+    }
+    if (!pickVisibility) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `pickVisibility must be one of: ${leagueService.PICK_VISIBILITY.join(', ')}` 
+        });
+    }
+    const { rules, errors } = scoring.validateScoringRules(scoringRules);
+    if (errors.length > 0) {
         return res.status(400).json({ 
             success: false, 
-            error: 'League name and OwnerID are required' 
+            error: `Invalid scoring rules: ${errors.map(e => e.error).join('; ')}`, 
+            errors 
         });
     }
 
@@ -221,24 +267,26 @@ app.post('/api/league/create', async (req, res) => {
         // Generate league code if not provided
         const finalLeagueCode = leagueCode || Math.random().toString(36).substring(2, 12).toUpperCase();
         
-        const [result] = await connection.execute(
-            'INSERT INTO league (Name, OwnerID, ScoringRules, CreationDate, LeagueCode) VALUES (?, ?, ?, CURDATE(), ?)',
-            [name, ownerID, scoringRules || null, finalLeagueCode]
-        );
+        const leagueId = await repos.leagues.create(connection, {
+            name,
+            ownerId: ownerID,
+            scoringRules: scoring.serializeScoringRules(rules),
+            leagueCode: finalLeagueCode,
+            pickRetention,
+            pickMode,
+            pickVisibility
+        });
         
         // Add owner as member with 'Owner' role
-        await connection.execute(
-            'INSERT INTO membership (UserID, LeagueID, JoinDate, Role) VALUES (?, ?, CURDATE(), ?)',
-            [ownerID, result.insertId, 'Owner']
-        );
+        await repos.memberships.add(connection, { userId: ownerID, leagueId, role: 'Owner' });
         
         connection.release();
         
-        console.log(`✅ League created: ${name} (ID: ${result.insertId}, Code: ${finalLeagueCode})`);
+        console.log(`✅ League created: ${name} (ID: ${leagueId}, Code: ${finalLeagueCode})`);
         res.json({ 
             success: true, 
             message: 'League created successfully',
-            leagueId: result.insertId,
+            leagueId: leagueId,
             leagueCode: finalLeagueCode
         });
     } catch (error) {
@@ -262,88 +310,70 @@ app.post('/api/league/create', async (req, res) => {
     }
 });
 
-// 3. Delete League (DELETE with FK constraint handling)
-app.delete('/api/league/:leagueId', async (req, res) => {
+// 3. Delete League - owner only. Removes every pick and membership with it.
+// Body: { confirm: "<league name>" } so a stray request cannot wipe a league.
+app.delete('/api/league/:leagueId', auth.requireAuth, async (req, res) => {
     const leagueId = req.params.leagueId;
-    
-    if (!leagueId) {
-        return res.status(400).json({ 
-            success: false, 
-            error: 'League ID is required' 
-        });
-    }
+    const { confirm } = req.body || {};
 
+    let connection;
     try {
-        const connection = await pool.getConnection();
-        
-        // Check if league has members
-        const [members] = await connection.execute(
-            'SELECT COUNT(*) as count FROM membership WHERE LeagueID = ?',
-            [leagueId]
-        );
+        connection = await pool.getConnection();
         
-        if (members[0].count > 0) {
+        const league = await repos.leagues.findById(connection, leagueId);
+        if (!league) {
             connection.release();
-            return res.status(400).json({ 
+            return res.status(404).json({ 
                 success: false, 
-                error: 'Cannot delete league because it has members. Please remove all members first.' 
+                error: 'League not found' 
             });
         }
         
-        // Check if league has picks
-        const [picks] = await connection.execute(
-            'SELECT COUNT(*) as count FROM pick WHERE LeagueID = ?',
-            [leagueId]
-        );
-        
-        if (picks[0].count > 0) {
+        // Only the owner may delete a league
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership || !permissions.can(membership.Role, 'deleteLeague')) {
             connection.release();
-            return res.status(400).json({ 
+            return res.status(403).json({ 
                 success: false, 
-                error: 'Cannot delete league because it has picks. Please remove all picks first.' 
+                error: 'Only the league owner can delete this league' 
             });
         }
         
-        // Delete the league
-        const [result] = await connection.execute(
-            'DELETE FROM league WHERE LeagueID = ?',
-            [leagueId]
-        );
-        
-        connection.release();
-        
-        if (result.affectedRows === 0) {
-            return res.status(404).json({ 
+        if (!confirm || String(confirm).trim() !== league.Name) {
+            connection.release();
+            return res.status(400).json({ 
                 success: false, 
-                error: 'League not found' 
+                error: 'Type the league name to confirm deletion' 
             });
         }
         
-        console.log(`✅ League deleted: ID ${leagueId}`);
+        await connection.beginTransaction();
+        const removed = await leagueService.deleteLeague(connection, leagueId);
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ League deleted: ${league.Name} (ID ${leagueId}, ${removed.membersRemoved} members, ${removed.picksRemoved} picks)`);
         res.json({ 
             success: true, 
-            message: 'League deleted successfully' 
+            message: 'League deleted successfully',
+            membersRemoved: removed.membersRemoved,
+            picksRemoved: removed.picksRemoved
         });
     } catch (error) {
-        console.error('❌ Delete league error:', error.message);
-        
-        // Handle foreign key constraint errors
-        if (error.code === 'ER_ROW_IS_REFERENCED_2' || error.code === 'ER_NO_REFERENCED_ROW_2') {
-            res.status(400).json({ 
-                success: false, 
-                error: 'Cannot delete league because it has associated records (members or picks). Please remove all associated data first.' 
-            });
-        } else {
-            res.status(500).json({ 
-                success: false, 
-                error: error.message 
-            });
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
         }
+        console.error('❌ Delete league error:', error.message);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
     }
 });
 
 // 4. League Leaderboard (Complex SELECT with JOINs)
-app.get('/api/leaderboard/:leagueId', async (req, res) => {
+app.get('/api/leaderboard/:leagueId', auth.requireAuth, async (req, res) => {
     const leagueId = req.params.leagueId;
     
     if (!leagueId) {
@@ -356,20 +386,37 @@ app.get('/api/leaderboard/:leagueId', async (req, res) => {
     try {
         const connection = await pool.getConnection();
         
-        const [results] = await connection.execute(
-            `SELECT 
-                u.UserID,
-                u.Username,
-                u.Email,
-                COALESCE(SUM(p.PointsEarned), 0) as TotalPoints
-            FROM user u
-            INNER JOIN membership m ON u.UserID = m.UserID
-            LEFT JOIN pick p ON u.UserID = p.UserID AND p.LeagueID = ?
-            WHERE m.LeagueID = ?
-            GROUP BY u.UserID, u.Username, u.Email
-            ORDER BY TotalPoints DESC, u.Username ASC`,
-            [leagueId, leagueId]
-        );
+        // Standings are for the league's members only
+        if (!(await repos.memberships.find(connection, req.user.userId, leagueId))) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+        
+        // ?seasonId= scopes the standings to one season (frozen once it has closed)
+        if (req.query.seasonId) {
+            const season = await repos.seasons.findById(connection, req.query.seasonId);
+            if (!season || String(season.LeagueID) !== String(leagueId)) {
+                connection.release();
+                return res.status(404).json({ success: false, error: 'Season not found' });
+            }
+            const standings = await seasons.getStandings(connection, season);
+            const described = await seasons.loadSeason(connection, season);
+            connection.release();
+            
+            return res.json({ 
+                success: true, 
+                data: standings.map(row => ({ 
+                    UserID: row.UserID, 
+                    Username: row.Username, 
+                    TotalPoints: row.Points, 
+                    Picks: row.Picks, 
+                    Rank: row.FinalRank 
+                })), 
+                season: described 
+            });
+        }
+        
+        const results = await repos.memberships.getLeaderboard(connection, leagueId);
         
         connection.release();
         
@@ -399,10 +446,7 @@ app.get('/api/fighter/history', async (req, res) => {
         const connection = await pool.getConnection();
         
         // 1. Find the fighter ID first (Using 'fighter_id' and 'name')
-        const [fighters] = await connection.execute(
-            'SELECT fighter_id, name FROM fighter WHERE name LIKE ?',
-            [`%${fighterName}%`]
-        );
+        const fighters = await repos.fighters.searchByName(connection, fighterName);
         
         if (fighters.length === 0) {
             connection.release();
@@ -411,31 +455,9 @@ app.get('/api/fighter/history', async (req, res) => {
 
         // Get IDs of all matching fighters
         const fighterIds = fighters.map(f => f.fighter_id);
-        const placeholders = fighterIds.map(() => '?').join(',');
 
         // 2. Find all fights involving these IDs
-        // FIXED: Using 'event_name', 'red_fighter_id', 'blue_fighter_id', 'finish_round'
-        const [results] = await connection.execute(
-            `SELECT 
-                f.fight_id,
-                e.event_name as EventName,  -- Fixed from e.name
-                e.date as EventDate,
-                e.location,
-                f.red_fighter_id,           -- Fixed from fighter_a_id
-                f.blue_fighter_id,          -- Fixed from fighter_b_id
-                fa.name as FighterAName,
-                fb.name as FighterBName,
-                f.winner_id,                -- Used to determine result
-                f.method,
-                f.finish_round as Round     -- Fixed from round
-            FROM fight f
-            JOIN event e ON f.event_id = e.event_id
-            JOIN fighter fa ON f.red_fighter_id = fa.fighter_id
-            JOIN fighter fb ON f.blue_fighter_id = fb.fighter_id
-            WHERE f.red_fighter_id IN (${placeholders}) OR f.blue_fighter_id IN (${placeholders})
-            ORDER BY e.date DESC`,
-            [...fighterIds, ...fighterIds]
-        );
+        const results = await repos.fights.listForFighters(connection, fighterIds);
         
         // 3. Process results to determine W/L relative to the searched fighter
         const processedResults = results.map(fight => {
@@ -462,6 +484,8 @@ app.get('/api/fighter/history', async (req, res) => {
                 EventDate: fight.EventDate,
                 Location: fight.location,
                 Opponent: opponent,
+                FighterID: isFighterA ? fight.red_fighter_id : fight.blue_fighter_id,
+                OpponentID: isFighterA ? fight.blue_fighter_id : fight.red_fighter_id,
                 Result: result,
                 Method: fight.method,
                 Round: fight.Round
@@ -481,38 +505,101 @@ app.get('/api/fighter/history', async (req, res) => {
     }
 });
 
+// 5b. Fighter profile: bio, physical stats and career numbers from fight rows
+// (must stay below /api/fighter/history so "history" is not taken as an ID)
+app.get('/api/fighter/:fighterId', async (req, res) => {
+    const fighterId = req.params.fighterId;
+
+    try {
+        const connection = await pool.getConnection();
+        const fighter = await repos.fighters.findById(connection, fighterId);
+
+        if (!fighter) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'Fighter not found' });
+        }
+
+        const bouts = await repos.fights.listForFighters(connection, [fighter.fighter_id]);
+        connection.release();
+
+        res.json({ success: true, data: fighterService.buildProfile(fighter, bouts) });
+    } catch (error) {
+        console.error('❌ Fighter profile error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Shared by the fighter comparison routes: ?a=<fighter_id>&b=<fighter_id>&asOf=YYYY-MM-DD (optional).
+// Returns { ids, asOf } or { error }.
+function readFighterPair(query) {
+    const { a, b } = query;
+    if (!a || !b) return { error: 'Two fighter ids (a and b) are required' };
+    if (String(a) === String(b)) return { error: 'Pick two different fighters' };
+
+    const asOf = query.asOf ? cards.normalizeEventDate(query.asOf) : null;
+    if (query.asOf && !asOf) return { error: 'asOf must be a date (YYYY-MM-DD)' };
+    return { ids: [a, b], asOf };
+}
+
+// [{ fighter, bouts }] for each id, or { missing: id } for the first unknown fighter
+async function loadFighterPair(connection, ids) {
+    const sides = [];
+    for (const fighterId of ids) {
+        const fighter = await repos.fighters.findById(connection, fighterId);
+        if (!fighter) return { missing: fighterId };
+        const bouts = await repos.fights.listForFighters(connection, [fighter.fighter_id]);
+        sides.push({ fighter, bouts });
+    }
+    return { sides };
+}
+
+// 5c. Tale of the tape: two fighters as they stood going into a bout (asOf = fight night)
+app.get('/api/fighters/compare', async (req, res) => {
+    const pair = readFighterPair(req.query);
+    if (pair.error) return res.status(400).json({ success: false, error: pair.error });
+
+    try {
+        const connection = await pool.getConnection();
+        const { sides, missing } = await loadFighterPair(connection, pair.ids);
+        connection.release();
+
+        if (missing) return res.status(404).json({ success: false, error: `Fighter ${missing} not found` });
+
+        res.json({ success: true, data: fighterService.compare(sides[0], sides[1], pair.asOf) });
+    } catch (error) {
+        console.error('❌ Fighter compare error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// 5d. Head-to-head: every earlier meeting between two fighters, plus common opponents
+app.get('/api/fighters/head-to-head', async (req, res) => {
+    const pair = readFighterPair(req.query);
+    if (pair.error) return res.status(400).json({ success: false, error: pair.error });
+
+    try {
+        const connection = await pool.getConnection();
+        const { sides, missing } = await loadFighterPair(connection, pair.ids);
+        connection.release();
+
+        if (missing) return res.status(404).json({ success: false, error: `Fighter ${missing} not found` });
+
+        res.json({ success: true, data: fighterService.headToHead(sides[0], sides[1], pair.asOf) });
+    } catch (error) {
+        console.error('❌ Head-to-head error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
 // Diagnostic endpoint to check table structure
 app.get('/api/diagnose', async (req, res) => {
     try {
         const connection = await pool.getConnection();
         
         // Get all columns for event and fighter tables
-        const [eventColumns] = await connection.execute(
-            `SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE
-             FROM INFORMATION_SCHEMA.COLUMNS 
-             WHERE TABLE_SCHEMA = ? 
-             AND TABLE_NAME = 'event'
-             ORDER BY ORDINAL_POSITION`,
-            [process.env.DB_NAME || 'ufc_fantasy_db']
-        );
-        
-        const [fighterColumns] = await connection.execute(
-            `SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE
-             FROM INFORMATION_SCHEMA.COLUMNS 
-             WHERE TABLE_SCHEMA = ? 
-             AND TABLE_NAME = 'fighter'
-             ORDER BY ORDINAL_POSITION`,
-            [process.env.DB_NAME || 'ufc_fantasy_db']
-        );
-        
-        const [fightColumns] = await connection.execute(
-            `SELECT COLUMN_NAME, DATA_TYPE, IS_NULLABLE
-             FROM INFORMATION_SCHEMA.COLUMNS 
-             WHERE TABLE_SCHEMA = ? 
-             AND TABLE_NAME = 'fight'
-             ORDER BY ORDINAL_POSITION`,
-            [process.env.DB_NAME || 'ufc_fantasy_db']
-        );
+        const eventColumns = await listColumns(connection, 'event');
+        const fighterColumns = await listColumns(connection, 'fighter');
+        const fightColumns = await listColumns(connection, 'fight');
         
         connection.release();
         
@@ -534,13 +621,14 @@ app.get('/api/diagnose', async (req, res) => {
 // ==================== NEW FEATURE ROUTES ====================
 
 // Join League by LeagueCode
-app.post('/api/join-league', async (req, res) => {
-    const { leagueCode, userId } = req.body;
+app.post('/api/join-league', auth.requireAuth, async (req, res) => {
+    const { leagueCode } = req.body;
+    const userId = req.user.userId;
     
-    if (!leagueCode || !userId) {
+    if (!leagueCode) {
         return res.status(400).json({ 
             success: false, 
-            error: 'League code and user ID are required' 
+            error: 'League code is required' 
         });
     }
 
@@ -548,28 +636,25 @@ app.post('/api/join-league', async (req, res) => {
         const connection = await pool.getConnection();
         
         // Find league by code
-        const [leagues] = await connection.execute(
-            'SELECT LeagueID, Name FROM league WHERE LeagueCode = ?',
-            [leagueCode]
-        );
+        const league = await repos.leagues.findByCode(connection, leagueCode);
         
-        if (leagues.length === 0) {
+        if (!league) {
             connection.release();
             return res.status(404).json({ 
                 success: false, 
                 error: 'Invalid league code' 
             });
         }
-        
-        const league = leagues[0];
+        if (leagueService.isArchived(league)) {
+            connection.release();
+            return res.status(403).json({ 
+                success: false, 
+                error: leagueService.ARCHIVED_ERROR 
+            });
+        }
         
         // Check if user is already a member
-        const [existing] = await connection.execute(
-            'SELECT * FROM membership WHERE UserID = ? AND LeagueID = ?',
-            [userId, league.LeagueID]
-        );
-        
-        if (existing.length > 0) {
+        if (await repos.memberships.find(connection, userId, league.LeagueID)) {
             connection.release();
             return res.status(400).json({ 
                 success: false, 
@@ -578,10 +663,7 @@ app.post('/api/join-league', async (req, res) => {
         }
         
         // Add user to league
-        await connection.execute(
-            'INSERT INTO membership (UserID, LeagueID, JoinDate, Role) VALUES (?, ?, CURDATE(), ?)',
-            [userId, league.LeagueID, 'Member']
-        );
+        await repos.memberships.add(connection, { userId, leagueId: league.LeagueID, role: 'Member' });
         
         connection.release();
         
@@ -601,25 +683,19 @@ app.post('/api/join-league', async (req, res) => {
     }
 });
 
-// Get user's leagues
-app.get('/api/user-leagues/:userId', async (req, res) => {
-    const userId = req.params.userId;
+// Get the logged-in user's leagues (?includeArchived=true to list archived ones too)
+app.get('/api/user-leagues', auth.requireAuth, async (req, res) => {
+    const userId = req.user.userId;
+    const includeArchived = req.query.includeArchived === 'true';
     
     try {
         const connection = await pool.getConnection();
-        const [leagues] = await connection.execute(
-            `SELECT l.LeagueID, l.Name, l.LeagueCode, l.CreationDate, m.Role, m.JoinDate
-             FROM league l
-             INNER JOIN membership m ON l.LeagueID = m.LeagueID
-             WHERE m.UserID = ?
-             ORDER BY l.CreationDate DESC`,
-            [userId]
-        );
+        const leagues = await repos.leagues.listForUser(connection, userId, { includeArchived });
         connection.release();
         
         res.json({ 
             success: true, 
-            data: leagues 
+            data: leagues.map(l => ({ ...l, Role: permissions.normalizeRole(l.Role) })) 
         });
     } catch (error) {
         console.error('❌ Get user leagues error:', error.message);
@@ -630,47 +706,61 @@ app.get('/api/user-leagues/:userId', async (req, res) => {
     }
 });
 
-// Get upcoming events (Fixed: Universal Column Mapper)
+// List events a page at a time, newest first (?order=asc for soonest first).
+// Filters: status (upcoming | in_progress | completed), from/to dates, location and
+// q (text in the event name). Pass pagination.nextCursor back as ?cursor= for the next page.
 app.get('/api/events', async (req, res) => {
+    const query = eventService.readListQuery(req.query);
+    if (query.error) return res.status(400).json({ success: false, error: query.error });
+
     try {
         const connection = await pool.getConnection();
-        
-        // 1. Select EVERYTHING (SELECT *) to avoid "Unknown Column" SQL errors
-        const [rows] = await connection.execute('SELECT * FROM event LIMIT 50');
+        const page = await eventService.listEvents(connection, query.options);
         connection.release();
 
-        if (rows.length > 0) {
-            console.log("🔍 DIAGNOSTIC - First Event Row:", rows[0]); // Check your terminal for this!
-        }
+        res.json({
+            success: true,
+            data: page.events,
+            pagination: { limit: query.options.limit, nextCursor: page.nextCursor }
+        });
 
-        // 2. Smart Mapping: Find the right data regardless of column name
-        const events = rows.map(row => {
-            // Helper to find a key case-insensitively
-            const keys = Object.keys(row);
-            const findKey = (search) => keys.find(k => k.toLowerCase().includes(search));
+    } catch (error) {
+        console.error('❌ Get events error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
 
-            return {
-                // Look for 'event_id', 'EventID', 'id', etc.
-                EventID: row.event_id || row.EventID || row[findKey('id')],
-                
-                // Look for 'name', 'event_name', 'Name', etc.
-                Name: row.name || row.Name || row.event_name || row[findKey('name')] || 'Unknown Event',
-                
-                // Look for 'date', 'event_date', 'Date', etc.
-                Date: row.date || row.Date || row.event_date || row[findKey('date')],
-                
-                // Look for 'location', 'event_location', etc.
-                Location: row.location || row.Location || row[findKey('location')]
-            };
-        });
+// Event detail: metadata and the full card with results, main event first.
+// ?leagueId= adds how that league's members picked each bout (members only).
+app.get('/api/event/:eventId', async (req, res) => {
+    const leagueId = req.query.leagueId || null;
+    if (leagueId && !req.user) {
+        return res.status(401).json({ success: false, error: 'Log in to see league picks' });
+    }
 
-        // 3. Sort by Date in JavaScript (safer than SQL ORDER BY if column name is unknown)
-        events.sort((a, b) => new Date(b.Date) - new Date(a.Date));
+    try {
+        const connection = await pool.getConnection();
 
-        res.json({ success: true, data: events });
+        let league = null;
+        if (leagueId) {
+            league = await repos.leagues.findById(connection, leagueId);
+            const membership = league ? await repos.memberships.find(connection, req.user.userId, leagueId) : null;
+            if (!league || !membership) {
+                connection.release();
+                return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+            }
+        }
+
+        const detail = await eventService.getEventDetail(connection, req.params.eventId, { league, userId: req.user ? req.user.userId : null });
+        connection.release();
+
+        if (!detail) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
 
+        res.json({ success: true, data: detail });
     } catch (error) {
-        console.error('❌ Get events error:', error.message);
+        console.error('❌ Get event detail error:', error.message);
         res.status(500).json({ success: false, error: error.message });
     }
 });
@@ -682,9 +772,12 @@ app.get('/api/event/:eventId/fights', async (req, res) => {
     try {
         const connection = await pool.getConnection();
 
-        // 1. Get Fights and Fighters
-        const [fights] = await connection.execute('SELECT * FROM fight WHERE event_id = ?', [eventId]);
-        const [allFighters] = await connection.execute('SELECT * FROM fighter');
+        // 1. Get Fights and Fighters, plus who is favoured going in (display only - never frozen here)
+        const fights = await repos.fights.listForEvent(connection, eventId);
+        const allFighters = await repos.fighters.listAll(connection);
+        const estimates = fights.length > 0
+            ? await strength.estimateCard(connection, eventId, fights, { freeze: false })
+            : {};
         
         connection.release();
 
@@ -719,6 +812,8 @@ app.get('/api/event/:eventId/fights', async (req, res) => {
                 else resultText = 'Draw/No Contest';
             }
 
+            const estimate = estimates[row.fight_id];
+
             return {
                 FightID: row.fight_id,
                 FighterA_ID: idA,
@@ -729,9 +824,15 @@ app.get('/api/event/:eventId/fights', async (req, res) => {
                 FighterBRecord: fighterB.record,
                 // Use 'division' for weight class as seen in your logs
                 WeightClass: row.division || 'Catchweight', 
+                TotalRounds: row.total_rounds ? parseInt(row.total_rounds) : 3,
                 Result: resultText, 
                 Method: row.method || '-',
-                Round: row.finish_round || '-'
+                Round: row.finish_round || '-',
+                // Pre-fight records from fight history and each side's estimated chance to win
+                FighterAPreFightRecord: estimate.redRecord,
+                FighterBPreFightRecord: estimate.blueRecord,
+                FighterAWinChance: estimate.redWinProbability,
+                FighterBWinChance: estimate.blueWinProbability
             };
         });
 
@@ -743,126 +844,251 @@ app.get('/api/event/:eventId/fights', async (req, res) => {
     }
 });
 
-// Save picks (Fixed: Resilient Loop & Data Types)
-app.post('/api/save-picks', async (req, res) => {
-    console.log("📨 RECEIVED SAVE REQUEST");
-    
-    const { userId, leagueId, eventId, picks } = req.body;
+// Get pick lock status for an event (drives the Make Picks countdown)
+app.get('/api/event/:eventId/lock', async (req, res) => {
+    const eventId = req.params.eventId;
     
-    if (!userId || !leagueId || !eventId || !picks) {
-        return res.status(400).json({ success: false, error: 'Missing required data' });
-    }
-
     try {
         const connection = await pool.getConnection();
+        const lock = await locks.getEventLock(connection, eventId);
+        connection.release();
         
-        // 1. Delete old picks for this specific event
-        // We force IDs to strings to match the new schema types
-        const strUserId = String(userId);
-        const strLeagueId = String(leagueId);
-        const strEventId = String(eventId);
-
-        console.log(`🔄 Deleting old picks for User ${strUserId}, Event ${strEventId}...`);
-        
-        await connection.execute(
-            'DELETE FROM Pick WHERE UserID = ? AND LeagueID = ? AND EventID = ?',
-            [strUserId, strLeagueId, strEventId]
-        );
-        
-        // 2. Insert new picks (Resilient Loop)
-        let savedCount = 0;
-        let errorCount = 0;
-
-        for (const pick of picks) {
-            if (pick.fighterId) {
-                try {
-                    // Force FighterID to string (handles both UUIDs and Integers)
-                    const strFighterId = String(pick.fighterId).trim();
-
-                    await connection.execute(
-                        'INSERT INTO Pick (UserID, LeagueID, EventID, FighterID, PointsEarned) VALUES (?, ?, ?, ?, 0)',
-                        [strUserId, strLeagueId, strEventId, strFighterId]
-                    );
-                    savedCount++;
-                } catch (innerError) {
-                    console.error(`⚠️ Failed to save pick for fighter ${pick.fighterId}:`, innerError.message);
-                    errorCount++;
-                }
-            }
+        if (!lock) {
+            return res.status(404).json({ success: false, error: 'Event not found' });
         }
         
+        res.json({ success: true, data: lock });
+    } catch (error) {
+        console.error('❌ Get event lock error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Per-fighter statistics for a bout: totals and round-by-round (from fight_stat)
+app.get('/api/fight/:fightId/stats', async (req, res) => {
+    try {
+        const connection = await pool.getConnection();
+        const stats = await fightStats.getFightStats(connection, req.params.fightId);
         connection.release();
-        
-        console.log(`✅ RESULT: ${savedCount} saved, ${errorCount} failed.`);
-        
-        if (savedCount === 0 && errorCount > 0) {
-            return res.status(500).json({ success: false, error: "All picks failed to save. Check server logs." });
-        }
 
-        res.json({ 
-            success: true, 
-            message: `Saved ${savedCount} picks${errorCount > 0 ? ` (${errorCount} failed)` : ''}`, 
-            picksCount: savedCount 
-        });
+        if (!stats) {
+            return res.status(404).json({ success: false, error: 'Fight not found' });
+        }
 
+        res.json({ success: true, data: stats });
     } catch (error) {
-        console.error('❌ FATAL SAVE ERROR:', error.message);
+        console.error('❌ Fight stats error:', error.message);
         res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Get league members
-app.get('/api/league-members/:leagueId', async (req, res) => {
-    const leagueId = req.params.leagueId;
+// Admin: override (or clear) the moment an event's picks lock
+app.put('/api/admin/events/:eventId/lock', auth.requireAdmin, async (req, res) => {
+    const eventId = req.params.eventId;
+    const { lockTime } = req.body;
+    
+    let lockDate = null;
+    if (lockTime) {
+        lockDate = new Date(lockTime);
+        if (isNaN(lockDate.getTime())) {
+            return res.status(400).json({ success: false, error: 'lockTime must be a valid date/time' });
+        }
+    }
     
     try {
         const connection = await pool.getConnection();
-        const [members] = await connection.execute(
-            `SELECT u.UserID, u.Username, u.Email, m.Role, m.JoinDate,
-                    COALESCE(SUM(p.PointsEarned), 0) as TotalPoints
-             FROM membership m
-             INNER JOIN user u ON m.UserID = u.UserID
-             LEFT JOIN pick p ON u.UserID = p.UserID AND p.LeagueID = ?
-             WHERE m.LeagueID = ?
-             GROUP BY u.UserID, u.Username, u.Email, m.Role, m.JoinDate
-             ORDER BY TotalPoints DESC, u.Username ASC`,
-            [leagueId, leagueId]
-        );
+        if (!(await repos.events.setLockTime(connection, eventId, lockDate))) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+        
+        const lock = await locks.getEventLock(connection, eventId);
         connection.release();
         
-        res.json({ 
-            success: true, 
-            data: members 
-        });
+        console.log(`✅ Lock for event ${eventId} ${lockDate ? `set to ${lockDate.toISOString()}` : 'reset to event date'} by ${req.user.username}`);
+        res.json({ success: true, data: lock });
     } catch (error) {
-        console.error('❌ Get league members error:', error.message);
-        res.status(500).json({ 
-            success: false, 
-            error: error.message 
-        });
+        console.error('❌ Set event lock error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
     }
 });
 
-// Get ALL user picks for a league (Fixed: Correct Columns & Grouping Data)
-app.get('/api/user-picks/:userId/:leagueId', async (req, res) => {
-    const { userId, leagueId } = req.params;
+// Save picks (Atomic: validate the whole card, then replace picks in one transaction)
+app.post('/api/save-picks', auth.requireAuth, async (req, res) => {
+    console.log("📨 RECEIVED SAVE REQUEST");
     
-    try {
-        const connection = await pool.getConnection();
+    const { leagueId, eventId, picks } = req.body;
+    const userId = req.user.userId;
+    
+    if (!leagueId || !eventId || !picks) {
+        return res.status(400).json({ success: false, error: 'Missing required data' });
+    }
 
-        // 1. Get Picks
-        const [picks] = await connection.execute(
-            'SELECT * FROM Pick WHERE UserID = ? AND LeagueID = ?',
-            [userId, leagueId]
-        );
+    // We force IDs to strings to match the new schema types
+    const strUserId = String(userId);
+    const strLeagueId = String(leagueId);
+    const strEventId = String(eventId);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
         
-        // 2. Get Reference Data (Using KNOWN snake_case columns from your dump)
-        const [allFighters] = await connection.execute('SELECT fighter_id, name, weight, wins, losses, draws FROM fighter');
-        const [allEvents] = await connection.execute('SELECT event_id, event_name, date, location FROM event');
+        // 1. Only league members can pick in a league
+        const membership = await repos.memberships.find(connection, strUserId, strLeagueId);
+        if (!membership) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+        const league = await repos.leagues.findById(connection, strLeagueId);
+        if (leagueService.isArchived(league)) {
+            connection.release();
+            return res.status(403).json({ success: false, error: leagueService.ARCHIVED_ERROR });
+        }
+        
+        // 2. Refuse edits once the event is locked
+        const rejectLocked = (lock) => {
+            console.log(`🔒 Rejected late picks from User ${strUserId} for Event ${strEventId} (${lock.reason})`);
+            return res.status(403).json({ 
+                success: false, 
+                error: locks.describeLock(lock), 
+                locked: true, 
+                lockTime: lock.lockTime 
+            });
+        };
+        const lock = await locks.getEventLock(connection, strEventId);
+        if (!lock) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+        if (lock.locked) {
+            connection.release();
+            return rejectLocked(lock);
+        }
+        
+        // 3. Every pick must map to exactly one bout on this card and one of its two fighters
+        //    (confidence leagues also rank them: 1..number of bouts, no repeats)
+        const fights = await repos.fights.listForEvent(connection, strEventId);
+        const { rows, errors } = pickService.validatePicks(fights, picks, { pickMode: league.PickMode });
+        
+        if (errors.length > 0) {
+            connection.release();
+            console.log(`⚠️ Rejected picks from User ${strUserId} for Event ${strEventId}: ${errors.length} invalid`);
+            return res.status(400).json({ 
+                success: false, 
+                error: `${errors.length} pick${errors.length === 1 ? ' is' : 's are'} invalid. Nothing was saved.`, 
+                errors 
+            });
+        }
+        
+        // 4. Replace this user's picks for the event atomically. The card may have locked
+        //    since step 2 (a result recorded meanwhile), so check again before writing.
+        await connection.beginTransaction();
+        
+        const lockNow = await locks.getEventLock(connection, strEventId);
+        if (lockNow.locked) {
+            await connection.rollback();
+            connection.release();
+            return rejectLocked(lockNow);
+        }
+        
+        console.log(`🔄 Replacing picks for User ${strUserId}, Event ${strEventId}...`);
+        await repos.picks.replaceForEvent(connection, {
+            userId: strUserId,
+            leagueId: strLeagueId,
+            eventId: strEventId,
+            rows
+        });
+        
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ RESULT: ${rows.length} picks saved.`);
+        res.json({ 
+            success: true, 
+            message: `Saved ${rows.length} pick${rows.length === 1 ? '' : 's'}`, 
+            picksCount: rows.length 
+        });
+
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ FATAL SAVE ERROR:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Get league members (members only)
+app.get('/api/league-members/:leagueId', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+    
+    try {
+        const connection = await pool.getConnection();
+        if (!(await repos.memberships.find(connection, req.user.userId, leagueId))) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+        
+        const members = await repos.memberships.listMembers(connection, leagueId);
+        const league = await repos.leagues.findById(connection, leagueId);
+        connection.release();
+        
+        // Tell the frontend which member controls the caller may use (none once archived)
+        const me = members.find(m => String(m.UserID) === String(req.user.userId));
+        const actor = { userId: req.user.userId, role: me ? me.Role : null };
+        const archived = leagueService.isArchived(league);
+        
+        res.json({ 
+            success: true, 
+            data: members.map(m => ({ 
+                ...m, 
+                Role: permissions.normalizeRole(m.Role), 
+                Actions: archived ? [] : permissions.memberActions(actor, m) 
+            })) 
+        });
+    } catch (error) {
+        console.error('❌ Get league members error:', error.message);
+        res.status(500).json({ 
+            success: false, 
+            error: error.message 
+        });
+    }
+});
+
+// Get a user's picks for a league. Your own picks are always returned; other members'
+// follow the league's PickVisibility, and hiddenPicks counts the ones held back.
+app.get('/api/user-picks/:userId/:leagueId', auth.requireAuth, async (req, res) => {
+    const { userId, leagueId } = req.params;
+    
+    try {
+        const connection = await pool.getConnection();
+
+        const league = await repos.leagues.findById(connection, leagueId);
+        if (!league) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'League not found' });
+        }
+        const isMe = String(userId) === String(req.user.userId);
+        if (!isMe && !(await repos.memberships.find(connection, req.user.userId, leagueId))) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+
+        // 1. Get Picks the caller may see
+        const visible = await leagueService.visiblePicks(
+            connection, league, req.user.userId, userId,
+            await repos.picks.listForUser(connection, userId, leagueId)
+        );
+        const picks = visible.picks;
+        
+        // 2. Get Reference Data (Using KNOWN snake_case columns from your dump)
+        const allFighters = await repos.fighters.listAll(connection);
+        const allEvents = await repos.events.listAll(connection);
         
         connection.release();
 
-        if (picks.length === 0) return res.json({ success: true, data: [] });
+        if (picks.length === 0) return res.json({ success: true, data: [], hiddenPicks: visible.hidden });
 
         // 3. Create Lookup Maps
         const fighterMap = {};
@@ -898,14 +1124,19 @@ app.get('/api/user-picks/:userId/:leagueId', async (req, res) => {
                 EventID: eventId,
                 EventName: event ? event.name : `Unknown Event (ID: ${eventId})`,
                 EventDate: event ? event.date : '',
+                FightID: p.FightID || null,
+                FighterID: fighterId,
                 FighterName: fighter ? fighter.name : `Unknown (ID: ${fighterId})`,
                 FighterRecord: fighter ? fighter.record : '0-0-0',
                 WeightClass: fighter ? fighter.weight : 'N/A',
+                PredictedMethod: p.PredictedMethod || null,
+                PredictedRound: p.PredictedRound || null,
+                Confidence: p.Confidence || null,
                 PointsEarned: p.PointsEarned || 0
             };
         });
         
-        res.json({ success: true, data: mappedPicks });
+        res.json({ success: true, data: mappedPicks, hiddenPicks: visible.hidden });
 
     } catch (error) {
         console.error('❌ Get user picks error:', error.message);
@@ -914,27 +1145,31 @@ app.get('/api/user-picks/:userId/:leagueId', async (req, res) => {
 });
 
 // Get league details including code
-app.get('/api/league/:leagueId', async (req, res) => {
+app.get('/api/league/:leagueId', auth.requireAuth, async (req, res) => {
     const leagueId = req.params.leagueId;
     
     try {
         const connection = await pool.getConnection();
-        const [leagues] = await connection.execute(
-            'SELECT LeagueID, Name, LeagueCode, ScoringRules, CreationDate, OwnerID FROM league WHERE LeagueID = ?',
-            [leagueId]
-        );
+        const league = await repos.leagues.findById(connection, leagueId);
+        const membership = league ? await repos.memberships.find(connection, req.user.userId, leagueId) : null;
         connection.release();
         
-        if (leagues.length === 0) {
+        if (!league) {
             return res.status(404).json({ 
                 success: false, 
                 error: 'League not found' 
             });
         }
         
+        const myRole = membership ? permissions.normalizeRole(membership.Role) : null;
         res.json({ 
             success: true, 
-            data: leagues[0] 
+            data: { 
+                ...league, 
+                Scoring: scoring.describeScoringRules(league.ScoringRules), 
+                MyRole: myRole, 
+                Permissions: myRole ? permissions.listPermissions(myRole) : [] 
+            } 
         });
     } catch (error) {
         console.error('❌ Get league error:', error.message);
@@ -945,14 +1180,1108 @@ app.get('/api/league/:leagueId', async (req, res) => {
     }
 });
 
-// Serve index.html for root route
-app.get('/', (req, res) => {
-    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+// ==================== LEAGUE MEMBERS & ROLES ====================
+
+// Owner: make a member a co-commissioner, or demote a co-commissioner to member
+app.put('/api/league/:leagueId/members/:userId/role', auth.requireAuth, async (req, res) => {
+    const { leagueId, userId } = req.params;
+    const assignable = [permissions.ROLES.CO_COMMISSIONER, permissions.ROLES.MEMBER];
+    const role = assignable.find(r => r.toLowerCase() === String(req.body.role || '').trim().toLowerCase());
+    
+    if (!role) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `role must be one of: ${assignable.join(', ')}` 
+        });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        const leagueError = leagueService.writableLeagueError(league);
+        if (leagueError) {
+            connection.release();
+            return res.status(leagueError.status).json({ success: false, error: leagueError.error });
+        }
+        
+        const actor = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!actor || !permissions.can(actor.Role, 'manageRoles')) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'Only the league owner can change roles' });
+        }
+        
+        const target = await repos.memberships.find(connection, userId, leagueId);
+        if (!target) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'That user is not a member of this league' });
+        }
+        if (permissions.normalizeRole(target.Role) === permissions.ROLES.OWNER) {
+            connection.release();
+            return res.status(400).json({ success: false, error: 'Transfer ownership to change the owner\'s role' });
+        }
+        
+        await repos.memberships.setRole(connection, userId, leagueId, role);
+        connection.release();
+        
+        console.log(`✅ User ${userId} is now ${role} in league ${leagueId} (by ${req.user.username})`);
+        res.json({ success: true, message: `Role changed to ${role}`, role: role });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Change role error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Owner / co-commissioner: remove someone ranked below them.
+// Their picks are kept or deleted according to the league's PickRetention policy.
+app.delete('/api/league/:leagueId/members/:userId', auth.requireAuth, async (req, res) => {
+    const { leagueId, userId } = req.params;
+    
+    if (String(userId) === String(req.user.userId)) {
+        return res.status(400).json({ success: false, error: 'You cannot remove yourself from a league' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        const leagueError = leagueService.writableLeagueError(league);
+        if (leagueError) {
+            connection.release();
+            return res.status(leagueError.status).json({ success: false, error: leagueError.error });
+        }
+        
+        const actor = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!actor || !permissions.can(actor.Role, 'removeMember')) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'Only the owner or a co-commissioner can remove members' });
+        }
+        
+        const target = await repos.memberships.find(connection, userId, leagueId);
+        if (!target) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'That user is not a member of this league' });
+        }
+        if (!permissions.canRemove(actor.Role, target.Role)) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You can only remove members ranked below you' });
+        }
+        
+        await connection.beginTransaction();
+        const { picksRemoved } = await leagueService.removeMembership(connection, league, userId);
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ User ${userId} removed from league ${leagueId} (by ${req.user.username}, ${picksRemoved} picks removed)`);
+        res.json({ success: true, message: 'Member removed', picksRemoved: picksRemoved });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Remove member error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
-// Start server
-app.listen(PORT, () => {
-    console.log(`🚀 Server running on http://localhost:${PORT}`);
-    console.log(`📊 Database: ${process.env.DB_NAME || 'ufc_fantasy_db'}`);
+// Owner: hand the league to another member. The old owner stays on as co-commissioner.
+app.post('/api/league/:leagueId/transfer', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+    const { userId } = req.body;
+    
+    if (!userId) {
+        return res.status(400).json({ success: false, error: 'userId of the new owner is required' });
+    }
+    if (String(userId) === String(req.user.userId)) {
+        return res.status(400).json({ success: false, error: 'You already own this league' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        const leagueError = leagueService.writableLeagueError(league);
+        if (leagueError) {
+            connection.release();
+            return res.status(leagueError.status).json({ success: false, error: leagueError.error });
+        }
+        
+        const actor = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!actor || !permissions.can(actor.Role, 'transferOwnership')) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'Only the league owner can transfer ownership' });
+        }
+        
+        const target = await repos.memberships.find(connection, userId, leagueId);
+        if (!target) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'The new owner must already be a member of this league' });
+        }
+        
+        await connection.beginTransaction();
+        await repos.memberships.setRole(connection, userId, leagueId, permissions.ROLES.OWNER);
+        await repos.memberships.setRole(connection, req.user.userId, leagueId, permissions.ROLES.CO_COMMISSIONER);
+        await repos.leagues.setOwner(connection, leagueId, userId);
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ League ${leagueId} transferred from ${req.user.userId} to ${userId}`);
+        res.json({ success: true, message: 'Ownership transferred' });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Transfer ownership error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== LEAGUE LIFECYCLE ====================
+
+// Leave a league. Picks are kept or deleted according to the league's PickRetention.
+// The owner has to transfer ownership or delete the league instead.
+app.post('/api/league/:leagueId/leave', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        const leagueError = leagueService.writableLeagueError(league);
+        if (leagueError) {
+            connection.release();
+            return res.status(leagueError.status).json({ success: false, error: leagueError.error });
+        }
+        
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'You are not a member of this league' });
+        }
+        if (permissions.normalizeRole(membership.Role) === permissions.ROLES.OWNER) {
+            connection.release();
+            return res.status(400).json({ 
+                success: false, 
+                error: 'The owner cannot leave. Transfer ownership or delete the league instead.' 
+            });
+        }
+        
+        await connection.beginTransaction();
+        const { picksRemoved } = await leagueService.removeMembership(connection, league, req.user.userId);
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ User ${req.user.userId} left league ${leagueId} (${picksRemoved} picks removed)`);
+        res.json({ 
+            success: true, 
+            message: `You left ${league.Name}`, 
+            picksRemoved: picksRemoved 
+        });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Leave league error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Owner: archive a league (read-only, hidden from active lists) or restore it
+app.post('/api/league/:leagueId/archive', auth.requireAuth, (req, res) => setLeagueArchived(req, res, true));
+app.post('/api/league/:leagueId/unarchive', auth.requireAuth, (req, res) => setLeagueArchived(req, res, false));
+
+async function setLeagueArchived(req, res, archive) {
+    const leagueId = req.params.leagueId;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        if (!league) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'League not found' });
+        }
+        
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership || !permissions.can(membership.Role, 'archiveLeague')) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'Only the league owner can archive or restore this league' });
+        }
+        
+        if (leagueService.isArchived(league) === archive) {
+            connection.release();
+            return res.status(400).json({ 
+                success: false, 
+                error: archive ? 'League is already archived' : 'League is not archived' 
+            });
+        }
+        
+        await repos.leagues.setArchived(connection, leagueId, archive ? new Date() : null);
+        connection.release();
+        
+        console.log(`✅ League ${leagueId} ${archive ? 'archived' : 'restored'} by ${req.user.username}`);
+        res.json({ success: true, message: archive ? 'League archived' : 'League restored' });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Archive league error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+}
+
+// Owner: league settings. Body: { pickRetention?: 'keep' | 'remove', pickMode?: 'standard' | 'confidence',
+// pickVisibility?: 'always' | 'after_lock' | 'never', scoringRules?: preset name or rules object }.
+// New scoring rules or pick mode re-score the league straight away.
+app.put('/api/league/:leagueId/settings', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+    const { pickRetention, pickMode, pickVisibility, scoringRules } = req.body;
+    
+    if (pickRetention === undefined && pickMode === undefined && pickVisibility === undefined && scoringRules === undefined) {
+        return res.status(400).json({ success: false, error: 'Nothing to update. Send pickRetention, pickMode, pickVisibility and/or scoringRules' });
+    }
+    
+    const policy = pickRetention === undefined ? null : leagueService.normalizePickRetention(pickRetention);
+    if (pickRetention !== undefined && !policy) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `pickRetention must be one of: ${leagueService.PICK_RETENTION.join(', ')}` 
+        });
+    }
+    const mode = pickMode === undefined ? null : leagueService.normalizePickMode(pickMode);
+    if (pickMode !== undefined && !mode) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `pickMode must be one of: ${leagueService.PICK_MODES.join(', ')}` 
+        });
+    }
+    const visibility = pickVisibility === undefined ? null : leagueService.normalizePickVisibility(pickVisibility);
+    if (pickVisibility !== undefined && !visibility) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `pickVisibility must be one of: ${leagueService.PICK_VISIBILITY.join(', ')}` 
+        });
+    }
+    
+    let rules = null;
+    if (scoringRules !== undefined) {
+        const validation = scoring.validateScoringRules(scoringRules);
+        if (validation.errors.length > 0) {
+            return res.status(400).json({ 
+                success: false, 
+                error: `Invalid scoring rules: ${validation.errors.map(e => e.error).join('; ')}`, 
+                errors: validation.errors 
+            });
+        }
+        rules = validation.rules;
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        const leagueError = leagueService.writableLeagueError(league);
+        if (leagueError) {
+            connection.release();
+            return res.status(leagueError.status).json({ success: false, error: leagueError.error });
+        }
+        
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership || !permissions.can(membership.Role, 'editSettings')) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'Only the league owner can change league settings' });
+        }
+        
+        await connection.beginTransaction();
+        
+        if (policy) {
+            await repos.leagues.setPickRetention(connection, leagueId, policy);
+        }
+        if (mode) {
+            await repos.leagues.setPickMode(connection, leagueId, mode);
+        }
+        if (visibility) {
+            await repos.leagues.setPickVisibility(connection, leagueId, visibility);
+        }
+        if (rules) {
+            await repos.leagues.setScoringRules(connection, leagueId, scoring.serializeScoringRules(rules));
+        }
+        let rescored = null;
+        if (rules || (mode && mode !== league.PickMode)) {
+            const reason = rules ? 'Scoring rules changed' : 'Pick mode changed';
+            rescored = await scoring.scoreLeague(connection, leagueId, { reason });
+        }
+        
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ League ${leagueId} settings updated by ${req.user.username}`);
+        res.json({ 
+            success: true, 
+            message: 'League settings saved', 
+            data: { 
+                pickRetention: policy || league.PickRetention, 
+                pickMode: mode || league.PickMode, 
+                pickVisibility: visibility || league.PickVisibility, 
+                scoring: scoring.describeScoringRules(rules ? scoring.serializeScoringRules(rules) : league.ScoringRules), 
+                rescored 
+            } 
+        });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ League settings error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
 });
 
+// ==================== LEAGUE SEASONS ====================
+
+// A league's seasons, newest first, with champion and runner-up for closed ones (members)
+app.get('/api/league/:leagueId/seasons', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+
+        const list = await seasons.listSeasons(connection, leagueId);
+        connection.release();
+
+        res.json({ success: true, data: list });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ List seasons error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Owner / co-commissioner: start a season. Body: { name, startDate, endDate? } or { name, eventIds: [...] }.
+// The current season, if any, closes first and its standings are frozen.
+app.post('/api/league/:leagueId/seasons', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+    const input = seasons.readSeasonInput(req.body);
+    if (input.error) return res.status(400).json({ success: false, error: input.error });
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const league = await repos.leagues.findById(connection, leagueId);
+        const leagueError = leagueService.writableLeagueError(league);
+        if (leagueError) {
+            connection.release();
+            return res.status(leagueError.status).json({ success: false, error: leagueError.error });
+        }
+
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership || !permissions.can(membership.Role, 'manageSeasons')) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'Only the owner or a co-commissioner can manage seasons' });
+        }
+
+        await connection.beginTransaction();
+        const started = await seasons.startSeason(connection, league.LeagueID, input.season);
+        if (started.error) {
+            await connection.rollback();
+            connection.release();
+            return res.status(400).json({ success: false, error: started.error });
+        }
+        await connection.commit();
+
+        const season = await seasons.loadSeason(connection, await repos.seasons.findById(connection, started.seasonId));
+        connection.release();
+
+        console.log(`✅ Season "${season.name}" started in league ${leagueId} by ${req.user.username}`);
+        res.json({ success: true, message: 'Season started', data: { season, closedSeasonId: started.closedSeasonId } });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Start season error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Owner / co-commissioner: close the season and freeze its final standings
+app.post('/api/league/:leagueId/seasons/:seasonId/close', auth.requireAuth, async (req, res) => {
+    const { leagueId, seasonId } = req.params;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const league = await repos.leagues.findById(connection, leagueId);
+        const leagueError = leagueService.writableLeagueError(league);
+        if (leagueError) {
+            connection.release();
+            return res.status(leagueError.status).json({ success: false, error: leagueError.error });
+        }
+
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership || !permissions.can(membership.Role, 'manageSeasons')) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'Only the owner or a co-commissioner can manage seasons' });
+        }
+
+        const season = await repos.seasons.findById(connection, seasonId);
+        if (!season || String(season.LeagueID) !== String(league.LeagueID)) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'Season not found' });
+        }
+        if (season.Status === 'closed') {
+            connection.release();
+            return res.status(400).json({ success: false, error: 'This season is already closed' });
+        }
+
+        await connection.beginTransaction();
+        await seasons.closeSeason(connection, season);
+        await connection.commit();
+
+        const closed = await seasons.loadSeason(connection, await repos.seasons.findById(connection, seasonId));
+        connection.release();
+
+        console.log(`✅ Season "${closed.name}" closed in league ${leagueId} by ${req.user.username}`);
+        res.json({ success: true, message: 'Season closed', data: closed });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Close season error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== ADMIN: EVENTS & FIGHT CARDS ====================
+
+// Admin: create an upcoming event
+app.post('/api/admin/events', auth.requireAdmin, async (req, res) => {
+    const { eventName, date, location, lockTime } = req.body;
+    const eventDate = cards.normalizeEventDate(date);
+    
+    if (!eventName || !eventDate) {
+        return res.status(400).json({ 
+            success: false, 
+            error: 'eventName and a valid date (YYYY-MM-DD) are required' 
+        });
+    }
+    
+    let lockDate = null;
+    if (lockTime) {
+        lockDate = new Date(lockTime);
+        if (isNaN(lockDate.getTime())) {
+            return res.status(400).json({ success: false, error: 'lockTime must be a valid date/time' });
+        }
+    }
+
+    try {
+        const connection = await pool.getConnection();
+        const eventId = cards.generateId();
+        
+        await repos.events.create(connection, {
+            eventId,
+            eventName,
+            date: eventDate,
+            location: location || null,
+            lockTime: lockDate
+        });
+        connection.release();
+        
+        console.log(`✅ Event created: ${eventName} (ID: ${eventId}) by ${req.user.username}`);
+        res.json({ 
+            success: true, 
+            message: 'Event created successfully',
+            eventId: eventId 
+        });
+    } catch (error) {
+        console.error('❌ Create event error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Admin: add a bout between two existing fighters (appended to the bottom of the card)
+app.post('/api/admin/events/:eventId/fights', auth.requireAdmin, async (req, res) => {
+    const eventId = req.params.eventId;
+    const { redFighterId, blueFighterId, division, titleFight, totalRounds, referee } = req.body;
+    
+    const boutError = cards.validateBout({ redFighterId, blueFighterId, totalRounds });
+    if (boutError) {
+        return res.status(400).json({ success: false, error: boutError });
+    }
+
+    try {
+        const connection = await pool.getConnection();
+        
+        if (!(await repos.events.findById(connection, eventId))) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'Event not found' });
+        }
+        
+        const fighters = await repos.fighters.findByIds(connection, [redFighterId, blueFighterId]);
+        if (fighters.length !== 2) {
+            connection.release();
+            return res.status(400).json({ success: false, error: 'Both fighters must already exist' });
+        }
+        
+        // A fighter can only be booked once per card
+        const booked = await repos.fights.findBookings(connection, eventId, [redFighterId, blueFighterId]);
+        if (booked.length > 0) {
+            connection.release();
+            return res.status(400).json({ success: false, error: 'One of these fighters is already booked on this card' });
+        }
+        
+        const boutOrder = await repos.fights.nextBoutOrder(connection, eventId);
+        const fightId = cards.generateId();
+        
+        await repos.fights.create(connection, {
+            fightId,
+            eventId,
+            division: cards.normalizeDivision(division),
+            titleFight: !!titleFight,
+            totalRounds: totalRounds ? Number(totalRounds) : (titleFight ? 5 : 3),
+            referee: referee || null,
+            redFighterId,
+            blueFighterId,
+            boutOrder
+        });
+        connection.release();
+        
+        console.log(`✅ Bout ${fightId} added to event ${eventId}`);
+        res.json({ 
+            success: true, 
+            message: 'Bout added to card',
+            fightId: fightId,
+            boutOrder: boutOrder 
+        });
+    } catch (error) {
+        console.error('❌ Add bout error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Admin: reorder a card. Body: { fightIds: [...] } main event first.
+app.put('/api/admin/events/:eventId/fights/order', auth.requireAdmin, async (req, res) => {
+    const eventId = req.params.eventId;
+    const { fightIds } = req.body;
+    
+    if (!Array.isArray(fightIds) || fightIds.length === 0) {
+        return res.status(400).json({ success: false, error: 'fightIds must be a non-empty array' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const fights = await repos.fights.listForEvent(connection, eventId);
+        const cardIds = fights.map(f => String(f.fight_id)).sort();
+        const requestedIds = fightIds.map(String);
+        
+        if (new Set(requestedIds).size !== requestedIds.length ||
+            JSON.stringify([...requestedIds].sort()) !== JSON.stringify(cardIds)) {
+            connection.release();
+            return res.status(400).json({ 
+                success: false, 
+                error: 'fightIds must list every active bout on this card exactly once' 
+            });
+        }
+        
+        await connection.beginTransaction();
+        for (let i = 0; i < requestedIds.length; i++) {
+            await repos.fights.setBoutOrder(connection, requestedIds[i], i + 1);
+        }
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ Card reordered for event ${eventId}`);
+        res.json({ success: true, message: 'Card order updated' });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Reorder card error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Admin: cancel a bout. Picks on it stop counting.
+app.post('/api/admin/fights/:fightId/cancel', auth.requireAdmin, async (req, res) => {
+    const fightId = req.params.fightId;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const fight = await repos.fights.findById(connection, fightId);
+        if (!fight) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'Fight not found' });
+        }
+        if (fight.winner_id || fight.method) {
+            connection.release();
+            return res.status(400).json({ success: false, error: 'Cannot cancel a bout that already has a result' });
+        }
+        
+        await connection.beginTransaction();
+        await repos.fights.cancel(connection, fightId);
+        const summary = await scoring.scoreEvent(connection, fight.event_id, { reason: 'Bout cancelled' });
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ Bout ${fightId} cancelled`);
+        res.json({ success: true, message: 'Bout cancelled', scoring: summary });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Cancel bout error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Admin: record (or correct) a result, then immediately score the event
+app.put('/api/admin/fights/:fightId/result', auth.requireAdmin, async (req, res) => {
+    const fightId = req.params.fightId;
+    const { winnerId, method, finishRound, matchTimeSec } = req.body;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const fight = await repos.fights.findById(connection, fightId);
+        if (!fight) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'Fight not found' });
+        }
+        if (fight.cancelled) {
+            connection.release();
+            return res.status(400).json({ success: false, error: 'This bout was cancelled' });
+        }
+        
+        const resultError = cards.validateResult(fight, { winnerId, method, finishRound, matchTimeSec });
+        if (resultError) {
+            connection.release();
+            return res.status(400).json({ success: false, error: resultError });
+        }
+        
+        await connection.beginTransaction();
+        await strength.freezeLockedCards(connection, [fight.red_fighter_id, fight.blue_fighter_id]);
+        await repos.fights.recordResult(connection, fightId, {
+            winnerId: winnerId || null,
+            method: cards.normalizeResultMethod(method),
+            finishRound: Number(finishRound),
+            matchTimeSec: matchTimeSec !== undefined && matchTimeSec !== null ? Number(matchTimeSec) : null
+        });
+        const summary = await scoring.scoreEvent(connection, fight.event_id, {
+            reason: fight.winner_id || fight.method ? 'Result corrected' : 'Result recorded'
+        });
+        await connection.commit();
+        connection.release();
+        
+        console.log(`✅ Result recorded for bout ${fightId}: ${method}, R${finishRound} (${summary.picksUpdated} picks re-scored)`);
+        res.json({ success: true, message: 'Result recorded', scoring: summary });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Record result error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== SCORING ROUTES ====================
+
+// Admin: score all picks for an event across every league (optionally limited to one league)
+app.post('/api/scoring/event/:eventId', auth.requireAdmin, async (req, res) => {
+    const eventId = req.params.eventId;
+    const { leagueId } = req.body || {};
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const summary = await scoring.scoreEvent(connection, eventId, { leagueId, reason: 'Event re-scored' });
+
+        await connection.commit();
+        connection.release();
+
+        console.log(`✅ Scored event ${eventId}: ${summary.picksScored} scored, ${summary.picksUpdated} updated`);
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Score event error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Re-score every event a league has picks for (owner / co-commissioner)
+app.post('/api/scoring/league/:leagueId', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        const leagueError = leagueService.writableLeagueError(league);
+        if (leagueError) {
+            connection.release();
+            return res.status(leagueError.status).json({ success: false, error: leagueError.error });
+        }
+        
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership || !permissions.can(membership.Role, 'rescoreLeague')) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'Only the owner or a co-commissioner can re-score this league' });
+        }
+        
+        await connection.beginTransaction();
+
+        const summary = await scoring.scoreLeague(connection, leagueId, { reason: 'League re-scored' });
+
+        await connection.commit();
+        connection.release();
+
+        console.log(`✅ Scored league ${leagueId}: ${summary.eventsScored} events, ${summary.picksUpdated} picks updated`);
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Score league error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Admin: re-score a league, an event and/or a date range and report every pick that moved.
+// Body: { leagueId?, eventId?, from?: 'YYYY-MM-DD', to?: 'YYYY-MM-DD', dryRun?, reason? }
+app.post('/api/admin/rescore', auth.requireAdmin, async (req, res) => {
+    const { leagueId, eventId, from, to, dryRun, reason } = req.body || {};
+    const fromDate = from ? cards.normalizeEventDate(from) : null;
+    const toDate = to ? cards.normalizeEventDate(to) : null;
+    
+    if (!leagueId && !eventId && !from && !to) {
+        return res.status(400).json({ success: false, error: 'Give a leagueId, an eventId and/or a from/to date range' });
+    }
+    if ((from && !fromDate) || (to && !toDate)) {
+        return res.status(400).json({ success: false, error: 'from and to must be dates (YYYY-MM-DD)' });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        await connection.beginTransaction();
+
+        const summary = await scoring.rescore(connection, {
+            leagueId: leagueId || null,
+            eventId: eventId || null,
+            from: fromDate,
+            to: toDate,
+            dryRun: !!dryRun,
+            reason: reason ? String(reason).trim().slice(0, 255) : 'Admin re-score'
+        });
+
+        if (dryRun) {
+            await connection.rollback();
+        } else {
+            await connection.commit();
+        }
+        connection.release();
+
+        console.log(`✅ Re-score${dryRun ? ' (dry run)' : ''} by ${req.user.username}: ${summary.eventsScored} events, ${summary.picksUpdated} picks changed`);
+        res.json({ success: true, data: summary });
+    } catch (error) {
+        if (connection) {
+            await connection.rollback().catch(() => {});
+            connection.release();
+        }
+        console.error('❌ Re-score error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Events whose pick consensus the league can see (picked on and locked), newest first
+app.get('/api/league/:leagueId/consensus', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+
+        const league = await repos.leagues.findById(connection, leagueId);
+        const events = await eventService.listConsensusEvents(connection, league);
+        connection.release();
+
+        res.json({ success: true, data: events });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Consensus events error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// How the league picked each bout on a card: share and members per corner, plus
+// contrarian picks that hit. 403 until picks for the event lock.
+app.get('/api/league/:leagueId/consensus/:eventId', auth.requireAuth, async (req, res) => {
+    const { leagueId, eventId } = req.params;
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+
+        const league = await repos.leagues.findById(connection, leagueId);
+        const consensus = await eventService.getConsensus(connection, league, eventId, req.user.userId);
+        connection.release();
+
+        if (consensus.error) {
+            return res.status(consensus.status).json({ success: false, error: consensus.error });
+        }
+
+        res.json({ success: true, data: consensus });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Pick consensus error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// When and why members' points changed (any member). Query: ?userId= for one member, ?limit= (max 500)
+app.get('/api/league/:leagueId/score-history', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        const history = await repos.scoreHistory.listForLeague(connection, leagueId, {
+            userId: req.query.userId || null,
+            limit
+        });
+        connection.release();
+        
+        // Scores only change once results are in, so picks are locked; private leagues
+        // still hide who other members picked. Once the result is known a pick's points
+        // and detail give the fighter away too, so those entries keep only when and why.
+        const data = history.map(entry => (leagueService.canSeePicks(league, req.user.userId, entry.UserID, true)
+            ? entry
+            : { ...entry, PickID: null, FighterID: null, FighterName: null, OldPoints: null, NewPoints: null, Detail: null }));
+        
+        res.json({ success: true, data });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Score history error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Presets and allowed ranges, for the scoring rules editor
+app.get('/api/scoring/presets', (req, res) => {
+    res.json({ success: true, data: { presets: scoring.SCORING_PRESETS, limits: scoring.RULE_LIMITS } });
+});
+
+// What this league's past events would have scored under other rules. Nothing is saved.
+// Body: { scoringRules: preset name or rules object }
+app.post('/api/league/:leagueId/scoring/preview', auth.requireAuth, async (req, res) => {
+    const leagueId = req.params.leagueId;
+    const { rules, errors } = scoring.validateScoringRules((req.body || {}).scoringRules);
+    
+    if (errors.length > 0) {
+        return res.status(400).json({ 
+            success: false, 
+            error: `Invalid scoring rules: ${errors.map(e => e.error).join('; ')}`, 
+            errors 
+        });
+    }
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+        
+        const league = await repos.leagues.findById(connection, leagueId);
+        if (!league) {
+            connection.release();
+            return res.status(404).json({ success: false, error: 'League not found' });
+        }
+        
+        const membership = await repos.memberships.find(connection, req.user.userId, leagueId);
+        if (!membership) {
+            connection.release();
+            return res.status(403).json({ success: false, error: 'You are not a member of this league' });
+        }
+        
+        const preview = await scoring.previewLeague(connection, leagueId, rules);
+        connection.release();
+        
+        res.json({ success: true, data: preview });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Scoring preview error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// ==================== RATINGS & RANKINGS ====================
+// Elo ratings replayed from fight results (services/ratings.js). Every route
+// takes ?asOf=YYYY-MM-DD or ?event=<event_id> to see the ratings as they stood
+// after that date / event (the event's own bouts included).
+
+// Parse ?division= (any label, e.g. "Interim Lightweight") and the as-of options.
+// Returns { division, asOf } or { error, status }.
+async function readRatingsQuery(connection, query) {
+    let division = null;
+    if (query.division) {
+        division = ratings.canonicalDivision(query.division);
+        if (!division) return { error: `Unknown division "${query.division}"`, status: 400 };
+    }
+    const asOf = await ratings.resolveAsOf(connection, { asOf: query.asOf, eventId: query.event });
+    if (asOf.error) return asOf;
+    return { division, asOf };
+}
+
+// Divisions that have rankings
+app.get('/api/rankings/divisions', (req, res) => {
+    res.json({ success: true, data: ratings.DIVISIONS });
+});
+
+// Top-N active fighters per division (all divisions unless ?division= is given)
+app.get('/api/rankings', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const query = await readRatingsQuery(connection, req.query);
+        if (query.error) {
+            connection.release();
+            return res.status(query.status).json({ success: false, error: query.error });
+        }
+
+        const state = await ratings.computeRatings(connection, { until: query.asOf.date });
+        const divisions = await ratings.rankings(connection, state, { division: query.division, limit });
+        connection.release();
+
+        res.json({
+            success: true,
+            data: { asOf: state.asOf, event: query.asOf.event, activeDays: ratings.ACTIVE_DAYS, divisions }
+        });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Rankings error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Highest current ratings, active or not (?division=, ?limit= up to 200)
+app.get('/api/ratings', async (req, res) => {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const query = await readRatingsQuery(connection, req.query);
+        if (query.error) {
+            connection.release();
+            return res.status(query.status).json({ success: false, error: query.error });
+        }
+
+        const state = await ratings.computeRatings(connection, { until: query.asOf.date });
+        const fighters = await ratings.topRatings(connection, state, { division: query.division, limit });
+        connection.release();
+
+        res.json({ success: true, data: { asOf: state.asOf, event: query.asOf.event, fighters } });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Ratings error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// One fighter's rating and how it moved, bout by bout
+app.get('/api/ratings/fighter/:fighterId', async (req, res) => {
+    let connection;
+    try {
+        connection = await pool.getConnection();
+
+        const query = await readRatingsQuery(connection, req.query);
+        if (query.error) {
+            connection.release();
+            return res.status(query.status).json({ success: false, error: query.error });
+        }
+
+        const state = await ratings.computeRatings(connection, { until: query.asOf.date });
+        const fighter = await ratings.fighterHistory(connection, state, req.params.fighterId);
+        connection.release();
+
+        if (!fighter) {
+            return res.status(404).json({ success: false, error: 'No rated fights for this fighter' });
+        }
+
+        res.json({ success: true, data: { asOf: state.asOf, event: query.asOf.event, fighter } });
+    } catch (error) {
+        if (connection) connection.release();
+        console.error('❌ Fighter rating error:', error.message);
+        res.status(500).json({ success: false, error: error.message });
+    }
+});
+
+// Serve index.html for root route
+app.get('/', (req, res) => {
+    res.sendFile(path.join(__dirname, 'public', 'index.html'));
+});
+
+// Start server (skipped when required by a test harness, which mounts `app` itself)
+if (require.main === module) {
+    app.listen(PORT, () => {
+        console.log(`🚀 Server running on http://localhost:${PORT}`);
+        console.log(`📊 Database: ${pool.description}`);
+    });
+}
+
+module.exports = { app, pool };
+
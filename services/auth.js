@@ -0,0 +1,134 @@
+// ==================== SESSION AUTHENTICATION ====================
+// Login issues a random session token. The browser receives it as a signed,
+// HttpOnly cookie; API clients may send it as "Authorization: Bearer <token>".
+// Only a SHA-256 hash of the token is stored in the session table, so a
+// leaked database dump cannot be replayed as live sessions.
+const crypto = require('crypto');
+
+const SESSION_COOKIE = 'ufc_session';
+const SESSION_TTL_HOURS = parseInt(process.env.SESSION_TTL_HOURS) || 24 * 7;
+
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+// Pull the raw token from the signed cookie or the Authorization header
+function readToken(req) {
+    const cookieToken = req.signedCookies && req.signedCookies[SESSION_COOKIE];
+    if (cookieToken) return cookieToken;
+
+    const header = req.headers.authorization || '';
+    if (header.startsWith('Bearer ')) return header.slice(7).trim();
+    return null;
+}
+
+// Create a session row and return the raw token (never stored)
+async function createSession(connection, userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = new Date(Date.now() + SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+    await connection.execute(
+        'INSERT INTO session (SessionID, UserID, CreatedAt, ExpiresAt) VALUES (?, ?, ?, ?)',
+        [hashToken(token), userId, new Date(), expiresAt]
+    );
+
+    return { token, expiresAt };
+}
+
+async function destroySession(connection, token) {
+    await connection.execute('DELETE FROM session WHERE SessionID = ?', [hashToken(token)]);
+}
+
+function setSessionCookie(res, token, expiresAt) {
+    res.cookie(SESSION_COOKIE, token, {
+        httpOnly: true,
+        sameSite: 'lax',
+        secure: process.env.NODE_ENV === 'production',
+        signed: true,
+        expires: expiresAt
+    });
+}
+
+function clearSessionCookie(res) {
+    res.clearCookie(SESSION_COOKIE);
+}
+
+// Middleware: resolve the current user on every /api/* request.
+// Sets req.user = { userId, username, email, isAdmin } or leaves it null.
+function resolveSession(pool) {
+    return async (req, res, next) => {
+        req.user = null;
+        const token = readToken(req);
+        if (!token) return next();
+
+        let connection;
+        try {
+            connection = await pool.getConnection();
+            const [rows] = await connection.execute(
+                `SELECT s.SessionID, s.ExpiresAt, u.UserID, u.Username, u.Email, u.IsAdmin
+                 FROM session s
+                 INNER JOIN user u ON s.UserID = u.UserID
+                 WHERE s.SessionID = ?`,
+                [hashToken(token)]
+            );
+
+            if (rows.length > 0 && new Date(rows[0].ExpiresAt) > new Date()) {
+                req.user = {
+                    userId: rows[0].UserID,
+                    username: rows[0].Username,
+                    email: rows[0].Email,
+                    isAdmin: !!rows[0].IsAdmin
+                };
+                req.sessionToken = token;
+            } else if (rows.length > 0) {
+                // Expired - clean it up
+                await connection.execute('DELETE FROM session WHERE SessionID = ?', [rows[0].SessionID]);
+            }
+        } catch (error) {
+            console.error('❌ Session lookup error:', error.message);
+        } finally {
+            if (connection) connection.release();
+        }
+        next();
+    };
+}
+
+// Middleware: reject requests without a valid session
+function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'You must be logged in'
+        });
+    }
+    next();
+}
+
+// Middleware: site administrators only (user.IsAdmin = 1)
+function requireAdmin(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'You must be logged in'
+        });
+    }
+    if (!req.user.isAdmin) {
+        return res.status(403).json({
+            success: false,
+            error: 'Administrator access required'
+        });
+    }
+    next();
+}
+
+module.exports = {
+    SESSION_COOKIE,
+    SESSION_TTL_HOURS,
+    createSession,
+    destroySession,
+    setSessionCookie,
+    clearSessionCookie,
+    resolveSession,
+    requireAuth,
+    requireAdmin
+};
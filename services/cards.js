@@ -0,0 +1,118 @@
+// ==================== FIGHT CARD HELPERS ====================
+// Shared validation for building events and fight cards (admin API and importer).
+// Stored values follow the dump's conventions: 16-char hex IDs and lowercase
+// division names. Event dates are stored as DATE ('YYYY-MM-DD').
+const crypto = require('crypto');
+const { pad } = require('../db/repositories/helpers');
+
+// Result methods as they appear in the dump, plus draw / no contest
+const RESULT_METHODS = [
+    'KO/TKO',
+    'Submission',
+    'Decision - Unanimous',
+    'Decision - Split',
+    'Decision - Majority',
+    "TKO - Doctor's Stoppage",
+    'DQ',
+    'Draw',
+    'No Contest'
+];
+
+// Methods that end a fight without a winner
+const NO_WINNER_METHODS = ['Draw', 'No Contest'];
+
+// Rounds are 5 minutes, except single-round bouts from the early cards, which
+// ran longer (the dump has them finishing up to 12 minutes in)
+const ROUND_SECONDS = 300;
+
+// Same shape as the dump's event_id / fight_id / fighter_id values
+function generateId() {
+    return crypto.randomBytes(8).toString('hex');
+}
+
+// Accept 'YYYY-MM-DD', 'YYYY/MM/DD' (the dump's format) or a Date; return 'YYYY-MM-DD' or null
+function normalizeEventDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) {
+        if (isNaN(value.getTime())) return null;
+        return `${value.getFullYear()}-${pad(value.getMonth() + 1)}-${pad(value.getDate())}`;
+    }
+
+    const match = String(value).trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})$/);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+    if (date.getMonth() !== month - 1 || date.getDate() !== day) return null;
+    return normalizeEventDate(date);
+}
+
+function normalizeDivision(value) {
+    return value ? String(value).trim().toLowerCase() : null;
+}
+
+// Case-insensitive match against RESULT_METHODS; returns the canonical spelling
+function normalizeResultMethod(value) {
+    if (!value) return null;
+    const lower = String(value).trim().toLowerCase();
+    return RESULT_METHODS.find(m => m.toLowerCase() === lower) || null;
+}
+
+// Validate a bout before it goes on a card. Returns an error string or null.
+function validateBout({ redFighterId, blueFighterId, totalRounds }) {
+    if (!redFighterId || !blueFighterId) {
+        return 'redFighterId and blueFighterId are required';
+    }
+    if (String(redFighterId) === String(blueFighterId)) {
+        return 'A fighter cannot fight themselves';
+    }
+    if (totalRounds !== undefined && totalRounds !== null &&
+        ![1, 3, 5].includes(Number(totalRounds))) {
+        return 'totalRounds must be 1, 3 or 5';
+    }
+    return null;
+}
+
+// Validate a result against its bout. Returns an error string or null.
+function validateResult(fight, { winnerId, method, finishRound, matchTimeSec }) {
+    const canonicalMethod = normalizeResultMethod(method);
+    if (!canonicalMethod) {
+        return `method must be one of: ${RESULT_METHODS.join(', ')}`;
+    }
+
+    if (NO_WINNER_METHODS.includes(canonicalMethod)) {
+        if (winnerId) return `A ${canonicalMethod} has no winner`;
+    } else if (String(winnerId) !== String(fight.red_fighter_id) &&
+               String(winnerId) !== String(fight.blue_fighter_id)) {
+        return 'winnerId must be one of the two fighters in this bout';
+    }
+
+    const scheduledRounds = fight.total_rounds ? parseInt(fight.total_rounds) : 5;
+    const round = Number(finishRound);
+    if (!Number.isInteger(round) || round < 1 || round > scheduledRounds) {
+        return `finishRound must be between 1 and ${scheduledRounds}`;
+    }
+
+    if (matchTimeSec !== undefined && matchTimeSec !== null) {
+        const seconds = Number(matchTimeSec);
+        if (!Number.isInteger(seconds) || seconds < 0) {
+            return 'matchTimeSec must be the time into the finish round, in whole seconds';
+        }
+        if (scheduledRounds > 1 && seconds > ROUND_SECONDS) {
+            return `matchTimeSec must be the time into the finish round, 0-${ROUND_SECONDS} seconds`;
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    RESULT_METHODS,
+    NO_WINNER_METHODS,
+    ROUND_SECONDS,
+    generateId,
+    normalizeEventDate,
+    normalizeDivision,
+    normalizeResultMethod,
+    validateBout,
+    validateResult
+};
@@ -0,0 +1,69 @@
+// ==================== CSV PARSER ====================
+// Minimal RFC 4180 parser: quoted fields, escaped quotes ("") and newlines
+// inside quotes. Returns an array of objects keyed by the header row.
+
+function parseCsv(text) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let inQuotes = false;
+
+    // Strip a UTF-8 byte order mark (Excel adds one)
+    if (text.charCodeAt(0) === 0xfeff) text = text.slice(1);
+
+    for (let i = 0; i < text.length; i++) {
+        const ch = text[i];
+
+        if (inQuotes) {
+            if (ch === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (ch === '"') {
+                inQuotes = false;
+            } else {
+                field += ch;
+            }
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ',') {
+            row.push(field);
+            field = '';
+        } else if (ch === '\n' || ch === '\r') {
+            if (ch === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += ch;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('Unterminated quoted field in CSV');
+    }
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Drop blank lines
+    const nonEmpty = rows.filter(r => r.some(value => value.trim() !== ''));
+    if (nonEmpty.length === 0) return [];
+
+    const headers = nonEmpty[0].map(h => h.trim());
+    return nonEmpty.slice(1).map((values, index) => {
+        if (values.length > headers.length) {
+            throw new Error(`CSV row ${index + 2} has ${values.length} fields, expected ${headers.length}`);
+        }
+        const record = {};
+        headers.forEach((header, i) => {
+            record[header] = values[i] !== undefined ? values[i] : '';
+        });
+        return record;
+    });
+}
+
+module.exports = {
+    parseCsv
+};
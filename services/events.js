@@ -0,0 +1,287 @@
+// ==================== EVENT LISTING ====================
+// Query parsing, cursors and row shaping for GET /api/events. Status is
+// worked out in SQL (repos.events.search) so it can be filtered and paged:
+//   upcoming    - a future date and no results yet
+//   in_progress - fight day, or some bouts have results but not all
+//   completed   - the date has passed, or every active bout has a result
+const repos = require('../db/repositories');
+const cards = require('./cards');
+const locks = require('./locks');
+const fighterService = require('./fighters');
+const leagueService = require('./leagues');
+
+const STATUSES = ['upcoming', 'in_progress', 'completed'];
+const DEFAULT_LIMIT = 25;
+const MAX_LIMIT = 100;
+
+// The cursor is the sort key of the last event on a page, opaque to clients
+function encodeCursor(row) {
+    return Buffer.from(JSON.stringify({ d: row.sort_date, id: row.event_id })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+    try {
+        const value = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+        if (typeof value.d !== 'string' || typeof value.id !== 'string') return null;
+        return { date: value.d, eventId: value.id };
+    } catch (error) {
+        return null;
+    }
+}
+
+// Validate ?status, from, to, location, q, order, cursor, limit into repos.events.search
+// options. Returns { error } for bad input.
+function readListQuery(query) {
+    const options = {
+        status: null,
+        from: null,
+        to: null,
+        location: query.location ? String(query.location).trim() || null : null,
+        q: query.q ? String(query.q).trim() || null : null,
+        order: 'desc',
+        after: null,
+        limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT)
+    };
+
+    if (query.status) {
+        if (!STATUSES.includes(query.status)) {
+            return { error: `status must be one of: ${STATUSES.join(', ')}` };
+        }
+        options.status = query.status;
+    }
+
+    for (const key of ['from', 'to']) {
+        if (!query[key]) continue;
+        options[key] = cards.normalizeEventDate(query[key]);
+        if (!options[key]) return { error: `${key} must be a date (YYYY-MM-DD)` };
+    }
+    if (options.from && options.to && options.from > options.to) {
+        return { error: 'from must not be after to' };
+    }
+
+    if (query.order) {
+        if (query.order !== 'asc' && query.order !== 'desc') return { error: 'order must be asc or desc' };
+        options.order = query.order;
+    }
+
+    if (query.cursor) {
+        options.after = decodeCursor(query.cursor);
+        if (!options.after) return { error: 'Invalid cursor' };
+    }
+
+    return { options };
+}
+
+// Fetch one page: { events, nextCursor } (nextCursor is null on the last page)
+async function listEvents(connection, options) {
+    const rows = await repos.events.search(connection, { ...options, limit: options.limit + 1 });
+    const page = rows.slice(0, options.limit);
+    return {
+        events: page.map(row => ({
+            EventID: row.event_id,
+            Name: row.event_name,
+            Date: row.date,
+            Location: row.location,
+            Status: row.status,
+            FightCount: Number(row.bouts),
+            ResultCount: Number(row.decided)
+        })),
+        nextCursor: rows.length > options.limit ? encodeCursor(page[page.length - 1]) : null
+    };
+}
+
+// ==================== EVENT DETAIL ====================
+// One card with results, main event first, optionally with how a league's
+// members picked each bout. Other members' picks follow league.PickVisibility.
+
+// Running order for bouts an admin hasn't numbered (dump cards): title fights,
+// then five-rounders, then the rest. Numbered bouts (1 = main event) come first.
+function cardOrder(fights) {
+    const rank = (f) => (Number(f.title_fight) ? 0 : Number(f.total_rounds) === 5 ? 1 : 2);
+    const numbered = fights.filter(f => f.bout_order !== null && f.bout_order !== undefined);
+    const unnumbered = fights
+        .filter(f => f.bout_order === null || f.bout_order === undefined)
+        .map((f, i) => ({ f, i }))
+        .sort((x, y) => rank(x.f) - rank(y.f) || x.i - y.i)
+        .map(x => x.f);
+    return [...numbered, ...unnumbered];
+}
+
+// { winnerId, outcome: 'win' | 'draw' | 'no_contest', method, round, timeSec } or null while pending
+function boutOutcome(fight, redId) {
+    const result = fighterService.boutResult(fight, redId);
+    if (result === 'Pending') return null;
+    return {
+        winnerId: fight.winner_id ? String(fight.winner_id).trim() : null,
+        outcome: result === 'Draw' ? 'draw' : result === 'No Contest' ? 'no_contest' : 'win',
+        method: fight.method || null,
+        round: fight.finish_round ? Number(fight.finish_round) : null,
+        timeSec: fight.match_time_sec !== null && fight.match_time_sec !== undefined ? Number(fight.match_time_sec) : null
+    };
+}
+
+// Picks for one bout. Older picks have no FightID, so fall back to the fighter picked.
+function picksForBout(picks, fight, redId, blueId, result) {
+    return picks
+        .filter(p => (p.FightID
+            ? p.FightID === fight.fight_id
+            : [redId, blueId].includes(String(p.FighterID).trim())))
+        .map(p => {
+            const fighterId = String(p.FighterID).trim();
+            return {
+                userId: p.UserID,
+                username: p.Username,
+                fighterId,
+                corner: fighterId === redId ? 'red' : 'blue',
+                predictedMethod: p.PredictedMethod || null,
+                predictedRound: p.PredictedRound || null,
+                confidence: p.Confidence || null,
+                correct: result && result.winnerId ? fighterId === result.winnerId : null,
+                points: Number(p.PointsEarned) || 0
+            };
+        });
+}
+
+// How a league split on one bout: each corner's share of the picks and who picked it.
+// A contrarian hit is a correct pick on the corner fewer than half the league backed.
+function consensusFor(picks) {
+    const total = picks.length;
+    const corner = (side) => {
+        const backers = picks.filter(p => p.corner === side);
+        return {
+            count: backers.length,
+            percent: total > 0 ? Math.round((backers.length / total) * 1000) / 10 : 0,
+            members: backers.map(p => ({ userId: p.userId, username: p.username, correct: p.correct, points: p.points }))
+        };
+    };
+    const red = corner('red');
+    const blue = corner('blue');
+    const minority = (side) => (side === 'red' ? red : blue).count * 2 < total;
+
+    return {
+        totalPicks: total,
+        red,
+        blue,
+        contrarianHits: picks
+            .filter(p => p.correct && minority(p.corner))
+            .map(p => ({ userId: p.userId, username: p.username, fighterId: p.fighterId }))
+    };
+}
+
+// Returns null when the event does not exist. Pass a league row (and the viewer's
+// userId) to include that league's picks; the caller checks membership.
+async function getEventDetail(connection, eventId, { league = null, userId = null } = {}) {
+    const event = await repos.events.findListed(connection, eventId);
+    if (!event) return null;
+
+    const fights = cardOrder(await repos.fights.listForEvent(connection, event.event_id));
+    const fighterIds = [...new Set(fights.flatMap(f => [String(f.red_fighter_id).trim(), String(f.blue_fighter_id).trim()]))];
+    const names = {};
+    (await repos.fighters.findByIds(connection, fighterIds)).forEach(f => { names[String(f.fighter_id).trim()] = f.name; });
+
+    const lock = locks.computeLock(event, Number(event.decided) > 0);
+    const othersVisible = league ? leagueService.othersPicksVisible(league, lock.locked) : false;
+    let picks = [];
+    if (league) {
+        picks = await repos.picks.listForLeagueEvent(connection, league.LeagueID, event.event_id);
+        picks = picks.filter(p => leagueService.canSeePicks(league, userId, p.UserID, lock.locked));
+    }
+
+    const bouts = fights.map((fight, i) => {
+        const redId = String(fight.red_fighter_id).trim();
+        const blueId = String(fight.blue_fighter_id).trim();
+        const result = boutOutcome(fight, redId);
+        const bout = {
+            fightId: fight.fight_id,
+            position: i + 1,
+            red: { fighterId: redId, name: names[redId] || redId },
+            blue: { fighterId: blueId, name: names[blueId] || blueId },
+            division: fight.division || null,
+            titleFight: !!Number(fight.title_fight),
+            scheduledRounds: fight.total_rounds ? Number(fight.total_rounds) : 3,
+            result
+        };
+        if (league) {
+            bout.picks = picksForBout(picks, fight, redId, blueId, result);
+            // The split would give picks away before the lock
+            bout.consensus = lock.locked && othersVisible ? consensusFor(bout.picks) : null;
+        }
+        return bout;
+    });
+
+    return {
+        event: {
+            eventId: event.event_id,
+            name: event.event_name,
+            date: event.date,
+            location: event.location,
+            status: event.status,
+            fightCount: Number(event.bouts),
+            resultCount: Number(event.decided),
+            lock
+        },
+        league: league
+            ? { leagueId: league.LeagueID, name: league.Name, pickVisibility: league.PickVisibility, picksHidden: !othersVisible }
+            : null,
+        bouts
+    };
+}
+
+// ==================== PICK CONSENSUS ====================
+// What a league picked on a card, bout by bout. Only available once picks lock,
+// so nobody can copy the room, and never in leagues that keep picks private.
+
+const PRIVATE_PICKS_ERROR = 'This league keeps members\' picks private';
+
+// Events the league has picks on whose picks have locked, newest first
+// (none when the league keeps picks private)
+async function listConsensusEvents(connection, league) {
+    if (!leagueService.othersPicksVisible(league, true)) return [];
+    const events = await repos.events.listPickedByLeague(connection, league.LeagueID);
+    return events
+        .filter(event => locks.computeLock(event, Number(event.decided) > 0).locked)
+        .map(event => ({
+            EventID: event.event_id,
+            Name: event.event_name,
+            Date: event.date,
+            Status: event.status
+        }));
+}
+
+// { event, league, bouts: [{ fightId, position, red, blue, titleFight, result, totalPicks, red/blue split, contrarianHits }] }
+// or { error, status } when the event is missing or still open for picks
+async function getConsensus(connection, league, eventId, userId) {
+    const detail = await getEventDetail(connection, eventId, { league, userId });
+    if (!detail) return { error: 'Event not found', status: 404 };
+    if (!detail.event.lock.locked) {
+        return { error: 'Pick consensus is available once picks for this event lock', status: 403 };
+    }
+    if (!leagueService.othersPicksVisible(league, true)) {
+        return { error: PRIVATE_PICKS_ERROR, status: 403 };
+    }
+
+    return {
+        event: detail.event,
+        league: { leagueId: league.LeagueID, name: league.Name },
+        bouts: detail.bouts.map(bout => ({
+            fightId: bout.fightId,
+            position: bout.position,
+            division: bout.division,
+            titleFight: bout.titleFight,
+            result: bout.result,
+            totalPicks: bout.consensus.totalPicks,
+            red: { ...bout.red, ...bout.consensus.red },
+            blue: { ...bout.blue, ...bout.consensus.blue },
+            contrarianHits: bout.consensus.contrarianHits
+        }))
+    };
+}
+
+module.exports = {
+    STATUSES,
+    readListQuery,
+    listEvents,
+    getEventDetail,
+    listConsensusEvents,
+    getConsensus
+};
@@ -0,0 +1,86 @@
+// ==================== FIGHT STATISTICS ====================
+// Shapes fight_stat rows (one per bout, fighter and round) for the API:
+// per-fighter totals plus the round-by-round breakdown. A stat that was never
+// recorded stays null rather than counting as 0.
+const repos = require('../db/repositories');
+
+// API name -> fight_stat column
+const STAT_FIELDS = {
+    knockdowns: 'knockdowns',
+    sigStrikesLanded: 'sig_strikes_landed',
+    sigStrikesAttempted: 'sig_strikes_attempted',
+    totalStrikesLanded: 'total_strikes_landed',
+    totalStrikesAttempted: 'total_strikes_attempted',
+    takedownsLanded: 'takedowns_landed',
+    takedownsAttempted: 'takedowns_attempted',
+    submissionAttempts: 'submission_attempts',
+    reversals: 'reversals',
+    controlTimeSec: 'control_time_sec'
+};
+
+function readStats(row) {
+    const stats = {};
+    for (const [field, column] of Object.entries(STAT_FIELDS)) {
+        stats[field] = row[column] === null || row[column] === undefined ? null : Number(row[column]);
+    }
+    return stats;
+}
+
+// Sum each stat over rounds; null only when no round recorded it
+function addUp(rounds) {
+    const totals = {};
+    for (const field of Object.keys(STAT_FIELDS)) {
+        const recorded = rounds.filter(r => r[field] !== null);
+        totals[field] = recorded.length > 0 ? recorded.reduce((sum, r) => sum + r[field], 0) : null;
+    }
+    totals.sigStrikeAccuracy = accuracy(totals.sigStrikesLanded, totals.sigStrikesAttempted);
+    totals.takedownAccuracy = accuracy(totals.takedownsLanded, totals.takedownsAttempted);
+    return totals;
+}
+
+function accuracy(landed, attempted) {
+    return landed !== null && attempted ? Math.round((landed / attempted) * 1000) / 1000 : null;
+}
+
+// { fightId, eventId, eventName, method, finishRound, available, fighters: [{ fighterId, name, corner, totals, rounds }] }
+// Returns null when the bout does not exist.
+async function getFightStats(connection, fightId) {
+    const fight = await repos.fights.findById(connection, fightId);
+    if (!fight) return null;
+
+    const event = await repos.events.findById(connection, fight.event_id);
+    const redId = String(fight.red_fighter_id).trim();
+    const blueId = String(fight.blue_fighter_id).trim();
+    const named = await repos.fighters.findByIds(connection, [redId, blueId]);
+    const rows = await repos.fightStats.listForFight(connection, fight.fight_id);
+
+    const fighters = [[redId, 'red'], [blueId, 'blue']].map(([fighterId, corner]) => {
+        const fighter = named.find(f => String(f.fighter_id).trim() === fighterId);
+        const rounds = rows
+            .filter(r => String(r.fighter_id).trim() === fighterId)
+            .map(r => ({ round: Number(r.round), ...readStats(r) }));
+        return {
+            fighterId,
+            name: fighter ? fighter.name : fighterId,
+            corner,
+            won: fight.winner_id ? String(fight.winner_id).trim() === fighterId : null,
+            totals: rounds.length > 0 ? addUp(rounds) : null,
+            rounds
+        };
+    });
+
+    return {
+        fightId: fight.fight_id,
+        eventId: fight.event_id,
+        eventName: event ? event.event_name : null,
+        method: fight.method || null,
+        finishRound: fight.finish_round || null,
+        available: rows.length > 0,
+        fighters
+    };
+}
+
+module.exports = {
+    STAT_FIELDS,
+    getFightStats
+};
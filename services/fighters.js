@@ -0,0 +1,278 @@
+// ==================== FIGHTER PROFILES ====================
+// Career numbers computed from fight rows, not the static fighter.wins /
+// losses / draws columns (which come from the dump and include non-UFC bouts).
+// Cancelled bouts are ignored; bouts without a result are listed as upcoming.
+const scoring = require('./scoring');
+const { ROUND_SECONDS } = require('./cards');
+
+// Groups a win or loss method falls under (scoring.classifyMethod categories)
+const METHOD_GROUPS = ['KO/TKO', 'Submission', 'Decision', 'DQ', 'Other'];
+
+// 'Win', 'Loss', 'Draw', 'No Contest' or 'Pending' for one fighter in a bout
+function boutResult(bout, fighterId) {
+    if (bout.winner_id) return String(bout.winner_id).trim() === fighterId ? 'Win' : 'Loss';
+    const method = scoring.classifyMethod(bout.method);
+    if (method === 'Draw') return 'Draw';
+    if (method) return 'No Contest';
+    return 'Pending';
+}
+
+// Seconds from the opening bell to the end of the bout, or null when not recorded.
+// match_time_sec is the time into the finish round; earlier rounds ran the full 5 minutes.
+function fightSeconds(bout) {
+    if (bout.match_time_sec === null || bout.match_time_sec === undefined || !bout.Round) return null;
+    return (Number(bout.Round) - 1) * ROUND_SECONDS + Number(bout.match_time_sec);
+}
+
+// DECIMAL columns arrive as strings from MySQL
+function toNumber(value) {
+    return value === null || value === undefined ? null : Number(value);
+}
+
+function ageOn(dob, today = new Date()) {
+    if (!dob) return null;
+    const [year, month, day] = String(dob).slice(0, 10).split('-').map(Number);
+    if (!year) return null;
+    let age = today.getFullYear() - year;
+    if (today.getMonth() + 1 < month || (today.getMonth() + 1 === month && today.getDate() < day)) age--;
+    return age;
+}
+
+function emptyRecord() {
+    return { wins: 0, losses: 0, draws: 0, noContests: 0 };
+}
+
+function addResult(record, result) {
+    if (result === 'Win') record.wins++;
+    else if (result === 'Loss') record.losses++;
+    else if (result === 'Draw') record.draws++;
+    else if (result === 'No Contest') record.noContests++;
+}
+
+function formatRecord(record) {
+    const text = `${record.wins}-${record.losses}-${record.draws}`;
+    return record.noContests ? `${text} (${record.noContests} NC)` : text;
+}
+
+// { wins, losses, draws, noContests, text } over finished bouts
+function recordOf(fights) {
+    const record = emptyRecord();
+    fights.forEach(f => addResult(record, f.result));
+    return { ...record, text: formatRecord(record) };
+}
+
+function rate(count, total) {
+    return total > 0 ? Math.round((count / total) * 1000) / 1000 : 0;
+}
+
+// Current streak plus the longest win and loss runs. fights are newest first;
+// no contests neither extend nor break a streak.
+function streaks(fights) {
+    const decided = fights.filter(f => ['Win', 'Loss', 'Draw'].includes(f.result)).reverse();
+    let current = null;
+    let longestWin = 0;
+    let longestLoss = 0;
+
+    decided.forEach(f => {
+        current = current && current.result === f.result
+            ? { result: f.result, count: current.count + 1 }
+            : { result: f.result, count: 1 };
+        if (f.result === 'Win') longestWin = Math.max(longestWin, current.count);
+        if (f.result === 'Loss') longestLoss = Math.max(longestLoss, current.count);
+    });
+
+    return { current, longestWin, longestLoss };
+}
+
+// How wins (or losses) ended: [{ method, count, rate }] with rate as a share of the total
+function byMethod(fights, result) {
+    const matching = fights.filter(f => f.result === result);
+    return METHOD_GROUPS.map(method => {
+        const count = matching.filter(f => (METHOD_GROUPS.includes(f.methodGroup) ? f.methodGroup : 'Other') === method).length;
+        return { method, count, rate: rate(count, matching.length) };
+    });
+}
+
+// One fighter's bout list, from their side: newest first
+function fighterBouts(bouts, fighterId) {
+    return bouts
+        .filter(bout => !Number(bout.cancelled))
+        .map(bout => {
+            const isRed = String(bout.red_fighter_id).trim() === fighterId;
+            return {
+                fightId: bout.fight_id,
+                eventId: bout.event_id,
+                eventName: bout.EventName,
+                date: bout.EventDate,
+                location: bout.location,
+                opponentId: String(isRed ? bout.blue_fighter_id : bout.red_fighter_id).trim(),
+                opponentName: isRed ? bout.FighterBName : bout.FighterAName,
+                result: boutResult(bout, fighterId),
+                method: bout.method || null,
+                methodGroup: scoring.classifyMethod(bout.method),
+                round: bout.Round || null,
+                seconds: fightSeconds(bout),
+                division: bout.division,
+                titleFight: !!Number(bout.title_fight)
+            };
+        });
+}
+
+// Profile for a fighter row and the rows from repos.fights.listForFighters([id])
+function buildProfile(fighter, bouts) {
+    const fighterId = String(fighter.fighter_id).trim();
+    const fights = fighterBouts(bouts, fighterId);
+    const finished = fights.filter(f => f.result !== 'Pending');
+
+    const record = recordOf(finished);
+    const titleRecord = recordOf(finished.filter(f => f.titleFight));
+
+    const winsByMethod = byMethod(finished, 'Win');
+    const finishes = winsByMethod
+        .filter(m => m.method === 'KO/TKO' || m.method === 'Submission')
+        .reduce((sum, m) => sum + m.count, 0);
+
+    const timed = finished.filter(f => f.seconds !== null);
+    const totalSeconds = timed.reduce((sum, f) => sum + f.seconds, 0);
+
+    return {
+        fighter: {
+            fighterId,
+            name: fighter.name,
+            nickname: fighter.nickname || null,
+            height: toNumber(fighter.height),
+            weight: toNumber(fighter.weight),
+            reach: toNumber(fighter.reach),
+            stance: fighter.stance || null,
+            dob: fighter.dob || null,
+            age: ageOn(fighter.dob),
+            nationality: fighter.nationality || null,
+            careerRecord: `${fighter.wins || 0}-${fighter.losses || 0}-${fighter.draws || 0}`
+        },
+        record,
+        streaks: streaks(finished),
+        winsByMethod,
+        lossesByMethod: byMethod(finished, 'Loss'),
+        finishRate: rate(finishes, record.wins),
+        fightTime: {
+            averageSeconds: timed.length > 0 ? Math.round(totalSeconds / timed.length) : null,
+            totalSeconds,
+            fights: timed.length
+        },
+        titleFights: { ...titleRecord, fights: finished.filter(f => f.titleFight).length },
+        upcoming: fights.filter(f => f.result === 'Pending'),
+        fights: finished
+    };
+}
+
+// ==================== TALE OF THE TAPE & HEAD-TO-HEAD ====================
+// Two fighters side by side as they stood going into a bout on `asOf`
+// ('YYYY-MM-DD'): only bouts on earlier dates count, and age is on that day.
+// Without asOf everything so far counts and age is today's.
+
+const RECENT_FORM = 5;
+
+// Finished bouts before asOf from one fighter's side, newest first
+function finishedBefore(bouts, fighterId, asOf) {
+    return fighterBouts(bouts, fighterId)
+        .filter(f => f.result !== 'Pending' && (!asOf || (f.date && f.date < asOf)));
+}
+
+// { fighterId, fighter, fights } for { fighter row, bouts from repos.fights.listForFighters([id]) }
+function side({ fighter, bouts }, asOf) {
+    const fighterId = String(fighter.fighter_id).trim();
+    return { fighterId, fighter, fights: finishedBefore(bouts, fighterId, asOf) };
+}
+
+function tape({ fighterId, fighter, fights }, asOf) {
+    return {
+        fighterId,
+        name: fighter.name,
+        nickname: fighter.nickname || null,
+        height: toNumber(fighter.height),
+        reach: toNumber(fighter.reach),
+        weight: toNumber(fighter.weight),
+        stance: fighter.stance || null,
+        age: ageOn(fighter.dob, asOf ? new Date(`${asOf}T00:00:00`) : new Date()),
+        record: recordOf(fights),
+        streak: streaks(fights).current,
+        recentForm: fights.slice(0, RECENT_FORM).map(f => ({
+            date: f.date,
+            eventName: f.eventName,
+            opponentId: f.opponentId,
+            opponentName: f.opponentName,
+            result: f.result,
+            method: f.method,
+            round: f.round
+        }))
+    };
+}
+
+// Opponents both fighters met (other than each other), with each side's results newest first:
+// [{ opponentId, opponentName, a: [{ date, eventName, result, method, round }], b: [...] }]
+function sharedOpponents(a, b) {
+    const byOpponent = (fights) => {
+        const map = new Map();
+        fights.forEach(f => {
+            if (!map.has(f.opponentId)) map.set(f.opponentId, []);
+            map.get(f.opponentId).push({ date: f.date, eventName: f.eventName, result: f.result, method: f.method, round: f.round });
+        });
+        return map;
+    };
+    const aOpponents = byOpponent(a.fights);
+    const bOpponents = byOpponent(b.fights);
+    const names = {};
+    [...a.fights, ...b.fights].forEach(f => { names[f.opponentId] = f.opponentName; });
+
+    return [...aOpponents.keys()]
+        .filter(id => bOpponents.has(id) && id !== a.fighterId && id !== b.fighterId)
+        .map(id => ({ opponentId: id, opponentName: names[id], a: aOpponents.get(id), b: bOpponents.get(id) }))
+        .sort((x, y) => x.opponentName.localeCompare(y.opponentName));
+}
+
+// Tale of the tape for two { fighter, bouts } pairs
+function compare(fighterA, fighterB, asOf = null) {
+    const a = side(fighterA, asOf);
+    const b = side(fighterB, asOf);
+    return { asOf, a: tape(a, asOf), b: tape(b, asOf), sharedOpponents: sharedOpponents(a, b) };
+}
+
+// Every earlier meeting between the two (results from a's side) plus their common opponents
+function headToHead(fighterA, fighterB, asOf = null) {
+    const a = side(fighterA, asOf);
+    const b = side(fighterB, asOf);
+
+    const meetings = a.fights
+        .filter(f => f.opponentId === b.fighterId)
+        .map(f => ({
+            fightId: f.fightId,
+            eventId: f.eventId,
+            eventName: f.eventName,
+            date: f.date,
+            division: f.division,
+            titleFight: f.titleFight,
+            winnerId: f.result === 'Win' ? a.fighterId : f.result === 'Loss' ? b.fighterId : null,
+            result: f.result,
+            method: f.method,
+            round: f.round
+        }));
+
+    const summary = recordOf(meetings);
+    return {
+        asOf,
+        a: { fighterId: a.fighterId, name: a.fighter.name },
+        b: { fighterId: b.fighterId, name: b.fighter.name },
+        summary: { aWins: summary.wins, bWins: summary.losses, draws: summary.draws, noContests: summary.noContests },
+        meetings,
+        commonOpponents: sharedOpponents(a, b)
+    };
+}
+
+module.exports = {
+    boutResult,
+    fightSeconds,
+    fighterBouts,
+    buildProfile,
+    compare,
+    headToHead
+};
@@ -0,0 +1,589 @@
+// ==================== CARD / RESULTS IMPORTER ====================
+// Upserts events, fighters and bouts from rows shaped like the dump's
+// event / fighter / fight tables. Work happens in two steps:
+//   1. planImport() reads the database and decides, row by row, whether to
+//      create, update or leave each record alone (the dry-run diff report)
+//   2. applyPlan() writes that plan; callers wrap it in a transaction
+// runImport() does both in one transaction and re-scores the changed events.
+//
+// Fighters are matched by fighter_id, then by name. Bouts may reference
+// fighters by red_fighter_name / blue_fighter_name / winner_name and their
+// event by event_name, so a card can be imported before IDs are known.
+// Fight stats (one row per bout, fighter and round) find their bout by
+// fight_id, or by event + fighter_id / fighter_name.
+const path = require('path');
+const cards = require('./cards');
+const strength = require('./strength');
+const scoring = require('./scoring');
+const { parseCsv } = require('./csv');
+const { pad } = require('../db/repositories/helpers');
+
+// Fight columns that make up a result (checked with cards.validateResult)
+const RESULT_COLUMNS = ['method', 'winner_id', 'finish_round', 'match_time_sec', 'total_rounds'];
+
+// Fight columns that book fighters onto a card (re-checked for double bookings)
+const BOOKING_COLUMNS = ['event_id', 'red_fighter_id', 'blue_fighter_id', 'cancelled'];
+
+// Column types for each importable table
+const TABLES = {
+    event: {
+        key: 'event_id',
+        columns: {
+            event_name: 'string',
+            date: 'eventDate',
+            location: 'string',
+            lock_time: 'datetime'
+        }
+    },
+    fighter: {
+        key: 'fighter_id',
+        columns: {
+            name: 'string',
+            nickname: 'string',
+            height: 'decimal',
+            weight: 'decimal',
+            reach: 'decimal',
+            stance: 'string',
+            dob: 'date',
+            wins: 'int',
+            losses: 'int',
+            draws: 'int',
+            nationality: 'string'
+        }
+    },
+    fight: {
+        key: 'fight_id',
+        columns: {
+            event_id: 'string',
+            division: 'division',
+            title_fight: 'bool',
+            method: 'method',
+            finish_round: 'int',
+            match_time_sec: 'int',
+            total_rounds: 'decimal',
+            referee: 'string',
+            red_fighter_id: 'string',
+            blue_fighter_id: 'string',
+            winner_id: 'string',
+            bout_order: 'int',
+            cancelled: 'bool'
+        }
+    },
+    fight_stat: {
+        key: 'stat_id',
+        columns: {
+            fight_id: 'string',
+            fighter_id: 'string',
+            round: 'int',
+            knockdowns: 'count',
+            sig_strikes_landed: 'count',
+            sig_strikes_attempted: 'count',
+            total_strikes_landed: 'count',
+            total_strikes_attempted: 'count',
+            takedowns_landed: 'count',
+            takedowns_attempted: 'count',
+            submission_attempts: 'count',
+            reversals: 'count',
+            control_time_sec: 'duration'
+        }
+    }
+};
+
+// Convert one input/database value to its canonical form.
+// Returns undefined for "not provided" (blank cell), null for an explicit NULL.
+function coerce(type, value) {
+    if (value === undefined) return undefined;
+    if (value === null) return null;
+    if (typeof value === 'string') {
+        value = value.trim();
+        if (value === '') return undefined;
+        if (value.toUpperCase() === 'NULL') return null;
+    }
+
+    switch (type) {
+        case 'int': {
+            const n = Number(value);
+            if (!Number.isInteger(n)) throw new Error(`"${value}" is not a whole number`);
+            return n;
+        }
+        case 'count': {
+            const n = Number(value);
+            if (!Number.isInteger(n) || n < 0) throw new Error(`"${value}" is not a count (0 or more)`);
+            return n;
+        }
+        // Seconds, or "M:SS" as stat sheets print control time
+        case 'duration': {
+            const match = String(value).match(/^(\d+):([0-5]\d)$/);
+            const n = match ? Number(match[1]) * 60 + Number(match[2]) : Number(value);
+            if (!Number.isInteger(n) || n < 0) throw new Error(`"${value}" is not a duration (seconds or M:SS)`);
+            return n;
+        }
+        case 'decimal': {
+            const n = Number(value);
+            if (isNaN(n)) throw new Error(`"${value}" is not a number`);
+            return n;
+        }
+        case 'bool': {
+            const v = String(value).toLowerCase();
+            if (['1', 'true', 'yes'].includes(v)) return 1;
+            if (['0', 'false', 'no'].includes(v)) return 0;
+            throw new Error(`"${value}" is not true/false`);
+        }
+        case 'eventDate': {
+            const date = cards.normalizeEventDate(value);
+            if (!date) throw new Error(`"${value}" is not a valid date`);
+            return date;
+        }
+        case 'date': {
+            const date = value instanceof Date ? value : new Date(String(value).replace(/\//g, '-') + 'T00:00:00');
+            if (isNaN(date.getTime())) throw new Error(`"${value}" is not a valid date`);
+            return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+        }
+        case 'datetime': {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) throw new Error(`"${value}" is not a valid date/time`);
+            return date.toISOString();
+        }
+        case 'division':
+            return cards.normalizeDivision(value);
+        case 'method': {
+            const method = cards.normalizeResultMethod(value);
+            if (!method) throw new Error(`"${value}" is not a known method (${cards.RESULT_METHODS.join(', ')})`);
+            return method;
+        }
+        default:
+            return String(value);
+    }
+}
+
+// Pick the known columns out of an input row, coerced. Unknown columns are ignored.
+function cleanRow(table, row) {
+    const values = {};
+    for (const [column, type] of Object.entries(TABLES[table].columns)) {
+        try {
+            const value = coerce(type, row[column]);
+            if (value !== undefined) values[column] = value;
+        } catch (error) {
+            throw new Error(`${column}: ${error.message}`);
+        }
+    }
+    return values;
+}
+
+// Accept { events, fighters, fights } (any may be missing) or a bare array for one table
+function normalizeInput(data, table) {
+    if (Array.isArray(data)) {
+        if (!table) throw new Error('A bare list of rows needs --table event|fighter|fight|fight_stat');
+        data = { [`${table}s`]: data };
+    }
+    return {
+        events: data.events || data.event || [],
+        fighters: data.fighters || data.fighter || [],
+        fights: data.fights || data.fight || [],
+        fightStats: data.fightStats || data.fight_stats || data.fight_stat || []
+    };
+}
+
+// Guess which table a CSV belongs to from its header row
+function detectTable(rows) {
+    if (rows.length === 0) return null;
+    const headers = Object.keys(rows[0]);
+    if (headers.includes('round')) return 'fight_stat';
+    if (headers.includes('red_fighter_id') || headers.includes('red_fighter_name')) return 'fight';
+    if (headers.includes('event_name') && !headers.includes('name')) return 'event';
+    if (headers.includes('name') || headers.includes('fighter_id')) return 'fighter';
+    return null;
+}
+
+// Parse one import file into { events, fighters, fights, fightStats }: JSON, or
+// CSV for one table (from `table`, or guessed from the header row)
+function parseInputFile(file, text, table = null) {
+    if (path.extname(file).toLowerCase() !== '.csv') {
+        return normalizeInput(JSON.parse(text), table);
+    }
+
+    const rows = parseCsv(text);
+    const fileTable = table || detectTable(rows);
+    if (!fileTable) {
+        throw new Error(`${file}: cannot tell which table this CSV is for - pass --table event|fighter|fight|fight_stat`);
+    }
+    return normalizeInput(rows, fileTable);
+}
+
+// Compare canonical values (numbers from MySQL DECIMAL come back as strings)
+function sameValue(a, b) {
+    if (a === null || a === undefined) return b === null || b === undefined;
+    if (b === null || b === undefined) return false;
+    if (typeof a === 'number' || typeof b === 'number') return Number(a) === Number(b);
+    return String(a) === String(b);
+}
+
+// Diff a cleaned input row against an existing database row
+function diffRow(table, existing, values) {
+    const changes = {};
+    for (const [column, value] of Object.entries(values)) {
+        let current;
+        try {
+            current = coerce(TABLES[table].columns[column], existing[column]);
+        } catch (e) {
+            current = existing[column];
+        }
+        if (current === undefined) current = null;
+        if (!sameValue(current, value)) {
+            changes[column] = { from: current, to: value };
+        }
+    }
+    return changes;
+}
+
+// Same consistency checks as the admin results API, for a bout as it will be
+// after the import. Only rows that set a result column are checked, and only
+// when the bout ends up with a result and is not cancelled.
+function checkResult(bout, values) {
+    if (!RESULT_COLUMNS.some(column => column in values)) return null;
+    if (Number(bout.cancelled) || (!bout.method && !bout.winner_id)) return null;
+
+    return cards.validateResult(bout, {
+        winnerId: bout.winner_id || null,
+        method: bout.method,
+        finishRound: bout.finish_round,
+        matchTimeSec: bout.match_time_sec
+    });
+}
+
+// A fighter can only be booked once per card, as the admin bout API checks.
+// Returns the first of these fighters already on another live bout of the
+// event (existing or planned earlier in this import), or null.
+function checkBooking(fightByEventFighter, eventId, fighterIds, fightId) {
+    return fighterIds.find(fighterId => {
+        const booked = fightByEventFighter.get(`${eventId}|${fighterId}`);
+        return booked && booked !== fightId;
+    }) || null;
+}
+
+// Build the import plan. Reads only - nothing is written.
+async function planImport(connection, input) {
+    const plan = { events: [], fighters: [], fights: [], fightStats: [], errors: [] };
+
+    const [fighterRows] = await connection.execute('SELECT * FROM fighter');
+    const [eventRows] = await connection.execute('SELECT * FROM event');
+    const [fightRows] = await connection.execute('SELECT * FROM fight');
+    const [statRows] = await connection.execute('SELECT * FROM fight_stat');
+
+    // Lookup indexes over existing rows; planned creates are added as we go
+    const fighterById = new Map(fighterRows.map(f => [String(f.fighter_id), f]));
+    const fightersByName = new Map();
+    const indexFighterName = (name, id) => {
+        const key = String(name).trim().toLowerCase();
+        if (!fightersByName.has(key)) fightersByName.set(key, new Set());
+        fightersByName.get(key).add(id);
+    };
+    fighterRows.forEach(f => indexFighterName(f.name, String(f.fighter_id)));
+
+    const eventById = new Map(eventRows.map(e => [String(e.event_id), e]));
+    const eventsByName = new Map();
+    eventRows.forEach(e => eventsByName.set(String(e.event_name).trim().toLowerCase(), String(e.event_id)));
+
+    const fightById = new Map(fightRows.map(f => [String(f.fight_id), f]));
+    const fightByPair = new Map();
+    const pairKey = (eventId, a, b) => `${eventId}|${[String(a), String(b)].sort().join('|')}`;
+    fightRows.forEach(f => fightByPair.set(pairKey(f.event_id, f.red_fighter_id, f.blue_fighter_id), String(f.fight_id)));
+
+    // A fighter's bout on an event, for stat rows without a fight_id
+    const fightByEventFighter = new Map();
+    const indexFightCorners = (f) => {
+        fightByEventFighter.set(`${f.event_id}|${f.red_fighter_id}`, String(f.fight_id));
+        fightByEventFighter.set(`${f.event_id}|${f.blue_fighter_id}`, String(f.fight_id));
+    };
+    fightRows.filter(f => !Number(f.cancelled)).forEach(indexFightCorners);
+
+    const statKey = (fightId, fighterId, round) => `${fightId}|${fighterId}|${round}`;
+    const statByKey = new Map(statRows.map(r => [statKey(r.fight_id, r.fighter_id, r.round), r]));
+
+    const touched = { event: new Set(), fighter: new Set(), fight: new Set(), fight_stat: new Set() };
+
+    const resolveFighter = (id, name) => {
+        if (id) {
+            if (fighterById.has(String(id))) return String(id);
+            throw new Error(`Unknown fighter_id "${id}"`);
+        }
+        if (!name) return null;
+        const matches = fightersByName.get(String(name).trim().toLowerCase());
+        if (!matches || matches.size === 0) throw new Error(`Unknown fighter "${name}"`);
+        if (matches.size > 1) throw new Error(`Fighter name "${name}" is ambiguous (${[...matches].join(', ')}) - use the fighter_id`);
+        return [...matches][0];
+    };
+
+    const resolveEvent = (id, name) => {
+        if (id) {
+            if (eventById.has(String(id))) return String(id);
+            throw new Error(`Unknown event_id "${id}"`);
+        }
+        if (!name) throw new Error('event_id or event_name is required');
+        const match = eventsByName.get(String(name).trim().toLowerCase());
+        if (!match) throw new Error(`Unknown event "${name}"`);
+        return match;
+    };
+
+    const record = (table, list, index, fn) => {
+        try {
+            const op = fn();
+            if (touched[table].has(op.id)) {
+                throw new Error(`Duplicate ${table} row for ${op.id}`);
+            }
+            touched[table].add(op.id);
+            list.push(op);
+        } catch (error) {
+            plan.errors.push({ table, row: index + 1, error: error.message });
+        }
+    };
+
+    // 1. Fighters - by id, then by name
+    input.fighters.forEach((row, index) => record('fighter', plan.fighters, index, () => {
+        const values = cleanRow('fighter', row);
+        let id = row.fighter_id ? String(row.fighter_id).trim() : null;
+
+        if (!id || !fighterById.has(id)) {
+            if (!id && values.name) {
+                const matches = fightersByName.get(values.name.toLowerCase());
+                if (matches && matches.size > 1) {
+                    throw new Error(`Fighter name "${values.name}" is ambiguous (${[...matches].join(', ')}) - use the fighter_id`);
+                }
+                if (matches && matches.size === 1) id = [...matches][0];
+            }
+        }
+
+        const existing = id ? fighterById.get(id) : null;
+        if (existing) {
+            const changes = diffRow('fighter', existing, values);
+            if (changes.name) indexFighterName(changes.name.to, id);
+            return { action: Object.keys(changes).length ? 'update' : 'unchanged', id, label: existing.name, changes };
+        }
+
+        if (!values.name) throw new Error('name is required for a new fighter');
+        id = id || cards.generateId();
+        fighterById.set(id, { fighter_id: id, ...values });
+        indexFighterName(values.name, id);
+        return { action: 'create', id, label: values.name, values };
+    }));
+
+    // 2. Events - by id, then by name
+    input.events.forEach((row, index) => record('event', plan.events, index, () => {
+        const values = cleanRow('event', row);
+        let id = row.event_id ? String(row.event_id).trim() : null;
+        if (!id && values.event_name) id = eventsByName.get(values.event_name.toLowerCase()) || null;
+
+        const existing = id ? eventById.get(id) : null;
+        if (existing) {
+            const changes = diffRow('event', existing, values);
+            return { action: Object.keys(changes).length ? 'update' : 'unchanged', id, label: existing.event_name, changes };
+        }
+
+        if (!values.event_name || !values.date) throw new Error('event_name and date are required for a new event');
+        id = id || cards.generateId();
+        eventById.set(id, { event_id: id, ...values });
+        eventsByName.set(values.event_name.toLowerCase(), id);
+        return { action: 'create', id, label: values.event_name, values };
+    }));
+
+    // 3. Bouts - by id, then by event + both fighters (either corner)
+    input.fights.forEach((row, index) => record('fight', plan.fights, index, () => {
+        const values = cleanRow('fight', row);
+
+        const existingById = row.fight_id ? fightById.get(String(row.fight_id).trim()) : null;
+        const eventId = existingById && !row.event_id && !row.event_name
+            ? String(existingById.event_id)
+            : resolveEvent(row.event_id, row.event_name);
+        const redId = resolveFighter(row.red_fighter_id, row.red_fighter_name) ||
+            (existingById ? String(existingById.red_fighter_id) : null);
+        const blueId = resolveFighter(row.blue_fighter_id, row.blue_fighter_name) ||
+            (existingById ? String(existingById.blue_fighter_id) : null);
+
+        const boutError = cards.validateBout({ redFighterId: redId, blueFighterId: blueId, totalRounds: values.total_rounds });
+        if (boutError) throw new Error(boutError);
+
+        values.event_id = eventId;
+        values.red_fighter_id = redId;
+        values.blue_fighter_id = blueId;
+
+        if (row.winner_id !== undefined || row.winner_name !== undefined) {
+            const winnerId = resolveFighter(row.winner_id, row.winner_name);
+            if (winnerId && winnerId !== redId && winnerId !== blueId) {
+                throw new Error('winner must be one of the two fighters in this bout');
+            }
+            if (winnerId) values.winner_id = winnerId;
+        }
+
+        let id = existingById ? String(existingById.fight_id) : (row.fight_id ? String(row.fight_id).trim() : null);
+        if (!id) id = fightByPair.get(pairKey(eventId, redId, blueId)) || null;
+
+        const existing = id ? fightById.get(id) : null;
+        const bout = { ...(existing || {}), ...values };
+        const resultError = checkResult(bout, values);
+        if (resultError) throw new Error(resultError);
+
+        const changes = existing ? diffRow('fight', existing, values) : null;
+        if (!Number(bout.cancelled) && (!existing || BOOKING_COLUMNS.some(column => column in changes))) {
+            const clash = checkBooking(fightByEventFighter, eventId, [redId, blueId], id);
+            if (clash) throw new Error(`${fighterById.get(clash).name} is already booked on this card`);
+        }
+
+        const label = `${fighterById.get(redId).name} vs ${fighterById.get(blueId).name}`;
+        if (existing) {
+            if (!Number(bout.cancelled)) indexFightCorners({ fight_id: id, event_id: eventId, red_fighter_id: redId, blue_fighter_id: blueId });
+            const fighterIds = [...new Set([redId, blueId, String(existing.red_fighter_id), String(existing.blue_fighter_id)])];
+            return { action: Object.keys(changes).length ? 'update' : 'unchanged', id, label, eventId, fighterIds, changes };
+        }
+
+        id = id || cards.generateId();
+        fightById.set(id, { fight_id: id, ...values });
+        fightByPair.set(pairKey(eventId, redId, blueId), id);
+        if (!values.cancelled) indexFightCorners(fightById.get(id));
+        return { action: 'create', id, label, eventId, fighterIds: [redId, blueId], values };
+    }));
+
+    // 4. Fight stats - by bout + fighter + round
+    input.fightStats.forEach((row, index) => record('fight_stat', plan.fightStats, index, () => {
+        const values = cleanRow('fight_stat', row);
+        const fighterId = resolveFighter(row.fighter_id, row.fighter_name);
+        if (!fighterId) throw new Error('fighter_id or fighter_name is required');
+
+        let fightId = row.fight_id ? String(row.fight_id).trim() : null;
+        if (fightId && !fightById.has(fightId)) throw new Error(`Unknown fight_id "${fightId}"`);
+        if (!fightId) {
+            fightId = fightByEventFighter.get(`${resolveEvent(row.event_id, row.event_name)}|${fighterId}`);
+            if (!fightId) throw new Error(`${fighterById.get(fighterId).name} has no bout on that event`);
+        }
+
+        const fight = fightById.get(fightId);
+        if (fighterId !== String(fight.red_fighter_id) && fighterId !== String(fight.blue_fighter_id)) {
+            throw new Error(`${fighterById.get(fighterId).name} is not in bout ${fightId}`);
+        }
+        const scheduledRounds = fight.total_rounds ? parseInt(fight.total_rounds) : 5;
+        if (!values.round || values.round < 1 || values.round > scheduledRounds) {
+            throw new Error(`round must be between 1 and ${scheduledRounds}`);
+        }
+
+        values.fight_id = fightId;
+        values.fighter_id = fighterId;
+        const key = statKey(fightId, fighterId, values.round);
+        const bout = `${fighterById.get(String(fight.red_fighter_id)).name} vs ${fighterById.get(String(fight.blue_fighter_id)).name}`;
+        const label = `${fighterById.get(fighterId).name}, round ${values.round} of ${bout}`;
+        const eventId = String(fight.event_id);
+
+        const existing = statByKey.get(key);
+        if (existing) {
+            const changes = diffRow('fight_stat', existing, values);
+            return { action: Object.keys(changes).length ? 'update' : 'unchanged', id: String(existing.stat_id), label, eventId, changes };
+        }
+
+        const id = cards.generateId();
+        statByKey.set(key, { stat_id: id, ...values });
+        return { action: 'create', id, label, eventId, values };
+    }));
+
+    return plan;
+}
+
+// Write a plan. Fighters and events go first so bouts can reference them, then stats.
+// Locked cards the changed bouts' fighters are on get their pre-fight estimates
+// frozen before anything is written.
+// Returns the event IDs whose bouts or stats changed (they need re-scoring).
+async function applyPlan(connection, plan) {
+    const toDb = (table, column, value) =>
+        TABLES[table].columns[column] === 'datetime' && value ? new Date(value) : value;
+
+    const write = async (table, ops) => {
+        for (const op of ops) {
+            if (op.action === 'create') {
+                const columns = [TABLES[table].key, ...Object.keys(op.values)];
+                const params = [op.id, ...Object.keys(op.values).map(c => toDb(table, c, op.values[c]))];
+                await connection.execute(
+                    `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+                    params
+                );
+            } else if (op.action === 'update') {
+                const columns = Object.keys(op.changes);
+                await connection.execute(
+                    `UPDATE ${table} SET ${columns.map(c => `${c} = ?`).join(', ')} WHERE ${TABLES[table].key} = ?`,
+                    [...columns.map(c => toDb(table, c, op.changes[c].to)), op.id]
+                );
+            }
+        }
+    };
+
+    await strength.freezeLockedCards(connection, plan.fights
+        .filter(op => op.action !== 'unchanged')
+        .flatMap(op => op.fighterIds));
+
+    await write('fighter', plan.fighters);
+    await write('event', plan.events);
+    await write('fight', plan.fights);
+    await write('fight_stat', plan.fightStats);
+
+    return [...new Set([...plan.fights, ...plan.fightStats]
+        .filter(op => op.action !== 'unchanged')
+        .map(op => op.eventId))];
+}
+
+// Plan an import and, unless it is a dry run or a row failed, apply it and
+// re-score the events it changed, all in one transaction. Any error rolls the
+// whole import back. Returns { plan, applied, changedEvents }.
+async function runImport(connection, input, { dryRun = false } = {}) {
+    await connection.beginTransaction();
+    try {
+        const plan = await planImport(connection, input);
+        if (plan.errors.length > 0 || dryRun) {
+            await connection.rollback();
+            return { plan, applied: false, changedEvents: [] };
+        }
+
+        const changedEvents = await applyPlan(connection, plan);
+        for (const eventId of changedEvents) {
+            await scoring.scoreEvent(connection, eventId, { reason: 'Results imported' });
+        }
+        await connection.commit();
+        return { plan, applied: true, changedEvents };
+    } catch (error) {
+        await connection.rollback().catch(() => {});
+        throw error;
+    }
+}
+
+// Human-readable dry-run / summary report
+function formatReport(plan) {
+    const lines = [];
+    const format = (value) => value === null || value === undefined ? 'NULL' : JSON.stringify(value);
+
+    for (const [title, ops] of [['Fighters', plan.fighters], ['Events', plan.events], ['Bouts', plan.fights], ['Fight stats', plan.fightStats]]) {
+        const counts = { create: 0, update: 0, unchanged: 0 };
+        ops.forEach(op => counts[op.action]++);
+        lines.push(`${title}: ${counts.create} new, ${counts.update} changed, ${counts.unchanged} unchanged`);
+
+        ops.filter(op => op.action !== 'unchanged').forEach(op => {
+            lines.push(`  ${op.action === 'create' ? '+' : '~'} ${op.label} (${op.id})`);
+            if (op.action === 'update') {
+                for (const [column, change] of Object.entries(op.changes)) {
+                    lines.push(`      ${column}: ${format(change.from)} -> ${format(change.to)}`);
+                }
+            }
+        });
+    }
+
+    if (plan.errors.length > 0) {
+        lines.push(`Errors: ${plan.errors.length}`);
+        plan.errors.forEach(e => lines.push(`  ! ${e.table} row ${e.row}: ${e.error}`));
+    }
+    return lines.join('\n');
+}
+
+module.exports = {
+    TABLES,
+    normalizeInput,
+    detectTable,
+    parseInputFile,
+    planImport,
+    applyPlan,
+    runImport,
+    formatReport
+};
@@ -0,0 +1,119 @@
+// ==================== LEAGUE LIFECYCLE ====================
+// Leaving, removal, archiving, deletion and pick visibility rules shared by the league routes.
+// An archived league is read-only: no picks, joins, role changes or
+// re-scoring until the owner restores it. It can still be deleted.
+const repos = require('../db/repositories');
+const locks = require('./locks');
+
+// league.PickRetention: what happens to a member's picks when they leave or are removed
+const PICK_RETENTION = ['keep', 'remove'];
+const DEFAULT_PICK_RETENTION = 'keep';
+
+// league.PickMode: 'confidence' leagues rank their picks on each card (see services/picks)
+const PICK_MODES = ['standard', 'confidence'];
+const DEFAULT_PICK_MODE = 'standard';
+
+// league.PickVisibility: when members see each other's picks for an event
+const PICK_VISIBILITY = ['always', 'after_lock', 'never'];
+const DEFAULT_PICK_VISIBILITY = 'after_lock';
+
+const ARCHIVED_ERROR = 'This league is archived and read-only';
+
+// Returns 'keep' / 'remove', or null for anything else
+function normalizePickRetention(value) {
+    if (!value) return null;
+    const policy = String(value).trim().toLowerCase();
+    return PICK_RETENTION.includes(policy) ? policy : null;
+}
+
+// Returns 'standard' / 'confidence', or null for anything else
+function normalizePickMode(value) {
+    if (!value) return null;
+    const mode = String(value).trim().toLowerCase();
+    return PICK_MODES.includes(mode) ? mode : null;
+}
+
+// Returns 'always' / 'after_lock' / 'never', or null for anything else
+function normalizePickVisibility(value) {
+    if (!value) return null;
+    const visibility = String(value).trim().toLowerCase().replace(/[\s-]+/g, '_');
+    return PICK_VISIBILITY.includes(visibility) ? visibility : null;
+}
+
+// Whether members see each other's picks for an event whose picks are (or aren't) locked
+function othersPicksVisible(league, locked) {
+    const visibility = league.PickVisibility || DEFAULT_PICK_VISIBILITY;
+    if (visibility === 'always') return true;
+    if (visibility === 'never') return false;
+    return !!locked;
+}
+
+// Same, for one picker: your own picks are always visible
+function canSeePicks(league, viewerId, pickerId, locked) {
+    return String(viewerId) === String(pickerId) || othersPicksVisible(league, locked);
+}
+
+// Drop the picks (pick rows with EventID) viewerId may not see yet.
+// Returns { picks, hidden } where hidden counts what was held back.
+async function visiblePicks(connection, league, viewerId, pickerId, picks) {
+    if (canSeePicks(league, viewerId, pickerId, false)) return { picks, hidden: 0 };
+    if (!canSeePicks(league, viewerId, pickerId, true)) return { picks: [], hidden: picks.length };
+
+    const lockedByEvent = {};
+    for (const eventId of new Set(picks.map(p => String(p.EventID).trim()))) {
+        const lock = await locks.getEventLock(connection, eventId);
+        lockedByEvent[eventId] = !!(lock && lock.locked);
+    }
+    const shown = picks.filter(p => lockedByEvent[String(p.EventID).trim()]);
+    return { picks: shown, hidden: picks.length - shown.length };
+}
+
+function isArchived(league) {
+    return !!(league && league.ArchivedAt);
+}
+
+// For routes that change a league: { status, error } if it is missing or archived, otherwise null
+function writableLeagueError(league) {
+    if (!league) return { status: 404, error: 'League not found' };
+    if (isArchived(league)) return { status: 403, error: ARCHIVED_ERROR };
+    return null;
+}
+
+// Drop one membership and apply the league's pick policy. Returns { picksRemoved }.
+async function removeMembership(connection, league, userId) {
+    await repos.memberships.remove(connection, userId, league.LeagueID);
+
+    let picksRemoved = 0;
+    if (league.PickRetention === 'remove') {
+        picksRemoved = await repos.picks.removeForUser(connection, userId, league.LeagueID);
+    }
+    return { picksRemoved };
+}
+
+// Delete a league with all its picks and memberships. Callers wrap this in a transaction.
+async function deleteLeague(connection, leagueId) {
+    const picksRemoved = await repos.picks.removeForLeague(connection, leagueId);
+    const membersRemoved = await repos.memberships.removeForLeague(connection, leagueId);
+    await repos.leagues.remove(connection, leagueId);
+    return { picksRemoved, membersRemoved };
+}
+
+module.exports = {
+    PICK_RETENTION,
+    DEFAULT_PICK_RETENTION,
+    PICK_MODES,
+    DEFAULT_PICK_MODE,
+    PICK_VISIBILITY,
+    DEFAULT_PICK_VISIBILITY,
+    ARCHIVED_ERROR,
+    normalizePickRetention,
+    normalizePickMode,
+    normalizePickVisibility,
+    othersPicksVisible,
+    canSeePicks,
+    visiblePicks,
+    isArchived,
+    writableLeagueError,
+    removeMembership,
+    deleteLeague
+};
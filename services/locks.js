@@ -0,0 +1,70 @@
+// ==================== PICK LOCKS ====================
+// Picks for an event become read-only once the event starts or once any of
+// its bouts has a result, whichever comes first.
+// event.date has no start time, so by default the card locks at the start of
+// that day (server time). Admins can override the lock moment per event
+// through event.lock_time.
+
+// Parse 'YYYY-MM-DD' (or the dump's 'YYYY/MM/DD') as local midnight
+function parseEventDate(value) {
+    if (!value) return null;
+    if (value instanceof Date) return value;
+
+    const match = String(value).trim().match(/^(\d{4})[/-](\d{1,2})[/-](\d{1,2})/);
+    if (!match) return null;
+    return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+}
+
+// Work out the lock state for an event row plus whether any bout has a result
+function computeLock(event, hasResults, now = new Date()) {
+    const overridden = !!event.lock_time;
+    const lockTime = overridden ? new Date(event.lock_time) : parseEventDate(event.date);
+
+    let reason = null;
+    if (hasResults) {
+        reason = 'results';
+    } else if (lockTime && now >= lockTime) {
+        reason = 'started';
+    }
+
+    return {
+        eventId: event.event_id,
+        lockTime: lockTime ? lockTime.toISOString() : null,
+        overridden,
+        locked: reason !== null,
+        reason,
+        serverTime: now.toISOString()
+    };
+}
+
+// Load lock state for one event. Returns null if the event does not exist.
+async function getEventLock(connection, eventId) {
+    const [events] = await connection.execute(
+        'SELECT event_id, date, lock_time FROM event WHERE event_id = ?',
+        [eventId]
+    );
+    if (events.length === 0) return null;
+
+    const [results] = await connection.execute(
+        `SELECT COUNT(*) as count FROM fight
+         WHERE event_id = ? AND (winner_id IS NOT NULL OR method IS NOT NULL)`,
+        [eventId]
+    );
+
+    return computeLock(events[0], results[0].count > 0);
+}
+
+// Human-readable reason for API errors
+function describeLock(lock) {
+    if (lock.reason === 'results') {
+        return 'Picks for this event are locked because results have been recorded';
+    }
+    return 'Picks for this event are locked because the event has started';
+}
+
+module.exports = {
+    parseEventDate,
+    computeLock,
+    getEventLock,
+    describeLock
+};
@@ -0,0 +1,81 @@
+// ==================== LEAGUE PERMISSIONS ====================
+// Every member has one of three roles in a league, highest first:
+//   Owner           - one per league (league.OwnerID); everything below, plus
+//                     league settings, archiving or deleting the league,
+//                     changing roles and handing over ownership
+//   Co-Commissioner - helps run the league: removes members, re-scores,
+//                     starts and closes seasons
+//   Member          - makes picks
+// The dump also has 'Admin' and 'Moderator' memberships; both are treated as
+// co-commissioners.
+const ROLES = {
+    OWNER: 'Owner',
+    CO_COMMISSIONER: 'Co-Commissioner',
+    MEMBER: 'Member'
+};
+
+const LEGACY_ROLES = {
+    admin: ROLES.CO_COMMISSIONER,
+    moderator: ROLES.CO_COMMISSIONER
+};
+
+const RANK = {
+    [ROLES.OWNER]: 3,
+    [ROLES.CO_COMMISSIONER]: 2,
+    [ROLES.MEMBER]: 1
+};
+
+// League actions and the roles allowed to take them
+const PERMISSIONS = {
+    deleteLeague: [ROLES.OWNER],
+    archiveLeague: [ROLES.OWNER],
+    editSettings: [ROLES.OWNER],
+    manageRoles: [ROLES.OWNER],
+    transferOwnership: [ROLES.OWNER],
+    removeMember: [ROLES.OWNER, ROLES.CO_COMMISSIONER],
+    rescoreLeague: [ROLES.OWNER, ROLES.CO_COMMISSIONER],
+    manageSeasons: [ROLES.OWNER, ROLES.CO_COMMISSIONER]
+};
+
+// Map a stored membership.Role onto one of ROLES (unknown values are plain members)
+function normalizeRole(role) {
+    if (!role) return null;
+    const value = String(role).trim().toLowerCase();
+    const known = Object.values(ROLES).find(r => r.toLowerCase() === value);
+    return known || LEGACY_ROLES[value] || ROLES.MEMBER;
+}
+
+function can(role, action) {
+    return (PERMISSIONS[action] || []).includes(normalizeRole(role));
+}
+
+// Actions this role may take, for the frontend to decide which controls to show
+function listPermissions(role) {
+    return Object.keys(PERMISSIONS).filter(action => can(role, action));
+}
+
+// Only someone ranked above the target can remove them, so the owner can never be removed
+function canRemove(actorRole, targetRole) {
+    return can(actorRole, 'removeMember') && RANK[normalizeRole(actorRole)] > RANK[normalizeRole(targetRole)];
+}
+
+// What the caller may do to one member row: any of 'setRole', 'remove', 'transfer'
+function memberActions(actor, member) {
+    if (String(actor.userId) === String(member.UserID)) return [];
+
+    const actions = [];
+    const targetRole = normalizeRole(member.Role);
+    if (can(actor.role, 'manageRoles') && targetRole !== ROLES.OWNER) actions.push('setRole');
+    if (canRemove(actor.role, targetRole)) actions.push('remove');
+    if (can(actor.role, 'transferOwnership')) actions.push('transfer');
+    return actions;
+}
+
+module.exports = {
+    ROLES,
+    normalizeRole,
+    can,
+    listPermissions,
+    canRemove,
+    memberActions
+};
@@ -0,0 +1,96 @@
+// ==================== PICK VALIDATION ====================
+// Checks a submitted set of picks against the event's fight card before
+// anything is written. Every problem is reported per fight so the client can
+// point at the exact card that needs fixing.
+const { PREDICTABLE_METHODS } = require('./scoring');
+
+// fights: rows from the fight table for this event
+// picks:  [{ fightId, fighterId, method, round, confidence }] from the request body
+// pickMode: the league's PickMode. In 'confidence' leagues every pick needs a
+// confidence from 1 to the number of bouts on the card, each used only once.
+// Returns { rows, errors } - rows are ready to insert, errors is empty on success
+function validatePicks(fights, picks, { pickMode = 'standard' } = {}) {
+    const rows = [];
+    const errors = [];
+
+    if (!Array.isArray(picks)) {
+        errors.push({ index: null, fightId: null, fighterId: null, error: 'picks must be an array' });
+        return { rows, errors };
+    }
+
+    const fightById = {};
+    const fightByFighter = {};
+    fights.forEach(f => {
+        fightById[String(f.fight_id)] = f;
+        fightByFighter[String(f.red_fighter_id)] = f;
+        fightByFighter[String(f.blue_fighter_id)] = f;
+    });
+
+    const seenFights = new Set();
+    const seenConfidence = new Set();
+
+    picks.forEach((pick, index) => {
+        const fighterId = pick && pick.fighterId ? String(pick.fighterId).trim() : null;
+        let fightId = pick && pick.fightId ? String(pick.fightId).trim() : null;
+        const fail = (error) => errors.push({ index, fightId, fighterId, error });
+
+        if (!fighterId) {
+            return fail('No fighter selected');
+        }
+
+        // Older clients only send fighterId - find the bout that fighter is on
+        const fight = fightId ? fightById[fightId] : fightByFighter[fighterId];
+        if (!fight) {
+            return fail(fightId ? 'Fight is not on this event\'s card' : 'Fighter is not on this event\'s card');
+        }
+
+        const boutId = String(fight.fight_id);
+        fightId = boutId;
+        if (fighterId !== String(fight.red_fighter_id) && fighterId !== String(fight.blue_fighter_id)) {
+            return fail('Fighter is not in this fight');
+        }
+        if (seenFights.has(boutId)) {
+            return fail('Only one pick is allowed per fight');
+        }
+        seenFights.add(boutId);
+
+        const method = pick.method || null;
+        if (method && !PREDICTABLE_METHODS.includes(method)) {
+            return fail(`Invalid method "${method}". Expected one of: ${PREDICTABLE_METHODS.join(', ')}`);
+        }
+
+        let round = null;
+        if (pick.round !== undefined && pick.round !== null && pick.round !== '') {
+            round = Number(pick.round);
+            const maxRound = fight.total_rounds ? parseInt(fight.total_rounds) : 5;
+            if (!Number.isInteger(round) || round < 1 || round > maxRound) {
+                return fail(`Invalid round "${pick.round}". Expected 1-${maxRound}`);
+            }
+        }
+        // A decision has no finish round to predict
+        if (method === 'Decision') round = null;
+
+        let confidence = null;
+        if (pickMode === 'confidence') {
+            confidence = Number(pick.confidence);
+            if (pick.confidence === undefined || pick.confidence === null || pick.confidence === '') {
+                return fail('Give this pick a confidence value');
+            }
+            if (!Number.isInteger(confidence) || confidence < 1 || confidence > fights.length) {
+                return fail(`Invalid confidence "${pick.confidence}". Expected 1-${fights.length}`);
+            }
+            if (seenConfidence.has(confidence)) {
+                return fail(`Confidence ${confidence} is already used on another pick`);
+            }
+            seenConfidence.add(confidence);
+        }
+
+        rows.push({ fightId: boutId, fighterId, method, round, confidence });
+    });
+
+    return { rows, errors };
+}
+
+module.exports = {
+    validatePicks
+};
@@ -0,0 +1,262 @@
+// ==================== FIGHTER RATINGS ====================
+// Elo ratings from the fight table. Every finished bout is replayed in date
+// order; each fighter starts at 1500 and gains what the opponent loses:
+//   expected = 1 / (1 + 10 ^ ((opponent - rating) / 400))
+//   change   = K * (score - expected)      score: win 1, draw 0.5, loss 0
+// K is higher while a fighter is provisional (first few UFC bouts) so new
+// fighters find their level quickly. No contests and pending bouts are skipped.
+// Ratings are cheap to replay (a few thousand bouts), so they are computed
+// per request instead of being stored.
+const repos = require('../db/repositories');
+const cards = require('./cards');
+
+const INITIAL_RATING = 1500;
+const K_PROVISIONAL = 40;
+const K_ESTABLISHED = 24;
+const PROVISIONAL_FIGHTS = 5;
+
+// Rankings only list fighters who fought within this many days of the as-of date
+const ACTIVE_DAYS = 730;
+
+// Weight classes, most specific first ("light heavyweight" before "heavyweight")
+const DIVISIONS = [
+    "women's strawweight",
+    "women's flyweight",
+    "women's bantamweight",
+    "women's featherweight",
+    'light heavyweight',
+    'heavyweight',
+    'middleweight',
+    'welterweight',
+    'lightweight',
+    'featherweight',
+    'bantamweight',
+    'flyweight'
+];
+
+// Fold 'interim lightweight' and 'ultimate fighter 5 lightweight tournament'
+// into 'lightweight'. Catch weights and unknown labels return null.
+function canonicalDivision(division) {
+    if (!division) return null;
+    const value = String(division).toLowerCase();
+    return DIVISIONS.find(name => value.includes(name)) || null;
+}
+
+function outcome(bout, fighterId) {
+    if (bout.winner_id) return String(bout.winner_id).trim() === fighterId ? 1 : 0;
+    return /draw/i.test(bout.method || '') ? 0.5 : null;
+}
+
+function daysBetween(from, to) {
+    return Math.round((new Date(`${to}T00:00:00`) - new Date(`${from}T00:00:00`)) / 86400000);
+}
+
+// Put each event's bouts in the order they were fought. Bouts arrive in card
+// running order (repos.fights.listForRatings), which is all a normal card needs.
+// On tournament nights fighters fought several times and the dump has no
+// bout_order, so the bracket round comes first: a fighter who did not win a
+// bout fought no more that night, so that bout is their last one, and its
+// round is how many bouts they had on the event.
+function runningOrder(bouts) {
+    const byEvent = new Map();
+    bouts.forEach(bout => {
+        if (!byEvent.has(bout.event_id)) byEvent.set(bout.event_id, []);
+        byEvent.get(bout.event_id).push(bout);
+    });
+
+    const ordered = [];
+    for (const eventBouts of byEvent.values()) {
+        const boutsFought = new Map();
+        eventBouts.forEach(bout => {
+            for (const id of [bout.red_fighter_id, bout.blue_fighter_id]) {
+                const key = String(id).trim();
+                boutsFought.set(key, (boutsFought.get(key) || 0) + 1);
+            }
+        });
+
+        const round = (bout) => {
+            const winner = bout.winner_id ? String(bout.winner_id).trim() : null;
+            const others = [bout.red_fighter_id, bout.blue_fighter_id]
+                .map(id => String(id).trim())
+                .filter(id => id !== winner);
+            return Math.max(...others.map(id => boutsFought.get(id)));
+        };
+        ordered.push(...eventBouts
+            .map((bout, index) => ({ bout, index, round: round(bout) }))
+            .sort((a, b) => a.round - b.round || a.index - b.index)
+            .map(entry => entry.bout));
+    }
+    return ordered;
+}
+
+// Replay bouts (oldest first) into { asOf, fighters, history }:
+//   fighters: fighter_id -> { fighterId, rating, peak, fights, wins, losses, draws, lastFightDate, division }
+//   history:  fighter_id -> [{ date, eventId, eventName, fightId, opponentId, result, before, after }]
+function replay(bouts) {
+    const fighters = new Map();
+    const history = new Map();
+    let asOf = null;
+
+    const get = (id) => {
+        if (!fighters.has(id)) {
+            fighters.set(id, {
+                fighterId: id, rating: INITIAL_RATING, peak: INITIAL_RATING,
+                fights: 0, wins: 0, losses: 0, draws: 0, lastFightDate: null, division: null
+            });
+            history.set(id, []);
+        }
+        return fighters.get(id);
+    };
+
+    for (const bout of bouts) {
+        const redId = String(bout.red_fighter_id).trim();
+        const blueId = String(bout.blue_fighter_id).trim();
+        const redScore = outcome(bout, redId);
+        if (redScore === null) continue;
+
+        const red = get(redId);
+        const blue = get(blueId);
+        const expectedRed = 1 / (1 + Math.pow(10, (blue.rating - red.rating) / 400));
+        const changes = [
+            [red, blue, redScore, expectedRed],
+            [blue, red, 1 - redScore, 1 - expectedRed]
+        ].map(([fighter, opponent, score, expected]) => {
+            const k = fighter.fights < PROVISIONAL_FIGHTS ? K_PROVISIONAL : K_ESTABLISHED;
+            return { fighter, opponent, score, delta: k * (score - expected) };
+        });
+
+        const division = canonicalDivision(bout.division);
+        for (const { fighter, opponent, score, delta } of changes) {
+            const before = fighter.rating;
+            fighter.rating = before + delta;
+            fighter.peak = Math.max(fighter.peak, fighter.rating);
+            fighter.fights++;
+            if (score === 1) fighter.wins++;
+            else if (score === 0) fighter.losses++;
+            else fighter.draws++;
+            fighter.lastFightDate = bout.date;
+            if (division) fighter.division = division;
+
+            history.get(fighter.fighterId).push({
+                date: bout.date,
+                eventId: bout.event_id,
+                eventName: bout.event_name,
+                fightId: bout.fight_id,
+                opponentId: opponent.fighterId,
+                result: score === 1 ? 'Win' : score === 0 ? 'Loss' : 'Draw',
+                before: Math.round(before),
+                after: Math.round(fighter.rating)
+            });
+        }
+        asOf = bout.date;
+    }
+
+    return { asOf, fighters, history };
+}
+
+// Work out the as-of date from ?asOf=YYYY-MM-DD or ?event=<event_id>.
+// Returns { date, event } (date null = everything), or { error } for bad input.
+async function resolveAsOf(connection, { asOf, eventId }) {
+    if (eventId) {
+        const event = await repos.events.findById(connection, eventId);
+        if (!event) return { error: 'Event not found', status: 404 };
+        if (!event.date) return { error: 'That event has no date', status: 400 };
+        return { date: event.date, event: { eventId: event.event_id, eventName: event.event_name, date: event.date } };
+    }
+    if (asOf) {
+        const date = cards.normalizeEventDate(asOf);
+        if (!date) return { error: 'asOf must be a date (YYYY-MM-DD)', status: 400 };
+        return { date, event: null };
+    }
+    return { date: null, event: null };
+}
+
+// Ratings as of a date (inclusive; null = all results so far). Activity is
+// judged against that date, or the latest bout when no date is given.
+async function computeRatings(connection, { until = null } = {}) {
+    const bouts = await repos.fights.listForRatings(connection, { until });
+    const state = replay(runningOrder(bouts));
+    if (until) state.asOf = until;
+    return state;
+}
+
+// Attach fighter names to rating rows and round them for output
+async function withNames(connection, rows) {
+    const named = await repos.fighters.findByIds(connection, rows.map(r => r.fighterId));
+    const names = {};
+    named.forEach(f => { names[String(f.fighter_id).trim()] = f.name; });
+
+    return rows.map(r => ({
+        ...r,
+        name: names[r.fighterId] || r.fighterId,
+        rating: Math.round(r.rating),
+        peak: Math.round(r.peak),
+        record: `${r.wins}-${r.losses}-${r.draws}`
+    }));
+}
+
+function isActive(fighter, asOf) {
+    return !!(fighter.lastFightDate && asOf && daysBetween(fighter.lastFightDate, asOf) <= ACTIVE_DAYS);
+}
+
+// Top-N active fighters in one division, or in every division when division is null.
+// Returns [{ division, fighters: [{ rank, fighterId, name, rating, ... }] }]
+async function rankings(connection, state, { division = null, limit = 10 } = {}) {
+    const divisions = division ? [division] : DIVISIONS;
+    const active = [...state.fighters.values()].filter(f => isActive(f, state.asOf));
+
+    const result = [];
+    for (const name of divisions) {
+        const top = active
+            .filter(f => f.division === name)
+            .sort((a, b) => b.rating - a.rating)
+            .slice(0, limit);
+        const fighters = await withNames(connection, top);
+        result.push({ division: name, fighters: fighters.map((f, i) => ({ rank: i + 1, ...f })) });
+    }
+    return result;
+}
+
+// Highest-rated fighters overall (active or not), optionally in one division
+async function topRatings(connection, state, { division = null, limit = 50 } = {}) {
+    const top = [...state.fighters.values()]
+        .filter(f => !division || f.division === division)
+        .sort((a, b) => b.rating - a.rating)
+        .slice(0, limit);
+    const fighters = await withNames(connection, top);
+    return fighters.map(f => ({ ...f, active: isActive(f, state.asOf) }));
+}
+
+// One fighter's current rating and every change, oldest first. Null if they have no rated bouts.
+async function fighterHistory(connection, state, fighterId) {
+    const id = String(fighterId).trim();
+    const fighter = state.fighters.get(id);
+    if (!fighter) return null;
+
+    const entries = state.history.get(id);
+    const opponents = await withNames(connection, [...new Set(entries.map(e => e.opponentId))]
+        .map(opponentId => state.fighters.get(opponentId)));
+    const opponentNames = {};
+    opponents.forEach(o => { opponentNames[o.fighterId] = o.name; });
+
+    const [current] = await withNames(connection, [fighter]);
+    return {
+        ...current,
+        active: isActive(fighter, state.asOf),
+        history: entries.map(e => ({ ...e, opponentName: opponentNames[e.opponentId] }))
+    };
+}
+
+module.exports = {
+    INITIAL_RATING,
+    ACTIVE_DAYS,
+    DIVISIONS,
+    canonicalDivision,
+    runningOrder,
+    replay,
+    resolveAsOf,
+    computeRatings,
+    rankings,
+    topRatings,
+    fighterHistory
+};
@@ -0,0 +1,536 @@
+// ==================== SCORING ENGINE ====================
+// Turns fight results into Pick.PointsEarned.
+// Picks record their FightID; older picks only store EventID + FighterID, so
+// those are matched to the bout on that card where the picked fighter was in
+// the red or blue corner.
+const repos = require('../db/repositories');
+const strength = require('./strength');
+
+// Built-in rule sets referenced by league.ScoringRules in the dump.
+// The dump's bare "Custom" label carries no rules, so it is not a preset (see resolveScoringRules).
+const SCORING_PRESETS = {
+    Standard: {
+        winner: 10,             // correct winner
+        finishBonus: 0,         // picked winner won inside the distance (KO/TKO, Submission)
+        methodBonus: 0,         // correct winner + predicted method
+        roundBonus: 0,          // correct winner + predicted finish round
+        titleFightBonus: 0,     // correct winner of a title fight
+        underdogBonus: 0,       // correct underdog winner; full amount for a huge upset, less the closer the bout
+        underdogMultiplier: 1,  // applied to the points above when the winner was the underdog
+        knockdownBonus: 0       // per knockdown scored by the picked fighter (fight_stat), win or lose
+    },
+    Advanced: {
+        winner: 10,
+        finishBonus: 5,
+        methodBonus: 5,
+        roundBonus: 5,
+        titleFightBonus: 0,
+        underdogBonus: 0,
+        underdogMultiplier: 1,
+        knockdownBonus: 0
+    },
+    Beginner: {
+        winner: 10,
+        finishBonus: 5,
+        methodBonus: 0,
+        roundBonus: 0,
+        titleFightBonus: 0,
+        underdogBonus: 0,
+        underdogMultiplier: 1,
+        knockdownBonus: 0
+    },
+    Pro: {
+        winner: 10,
+        finishBonus: 5,
+        methodBonus: 5,
+        roundBonus: 5,
+        titleFightBonus: 5,
+        underdogBonus: 10,
+        underdogMultiplier: 1,
+        knockdownBonus: 0
+    }
+};
+
+// Allowed range for each rule; points are whole numbers, the multiplier may be fractional
+const RULE_LIMITS = {
+    winner: { min: 0, max: 100, integer: true },
+    finishBonus: { min: 0, max: 100, integer: true },
+    methodBonus: { min: 0, max: 100, integer: true },
+    roundBonus: { min: 0, max: 100, integer: true },
+    titleFightBonus: { min: 0, max: 100, integer: true },
+    underdogBonus: { min: 0, max: 100, integer: true },
+    underdogMultiplier: { min: 1, max: 5, integer: false },
+    knockdownBonus: { min: 0, max: 100, integer: true }
+};
+
+// Method choices users can predict (matches classifyMethod categories)
+const PREDICTABLE_METHODS = ['KO/TKO', 'Submission', 'Decision'];
+
+const DEFAULT_PRESET = 'Standard';
+
+// Normalize the free-form fight.method strings from the dump into categories
+function classifyMethod(method) {
+    if (!method) return null;
+    const m = String(method).toLowerCase();
+
+    if (m.includes('decision')) return 'Decision';
+    if (m.includes('submission')) return 'Submission';
+    if (m.includes('ko') || m.includes('stoppage')) return 'KO/TKO';
+    if (m === 'dq' || m.includes('disqualification')) return 'DQ';
+    if (m.includes('draw')) return 'Draw';
+    if (m.includes('no contest') || m.includes('overturned')) return 'No Contest';
+    return 'Other';
+}
+
+// Resolve league.ScoringRules into a rules object.
+// Accepts a preset name (see SCORING_PRESETS) or a JSON object of overrides.
+// Returns null for any other label (the dump's bare "Custom" included), and for
+// overrides on a preset that does not resolve: those leagues have no known
+// rules, so they are left unscored until the owner picks some.
+function resolveScoringRules(scoringRules) {
+    const base = { ...SCORING_PRESETS[DEFAULT_PRESET] };
+    if (!scoringRules) return base;
+
+    const value = String(scoringRules).trim();
+    const presetName = findPreset(value);
+    if (presetName) return { ...SCORING_PRESETS[presetName] };
+
+    try {
+        const parsed = JSON.parse(value);
+        if (parsed && typeof parsed === 'object') {
+            const rules = parsed.preset ? resolveScoringRules(parsed.preset) : base;
+            if (!rules) return null;
+            for (const key of Object.keys(base)) {
+                if (typeof parsed[key] === 'number') rules[key] = parsed[key];
+            }
+            return rules;
+        }
+    } catch (e) {
+        // Not JSON - an unknown label
+    }
+    return null;
+}
+
+function findPreset(name) {
+    const value = String(name).trim().toLowerCase();
+    return Object.keys(SCORING_PRESETS).find(preset => preset.toLowerCase() === value) || null;
+}
+
+// Check scoring rules submitted by a league owner: a preset name, or an object
+// (or JSON string) with an optional "preset" base and any RULE_LIMITS fields.
+// Returns { rules, errors } - errors is empty on success. Empty input means Standard.
+function validateScoringRules(input) {
+    const errors = [];
+    if (input === undefined || input === null || input === '') {
+        return { rules: { ...SCORING_PRESETS[DEFAULT_PRESET] }, errors };
+    }
+
+    let value = input;
+    if (typeof value === 'string') {
+        const presetName = findPreset(value);
+        if (presetName) return { rules: { ...SCORING_PRESETS[presetName] }, errors };
+
+        try {
+            value = JSON.parse(value);
+        } catch (e) {
+            value = null;
+        }
+        if (!value || typeof value !== 'object') {
+            errors.push({ field: null, error: `Unknown scoring preset. Expected one of: ${Object.keys(SCORING_PRESETS).join(', ')}, or a rules object` });
+            return { rules: null, errors };
+        }
+    }
+    if (typeof value !== 'object' || Array.isArray(value)) {
+        errors.push({ field: null, error: 'Scoring rules must be a preset name or an object' });
+        return { rules: null, errors };
+    }
+
+    let rules = { ...SCORING_PRESETS[DEFAULT_PRESET] };
+    if (value.preset !== undefined && value.preset !== null && value.preset !== '') {
+        const presetName = findPreset(value.preset);
+        if (presetName) {
+            rules = { ...SCORING_PRESETS[presetName] };
+        } else {
+            errors.push({ field: 'preset', error: `Unknown preset "${value.preset}"` });
+        }
+    }
+
+    for (const [field, raw] of Object.entries(value)) {
+        if (field === 'preset') continue;
+
+        const limits = RULE_LIMITS[field];
+        if (!limits) {
+            errors.push({ field, error: `Unknown scoring rule "${field}"` });
+            continue;
+        }
+        const number = typeof raw === 'string' && raw.trim() !== '' ? Number(raw) : raw;
+        if (typeof number !== 'number' || !Number.isFinite(number) ||
+            (limits.integer && !Number.isInteger(number)) || number < limits.min || number > limits.max) {
+            errors.push({ field, error: `${field} must be ${limits.integer ? 'a whole number' : 'a number'} from ${limits.min} to ${limits.max}` });
+            continue;
+        }
+        rules[field] = number;
+    }
+
+    return errors.length ? { rules: null, errors } : { rules, errors };
+}
+
+// Value to store in league.ScoringRules: the preset name if the rules match one, otherwise JSON
+function serializeScoringRules(rules) {
+    const fields = Object.keys(RULE_LIMITS);
+    const presetName = Object.keys(SCORING_PRESETS)
+        .find(name => fields.every(field => SCORING_PRESETS[name][field] === rules[field]));
+    if (presetName) return presetName;
+
+    const stored = {};
+    fields.forEach(field => { stored[field] = rules[field]; });
+    return JSON.stringify(stored);
+}
+
+// { preset, rules, unknown } for the league details screen; preset is 'Custom' for
+// a JSON rule set. An unknown label comes back as { preset: <label>, rules: null, unknown: true }.
+function describeScoringRules(scoringRules) {
+    const rules = resolveScoringRules(scoringRules);
+    if (!rules) return { preset: String(scoringRules).trim(), rules: null, unknown: true };
+
+    const stored = serializeScoringRules(rules);
+    return { preset: SCORING_PRESETS[stored] ? stored : 'Custom', rules, unknown: false };
+}
+
+// Score a single pick against its bout.
+// Returns { status, points, breakdown } where status is:
+//   'void'    - picked fighter was not on this card, or the bout was cancelled
+//   'pending' - bout has no result yet
+//   'scored'  - result known, points final
+// pickMode 'confidence' multiplies the pick's points by pick.Confidence.
+function scorePick(pick, fight, rules, { pickMode = 'standard' } = {}) {
+    if (!fight || fight.cancelled) {
+        return { status: 'void', points: 0, breakdown: [] };
+    }
+    if (!fight.winner_id && !fight.method) {
+        return { status: 'pending', points: 0, breakdown: [] };
+    }
+
+    const breakdown = [];
+    const pickedId = String(pick.FighterID).trim();
+
+    if (fight.winner_id && String(fight.winner_id) === pickedId) {
+        breakdown.push({ rule: 'winner', points: rules.winner });
+
+        const method = classifyMethod(fight.method);
+        const isFinish = method === 'KO/TKO' || method === 'Submission';
+        if (rules.finishBonus && isFinish) {
+            breakdown.push({ rule: 'finishBonus', points: rules.finishBonus });
+        }
+
+        // Method/round predictions only pay out on top of a correct winner
+        if (rules.methodBonus && pick.PredictedMethod && pick.PredictedMethod === method) {
+            breakdown.push({ rule: 'methodBonus', points: rules.methodBonus });
+        }
+        if (rules.roundBonus && isFinish && pick.PredictedRound &&
+            Number(pick.PredictedRound) === Number(fight.finish_round)) {
+            breakdown.push({ rule: 'roundBonus', points: rules.roundBonus });
+        }
+        if (rules.titleFightBonus && Number(fight.title_fight) === 1) {
+            breakdown.push({ rule: 'titleFightBonus', points: rules.titleFightBonus });
+        }
+
+        // The multiplier scales everything above, paid out as its own line
+        // Underdog = the less likely winner by the pre-fight estimate (services/strength)
+        const dog = strength.underdog(fight, fight.estimate);
+        const pickedUnderdog = dog && dog.fighterId === pickedId;
+        if (rules.underdogBonus && pickedUnderdog) {
+            const bonus = Math.round(rules.underdogBonus * (1 - 2 * dog.winProbability));
+            if (bonus > 0) breakdown.push({ rule: 'underdogBonus', points: bonus });
+        }
+        if (rules.underdogMultiplier > 1 && pickedUnderdog) {
+            const subtotal = breakdown.reduce((sum, item) => sum + item.points, 0);
+            breakdown.push({ rule: 'underdogMultiplier', points: Math.round(subtotal * (rules.underdogMultiplier - 1)) });
+        }
+
+        const confidence = Number(pick.Confidence);
+        if (pickMode === 'confidence' && confidence > 1) {
+            const subtotal = breakdown.reduce((sum, item) => sum + item.points, 0);
+            breakdown.push({ rule: 'confidence', points: subtotal * (confidence - 1) });
+        }
+    }
+
+    // Stat bonuses pay for what the picked fighter did, even in a loss
+    const knockdowns = fight.stats && fight.stats[pickedId] ? Number(fight.stats[pickedId].knockdowns) || 0 : 0;
+    if (rules.knockdownBonus && knockdowns > 0) {
+        breakdown.push({ rule: 'knockdownBonus', points: rules.knockdownBonus * knockdowns });
+    }
+
+    const points = breakdown.reduce((sum, item) => sum + item.points, 0);
+    return { status: 'scored', points, breakdown };
+}
+
+// Bouts on an event's card, indexed by fight ID and by fighter ID, each with its
+// pre-fight estimate (fight.estimate) for spotting the underdog and its stat
+// totals per fighter (fight.stats). The estimates of a locked event are frozen
+// on first use unless freeze is false.
+async function loadEventCard(connection, eventId, { freeze = true } = {}) {
+    const [fights] = await connection.execute(
+        `SELECT fight_id, red_fighter_id, blue_fighter_id, winner_id, method, finish_round, cancelled, title_fight,
+                prefight_red_record, prefight_blue_record, prefight_red_win_prob, prefight_frozen_at
+         FROM fight WHERE event_id = ?`,
+        [eventId]
+    );
+    const estimates = await strength.estimateCard(connection, eventId, fights, { freeze });
+    const totals = await repos.fightStats.totalsForFights(connection, fights.map(f => f.fight_id));
+
+    const card = { byId: {}, byFighter: {} };
+    fights.forEach(f => {
+        f.estimate = estimates[f.fight_id];
+        f.stats = {};
+        totals.filter(t => String(t.fight_id) === String(f.fight_id))
+            .forEach(t => { f.stats[String(t.fighter_id).trim()] = t; });
+        card.byId[String(f.fight_id)] = f;
+        card.byFighter[String(f.red_fighter_id).trim()] = f;
+        card.byFighter[String(f.blue_fighter_id).trim()] = f;
+    });
+    return card;
+}
+
+function fightForPick(card, pick) {
+    return pick.FightID
+        ? card.byId[String(pick.FightID)]
+        : card.byFighter[String(pick.FighterID).trim()];
+}
+
+// Why a pick scored what it did, in words, for the re-score report and history
+function explainResult(result, fight) {
+    if (result.status === 'void') {
+        return fight && fight.cancelled ? 'Bout cancelled' : 'Fighter not on this card';
+    }
+    if (result.status === 'pending') return 'No result yet';
+    if (result.breakdown.length > 0) {
+        return result.breakdown.map(item => `${item.rule} +${item.points}`).join(', ');
+    }
+    return fight.winner_id ? 'Picked fighter did not win' : `No winner (${classifyMethod(fight.method) || 'no result'})`;
+}
+
+// Recompute PointsEarned for every pick on an event (optionally one league only).
+// Points are always derived from scratch, so re-running is safe.
+// Archived leagues are skipped so their final standings never change, and so
+// are leagues whose ScoringRules label is unknown (counted in picksUnscored,
+// listed in unscoredLeagues). Every pick whose points move is listed in summary.changes and, unless
+// dryRun is set, written to pick_score_history with the given reason.
+async function scoreEvent(connection, eventId, { leagueId, dryRun = false, reason = 'Re-scored' } = {}) {
+    const card = await loadEventCard(connection, eventId);
+
+    let pickSql = `SELECT p.PickID, p.UserID, u.Username, p.LeagueID, p.FightID, p.FighterID, p.PredictedMethod,
+                          p.PredictedRound, p.Confidence, p.PointsEarned, l.ScoringRules, l.PickMode
+                   FROM pick p
+                   INNER JOIN league l ON p.LeagueID = l.LeagueID
+                   INNER JOIN user u ON p.UserID = u.UserID
+                   WHERE p.EventID = ? AND l.ArchivedAt IS NULL`;
+    const params = [eventId];
+    if (leagueId) {
+        pickSql += ' AND p.LeagueID = ?';
+        params.push(leagueId);
+    }
+    const [picks] = await connection.execute(pickSql, params);
+
+    const rulesByLeague = {};
+    const summary = {
+        eventId, picksScored: 0, picksUpdated: 0, picksPending: 0, picksVoid: 0, picksUnscored: 0,
+        unscoredLeagues: [], changes: []
+    };
+
+    for (const pick of picks) {
+        if (!(pick.LeagueID in rulesByLeague)) {
+            rulesByLeague[pick.LeagueID] = resolveScoringRules(pick.ScoringRules);
+            if (!rulesByLeague[pick.LeagueID]) summary.unscoredLeagues.push(pick.LeagueID);
+        }
+        if (!rulesByLeague[pick.LeagueID]) {
+            summary.picksUnscored++;
+            continue;
+        }
+
+        const fight = fightForPick(card, pick);
+        const result = scorePick(pick, fight, rulesByLeague[pick.LeagueID], { pickMode: pick.PickMode });
+
+        if (result.status === 'pending') summary.picksPending++;
+        else if (result.status === 'void') summary.picksVoid++;
+        else summary.picksScored++;
+
+        const oldPoints = pick.PointsEarned || 0;
+        if (oldPoints === result.points) continue;
+
+        summary.changes.push({
+            pickId: pick.PickID,
+            userId: pick.UserID,
+            username: pick.Username,
+            leagueId: pick.LeagueID,
+            eventId,
+            fightId: fight ? fight.fight_id : null,
+            fighterId: String(pick.FighterID).trim(),
+            oldPoints,
+            newPoints: result.points,
+            status: result.status,
+            detail: explainResult(result, fight)
+        });
+        summary.picksUpdated++;
+
+        if (!dryRun) {
+            await connection.execute(
+                'UPDATE pick SET PointsEarned = ? WHERE PickID = ?',
+                [result.points, pick.PickID]
+            );
+        }
+    }
+
+    if (!dryRun) {
+        await repos.scoreHistory.record(connection, summary.changes, reason);
+    }
+    return summary;
+}
+
+// Re-score a league, an event, a date range (event dates, inclusive) or any mix.
+// Returns the combined summary with every changed pick. Callers wrap this in a transaction.
+async function rescore(connection, { leagueId = null, eventId = null, from = null, to = null, dryRun = false, reason } = {}) {
+    const conditions = [];
+    const params = [];
+    if (leagueId) {
+        conditions.push('p.LeagueID = ?');
+        params.push(leagueId);
+    }
+    if (eventId) {
+        conditions.push('p.EventID = ?');
+        params.push(eventId);
+    }
+    if (from) {
+        conditions.push('e.date >= ?');
+        params.push(from);
+    }
+    if (to) {
+        conditions.push('e.date <= ?');
+        params.push(to);
+    }
+
+    const [events] = await connection.execute(
+        `SELECT DISTINCT p.EventID, e.date
+         FROM pick p
+         INNER JOIN event e ON p.EventID = e.event_id
+         ${conditions.length ? `WHERE ${conditions.join(' AND ')}` : ''}
+         ORDER BY e.date`,
+        params
+    );
+
+    const summary = {
+        leagueId, eventId, from, to, dryRun,
+        eventsScored: 0, picksScored: 0, picksUpdated: 0, picksPending: 0, picksVoid: 0, picksUnscored: 0,
+        unscoredLeagues: [], changes: []
+    };
+    for (const { EventID } of events) {
+        const eventSummary = await scoreEvent(connection, EventID, { leagueId, dryRun, reason });
+        summary.eventsScored++;
+        summary.picksScored += eventSummary.picksScored;
+        summary.picksUpdated += eventSummary.picksUpdated;
+        summary.picksPending += eventSummary.picksPending;
+        summary.picksVoid += eventSummary.picksVoid;
+        summary.picksUnscored += eventSummary.picksUnscored;
+        eventSummary.unscoredLeagues
+            .filter(id => !summary.unscoredLeagues.includes(id))
+            .forEach(id => summary.unscoredLeagues.push(id));
+        summary.changes.push(...eventSummary.changes);
+    }
+    return summary;
+}
+
+// Recompute every event a league has picks for
+async function scoreLeague(connection, leagueId, options = {}) {
+    return rescore(connection, { ...options, leagueId });
+}
+
+// Plain-text version of a rescore() summary for the CLI
+function formatRescoreReport(summary) {
+    const lines = [
+        `Events: ${summary.eventsScored}, picks scored: ${summary.picksScored}, ` +
+        `pending: ${summary.picksPending}, void: ${summary.picksVoid}, changed: ${summary.picksUpdated}`
+    ];
+    if (summary.unscoredLeagues.length > 0) {
+        lines.push(`  ! ${summary.picksUnscored} pick(s) not scored: unknown scoring rules in league(s) ${summary.unscoredLeagues.join(', ')}`);
+    }
+    summary.changes.forEach(change => {
+        const diff = change.newPoints - change.oldPoints;
+        lines.push(
+            `  ~ league ${change.leagueId} / ${change.username} / event ${change.eventId} / pick ${change.pickId}: ` +
+            `${change.oldPoints} -> ${change.newPoints} (${diff > 0 ? '+' : ''}${diff}) ${change.detail}`
+        );
+    });
+    return lines.join('\n');
+}
+
+// What a league's past events would have scored under different rules.
+// Nothing is written. Events without any results yet are left out.
+async function previewLeague(connection, leagueId, rules) {
+    const [picks] = await connection.execute(
+        `SELECT p.PickID, p.UserID, u.Username, p.EventID, e.event_name, e.date, p.FightID, p.FighterID,
+                p.PredictedMethod, p.PredictedRound, p.Confidence, p.PointsEarned, l.PickMode
+         FROM pick p
+         INNER JOIN league l ON p.LeagueID = l.LeagueID
+         INNER JOIN user u ON p.UserID = u.UserID
+         INNER JOIN event e ON p.EventID = e.event_id
+         WHERE p.LeagueID = ?
+         ORDER BY e.date DESC`,
+        [leagueId]
+    );
+
+    const cards = {};
+    const events = new Map();
+    const members = new Map();
+    const preview = { leagueId, rules, currentPoints: 0, previewPoints: 0, events: [], members: [] };
+
+    for (const pick of picks) {
+        if (!cards[pick.EventID]) cards[pick.EventID] = await loadEventCard(connection, pick.EventID, { freeze: false });
+
+        const result = scorePick(pick, fightForPick(cards[pick.EventID], pick), rules, { pickMode: pick.PickMode });
+        if (result.status !== 'scored') continue;
+
+        const current = pick.PointsEarned || 0;
+        if (!events.has(pick.EventID)) {
+            events.set(pick.EventID, {
+                eventId: pick.EventID, eventName: pick.event_name, date: pick.date,
+                picksScored: 0, currentPoints: 0, previewPoints: 0
+            });
+        }
+        if (!members.has(pick.UserID)) {
+            members.set(pick.UserID, { userId: pick.UserID, username: pick.Username, currentPoints: 0, previewPoints: 0 });
+        }
+
+        const event = events.get(pick.EventID);
+        event.picksScored++;
+        event.currentPoints += current;
+        event.previewPoints += result.points;
+
+        const member = members.get(pick.UserID);
+        member.currentPoints += current;
+        member.previewPoints += result.points;
+
+        preview.currentPoints += current;
+        preview.previewPoints += result.points;
+    }
+
+    preview.events = [...events.values()];
+    preview.members = [...members.values()].sort((a, b) => b.previewPoints - a.previewPoints);
+    return preview;
+}
+
+module.exports = {
+    SCORING_PRESETS,
+    RULE_LIMITS,
+    PREDICTABLE_METHODS,
+    classifyMethod,
+    resolveScoringRules,
+    validateScoringRules,
+    serializeScoringRules,
+    describeScoringRules,
+    scorePick,
+    scoreEvent,
+    scoreLeague,
+    rescore,
+    formatRescoreReport,
+    previewLeague
+};
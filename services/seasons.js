@@ -0,0 +1,133 @@
+// ==================== LEAGUE SEASONS ====================
+// A league runs one season at a time, covering a date range or a list of
+// events. Seasons have no roster of their own: standings are worked out over
+// the league's current members, so starting a new season carries everyone
+// forward at 0 points. Closing a season (or starting the next one) freezes its
+// final standings; after that re-scoring never moves them.
+const repos = require('../db/repositories');
+const cards = require('./cards');
+
+const MAX_NAME_LENGTH = 100;
+
+// Validate { name, startDate?, endDate?, eventIds? }: an event list makes an
+// 'events' season, otherwise startDate is required. Returns { season } or { error }.
+function readSeasonInput(body = {}) {
+    const name = body.name ? String(body.name).trim() : '';
+    if (!name) return { error: 'Season name is required' };
+    if (name.length > MAX_NAME_LENGTH) return { error: `Season name must be at most ${MAX_NAME_LENGTH} characters` };
+
+    if (body.eventIds !== undefined && body.eventIds !== null) {
+        if (!Array.isArray(body.eventIds) || body.eventIds.length === 0) {
+            return { error: 'eventIds must be a non-empty list of event ids' };
+        }
+        if (body.startDate || body.endDate) {
+            return { error: 'Define a season by dates or by events, not both' };
+        }
+        const eventIds = [...new Set(body.eventIds.map(id => String(id).trim()))];
+        return { season: { name, scope: 'events', startDate: null, endDate: null, eventIds } };
+    }
+
+    const startDate = body.startDate ? cards.normalizeEventDate(body.startDate) : null;
+    if (!startDate) return { error: 'startDate (YYYY-MM-DD) or eventIds is required' };
+    const endDate = body.endDate ? cards.normalizeEventDate(body.endDate) : null;
+    if (body.endDate && !endDate) return { error: 'endDate must be a date (YYYY-MM-DD)' };
+    if (endDate && endDate < startDate) return { error: 'endDate must not be before startDate' };
+
+    return { season: { name, scope: 'dates', startDate, endDate, eventIds: [] } };
+}
+
+// Best first; equal points share a rank (1, 1, 3)
+function rankStandings(rows) {
+    let previous = null;
+    return rows.map((row, i) => {
+        const points = Number(row.Points) || 0;
+        const rank = previous && previous.points === points ? previous.rank : i + 1;
+        previous = { points, rank };
+        return { UserID: row.UserID, Username: row.Username, FinalRank: rank, Points: points, Picks: Number(row.Picks) || 0 };
+    });
+}
+
+// Champion and runner-up from ranked standings (none until someone scores)
+function podium(standings) {
+    const entry = (row) => (row ? { userId: row.UserID, username: row.Username, points: row.Points } : null);
+    if (standings.length === 0 || standings[0].Points <= 0) return { champion: null, runnerUp: null };
+    return { champion: entry(standings[0]), runnerUp: entry(standings[1]) };
+}
+
+function describeSeason(season, eventIds = [], finalStandings = null) {
+    const closed = season.Status === 'closed';
+    return {
+        seasonId: season.SeasonID,
+        name: season.Name,
+        scope: season.Scope,
+        startDate: season.StartDate || null,
+        endDate: season.EndDate || null,
+        eventIds: season.Scope === 'events' ? eventIds : null,
+        status: season.Status,
+        createdAt: season.CreatedAt,
+        closedAt: season.ClosedAt || null,
+        ...(closed ? podium(finalStandings || []) : { champion: null, runnerUp: null })
+    };
+}
+
+// Every season of a league, newest first, with champion and runner-up for closed ones
+async function listSeasons(connection, leagueId) {
+    const seasons = await repos.seasons.listForLeague(connection, leagueId);
+    const ids = seasons.map(s => s.SeasonID);
+    const eventIds = await repos.seasons.listEventIds(connection, ids);
+    const finals = await repos.seasons.listFinalStandings(connection, seasons.filter(s => s.Status === 'closed').map(s => s.SeasonID));
+    return seasons.map(s => describeSeason(s, eventIds[s.SeasonID] || [], finals[s.SeasonID]));
+}
+
+// One season as listSeasons() describes it
+async function loadSeason(connection, season) {
+    const eventIds = await repos.seasons.listEventIds(connection, [season.SeasonID]);
+    const finals = season.Status === 'closed'
+        ? await repos.seasons.listFinalStandings(connection, [season.SeasonID])
+        : {};
+    return describeSeason(season, eventIds[season.SeasonID] || [], finals[season.SeasonID]);
+}
+
+// Ranked standings: frozen for a closed season, live for the active one
+async function getStandings(connection, season) {
+    if (season.Status === 'closed') {
+        const finals = await repos.seasons.listFinalStandings(connection, [season.SeasonID]);
+        return finals[season.SeasonID] || [];
+    }
+    return rankStandings(await repos.seasons.computeStandings(connection, season));
+}
+
+// Freeze the final standings. Callers wrap this in a transaction.
+async function closeSeason(connection, season) {
+    const standings = rankStandings(await repos.seasons.computeStandings(connection, season));
+    await repos.seasons.close(connection, season.SeasonID, standings);
+    return standings;
+}
+
+// Close the active season (if any) and open a new one from readSeasonInput().
+// Returns { seasonId, closedSeasonId } or { error } for unknown events.
+// Callers wrap this in a transaction.
+async function startSeason(connection, leagueId, input) {
+    for (const eventId of input.eventIds) {
+        if (!(await repos.events.findById(connection, eventId))) return { error: `Event ${eventId} not found` };
+    }
+
+    const active = await repos.seasons.findActive(connection, leagueId);
+    if (active) await closeSeason(connection, active);
+
+    const seasonId = await repos.seasons.create(connection, { leagueId, ...input });
+    await repos.seasons.addEvents(connection, seasonId, input.eventIds);
+    return { seasonId, closedSeasonId: active ? active.SeasonID : null };
+}
+
+module.exports = {
+    readSeasonInput,
+    rankStandings,
+    podium,
+    describeSeason,
+    listSeasons,
+    loadSeason,
+    getStandings,
+    closeSeason,
+    startSeason
+};
@@ -0,0 +1,128 @@
+// ==================== PRE-FIGHT STRENGTH ====================
+// Estimates who is favoured in a bout from both fighters' records going into
+// it: only fight rows on events dated before the bout count, never the static
+// fighter.wins / losses career totals (those include fights after the bout).
+// Each record becomes a smoothed win rate, (W + D/2 + 1) / (fights + 2), and
+// the two rates are compared with the log5 formula.
+// Once the event locks, the estimate is written to the fight row and never
+// recomputed, so later corrections to older results can't move scores. It is
+// frozen the first time a locked card is scored, and at the latest right
+// before any result it was built from is recorded or corrected
+// (freezeLockedCards), so a correction made between lock and first scoring
+// can't move it either.
+const repos = require('../db/repositories');
+const locks = require('./locks');
+
+function emptyRecord() {
+    return { wins: 0, losses: 0, draws: 0 };
+}
+
+function formatRecord(record) {
+    return `${record.wins}-${record.losses}-${record.draws}`;
+}
+
+// Tally W-L-D per fighter from bout rows (no contests count for nobody)
+function tallyRecords(bouts, fighterIds) {
+    const records = {};
+    fighterIds.forEach(id => { records[id] = emptyRecord(); });
+
+    bouts.forEach(bout => {
+        const red = String(bout.red_fighter_id).trim();
+        const blue = String(bout.blue_fighter_id).trim();
+        const winner = bout.winner_id ? String(bout.winner_id).trim() : null;
+
+        for (const [fighter, opponent] of [[red, blue], [blue, red]]) {
+            if (!records[fighter]) continue;
+            if (winner === fighter) records[fighter].wins++;
+            else if (winner === opponent) records[fighter].losses++;
+            else if (/draw/i.test(bout.method || '')) records[fighter].draws++;
+        }
+    });
+    return records;
+}
+
+function winRate(record) {
+    const fights = record.wins + record.losses + record.draws;
+    return (record.wins + record.draws / 2 + 1) / (fights + 2);
+}
+
+// { redRecord, blueRecord, redWinProbability, blueWinProbability } for two W-L-D records
+function estimateBout(redRecord, blueRecord) {
+    const a = winRate(redRecord);
+    const b = winRate(blueRecord);
+    const redWinProbability = Math.round(((a - a * b) / (a + b - 2 * a * b)) * 10000) / 10000;
+    return {
+        redRecord: formatRecord(redRecord),
+        blueRecord: formatRecord(blueRecord),
+        redWinProbability,
+        blueWinProbability: Math.round((1 - redWinProbability) * 10000) / 10000
+    };
+}
+
+// The less likely winner as { fighterId, winProbability }, or null for an even bout
+function underdog(fight, estimate) {
+    if (!estimate || estimate.redWinProbability === 0.5) return null;
+    return estimate.redWinProbability < 0.5
+        ? { fighterId: String(fight.red_fighter_id).trim(), winProbability: estimate.redWinProbability }
+        : { fighterId: String(fight.blue_fighter_id).trim(), winProbability: estimate.blueWinProbability };
+}
+
+// Estimates for every bout on a card, keyed by fight_id. Frozen values are used
+// as stored; with freeze set, a locked event's missing estimates are frozen now.
+async function estimateCard(connection, eventId, fights, { freeze = true } = {}) {
+    const estimates = {};
+    const open = [];
+
+    fights.forEach(fight => {
+        if (fight.prefight_frozen_at) {
+            const redWinProbability = Number(fight.prefight_red_win_prob);
+            estimates[fight.fight_id] = {
+                redRecord: fight.prefight_red_record,
+                blueRecord: fight.prefight_blue_record,
+                redWinProbability,
+                blueWinProbability: Math.round((1 - redWinProbability) * 10000) / 10000,
+                frozen: true
+            };
+        } else {
+            open.push(fight);
+        }
+    });
+    if (open.length === 0) return estimates;
+
+    const event = await repos.events.findById(connection, eventId);
+    const fighterIds = [...new Set(open.flatMap(f => [String(f.red_fighter_id).trim(), String(f.blue_fighter_id).trim()]))];
+    const bouts = await repos.fights.listResultsBefore(connection, fighterIds, event ? event.date : null);
+    const records = tallyRecords(bouts, fighterIds);
+
+    const lock = freeze ? await locks.getEventLock(connection, eventId) : null;
+    for (const fight of open) {
+        const estimate = estimateBout(
+            records[String(fight.red_fighter_id).trim()],
+            records[String(fight.blue_fighter_id).trim()]
+        );
+        if (lock && lock.locked) {
+            await repos.fights.freezeEstimate(connection, fight.fight_id, estimate);
+        }
+        estimates[fight.fight_id] = { ...estimate, frozen: !!(lock && lock.locked) };
+    }
+    return estimates;
+}
+
+// Freeze the open estimates on every locked card these fighters are on.
+// Call before writing results for their bouts.
+async function freezeLockedCards(connection, fighterIds) {
+    const ids = [...new Set(fighterIds.filter(Boolean).map(id => String(id).trim()))];
+    const eventIds = await repos.fights.listUnfrozenEvents(connection, ids);
+    for (const eventId of eventIds) {
+        const fights = await repos.fights.listForEvent(connection, eventId);
+        await estimateCard(connection, eventId, fights);
+    }
+}
+
+module.exports = {
+    tallyRecords,
+    estimateBout,
+    underdog,
+    estimateCard,
+    freezeLockedCards
+};
@@ -0,0 +1,76 @@
+// Login, sessions and logout
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PASSWORD, startApp, client, signUp } = require('./helpers');
+
+let app;
+
+before(async () => {
+    app = await startApp();
+});
+
+after(async () => {
+    await app.close();
+});
+
+test('login issues a session cookie that identifies the user', async () => {
+    const user = await signUp(app.baseUrl);
+
+    const me = await user.get('/api/me');
+    assert.equal(me.status, 200);
+    assert.equal(me.body.userId, user.userId);
+    assert.equal(me.body.username, user.username);
+    assert.equal(me.body.isAdmin, false);
+});
+
+test('requests without a session are rejected', async () => {
+    const anonymous = client(app.baseUrl);
+
+    assert.equal((await anonymous.get('/api/me')).status, 401);
+    assert.equal((await anonymous.get('/api/user-leagues')).status, 401);
+    assert.equal((await anonymous.post('/api/save-picks', { leagueId: 1, eventId: 'x', picks: [] })).status, 401);
+});
+
+test('a wrong password does not log in', async () => {
+    const user = await signUp(app.baseUrl);
+    const stranger = client(app.baseUrl);
+
+    const login = await stranger.post('/api/login', { username: user.username, password: `${PASSWORD}-wrong` });
+    assert.equal(login.status, 401);
+    assert.equal(login.body.success, false);
+    assert.equal((await stranger.get('/api/me')).status, 401);
+});
+
+test('registering a taken username fails', async () => {
+    const user = await signUp(app.baseUrl);
+
+    const again = await client(app.baseUrl).post('/api/register', {
+        username: user.username, email: 'someone-else@example.com', password: PASSWORD
+    });
+    assert.equal(again.status, 400);
+});
+
+test('the login token also works as a bearer token', async () => {
+    const user = await signUp(app.baseUrl);
+    const login = await client(app.baseUrl).post('/api/login', { username: user.username, password: PASSWORD });
+
+    const response = await fetch(`${app.baseUrl}/api/me`, { headers: { Authorization: `Bearer ${login.body.token}` } });
+    assert.equal(response.status, 200);
+    assert.equal((await response.json()).userId, user.userId);
+});
+
+test('logout ends the session on the server, not just the cookie', async () => {
+    const user = await signUp(app.baseUrl);
+    const login = await client(app.baseUrl).post('/api/login', { username: user.username, password: PASSWORD });
+    const withToken = (path, method = 'GET') => fetch(`${app.baseUrl}${path}`, {
+        method, headers: { Authorization: `Bearer ${login.body.token}` }
+    });
+
+    assert.equal((await withToken('/api/logout', 'POST')).status, 200);
+    assert.equal((await withToken('/api/me')).status, 401);
+
+    // The other session (the cookie from signUp) is unaffected
+    assert.equal((await user.get('/api/me')).status, 200);
+    assert.equal((await user.post('/api/logout')).status, 200);
+    assert.equal((await user.get('/api/me')).status, 401);
+});
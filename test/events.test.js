@@ -0,0 +1,164 @@
+// Event listing (status filters, cursor pages) and the event detail page
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { today } = require('../db/repositories/helpers');
+const { startApp, query, client, signUp, freshFighters, recordResult, createLeague } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+// Events straight into the table: the admin API requires a date, the dump does not
+function addEvent(eventId, name, date) {
+    return query('INSERT INTO event (event_id, event_name, date, location) VALUES (?, ?, ?, ?)', [eventId, name, date, 'Test Arena']);
+}
+
+// One bout on an event, decided for its red corner or still pending
+async function addBout(eventId, { decided = false, ...columns } = {}) {
+    const [red, blue] = await freshFighters(2);
+    const fight = {
+        fight_id: `${eventId}-${red}`, event_id: eventId, red_fighter_id: red, blue_fighter_id: blue,
+        total_rounds: 3, cancelled: 0, division: 'lightweight',
+        ...(decided ? { winner_id: red, method: 'KO/TKO', finish_round: 1 } : {}),
+        ...columns
+    };
+    const names = Object.keys(fight);
+    await query(`INSERT INTO fight (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')})`, Object.values(fight));
+    return fight;
+}
+
+function shiftDays(days) {
+    const date = new Date(`${today()}T12:00:00`);
+    date.setDate(date.getDate() + days);
+    return date.toISOString().slice(0, 10);
+}
+
+// Every page of a listing, following nextCursor
+async function allPages(search) {
+    const pages = [];
+    let cursor = null;
+    do {
+        const response = await admin.get(`/api/events?${search}${cursor ? `&cursor=${cursor}` : ''}`);
+        assert.equal(response.status, 200);
+        pages.push(response.body.data.map(event => event.EventID));
+        cursor = response.body.pagination.nextCursor;
+    } while (cursor);
+    return pages;
+}
+
+test('pages follow date then event_id, undated events sorting before every date', async () => {
+    await addEvent('page-b', 'Pagetest B', '2099-02-01');
+    await addEvent('page-a', 'Pagetest A', '2099-02-01');
+    await addEvent('page-c', 'Pagetest C', '2099-03-01');
+    await addEvent('page-e', 'Pagetest E', null);
+    await addEvent('page-d', 'Pagetest D', null);
+
+    assert.deepEqual(await allPages('q=pagetest&order=asc&limit=2'), [['page-d', 'page-e'], ['page-a', 'page-b'], ['page-c']]);
+    assert.deepEqual(await allPages('q=pagetest&limit=2'), [['page-c', 'page-b'], ['page-a', 'page-e'], ['page-d']]);
+
+    // A last page that is exactly full has no cursor
+    assert.deepEqual(await allPages('q=pagetest&limit=5'), [['page-c', 'page-b', 'page-a', 'page-e', 'page-d']]);
+    assert.deepEqual(await allPages('q=no-such-event'), [[]]);
+});
+
+test('status is upcoming, in progress or completed from the date and the results', async () => {
+    await addEvent('status-past', 'Statustest past', shiftDays(-1));
+    await addEvent('status-today', 'Statustest today', today());
+    await addEvent('status-future', 'Statustest future', shiftDays(30));
+    await addEvent('status-started', 'Statustest started', shiftDays(30));
+    await addEvent('status-done', 'Statustest done', shiftDays(30));
+    await addBout('status-future');
+    await addBout('status-started', { decided: true });
+    await addBout('status-started');
+    await addBout('status-done', { decided: true });
+    await addBout('status-done', { decided: true });
+    await addBout('status-done', { cancelled: 1 });
+
+    const listed = async (status) => (await allPages(`q=statustest&order=asc&status=${status}`)).flat().sort();
+    assert.deepEqual(await listed('completed'), ['status-done', 'status-past']);
+    assert.deepEqual(await listed('in_progress'), ['status-started', 'status-today']);
+    assert.deepEqual(await listed('upcoming'), ['status-future']);
+
+    const done = await admin.get('/api/events?q=statustest%20done');
+    assert.equal(done.body.data[0].FightCount, 2);
+    assert.equal(done.body.data[0].ResultCount, 2);
+});
+
+test('bad listing queries are rejected', async () => {
+    for (const search of ['status=finished', 'from=2099-02-01&to=2099-01-01', 'from=someday', 'order=sideways', 'cursor=not-a-cursor']) {
+        assert.equal((await admin.get(`/api/events?${search}`)).status, 400, search);
+    }
+});
+
+test('the card runs main event first: numbered bouts, then title fights, five-rounders and the rest', async () => {
+    await addEvent('detail-order', 'Detailtest order', '2099-04-01');
+    const prelim = await addBout('detail-order');
+    const coMain = await addBout('detail-order', { bout_order: 2 });
+    const fiveRounder = await addBout('detail-order', { total_rounds: 5 });
+    const main = await addBout('detail-order', { bout_order: 1 });
+    const title = await addBout('detail-order', { total_rounds: 5, title_fight: 1 });
+
+    const detail = await admin.get('/api/event/detail-order');
+    assert.equal(detail.status, 200);
+    assert.deepEqual(detail.body.data.bouts.map(b => [b.position, b.fightId, b.titleFight, b.scheduledRounds]), [
+        [1, main.fight_id, false, 3],
+        [2, coMain.fight_id, false, 3],
+        [3, title.fight_id, true, 5],
+        [4, fiveRounder.fight_id, false, 5],
+        [5, prelim.fight_id, false, 3]
+    ]);
+    assert.equal(detail.body.data.league, null);
+    assert.equal((await admin.get('/api/event/no-such-event')).status, 404);
+});
+
+// Owner on the red corner, rival on the blue corner of a one-bout card
+async function pickedEvent(eventId, settings = {}) {
+    const owner = await signUp(app.baseUrl);
+    const rival = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner, settings, [rival]);
+    await addEvent(eventId, `Detailtest ${eventId}`, '2099-04-02');
+    const bout = await addBout(eventId);
+    await owner.post('/api/save-picks', { leagueId, eventId, picks: [{ fightId: bout.fight_id, fighterId: bout.red_fighter_id }] });
+    await rival.post('/api/save-picks', { leagueId, eventId, picks: [{ fightId: bout.fight_id, fighterId: bout.blue_fighter_id }] });
+    const seen = async (viewer) => (await viewer.get(`/api/event/${eventId}?leagueId=${leagueId}`)).body.data;
+    return { owner, rival, leagueId, bout, seen };
+}
+
+test('a league\'s picks and points show per bout once the card locks', async () => {
+    const { owner, bout, seen } = await pickedEvent('detail-league');
+
+    const before = await seen(owner);
+    assert.equal(before.league.picksHidden, true);
+    assert.deepEqual(before.bouts[0].picks.map(p => p.username), [owner.username]);
+    assert.equal(before.bouts[0].consensus, null);
+
+    await recordResult(admin, { fightId: bout.fight_id }, bout.red_fighter_id);
+    const after = await seen(owner);
+    assert.equal(after.league.picksHidden, false);
+    assert.equal(after.event.lock.locked, true);
+    assert.equal(after.bouts[0].result.winnerId, bout.red_fighter_id);
+    assert.deepEqual(after.bouts[0].picks.map(p => [p.corner, p.correct, p.points]).sort(), [['blue', false, 0], ['red', true, 10]]);
+});
+
+test('the event page follows the league\'s pick visibility and membership', async () => {
+    const { owner, rival, leagueId, bout, seen } = await pickedEvent('detail-private', { pickVisibility: 'never' });
+    await recordResult(admin, { fightId: bout.fight_id }, bout.red_fighter_id);
+
+    const mine = await seen(rival);
+    assert.equal(mine.league.picksHidden, true);
+    assert.deepEqual(mine.bouts[0].picks.map(p => p.username), [rival.username]);
+    assert.equal(mine.bouts[0].consensus, null);
+    assert.deepEqual((await seen(owner)).bouts[0].picks.map(p => p.username), [owner.username]);
+
+    const outsider = await signUp(app.baseUrl);
+    assert.equal((await outsider.get(`/api/event/detail-private?leagueId=${leagueId}`)).status, 403);
+    assert.equal((await client(app.baseUrl).get(`/api/event/detail-private?leagueId=${leagueId}`)).status, 401);
+});
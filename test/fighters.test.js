@@ -0,0 +1,98 @@
+// Fighter comparison: tale of the tape and head-to-head history
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, query, signUp, fixtureInput, runImport } = require('./helpers');
+
+let app;
+let admin;
+let hal;
+let ivo;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+
+    // Hal and Ivo: a win each and a no contest, a common opponent (Jax), and a trilogy still to come
+    const { applied } = await runImport(fixtureInput('rivalry.json'));
+    assert.equal(applied, true);
+    const ids = Object.fromEntries((await query("SELECT fighter_id, name FROM fighter WHERE name LIKE '% Tape'")).map(row => [row.name, String(row.fighter_id)]));
+    hal = ids['Hal Tape'];
+    ivo = ids['Ivo Tape'];
+});
+
+after(async () => {
+    await app.close();
+});
+
+async function compared(search) {
+    const response = await admin.get(`/api/fighters/compare?${search}`);
+    assert.equal(response.status, 200);
+    return response.body.data;
+}
+
+test('the tape counts every finished bout and ages each fighter today without asOf', async () => {
+    const { asOf, a, b, sharedOpponents } = await compared(`a=${hal}&b=${ivo}`);
+
+    assert.equal(asOf, null);
+    assert.equal(a.record.text, '2-1-0 (1 NC)');
+    assert.equal(b.record.text, '1-2-0 (1 NC)');
+    assert.deepEqual(a.streak, { result: 'Win', count: 1 });
+    assert.deepEqual(b.streak, { result: 'Loss', count: 1 });
+    assert.deepEqual(a.recentForm.map(f => [f.opponentName, f.result]), [
+        ['Jax Tape', 'Win'], ['Ivo Tape', 'Loss'], ['Ivo Tape', 'No Contest'], ['Ivo Tape', 'Win']
+    ]);
+    assert.deepEqual([a.height, a.reach, a.stance], [180, 185, 'Orthodox']);
+    assert.deepEqual(sharedOpponents.map(o => [o.opponentName, o.a.map(f => f.result), o.b.map(f => f.result)]), [['Jax Tape', ['Win'], ['Loss']]]);
+});
+
+test('as of a fight night only earlier bouts count and ages are on that day', async () => {
+    const trilogy = await compared(`a=${hal}&b=${ivo}&asOf=2099-09-01`);
+    assert.equal(trilogy.a.record.text, '2-1-0 (1 NC)');
+    assert.equal(trilogy.a.age, 39);
+
+    // The rematch itself is not part of the tape for the rematch
+    const rematch = await compared(`a=${hal}&b=${ivo}&asOf=2091-01-01`);
+    assert.deepEqual(rematch.a.record, { wins: 1, losses: 0, draws: 0, noContests: 1, text: '1-0-0 (1 NC)' });
+    assert.deepEqual(rematch.b.record, { wins: 0, losses: 1, draws: 0, noContests: 1, text: '0-1-0 (1 NC)' });
+    assert.equal(rematch.a.age, 30);
+    assert.equal(rematch.b.age, 28);
+    assert.deepEqual(rematch.sharedOpponents, []);
+});
+
+test('head-to-head lists every meeting, rematch and no contest included, with common opponents', async () => {
+    const response = await admin.get(`/api/fighters/head-to-head?a=${hal}&b=${ivo}`);
+    assert.equal(response.status, 200);
+    const { a, b, summary, meetings, commonOpponents } = response.body.data;
+
+    assert.deepEqual([a.name, b.name], ['Hal Tape', 'Ivo Tape']);
+    assert.deepEqual(summary, { aWins: 1, bWins: 1, draws: 0, noContests: 1 });
+    assert.deepEqual(meetings.map(m => [m.eventName, m.result, m.winnerId, m.method, m.titleFight]), [
+        ['Rivalry Night 3', 'Loss', ivo, 'Decision - Unanimous', true],
+        ['Rivalry Night 2', 'No Contest', null, 'No Contest', false],
+        ['Rivalry Night 1', 'Win', hal, 'KO/TKO', false]
+    ]);
+    assert.deepEqual(commonOpponents.map(o => [o.opponentName, o.a[0].method, o.b[0].method]), [['Jax Tape', 'Submission', 'KO/TKO']]);
+
+    // From Ivo's side the summary flips; the trilogy has no result yet and is not a meeting
+    const flipped = (await admin.get(`/api/fighters/head-to-head?a=${ivo}&b=${hal}`)).body.data;
+    assert.deepEqual(flipped.summary, { aWins: 1, bWins: 1, draws: 0, noContests: 1 });
+    assert.deepEqual(flipped.meetings.map(m => m.result), ['Win', 'No Contest', 'Loss']);
+});
+
+test('head-to-head as of a date leaves out later meetings', async () => {
+    const { asOf, summary, meetings, commonOpponents } = (await admin.get(`/api/fighters/head-to-head?a=${hal}&b=${ivo}&asOf=2091-01-01`)).body.data;
+
+    assert.equal(asOf, '2091-01-01');
+    assert.deepEqual(summary, { aWins: 1, bWins: 0, draws: 0, noContests: 1 });
+    assert.deepEqual(meetings.map(m => m.eventName), ['Rivalry Night 2', 'Rivalry Night 1']);
+    assert.deepEqual(commonOpponents, []);
+});
+
+test('bad fighter pairs are rejected', async () => {
+    for (const search of [`a=${hal}`, `a=${hal}&b=${hal}`, `a=${hal}&b=${ivo}&asOf=someday`]) {
+        assert.equal((await admin.get(`/api/fighters/compare?${search}`)).status, 400, search);
+        assert.equal((await admin.get(`/api/fighters/head-to-head?${search}`)).status, 400, search);
+    }
+    assert.equal((await admin.get(`/api/fighters/compare?a=${hal}&b=no-such-fighter`)).status, 404);
+    assert.equal((await admin.get(`/api/fighters/head-to-head?a=no-such-fighter&b=${ivo}`)).status, 404);
+});
@@ -0,0 +1,189 @@
+// ==================== INTEGRATION TEST HARNESS ====================
+// Boots the app on an in-memory SQLite database (all migrations, then the
+// Dump.zip seed) and drives it over HTTP, like the browser does. node --test
+// runs every file in its own process, so each file gets a fresh database.
+process.env.DB_CLIENT = 'sqlite';
+process.env.SQLITE_FILE = ':memory:';
+process.env.SESSION_SECRET = process.env.SESSION_SECRET || 'integration-test-secret';
+
+// Route logging drowns out the test report; TEST_VERBOSE=1 keeps it
+if (!process.env.TEST_VERBOSE) {
+    console.log = () => {};
+    console.warn = () => {};
+}
+
+const fs = require('fs');
+const path = require('path');
+const { app, pool } = require('../server');
+const importer = require('../services/importer');
+const migrator = require('../db/migrator');
+const { seedDatabase } = require('../db/seed');
+
+const PASSWORD = 'secret123';
+const OPEN_DATE = '2099-06-01';
+
+let userCount = 0;
+let fighterOffset = 0;
+
+// Migrate, seed and listen on a random port. Returns { baseUrl, close }.
+async function startApp() {
+    const connection = await pool.getConnection();
+    try {
+        await migrator.migrateUp(connection, () => {});
+        await seedDatabase(connection, { log: () => {} });
+    } finally {
+        connection.release();
+    }
+
+    const server = await new Promise(resolve => {
+        const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+    });
+    return {
+        baseUrl: `http://127.0.0.1:${server.address().port}`,
+        close: () => new Promise(resolve => server.close(resolve))
+    };
+}
+
+// Run SQL against the test database: rows for reads, { insertId, affectedRows } for writes
+async function query(sql, params = []) {
+    const connection = await pool.getConnection();
+    try {
+        const [rows] = await connection.execute(sql, params);
+        return rows;
+    } finally {
+        connection.release();
+    }
+}
+
+// An HTTP client that keeps the session cookie it is given, like a browser.
+// Every call resolves to { status, body }.
+function client(baseUrl) {
+    let cookie = null;
+
+    async function request(method, path, body) {
+        const headers = { 'Content-Type': 'application/json' };
+        if (cookie) headers.Cookie = cookie;
+
+        const response = await fetch(baseUrl + path, {
+            method,
+            headers,
+            body: body === undefined ? undefined : JSON.stringify(body)
+        });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        return { status: response.status, body: await response.json() };
+    }
+
+    return {
+        request,
+        get: (path) => request('GET', path),
+        post: (path, body = {}) => request('POST', path, body),
+        put: (path, body = {}) => request('PUT', path, body),
+        del: (path, body = {}) => request('DELETE', path, body)
+    };
+}
+
+// Register and log in a new user. { admin: true } makes them a site admin.
+// Returns the client plus { userId, username }.
+async function signUp(baseUrl, { admin = false } = {}) {
+    const username = `tester${++userCount}_${process.pid}`;
+    const user = client(baseUrl);
+    await user.post('/api/register', { username, email: `${username}@example.com`, password: PASSWORD });
+    const login = await user.post('/api/login', { username, password: PASSWORD });
+    if (login.status !== 200) throw new Error(`Login failed for ${username}: ${login.body.error}`);
+
+    if (admin) await query('UPDATE user SET IsAdmin = 1 WHERE UserID = ?', [login.body.userId]);
+    return Object.assign(user, { userId: login.body.userId, username });
+}
+
+// Fighters from the dump nobody in this file has booked yet
+async function freshFighters(count) {
+    const rows = await query('SELECT fighter_id FROM fighter ORDER BY fighter_id LIMIT ? OFFSET ?', [count, fighterOffset]);
+    fighterOffset += count;
+    return rows.map(row => String(row.fighter_id));
+}
+
+// Build an event and its card through the admin API. Bouts are between fresh
+// fighters unless given as [{ red, blue }]. Returns { eventId, fights: [{ fightId, red, blue }] }.
+async function createCard(admin, { date = OPEN_DATE, bouts = 2, totalRounds = 3 } = {}) {
+    const event = await admin.post('/api/admin/events', { eventName: `Test Card ${date} ${Date.now()}`, date });
+    if (event.status !== 200) throw new Error(`Create event failed: ${event.body.error}`);
+
+    const pairs = Array.isArray(bouts) ? bouts : [];
+    if (!Array.isArray(bouts)) {
+        const ids = await freshFighters(bouts * 2);
+        for (let i = 0; i < bouts; i++) pairs.push({ red: ids[i * 2], blue: ids[i * 2 + 1] });
+    }
+
+    const fights = [];
+    for (const { red, blue } of pairs) {
+        const bout = await admin.post(`/api/admin/events/${event.body.eventId}/fights`, {
+            redFighterId: red, blueFighterId: blue, division: 'lightweight', totalRounds
+        });
+        if (bout.status !== 200) throw new Error(`Add bout failed: ${bout.body.error}`);
+        fights.push({ fightId: bout.body.fightId, red, blue });
+    }
+    return { eventId: event.body.eventId, fights };
+}
+
+// Record (or correct) a result through the admin API
+async function recordResult(admin, fight, winnerId, { method = 'KO/TKO', finishRound = 1, matchTimeSec = 120 } = {}) {
+    const response = await admin.put(`/api/admin/fights/${fight.fightId}/result`, { winnerId, method, finishRound, matchTimeSec });
+    if (response.status !== 200) throw new Error(`Record result failed: ${response.body.error}`);
+    return response.body;
+}
+
+// Create a league owned by `owner` and have everyone in `members` join it.
+// Returns { leagueId, leagueCode }.
+async function createLeague(owner, settings = {}, members = []) {
+    const created = await owner.post('/api/league/create', { name: `League ${Date.now()} ${userCount}`, ...settings });
+    if (created.status !== 200) throw new Error(`Create league failed: ${created.body.error}`);
+
+    for (const member of members) {
+        await member.post('/api/join-league', { leagueCode: created.body.leagueCode });
+    }
+    return { leagueId: created.body.leagueId, leagueCode: created.body.leagueCode };
+}
+
+// Picks for a card: one fighter per bout, in card order
+function picksFor(card, fighterIds, extra = () => ({})) {
+    return card.fights.map((fight, index) => ({ fightId: fight.fightId, fighterId: fighterIds[index], ...extra(fight, index) }));
+}
+
+// Rows from files in test/fixtures/import, merged into one importer input
+function fixtureInput(...files) {
+    const input = { events: [], fighters: [], fights: [], fightStats: [] };
+    for (const file of files) {
+        const full = path.join(__dirname, 'fixtures', 'import', file);
+        const data = importer.parseInputFile(full, fs.readFileSync(full, 'utf8'));
+        for (const key of Object.keys(input)) input[key].push(...data[key]);
+    }
+    return input;
+}
+
+// Run the bulk importer like scripts/import-card.js does. Returns { plan, applied, changedEvents }.
+async function runImport(input, options = {}) {
+    const connection = await pool.getConnection();
+    try {
+        return await importer.runImport(connection, input, options);
+    } finally {
+        connection.release();
+    }
+}
+
+module.exports = {
+    PASSWORD,
+    OPEN_DATE,
+    pool,
+    startApp,
+    query,
+    client,
+    signUp,
+    freshFighters,
+    createCard,
+    recordResult,
+    createLeague,
+    picksFor,
+    fixtureInput,
+    runImport
+};
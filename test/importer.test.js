@@ -0,0 +1,137 @@
+// Bulk CSV / JSON import (services/importer, scripts/import-card.js)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const importer = require('../services/importer');
+const { parseCsv } = require('../services/csv');
+const { startApp, query, signUp, createLeague, fixtureInput, runImport } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+async function eventIdOf(name) {
+    const rows = await query('SELECT event_id FROM event WHERE event_name = ?', [name]);
+    return rows.length > 0 ? rows[0].event_id : null;
+}
+
+// The fixture card, imported once per test that needs it (a re-import changes nothing)
+async function importCard() {
+    const { applied } = await runImport(fixtureInput('fighters.csv', 'card.json'));
+    assert.equal(applied, true);
+    return eventIdOf('Import Night 1');
+}
+
+test('CSV and JSON files are parsed and CSV tables detected from the header row', async () => {
+    const input = fixtureInput('fighters.csv', 'card.json', 'results.csv');
+    assert.equal(input.fighters.length, 4);
+    assert.equal(input.events.length, 1);
+    assert.equal(input.fights.length, 4);
+    assert.equal(input.fighters[0].nickname, 'The Loader, Sr.');
+    assert.equal(input.fighters[2].nickname, 'Say "Cy"');
+
+    assert.equal(importer.detectTable(parseCsv('event_name,date\nX,2099-01-01\n')), 'event');
+    assert.equal(importer.detectTable(parseCsv('fight_id,fighter_id,round\na,b,1\n')), 'fight_stat');
+    assert.equal(importer.detectTable(parseCsv('red_fighter_name,blue_fighter_name\na,b\n')), 'fight');
+    assert.equal(importer.detectTable(parseCsv('name,stance\na,b\n')), 'fighter');
+    assert.equal(importer.detectTable(parseCsv('colour\nred\n')), null);
+    assert.throws(() => importer.parseInputFile('mystery.csv', 'colour\nred\n'), /cannot tell which table/);
+    assert.throws(() => importer.parseInputFile('rows.json', '[{"name":"x"}]'), /--table/);
+});
+
+test('a dry run reports the plan and writes nothing', async () => {
+    const { plan, applied } = await runImport(fixtureInput('fighters.csv', 'card.json'), { dryRun: true });
+
+    assert.equal(applied, false);
+    assert.deepEqual(plan.errors, []);
+    assert.ok(plan.fighters.every(op => op.action === 'create'));
+    const report = importer.formatReport(plan);
+    assert.match(report, /Fighters: 4 new, 0 changed, 0 unchanged/);
+    assert.match(report, /Bouts: 2 new/);
+    assert.match(report, /\+ Ada Importa vs Bea Importa/);
+
+    assert.equal(await eventIdOf('Import Night 1'), null);
+    assert.equal((await query("SELECT COUNT(*) AS count FROM fighter WHERE name LIKE '% Importa'"))[0].count, 0);
+});
+
+test('importing a card creates it once; importing it again changes nothing', async () => {
+    const eventId = await importCard();
+    assert.ok(eventId);
+
+    const fights = await admin.get(`/api/event/${eventId}/fights`);
+    assert.deepEqual(fights.body.data.map(f => [f.FighterAName, f.FighterBName, f.TotalRounds]), [
+        ['Ada Importa', 'Bea Importa', 5],
+        ['Cy Importa', 'Dee Importa', 3]
+    ]);
+
+    const again = await runImport(fixtureInput('fighters.csv', 'card.json'));
+    assert.ok([...again.plan.fighters, ...again.plan.events, ...again.plan.fights].every(op => op.action === 'unchanged'));
+    assert.deepEqual(again.changedEvents, []);
+});
+
+test('imported results are reported as changes and scored', async () => {
+    const eventId = await importCard();
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player);
+    const fights = (await player.get(`/api/event/${eventId}/fights`)).body.data;
+    await player.post('/api/save-picks', {
+        leagueId, eventId,
+        picks: fights.map(f => ({ fightId: f.FightID, fighterId: f.FighterA_ID }))
+    });
+
+    const { plan, changedEvents } = await runImport(fixtureInput('results.csv'));
+    assert.deepEqual(changedEvents, [eventId]);
+    assert.match(importer.formatReport(plan), /~ Ada Importa vs Bea Importa[\s\S]*method: NULL -> "KO\/TKO"/);
+
+    // Ada won, Cy lost
+    const picks = await player.get(`/api/user-picks/${player.userId}/${leagueId}`);
+    assert.equal(picks.body.data.reduce((sum, pick) => sum + Number(pick.PointsEarned), 0), 10);
+});
+
+test('one rejected row rolls back the whole import', async () => {
+    await importCard();
+    const { plan, applied } = await runImport({
+        fighters: [{ name: 'Eve Importa' }],
+        events: [],
+        fights: [
+            { event_name: 'Import Night 1', red_fighter_name: 'Ada Importa', blue_fighter_name: 'Bea Importa', referee: 'Herb Dean' },
+            { event_name: 'Import Night 1', red_fighter_name: 'Cy Importa', blue_fighter_name: 'Dee Importa', winner_name: 'Cy Importa', method: 'KO/TKO', finish_round: 4 }
+        ],
+        fightStats: []
+    });
+
+    assert.equal(applied, false);
+    assert.equal(plan.errors.length, 1);
+    assert.equal(plan.errors[0].table, 'fight');
+    assert.equal(plan.errors[0].row, 2);
+    assert.match(importer.formatReport(plan), /! fight row 2: .*round/i);
+
+    assert.equal((await query("SELECT COUNT(*) AS count FROM fighter WHERE name = 'Eve Importa'"))[0].count, 0);
+    assert.equal((await query("SELECT COUNT(*) AS count FROM fight WHERE referee = 'Herb Dean' AND event_id = ?", [await eventIdOf('Import Night 1')]))[0].count, 0);
+});
+
+test('a fighter booked twice on one card is a row error', async () => {
+    await importCard();
+    const bout = (red, blue, event = 'Import Night 1') => ({ event_name: event, red_fighter_name: red, blue_fighter_name: blue });
+
+    // Against a bout already in the database
+    const existing = await runImport({ fighters: [], events: [], fights: [bout('Ada Importa', 'Cy Importa')], fightStats: [] });
+    assert.deepEqual(existing.plan.errors.map(e => [e.row, e.error]), [[1, 'Ada Importa is already booked on this card']]);
+
+    // Against an earlier row of the same import
+    const planned = await runImport({
+        fighters: [],
+        events: [{ event_name: 'Import Night 2', date: '2099-08-01' }],
+        fights: [bout('Ada Importa', 'Bea Importa', 'Import Night 2'), bout('Dee Importa', 'Bea Importa', 'Import Night 2')],
+        fightStats: []
+    });
+    assert.deepEqual(planned.plan.errors.map(e => [e.row, e.error]), [[2, 'Bea Importa is already booked on this card']]);
+    assert.equal(await eventIdOf('Import Night 2'), null);
+});
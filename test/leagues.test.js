@@ -0,0 +1,155 @@
+// League lifecycle: leaving, archiving, deleting and the owner's settings
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, query, signUp, createCard, recordResult, createLeague, picksFor } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+// Owner and member who both picked the red corner of a one-bout card
+async function pickedLeague(settings = {}) {
+    const owner = await signUp(app.baseUrl);
+    const member = await signUp(app.baseUrl);
+    const { leagueId, leagueCode } = await createLeague(owner, settings, [member]);
+    const card = await createCard(admin, { bouts: 1 });
+    for (const player of [owner, member]) {
+        const saved = await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [card.fights[0].red]) });
+        assert.equal(saved.status, 200);
+    }
+    return { owner, member, leagueId, leagueCode, card };
+}
+
+async function pickCount(userId, leagueId) {
+    const rows = await query('SELECT COUNT(*) AS count FROM pick WHERE UserID = ? AND LeagueID = ?', [userId, leagueId]);
+    return Number(rows[0].count);
+}
+
+test('leaving keeps or removes picks according to the league\'s retention policy', async () => {
+    const kept = await pickedLeague();
+    const left = await kept.member.post(`/api/league/${kept.leagueId}/leave`);
+    assert.equal(left.status, 200);
+    assert.equal(left.body.picksRemoved, 0);
+    assert.equal(await pickCount(kept.member.userId, kept.leagueId), 1);
+    assert.equal((await kept.member.get(`/api/league-members/${kept.leagueId}`)).status, 403);
+    assert.equal((await kept.member.post(`/api/league/${kept.leagueId}/leave`)).status, 404);
+
+    const removed = await pickedLeague({ pickRetention: 'remove' });
+    const gone = await removed.member.post(`/api/league/${removed.leagueId}/leave`);
+    assert.equal(gone.body.picksRemoved, 1);
+    assert.equal(await pickCount(removed.member.userId, removed.leagueId), 0);
+    assert.equal(await pickCount(removed.owner.userId, removed.leagueId), 1);
+});
+
+test('the owner cannot leave their own league', async () => {
+    const { owner, leagueId } = await pickedLeague();
+
+    const response = await owner.post(`/api/league/${leagueId}/leave`);
+    assert.equal(response.status, 400);
+    assert.match(response.body.error, /Transfer ownership/);
+    assert.equal(await pickCount(owner.userId, leagueId), 1);
+});
+
+test('an archived league is read-only and hidden until the owner restores it', async () => {
+    const { owner, member, leagueId, leagueCode, card } = await pickedLeague();
+    assert.equal((await member.post(`/api/league/${leagueId}/archive`)).status, 403);
+
+    assert.equal((await owner.post(`/api/league/${leagueId}/archive`)).status, 200);
+    assert.equal((await owner.post(`/api/league/${leagueId}/archive`)).status, 400);
+
+    const listed = async (search = '') => (await member.get(`/api/user-leagues${search}`)).body.data.map(l => l.LeagueID);
+    assert.ok(!(await listed()).includes(leagueId));
+    assert.ok((await listed('?includeArchived=true')).includes(leagueId));
+
+    // Every write is refused; reads still work
+    const newcomer = await signUp(app.baseUrl);
+    const writes = [
+        () => member.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [card.fights[0].blue]) }),
+        () => member.post(`/api/league/${leagueId}/leave`),
+        () => newcomer.post('/api/join-league', { leagueCode }),
+        () => owner.put(`/api/league/${leagueId}/settings`, { pickVisibility: 'always' }),
+        () => owner.put(`/api/league/${leagueId}/members/${member.userId}/role`, { role: 'Co-Commissioner' }),
+        () => owner.post(`/api/league/${leagueId}/seasons`, { name: 'Archived', startDate: '2099-01-01' }),
+        () => owner.post(`/api/scoring/league/${leagueId}`)
+    ];
+    for (const write of writes) {
+        const response = await write();
+        assert.equal(response.status, 403);
+        assert.equal(response.body.error, 'This league is archived and read-only');
+    }
+    assert.equal((await member.get(`/api/leaderboard/${leagueId}`)).status, 200);
+    assert.equal(await pickCount(member.userId, leagueId), 1);
+
+    assert.equal((await owner.post(`/api/league/${leagueId}/unarchive`)).status, 200);
+    assert.equal((await owner.post(`/api/league/${leagueId}/unarchive`)).status, 400);
+    assert.equal((await member.post(`/api/league/${leagueId}/leave`)).status, 200);
+});
+
+test('deleting a league needs the owner and its name, and takes every pick with it', async () => {
+    const { owner, member, leagueId } = await pickedLeague();
+    const { Name: name } = (await owner.get(`/api/league/${leagueId}`)).body.data;
+    await owner.post(`/api/league/${leagueId}/archive`);
+
+    assert.equal((await member.del(`/api/league/${leagueId}`, { confirm: name })).status, 403);
+    assert.equal((await owner.del(`/api/league/${leagueId}`)).status, 400);
+    assert.equal((await owner.del(`/api/league/${leagueId}`, { confirm: `${name}!` })).status, 400);
+
+    const deleted = await owner.del(`/api/league/${leagueId}`, { confirm: ` ${name} ` });
+    assert.equal(deleted.status, 200);
+    assert.equal(deleted.body.membersRemoved, 2);
+    assert.equal(deleted.body.picksRemoved, 2);
+    assert.equal((await query('SELECT COUNT(*) AS count FROM pick WHERE LeagueID = ?', [leagueId]))[0].count, 0);
+    assert.equal((await owner.get(`/api/league/${leagueId}`)).status, 404);
+    assert.equal((await owner.del(`/api/league/${leagueId}`, { confirm: name })).status, 404);
+});
+
+test('bad settings are rejected and change nothing', async () => {
+    const { owner, member, leagueId } = await pickedLeague();
+    const save = (body, user = owner) => user.put(`/api/league/${leagueId}/settings`, body);
+
+    for (const body of [
+        {},
+        { pickRetention: 'sometimes' },
+        { pickMode: 'ranked' },
+        { pickVisibility: 'later' },
+        { scoringRules: 'Fancy' },
+        { scoringRules: { winner: 500 } },
+        { scoringRules: { bogus: 1 } },
+        { scoringRules: { preset: 'Legacy' } },
+        { pickVisibility: 'always', scoringRules: { winner: -1 } }
+    ]) {
+        assert.equal((await save(body)).status, 400, JSON.stringify(body));
+    }
+    const invalid = await save({ scoringRules: { winner: 1.5, underdogMultiplier: 9 } });
+    assert.deepEqual(invalid.body.errors.map(e => e.field), ['winner', 'underdogMultiplier']);
+    assert.equal((await save({ pickVisibility: 'always' }, member)).status, 403);
+
+    const league = (await owner.get(`/api/league/${leagueId}`)).body.data;
+    assert.equal(league.PickVisibility, 'after_lock');
+    assert.equal(league.Scoring.preset, 'Standard');
+});
+
+test('custom scoring rules re-score every pick in the league; other settings do not', async () => {
+    const { owner, member, leagueId, card } = await pickedLeague();
+    await recordResult(admin, card.fights[0], card.fights[0].red);
+    const points = async () => Object.fromEntries((await owner.get(`/api/leaderboard/${leagueId}`)).body.data.map(row => [row.Username, Number(row.TotalPoints)]));
+
+    const saved = await owner.put(`/api/league/${leagueId}/settings`, { scoringRules: { preset: 'Standard', winner: '15' } });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.scoring.rules.winner, 15);
+    assert.equal(saved.body.data.rescored.picksUpdated, 2);
+    assert.deepEqual(await points(), { [owner.username]: 15, [member.username]: 15 });
+
+    const visibility = await owner.put(`/api/league/${leagueId}/settings`, { pickVisibility: 'Never' });
+    assert.equal(visibility.body.data.pickVisibility, 'never');
+    assert.equal(visibility.body.data.rescored, null);
+    assert.equal(visibility.body.data.scoring.rules.winner, 15);
+});
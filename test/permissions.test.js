@@ -0,0 +1,131 @@
+// League roles: what owners, co-commissioners and members may do
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp, createCard, createLeague } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+// Owner, co-commissioner and plain member in a fresh league
+async function leagueWithRoles() {
+    const owner = await signUp(app.baseUrl);
+    const co = await signUp(app.baseUrl);
+    const member = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner, {}, [co, member]);
+
+    const promoted = await owner.put(`/api/league/${leagueId}/members/${co.userId}/role`, { role: 'Co-Commissioner' });
+    assert.equal(promoted.status, 200);
+    return { leagueId, owner, co, member };
+}
+
+test('league details list the actions each role may take', async () => {
+    const { leagueId, owner, co, member } = await leagueWithRoles();
+    const outsider = await signUp(app.baseUrl);
+    const permissionsOf = async (user) => (await user.get(`/api/league/${leagueId}`)).body.data;
+
+    const ownerView = await permissionsOf(owner);
+    assert.equal(ownerView.MyRole, 'Owner');
+    assert.deepEqual(ownerView.Permissions.sort(), [
+        'archiveLeague', 'deleteLeague', 'editSettings', 'manageRoles', 'manageSeasons',
+        'removeMember', 'rescoreLeague', 'transferOwnership'
+    ]);
+
+    const coView = await permissionsOf(co);
+    assert.equal(coView.MyRole, 'Co-Commissioner');
+    assert.deepEqual(coView.Permissions.sort(), ['manageSeasons', 'removeMember', 'rescoreLeague']);
+
+    assert.deepEqual((await permissionsOf(member)).Permissions, []);
+    assert.deepEqual((await permissionsOf(outsider)).Permissions, []);
+});
+
+test('only the owner changes roles, settings and ownership', async () => {
+    const { leagueId, co, member } = await leagueWithRoles();
+
+    for (const [user, other] of [[co, member], [member, co]]) {
+        assert.equal((await user.put(`/api/league/${leagueId}/members/${other.userId}/role`, { role: 'Member' })).status, 403);
+        assert.equal((await user.put(`/api/league/${leagueId}/settings`, { pickRetention: 'remove' })).status, 403);
+        assert.equal((await user.post(`/api/league/${leagueId}/transfer`, { userId: other.userId })).status, 403);
+        assert.equal((await user.post(`/api/league/${leagueId}/archive`)).status, 403);
+    }
+});
+
+test('co-commissioners remove members but never the owner', async () => {
+    const { leagueId, owner, co, member } = await leagueWithRoles();
+
+    assert.equal((await member.del(`/api/league/${leagueId}/members/${co.userId}`)).status, 403);
+    assert.equal((await co.del(`/api/league/${leagueId}/members/${owner.userId}`)).status, 403);
+    assert.equal((await co.del(`/api/league/${leagueId}/members/${member.userId}`)).status, 200);
+
+    const members = await owner.get(`/api/league-members/${leagueId}`);
+    assert.ok(!members.body.data.some(row => row.UserID === member.userId));
+});
+
+test('the owner can remove a co-commissioner', async () => {
+    const { leagueId, owner, co } = await leagueWithRoles();
+
+    assert.equal((await owner.del(`/api/league/${leagueId}/members/${co.userId}`)).status, 200);
+});
+
+test('owners and co-commissioners re-score a league; members cannot', async () => {
+    const { leagueId, owner, co, member } = await leagueWithRoles();
+
+    assert.equal((await member.post(`/api/scoring/league/${leagueId}`)).status, 403);
+    assert.equal((await co.post(`/api/scoring/league/${leagueId}`)).status, 200);
+    assert.equal((await owner.post(`/api/scoring/league/${leagueId}`)).status, 200);
+});
+
+test('owners and co-commissioners start seasons; members cannot', async () => {
+    const { leagueId, co, member } = await leagueWithRoles();
+    const season = { name: 'Spring', startDate: '2099-01-01' };
+
+    assert.equal((await member.post(`/api/league/${leagueId}/seasons`, season)).status, 403);
+    assert.equal((await co.post(`/api/league/${leagueId}/seasons`, season)).status, 200);
+});
+
+test('transferring ownership hands over the owner controls', async () => {
+    const { leagueId, owner, co } = await leagueWithRoles();
+
+    assert.equal((await owner.post(`/api/league/${leagueId}/transfer`, { userId: co.userId })).status, 200);
+    assert.equal((await co.get(`/api/league/${leagueId}`)).body.data.MyRole, 'Owner');
+    assert.equal((await owner.put(`/api/league/${leagueId}/settings`, { pickRetention: 'remove' })).status, 403);
+    assert.equal((await co.put(`/api/league/${leagueId}/settings`, { pickRetention: 'remove' })).status, 200);
+});
+
+test('archived leagues refuse commissioner actions', async () => {
+    const { leagueId, owner, co } = await leagueWithRoles();
+
+    assert.equal((await owner.post(`/api/league/${leagueId}/archive`)).status, 200);
+    assert.equal((await co.post(`/api/scoring/league/${leagueId}`)).status, 403);
+    assert.equal((await owner.put(`/api/league/${leagueId}/settings`, { pickRetention: 'remove' })).status, 403);
+});
+
+test('scoring a whole event across leagues is for site admins only', async () => {
+    const { owner } = await leagueWithRoles();
+    const card = await createCard(admin, { bouts: 1 });
+
+    assert.equal((await owner.post(`/api/scoring/event/${card.eventId}`)).status, 403);
+    const scored = await admin.post(`/api/scoring/event/${card.eventId}`);
+    assert.equal(scored.status, 200);
+    assert.equal(scored.body.data.eventId, card.eventId);
+});
+
+test('only members read a league\'s members and standings', async () => {
+    const { leagueId, owner, member } = await leagueWithRoles();
+    const outsider = await signUp(app.baseUrl);
+    const season = await owner.post(`/api/league/${leagueId}/seasons`, { name: 'Spring', startDate: '2099-01-01' });
+    const seasonId = season.body.data.season.seasonId;
+
+    for (const path of [`/api/league-members/${leagueId}`, `/api/leaderboard/${leagueId}`, `/api/leaderboard/${leagueId}?seasonId=${seasonId}`]) {
+        assert.equal((await member.get(path)).status, 200, path);
+        assert.equal((await outsider.get(path)).status, 403, path);
+    }
+});
@@ -0,0 +1,224 @@
+// Saving picks, pick locks and scoring a recorded result
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const repos = require('../db/repositories');
+const { startApp, query, signUp, createCard, recordResult, createLeague, picksFor } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+test('a member saves picks for an open card and reads them back', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player);
+    const card = await createCard(admin);
+
+    const saved = await player.post('/api/save-picks', {
+        leagueId, eventId: card.eventId,
+        picks: picksFor(card, card.fights.map(f => f.red), () => ({ method: 'KO/TKO', round: 2 }))
+    });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.picksCount, 2);
+
+    const picks = await player.get(`/api/user-picks/${player.userId}/${leagueId}`);
+    assert.equal(picks.status, 200);
+    assert.deepEqual(picks.body.data.map(p => p.FighterID).sort(), card.fights.map(f => f.red).sort());
+    assert.ok(picks.body.data.every(p => p.PredictedMethod === 'KO/TKO' && Number(p.PredictedRound) === 2));
+});
+
+test('saving again replaces the earlier picks for that event', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player);
+    const card = await createCard(admin);
+
+    await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, card.fights.map(f => f.red)) });
+    await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, card.fights.map(f => f.blue)).slice(0, 1) });
+
+    const picks = await player.get(`/api/user-picks/${player.userId}/${leagueId}`);
+    assert.deepEqual(picks.body.data.map(p => p.FighterID), [card.fights[0].blue]);
+});
+
+test('one invalid pick rejects the whole card and nothing is written', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player);
+    const card = await createCard(admin);
+    const [first, second] = card.fights;
+
+    const rejected = await player.post('/api/save-picks', {
+        leagueId, eventId: card.eventId,
+        picks: [
+            { fightId: first.fightId, fighterId: first.red },
+            { fightId: second.fightId, fighterId: first.blue },
+            { fightId: first.fightId, fighterId: first.blue, method: 'Submission' },
+            { fightId: second.fightId, fighterId: second.red, round: 9 }
+        ]
+    });
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(rejected.body.errors.map(e => e.index), [1, 2, 3]);
+    assert.match(rejected.body.errors[0].error, /not in this fight/);
+    assert.match(rejected.body.errors[1].error, /one pick/);
+    assert.match(rejected.body.errors[2].error, /Invalid round/);
+
+    const rows = await query('SELECT COUNT(*) AS count FROM pick WHERE UserID = ? AND EventID = ?', [player.userId, card.eventId]);
+    assert.equal(rows[0].count, 0);
+});
+
+test('picks off this card, doubled-up bouts and bad predictions are each reported', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player);
+    const card = await createCard(admin);
+    const elsewhere = await createCard(admin, { bouts: 1 });
+    const [first, second] = card.fights;
+    const [stranger] = elsewhere.fights;
+
+    const rejected = await player.post('/api/save-picks', {
+        leagueId, eventId: card.eventId,
+        picks: [
+            { fighterId: first.red },
+            { fighterId: stranger.red },
+            { fightId: stranger.fightId, fighterId: stranger.red },
+            { fighterId: first.blue },
+            { fightId: second.fightId },
+            { fightId: second.fightId, fighterId: second.red, method: 'Flying Knee' }
+        ]
+    });
+    assert.equal(rejected.status, 400);
+    assert.deepEqual(rejected.body.errors.map(e => [e.index, e.error]), [
+        [1, 'Fighter is not on this event\'s card'],
+        [2, 'Fight is not on this event\'s card'],
+        [3, 'Only one pick is allowed per fight'],
+        [4, 'No fighter selected'],
+        [5, 'Invalid method "Flying Knee". Expected one of: KO/TKO, Submission, Decision']
+    ]);
+    // Picks sent by fighter alone are matched to their bout
+    assert.equal(rejected.body.errors[2].fightId, first.fightId);
+
+    const rows = await query('SELECT COUNT(*) AS count FROM pick WHERE UserID = ? AND EventID = ?', [player.userId, card.eventId]);
+    assert.equal(rows[0].count, 0);
+});
+
+test('only league members can pick in a league', async () => {
+    const owner = await signUp(app.baseUrl);
+    const outsider = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner);
+    const card = await createCard(admin);
+
+    const response = await outsider.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, card.fights.map(f => f.red)) });
+    assert.equal(response.status, 403);
+});
+
+test('picks lock at the event date and after an admin moves the lock', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player);
+
+    const past = await createCard(admin, { date: '2001-01-01' });
+    const late = await player.post('/api/save-picks', { leagueId, eventId: past.eventId, picks: picksFor(past, past.fights.map(f => f.red)) });
+    assert.equal(late.status, 403);
+    assert.equal(late.body.locked, true);
+
+    const card = await createCard(admin);
+    const open = await player.get(`/api/event/${card.eventId}/lock`);
+    assert.equal(open.body.data.locked, false);
+
+    const moved = await admin.put(`/api/admin/events/${card.eventId}/lock`, { lockTime: new Date(Date.now() - 60000).toISOString() });
+    assert.equal(moved.status, 200);
+    assert.equal(moved.body.data.locked, true);
+    assert.equal(moved.body.data.overridden, true);
+
+    const rejected = await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, card.fights.map(f => f.red)) });
+    assert.equal(rejected.status, 403);
+
+    // Players cannot move locks
+    assert.equal((await player.put(`/api/admin/events/${card.eventId}/lock`, { lockTime: null })).status, 403);
+});
+
+test('the first recorded result locks the card', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player);
+    const card = await createCard(admin);
+
+    await recordResult(admin, card.fights[0], card.fights[0].red);
+
+    const lock = await player.get(`/api/event/${card.eventId}/lock`);
+    assert.equal(lock.body.data.locked, true);
+    assert.equal(lock.body.data.reason, 'results');
+    const response = await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, card.fights.map(f => f.red)) });
+    assert.equal(response.status, 403);
+});
+
+test('recording a result scores the picks and the leaderboard', async () => {
+    const winnerPicker = await signUp(app.baseUrl);
+    const loserPicker = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(winnerPicker, {}, [loserPicker]);
+    const card = await createCard(admin, { bouts: 1 });
+    const [bout] = card.fights;
+
+    await winnerPicker.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [bout.red]) });
+    await loserPicker.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [bout.blue]) });
+
+    const result = await recordResult(admin, bout, bout.red);
+    assert.equal(result.scoring.picksScored, 2);
+    assert.equal(result.scoring.picksUpdated, 1);
+
+    const leaderboard = await winnerPicker.get(`/api/leaderboard/${leagueId}`);
+    const points = Object.fromEntries(leaderboard.body.data.map(row => [row.Username, Number(row.TotalPoints)]));
+    assert.equal(points[winnerPicker.username], 10);
+    assert.equal(points[loserPicker.username], 0);
+
+    // Correcting the result moves the points to the other side
+    await recordResult(admin, bout, bout.blue, { method: 'Submission', finishRound: 2 });
+    const corrected = await winnerPicker.get(`/api/leaderboard/${leagueId}`);
+    const after = Object.fromEntries(corrected.body.data.map(row => [row.Username, Number(row.TotalPoints)]));
+    assert.equal(after[winnerPicker.username], 0);
+    assert.equal(after[loserPicker.username], 10);
+});
+
+test('results are validated against the bout', async () => {
+    const card = await createCard(admin, { bouts: 1 });
+    const [bout] = card.fights;
+    const put = (body) => admin.put(`/api/admin/fights/${bout.fightId}/result`, body);
+
+    assert.equal((await put({ winnerId: bout.red, method: 'Draw', finishRound: 3 })).status, 400);
+    assert.equal((await put({ winnerId: 'nobody', method: 'KO/TKO', finishRound: 1 })).status, 400);
+    assert.equal((await put({ winnerId: bout.red, method: 'KO/TKO', finishRound: 4 })).status, 400);
+    assert.equal((await put({ winnerId: bout.red, method: 'KO/TKO', finishRound: 1, matchTimeSec: 301 })).status, 400);
+    assert.equal((await put({ winnerId: null, method: 'Draw', finishRound: 3, matchTimeSec: 300 })).status, 200);
+});
+
+test('single-round bouts take finish times past five minutes, like the dump has', async () => {
+    const card = await createCard(admin, { bouts: 1, totalRounds: 1 });
+    const [bout] = card.fights;
+    const put = (body) => admin.put(`/api/admin/fights/${bout.fightId}/result`, body);
+
+    assert.equal((await put({ winnerId: bout.red, method: 'Submission', finishRound: 1, matchTimeSec: -5 })).status, 400);
+    assert.equal((await put({ winnerId: bout.red, method: 'Submission', finishRound: 1, matchTimeSec: 720 })).status, 200);
+});
+
+test('a result recorded while picks are being checked still locks them out', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player);
+    const card = await createCard(admin, { bouts: 1 });
+    const [bout] = card.fights;
+
+    // Record the result right after the first lock check, while the picks are validated
+    const listForEvent = repos.fights.listForEvent;
+    repos.fights.listForEvent = async (connection, eventId) => {
+        repos.fights.listForEvent = listForEvent;
+        await connection.execute("UPDATE fight SET winner_id = ?, method = 'KO/TKO', finish_round = 1 WHERE fight_id = ?", [bout.red, bout.fightId]);
+        return listForEvent(connection, eventId);
+    };
+
+    const response = await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [bout.red]) });
+    assert.equal(response.status, 403);
+    assert.equal(response.body.locked, true);
+    const rows = await query('SELECT COUNT(*) AS count FROM pick WHERE UserID = ? AND EventID = ?', [player.userId, card.eventId]);
+    assert.equal(rows[0].count, 0);
+});
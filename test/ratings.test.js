@@ -0,0 +1,87 @@
+// Elo ratings replayed from recorded results
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, query, signUp, freshFighters, recordResult, createCard } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+async function ratingOf(fighterId, query = '') {
+    const response = await admin.get(`/api/ratings/fighter/${fighterId}${query}`);
+    assert.equal(response.status, 200);
+    return response.body.data.fighter;
+}
+
+test('a recorded result moves both ratings, winner up and loser down', async () => {
+    const card = await createCard(admin, { date: '2099-03-01', bouts: 1 });
+    const [bout] = card.fights;
+    await recordResult(admin, bout, bout.red);
+
+    const red = await ratingOf(bout.red);
+    const blue = await ratingOf(bout.blue);
+    const redEntry = red.history[red.history.length - 1];
+    const blueEntry = blue.history[blue.history.length - 1];
+
+    assert.equal(redEntry.fightId, bout.fightId);
+    assert.equal(redEntry.result, 'Win');
+    assert.equal(redEntry.opponentId, bout.blue);
+    assert.ok(redEntry.after > redEntry.before);
+    assert.equal(red.rating, redEntry.after);
+
+    assert.equal(blueEntry.fightId, bout.fightId);
+    assert.equal(blueEntry.result, 'Loss');
+    assert.ok(blueEntry.after < blueEntry.before);
+
+    // The card is not counted in ratings as of the day before it
+    const earlier = await ratingOf(bout.red, '?asOf=2099-02-28');
+    assert.ok(!earlier.history.some(entry => entry.fightId === bout.fightId));
+    assert.equal(earlier.rating, redEntry.before);
+});
+
+test('correcting a result replays the ratings', async () => {
+    const card = await createCard(admin, { date: '2099-04-01', bouts: 1 });
+    const [bout] = card.fights;
+    await recordResult(admin, bout, bout.red);
+    await recordResult(admin, bout, bout.blue);
+
+    const red = await ratingOf(bout.red);
+    const entry = red.history[red.history.length - 1];
+    assert.equal(entry.fightId, bout.fightId);
+    assert.equal(entry.result, 'Loss');
+    assert.ok(entry.after < entry.before);
+});
+
+test('tournament bouts on one night replay in bracket order, not fight_id order', async () => {
+    // Like the early dump cards: no bout_order, and fight ids that sort the final first
+    const [champion, semifinalist, finalist, otherSemifinalist] = await freshFighters(4);
+    const event = await admin.post('/api/admin/events', { eventName: 'Tournament Night', date: '2099-05-01' });
+    const bout = (fightId, red, blue, winner) => query(
+        `INSERT INTO fight (fight_id, event_id, red_fighter_id, blue_fighter_id, winner_id, method, finish_round, total_rounds, division, cancelled)
+         VALUES (?, ?, ?, ?, ?, 'Submission', 1, 1, 'open weight', 0)`,
+        [fightId, event.body.eventId, red, blue, winner]);
+    await bout('aaaa-final', champion, finalist, champion);
+    await bout('zzzz-semifinal', champion, semifinalist, champion);
+    await bout('mmmm-semifinal', finalist, otherSemifinalist, finalist);
+
+    const { history } = await ratingOf(champion);
+    const [semifinal, final] = history.slice(-2);
+    assert.equal(semifinal.fightId, 'zzzz-semifinal');
+    assert.equal(final.fightId, 'aaaa-final');
+    assert.equal(final.before, semifinal.after);
+});
+
+test('bad ratings queries are rejected', async () => {
+    assert.equal((await admin.get('/api/ratings?division=openweight')).status, 400);
+    assert.equal((await admin.get('/api/ratings?asOf=someday')).status, 400);
+    assert.equal((await admin.get('/api/ratings?event=no-such-event')).status, 404);
+    assert.equal((await admin.get('/api/ratings/fighter/no-such-fighter')).status, 404);
+});
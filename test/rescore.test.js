@@ -0,0 +1,113 @@
+// Re-scoring and the pick_score_history audit trail
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, query, signUp, createCard, recordResult, createLeague, picksFor } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+// One member with a pick on the red corner of a one-bout card
+async function pickedCard(settings = {}) {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player, settings);
+    const card = await createCard(admin, { bouts: 1 });
+    const [bout] = card.fights;
+    await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [bout.red], () => ({ method: 'KO/TKO', round: 1 })) });
+    return { player, leagueId, card, bout };
+}
+
+async function historyOf(player, leagueId) {
+    const response = await player.get(`/api/league/${leagueId}/score-history?userId=${player.userId}`);
+    assert.equal(response.status, 200);
+    return response.body.data.map(entry => [entry.Reason, entry.OldPoints, entry.NewPoints]);
+}
+
+test('recording and correcting a result log every points change', async () => {
+    const { player, leagueId, bout } = await pickedCard();
+
+    await recordResult(admin, bout, bout.red);
+    await recordResult(admin, bout, bout.blue);
+
+    assert.deepEqual(await historyOf(player, leagueId), [
+        ['Result corrected', 10, 0],
+        ['Result recorded', 0, 10]
+    ]);
+});
+
+test('re-scoring without changes writes no history', async () => {
+    const { player, leagueId, bout } = await pickedCard();
+    await recordResult(admin, bout, bout.red);
+
+    const rescored = await player.post(`/api/scoring/league/${leagueId}`);
+    assert.equal(rescored.body.data.picksUpdated, 0);
+    assert.equal((await historyOf(player, leagueId)).length, 1);
+});
+
+test('new scoring rules re-score the league straight away', async () => {
+    const { player, leagueId, bout } = await pickedCard();
+    await recordResult(admin, bout, bout.red);
+
+    const saved = await player.put(`/api/league/${leagueId}/settings`, { scoringRules: 'Advanced' });
+    assert.equal(saved.status, 200);
+    assert.equal(saved.body.data.scoring.preset, 'Advanced');
+    assert.equal(saved.body.data.rescored.picksUpdated, 1);
+
+    // Advanced: winner 10 + finish 5 + method 5 + round 5
+    assert.deepEqual((await historyOf(player, leagueId))[0], ['Scoring rules changed', 10, 25]);
+});
+
+test('an admin dry run reports drift without writing; the real run fixes and logs it', async () => {
+    const { player, leagueId, card, bout } = await pickedCard();
+    await recordResult(admin, bout, bout.red);
+    await query('UPDATE pick SET PointsEarned = 3 WHERE UserID = ? AND LeagueID = ?', [player.userId, leagueId]);
+
+    const dryRun = await admin.post('/api/admin/rescore', { eventId: card.eventId, dryRun: true });
+    assert.equal(dryRun.status, 200);
+    const change = dryRun.body.data.changes.find(c => c.userId === player.userId);
+    assert.equal(change.oldPoints, 3);
+    assert.equal(change.newPoints, 10);
+    const untouched = await query('SELECT PointsEarned FROM pick WHERE UserID = ? AND LeagueID = ?', [player.userId, leagueId]);
+    assert.equal(untouched[0].PointsEarned, 3);
+
+    const real = await admin.post('/api/admin/rescore', { leagueId, reason: 'Fixed drift' });
+    assert.equal(real.body.data.picksUpdated, 1);
+    assert.deepEqual((await historyOf(player, leagueId))[0], ['Fixed drift', 3, 10]);
+});
+
+test('a league with an unknown scoring label is reported and left unscored', async () => {
+    const { player, leagueId, card, bout } = await pickedCard();
+    await query("UPDATE league SET ScoringRules = 'Custom' WHERE LeagueID = ?", [leagueId]);
+
+    const league = await player.get(`/api/league/${leagueId}`);
+    assert.deepEqual(league.body.data.Scoring, { preset: 'Custom', rules: null, unknown: true });
+
+    const result = await recordResult(admin, bout, bout.red);
+    assert.equal(result.scoring.picksUnscored, 1);
+    assert.deepEqual(result.scoring.unscoredLeagues, [leagueId]);
+    const picks = await query('SELECT PointsEarned FROM pick WHERE EventID = ?', [card.eventId]);
+    assert.equal(picks[0].PointsEarned, 0);
+});
+
+test('stored overrides on an unknown preset are reported like an unknown label', async () => {
+    const { player, leagueId, bout } = await pickedCard();
+    const stored = JSON.stringify({ preset: 'Legacy', winner: 7 });
+    await query('UPDATE league SET ScoringRules = ? WHERE LeagueID = ?', [stored, leagueId]);
+
+    const league = await player.get(`/api/league/${leagueId}`);
+    assert.equal(league.body.data.Scoring.unknown, true);
+
+    const result = await recordResult(admin, bout, bout.red);
+    assert.equal(result.scoring.picksUnscored, 1);
+    assert.equal((await player.post(`/api/scoring/league/${leagueId}`)).status, 200);
+    const preview = await player.post(`/api/league/${leagueId}/scoring/preview`, { scoringRules: 'Standard' });
+    assert.equal(preview.status, 200);
+});
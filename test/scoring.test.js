@@ -0,0 +1,140 @@
+// Scoring modes and bonuses beyond the correct winner
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, query, signUp, createCard, recordResult, createLeague, picksFor, fixtureInput, runImport } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+async function pointsOf(player, leagueId) {
+    const picks = await player.get(`/api/user-picks/${player.userId}/${leagueId}`);
+    return picks.body.data.reduce((sum, pick) => sum + Number(pick.PointsEarned), 0);
+}
+
+test('confidence leagues need a distinct confidence per pick', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player, { pickMode: 'confidence' });
+    const card = await createCard(admin, { bouts: 2 });
+    const save = (confidences) => player.post('/api/save-picks', {
+        leagueId, eventId: card.eventId,
+        picks: picksFor(card, card.fights.map(f => f.red), (fight, index) => ({ confidence: confidences[index] }))
+    });
+
+    assert.equal((await save([1, 1])).status, 400);
+    assert.equal((await save([3, 1])).status, 400);
+    assert.equal((await save([undefined, 1])).status, 400);
+    assert.equal((await save([2, 1])).status, 200);
+});
+
+test('confidence leagues multiply each correct pick by its confidence', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player, { pickMode: 'confidence' });
+    const card = await createCard(admin, { bouts: 3 });
+    await player.post('/api/save-picks', {
+        leagueId, eventId: card.eventId,
+        picks: picksFor(card, card.fights.map(f => f.red), (fight, index) => ({ confidence: 3 - index }))
+    });
+
+    await recordResult(admin, card.fights[0], card.fights[0].red);
+    await recordResult(admin, card.fights[1], card.fights[1].blue);
+    await recordResult(admin, card.fights[2], card.fights[2].red);
+
+    // 10 x 3 + 0 + 10 x 1
+    assert.equal(await pointsOf(player, leagueId), 40);
+});
+
+// The dump's most winning fighter against its most losing one, and the
+// latest bout the underdog lost (to be corrected later)
+async function mismatch() {
+    const [favourite] = await query(
+        `SELECT TRIM(winner_id) AS id FROM fight WHERE cancelled = 0 AND winner_id IS NOT NULL
+         GROUP BY TRIM(winner_id) ORDER BY COUNT(*) DESC LIMIT 1`);
+    const [underdog] = await query(
+        `SELECT loser AS id FROM (
+             SELECT CASE WHEN TRIM(winner_id) = TRIM(red_fighter_id) THEN TRIM(blue_fighter_id) ELSE TRIM(red_fighter_id) END AS loser
+               FROM fight WHERE cancelled = 0 AND TRIM(winner_id) IN (TRIM(red_fighter_id), TRIM(blue_fighter_id))
+         ) losses WHERE loser <> ? GROUP BY loser ORDER BY COUNT(*) DESC LIMIT 1`, [favourite.id]);
+    const [lastLoss] = await query(
+        `SELECT f.fight_id AS fightId FROM fight f JOIN event e ON e.event_id = f.event_id
+          WHERE f.cancelled = 0 AND TRIM(f.winner_id) <> ? AND ? IN (TRIM(f.red_fighter_id), TRIM(f.blue_fighter_id))
+          ORDER BY e.date DESC LIMIT 1`, [underdog.id, underdog.id]);
+    return { favourite: favourite.id, underdog: underdog.id, lastLoss };
+}
+
+async function underdogChance(player, eventId) {
+    const fights = await player.get(`/api/event/${eventId}/fights`);
+    return fights.body.data[0].FighterBWinChance;
+}
+
+test('a correct underdog pick earns the bonus from the pre-fight estimate', async () => {
+    const { favourite, underdog } = await mismatch();
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player, { scoringRules: { preset: 'Standard', underdogBonus: 100 } });
+    const card = await createCard(admin, { date: '2099-08-01', bouts: [{ red: favourite, blue: underdog }] });
+    const [bout] = card.fights;
+
+    const chance = await underdogChance(player, card.eventId);
+    assert.ok(chance < 0.5);
+    await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [underdog]) });
+
+    await recordResult(admin, bout, underdog);
+    assert.equal(await pointsOf(player, leagueId), 10 + Math.round(100 * (1 - 2 * chance)));
+});
+
+test('a locked card keeps its estimate when an older result is corrected before scoring', async () => {
+    const { favourite, underdog, lastLoss } = await mismatch();
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player, { scoringRules: { preset: 'Standard', underdogBonus: 100 } });
+    const locked = await createCard(admin, { date: '2099-09-01', bouts: [{ red: favourite, blue: underdog }] });
+    const open = await createCard(admin, { date: '2099-10-01', bouts: [{ red: favourite, blue: underdog }] });
+
+    const chance = await underdogChance(player, locked.eventId);
+    await player.post('/api/save-picks', { leagueId, eventId: locked.eventId, picks: picksFor(locked, [underdog]) });
+    await admin.put(`/api/admin/events/${locked.eventId}/lock`, { lockTime: new Date(Date.now() - 60000).toISOString() });
+
+    // Turn one of the underdog's old losses into a win: open cards see a better record
+    await recordResult(admin, lastLoss, underdog, { matchTimeSec: 60 });
+    assert.ok(await underdogChance(player, open.eventId) > chance);
+    assert.equal(await underdogChance(player, locked.eventId), chance);
+
+    await recordResult(admin, locked.fights[0], underdog);
+    assert.equal(await pointsOf(player, leagueId), 10 + Math.round(100 * (1 - 2 * chance)));
+});
+
+test('knockdowns from imported fight stats score for the picked fighter, win or lose', async () => {
+    const player = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(player, { scoringRules: { preset: 'Standard', knockdownBonus: 3 } });
+    await runImport(fixtureInput('fighters.csv', 'card.json'));
+    const [{ event_id: eventId }] = await query("SELECT event_id FROM event WHERE event_name = 'Import Night 1'");
+    const [bout] = (await player.get(`/api/event/${eventId}/fights`)).body.data;
+    await player.post('/api/save-picks', { leagueId, eventId, picks: [{ fightId: bout.FightID, fighterId: bout.FighterB_ID }] });
+
+    // Bea Importa loses by KO in round 2
+    await runImport(fixtureInput('results.csv'));
+    assert.equal(await pointsOf(player, leagueId), 0);
+
+    // Stats usually land after the result; importing them re-scores the card
+    const { plan, changedEvents } = await runImport(fixtureInput('knockdowns.csv'));
+    assert.deepEqual(plan.errors, []);
+    assert.equal(plan.fightStats.filter(op => op.action === 'create').length, 4);
+    assert.deepEqual(changedEvents, [eventId]);
+
+    const stats = await player.get(`/api/fight/${bout.FightID}/stats`);
+    const [red, blue] = stats.body.data.fighters;
+    assert.equal(red.totals.controlTimeSec, 110);
+    assert.equal(blue.totals.knockdowns, 2);
+    assert.equal(await pointsOf(player, leagueId), 6);
+
+    // Re-importing the same sheet changes nothing
+    const again = await runImport(fixtureInput('knockdowns.csv'));
+    assert.ok(again.plan.fightStats.every(op => op.action === 'unchanged'));
+});
@@ -0,0 +1,104 @@
+// League seasons: scoped standings, closing and the frozen podium
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp, createCard, recordResult, createLeague, picksFor } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+async function standings(viewer, leagueId, seasonId) {
+    const response = await viewer.get(`/api/leaderboard/${leagueId}${seasonId ? `?seasonId=${seasonId}` : ''}`);
+    assert.equal(response.status, 200);
+    return Object.fromEntries(response.body.data.map(row => [row.Username, Number(row.TotalPoints)]));
+}
+
+test('season input is validated', async () => {
+    const owner = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner);
+    const start = (body) => owner.post(`/api/league/${leagueId}/seasons`, body);
+
+    assert.equal((await start({ startDate: '2099-01-01' })).status, 400);
+    assert.equal((await start({ name: 'Spring' })).status, 400);
+    assert.equal((await start({ name: 'Spring', startDate: '2099-05-01', endDate: '2099-04-01' })).status, 400);
+    assert.equal((await start({ name: 'Spring', startDate: '2099-01-01', eventIds: ['x'] })).status, 400);
+    assert.equal((await start({ name: 'Spring', eventIds: ['no-such-event'] })).status, 400);
+});
+
+test('a closed season keeps its champion and runner-up when results change later', async () => {
+    const owner = await signUp(app.baseUrl);
+    const second = await signUp(app.baseUrl);
+    const third = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner, {}, [second, third]);
+
+    const preseason = await createCard(admin, { bouts: 1 });
+    const card = await createCard(admin, { bouts: 2 });
+    const season = await owner.post(`/api/league/${leagueId}/seasons`, { name: 'Season One', eventIds: [card.eventId] });
+    assert.equal(season.status, 200);
+    const seasonId = season.body.data.season.seasonId;
+
+    const [first, other] = card.fights;
+    await owner.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [first.red, other.red]) });
+    await second.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [first.red, other.blue]) });
+    await third.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [first.blue, other.blue]) });
+    await third.post('/api/save-picks', { leagueId, eventId: preseason.eventId, picks: picksFor(preseason, [preseason.fights[0].red]) });
+
+    await recordResult(admin, first, first.red);
+    await recordResult(admin, other, other.red);
+    await recordResult(admin, preseason.fights[0], preseason.fights[0].red);
+
+    // Only the season's card counts towards its standings
+    assert.deepEqual(await standings(owner, leagueId, seasonId), { [owner.username]: 20, [second.username]: 10, [third.username]: 0 });
+    assert.equal((await standings(owner, leagueId))[third.username], 10);
+
+    // Starting the next season closes this one
+    const next = await owner.post(`/api/league/${leagueId}/seasons`, { name: 'Season Two', startDate: '2099-12-01' });
+    assert.equal(next.status, 200);
+    assert.equal(next.body.data.closedSeasonId, seasonId);
+
+    const list = await second.get(`/api/league/${leagueId}/seasons`);
+    const closed = list.body.data.find(s => s.seasonId === seasonId);
+    assert.equal(closed.status, 'closed');
+    assert.deepEqual(closed.champion, { userId: owner.userId, username: owner.username, points: 20 });
+    assert.deepEqual(closed.runnerUp, { userId: second.userId, username: second.username, points: 10 });
+
+    // A later correction moves the live standings but not the frozen ones
+    await recordResult(admin, first, first.blue);
+    assert.equal((await standings(owner, leagueId))[owner.username], 10);
+    assert.deepEqual(await standings(owner, leagueId, seasonId), { [owner.username]: 20, [second.username]: 10, [third.username]: 0 });
+
+    assert.equal((await owner.post(`/api/league/${leagueId}/seasons/${seasonId}/close`)).status, 400);
+});
+
+test('closing a season nobody scored in names no champion', async () => {
+    const owner = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner);
+    const season = await owner.post(`/api/league/${leagueId}/seasons`, { name: 'Quiet', startDate: '2099-01-01', endDate: '2099-12-31' });
+    const seasonId = season.body.data.season.seasonId;
+
+    const closed = await owner.post(`/api/league/${leagueId}/seasons/${seasonId}/close`);
+    assert.equal(closed.status, 200);
+    assert.equal(closed.body.data.status, 'closed');
+    assert.equal(closed.body.data.champion, null);
+    assert.equal(closed.body.data.runnerUp, null);
+});
+
+test('seasons belong to their league', async () => {
+    const owner = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner);
+    const { leagueId: otherLeagueId } = await createLeague(owner);
+    const season = await owner.post(`/api/league/${otherLeagueId}/seasons`, { name: 'Elsewhere', startDate: '2099-01-01' });
+    const seasonId = season.body.data.season.seasonId;
+
+    assert.equal((await owner.get(`/api/leaderboard/${leagueId}?seasonId=${seasonId}`)).status, 404);
+    assert.equal((await owner.post(`/api/league/${leagueId}/seasons/${seasonId}/close`)).status, 404);
+    assert.equal((await owner.get(`/api/leaderboard/${leagueId}?seasonId=999999`)).status, 404);
+});
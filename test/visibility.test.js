@@ -0,0 +1,129 @@
+// Who sees whose picks, and when (league PickVisibility)
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startApp, signUp, createCard, recordResult, createLeague, picksFor } = require('./helpers');
+
+let app;
+let admin;
+
+before(async () => {
+    app = await startApp();
+    admin = await signUp(app.baseUrl, { admin: true });
+});
+
+after(async () => {
+    await app.close();
+});
+
+// Two members who both picked the red corner of a one-bout card
+async function pickedLeague(pickVisibility) {
+    const owner = await signUp(app.baseUrl);
+    const rival = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner, pickVisibility ? { pickVisibility } : {}, [rival]);
+    const card = await createCard(admin, { bouts: 1 });
+    for (const player of [owner, rival]) {
+        const saved = await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [card.fights[0].red]) });
+        assert.equal(saved.status, 200);
+    }
+    return { owner, rival, leagueId, card };
+}
+
+function lockCard(card) {
+    return admin.put(`/api/admin/events/${card.eventId}/lock`, { lockTime: new Date(Date.now() - 60000).toISOString() });
+}
+
+async function picksSeen(viewer, player, leagueId) {
+    const response = await viewer.get(`/api/user-picks/${player.userId}/${leagueId}`);
+    assert.equal(response.status, 200);
+    return { count: response.body.data.length, hidden: response.body.hiddenPicks };
+}
+
+test('by default other members\' picks stay hidden until the card locks', async () => {
+    const { owner, rival, leagueId, card } = await pickedLeague();
+
+    assert.deepEqual(await picksSeen(owner, rival, leagueId), { count: 0, hidden: 1 });
+    assert.deepEqual(await picksSeen(rival, rival, leagueId), { count: 1, hidden: 0 });
+    assert.equal((await owner.get(`/api/league/${leagueId}/consensus/${card.eventId}`)).status, 403);
+
+    await lockCard(card);
+    assert.deepEqual(await picksSeen(owner, rival, leagueId), { count: 1, hidden: 0 });
+    assert.equal((await owner.get(`/api/league/${leagueId}/consensus/${card.eventId}`)).status, 200);
+});
+
+test('"always" leagues show picks before the lock', async () => {
+    const { owner, rival, leagueId } = await pickedLeague('always');
+
+    assert.deepEqual(await picksSeen(owner, rival, leagueId), { count: 1, hidden: 0 });
+});
+
+test('"never" leagues keep picks private after the lock, consensus included', async () => {
+    const { owner, rival, leagueId, card } = await pickedLeague('never');
+    await lockCard(card);
+
+    assert.deepEqual(await picksSeen(owner, rival, leagueId), { count: 0, hidden: 1 });
+    assert.deepEqual(await picksSeen(rival, rival, leagueId), { count: 1, hidden: 0 });
+    assert.equal((await owner.get(`/api/league/${leagueId}/consensus/${card.eventId}`)).status, 403);
+});
+
+test('"never" leagues hide other members\' points and detail in the score history', async () => {
+    const { owner, rival, leagueId, card } = await pickedLeague('never');
+    await recordResult(admin, card.fights[0], card.fights[0].red);
+    const historyOf = async (viewer) => (await viewer.get(`/api/league/${leagueId}/score-history?userId=${rival.userId}`)).body.data;
+
+    const [own] = await historyOf(rival);
+    assert.equal(own.FighterID, card.fights[0].red);
+    assert.equal(own.NewPoints, 10);
+    assert.ok(own.Detail);
+
+    const [seen] = await historyOf(owner);
+    assert.equal(seen.Reason, 'Result recorded');
+    assert.equal(seen.EventID, card.eventId);
+    for (const field of ['PickID', 'FighterID', 'FighterName', 'OldPoints', 'NewPoints', 'Detail']) {
+        assert.equal(seen[field], null, field);
+    }
+});
+
+test('consensus after the lock splits each bout by corner and stars contrarian hits', async () => {
+    const owner = await signUp(app.baseUrl);
+    const second = await signUp(app.baseUrl);
+    const contrarian = await signUp(app.baseUrl);
+    const { leagueId } = await createLeague(owner, {}, [second, contrarian]);
+    const card = await createCard(admin, { bouts: 1 });
+    const [bout] = card.fights;
+    for (const [player, fighterId] of [[owner, bout.red], [second, bout.red], [contrarian, bout.blue]]) {
+        await player.post('/api/save-picks', { leagueId, eventId: card.eventId, picks: picksFor(card, [fighterId]) });
+    }
+
+    assert.equal((await second.get(`/api/league/${leagueId}/consensus/${card.eventId}`)).status, 403);
+    assert.deepEqual((await second.get(`/api/league/${leagueId}/consensus`)).body.data, []);
+
+    await recordResult(admin, bout, bout.blue);
+    const consensus = await second.get(`/api/league/${leagueId}/consensus/${card.eventId}`);
+    assert.equal(consensus.status, 200);
+    const [split] = consensus.body.data.bouts;
+    assert.equal(split.totalPicks, 3);
+    assert.deepEqual([split.red.count, split.red.percent], [2, 66.7]);
+    assert.deepEqual([split.blue.count, split.blue.percent], [1, 33.3]);
+    assert.deepEqual(split.blue.members.map(m => [m.username, m.correct, m.points]), [[contrarian.username, true, 10]]);
+    assert.deepEqual(split.contrarianHits.map(hit => hit.userId), [contrarian.userId]);
+
+    const events = await second.get(`/api/league/${leagueId}/consensus`);
+    assert.deepEqual(events.body.data.map(event => event.EventID), [card.eventId]);
+});
+
+test('"never" leagues list no consensus events', async () => {
+    const { owner, leagueId, card } = await pickedLeague('never');
+    await recordResult(admin, card.fights[0], card.fights[0].red);
+
+    assert.deepEqual((await owner.get(`/api/league/${leagueId}/consensus`)).body.data, []);
+    assert.equal((await owner.get(`/api/league/${leagueId}/consensus/${card.eventId}`)).status, 403);
+});
+
+test('outsiders cannot read a league\'s picks', async () => {
+    const { rival, leagueId, card } = await pickedLeague('always');
+    const outsider = await signUp(app.baseUrl);
+    await lockCard(card);
+
+    assert.equal((await outsider.get(`/api/user-picks/${rival.userId}/${leagueId}`)).status, 403);
+    assert.equal((await outsider.get(`/api/league/${leagueId}/consensus/${card.eventId}`)).status, 403);
+});